@@ -1,4 +1,6 @@
 import swaggerJsdoc from 'swagger-jsdoc';
+import routeSchemas from '../schemas/index.js';
+import { applyRouteSchemas } from '../schemas/openapi.js';
 
 const options = {
   definition: {
@@ -10,11 +12,11 @@ const options = {
     },
     servers: [
       {
-        url: 'https://backend.expand.shabad-guru.org/app',
+        url: 'https://backend.expand.shabad-guru.org',
         description: 'Production server',
       },
       {
-        url: process.env.APP_URL || 'http://localhost:9000/app',
+        url: process.env.APP_URL || 'http://localhost:9000',
         description: 'Development server',
       },
     ],
@@ -43,7 +45,8 @@ const options = {
   apis: ['./src/routes/**/*.js', './src/controllers/**/*.js'],
 };
 
-const swaggerSpec = swaggerJsdoc(options);
+// Parameters and request bodies come from the same schemas the routes validate with
+const swaggerSpec = applyRouteSchemas(swaggerJsdoc(options), routeSchemas);
 
 export default swaggerSpec;
 
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../../models/User.js';
 import { generateToken } from '../../utils/jwt.js';
 import {
@@ -18,13 +19,30 @@ import {
   insertNotificationsWithPush,
 } from '../../services/notificationDeliveryService.js';
 import { getIO } from '../../socket/index.js';
+import { emitWebhookEvent, customerWebhookData } from '../../services/webhookService.js';
+import {
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordOtpFailure,
+  clearOtpFailures,
+} from '../../services/loginProtectionService.js';
+import Session from '../../models/Session.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  SessionError,
+} from '../../services/sessionService.js';
+import { recordPresence } from '../../services/presenceService.js';
 
 /**
  * Customer Login (App) Agent Login
  */
 export const login = async (req, res) => {
   try {
-    const { email, password, fcmToken, platform } = req.body;
+    const { email, password, fcmToken, platform, deviceName } = req.body;
 
     // Validation
     if (!email || !password) {
@@ -38,6 +56,8 @@ export const login = async (req, res) => {
     const customer = await User.findOne({ email, role: { $ne: 'manager' } }).select('+password');
 
     if (!customer) {
+      // Counted too, so unknown and known emails behave the same
+      await recordLoginFailure(email);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -64,11 +84,24 @@ export const login = async (req, res) => {
     const isPasswordValid = await customer.comparePassword(password);
 
     if (!isPasswordValid) {
+      const failure = await recordLoginFailure(email, customer);
+      if (failure.locked) {
+        await logActivity(req, {
+          userId: customer._id,
+          message: `Account locked after too many failed logins (${customer.email})`,
+          status: 'account_locked'
+        });
+        return res.status(423).json({
+          success: false,
+          message: failure.message
+        });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
+    await recordLoginSuccess(email);
 
     if (customer.role === 'customer' && !customer.emailVerified) {
       const verificationOtp = Math.floor(100000 + Math.random() * 900000).toString();
@@ -94,32 +127,9 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken({
-      id: customer._id,
-      email: customer.email,
-      role: customer.role
-    });
-
-    // Save token to database
-    customer.token = token;
-    
-    
-    await customer.save();
-    console.log('fcmToken-----------------', fcmToken);
-    // Register FCM token in DeviceToken collection for push notifications
-    if (fcmToken) {
-      try {
-        await registerDeviceToken({
-          userId: customer._id,
-          fcmToken: fcmToken,
-          platform: platform || 'android',
-        });
-      } catch (fcmError) {
-        console.error('Failed to register FCM token during login:', fcmError);
-        // Don't fail login if FCM registration fails
-      }
-    }
+    // Open a session for this device (other devices stay signed in).
+    // The FCM token is registered with the session so logging out stops push to this device.
+    const session = await createSession(customer, req, { fcmToken, platform, deviceName });
 
     // Register or refresh device token
     if (customer.role === 'agent') {
@@ -147,7 +157,7 @@ export const login = async (req, res) => {
       success: true,
       message: 'Login successful',
       data: {
-        token,
+        ...session,
         customer: {
           id: customer._id,
           name: customer.name,
@@ -280,6 +290,8 @@ export const register = async (req, res) => {
       status: 'added'
     });
 
+    await emitWebhookEvent('customer.created', customerWebhookData(customer));
+
     res.status(201).json({
       success: true,
       message: 'Registration successful. Please verify your email address using the OTP sent to your email.',
@@ -341,6 +353,14 @@ export const registerDeviceTokenForUser = async (req, res) => {
       platform: devicePlatform || 'android',
     });
 
+    // Tie the push registration to this device's session so logout unregisters it
+    if (req.user.sid) {
+      await Session.updateOne(
+        { _id: req.user.sid, userId: req.user.id },
+        { $set: { deviceTokenId: tokenRecord._id, platform: devicePlatform || 'android' } }
+      );
+    }
+
     if (!tokenRecord) {
       return res.status(500).json({
         success: false,
@@ -412,24 +432,25 @@ export const verifyEmailOtp = async (req, res) => {
     }
 
     if (customer.emailVerificationOTP !== otp.trim()) {
+      await recordOtpFailure('email_verification', email);
       return res.status(400).json({
         success: false,
         message: 'Invalid OTP. Please try again.',
       });
     }
-
-    const authToken = generateToken({
-      id: customer._id,
-      email: customer.email,
-      role: customer.role,
-    });
+    await clearOtpFailures('email_verification', email);
 
     customer.emailVerified = true;
     customer.emailVerificationOTP = undefined;
     customer.emailVerificationExpiry = undefined;
-    customer.token = authToken;
     await customer.save();
 
+    const session = await createSession(customer, req, {
+      fcmToken: req.body.fcmToken,
+      platform: req.body.platform,
+      deviceName: req.body.deviceName
+    });
+
 
 
     try {
@@ -508,7 +529,7 @@ export const verifyEmailOtp = async (req, res) => {
       success: true,
       message: 'Email verified successfully.',
       data: {
-        token: authToken,
+        ...session,
         customer: {
           id: customer._id,
           name: customer.name,
@@ -749,6 +770,7 @@ export const verifyOTP = async (req, res) => {
 
     // Check if OTP matches
     if (customer.resetPasswordToken !== otp) {
+      await recordOtpFailure('password_reset', email);
       return res.status(400).json({
         success: false,
         message: 'Invalid OTP'
@@ -763,6 +785,8 @@ export const verifyOTP = async (req, res) => {
       });
     }
 
+    await clearOtpFailures('password_reset', email);
+
     // Generate reset token for password reset
     const resetToken = generateToken({
       id: customer._id,
@@ -863,8 +887,12 @@ export const resetPassword = async (req, res) => {
     customer.password = newPassword;
     customer.resetPasswordToken = undefined;
     customer.resetPasswordExpiry = undefined;
+    customer.token = null;
     await customer.save();
 
+    // Every device has to sign in again with the new password
+    await revokeAllSessions(customer._id, { reason: 'password_reset' });
+
     // Send Firebase push notification for password reset
     try {
       await sendPushNotification({
@@ -922,9 +950,15 @@ export const logout = async (req, res) => {
     const customer = await User.findById(customerId);
 
     if (customer) {
-      // Clear token from database
-      customer.token = null;
-      await customer.save();
+      // End this device's session only - other devices stay signed in
+      const session = req.user.sid ? await Session.findOne({ _id: req.user.sid, userId: customer._id }) : null;
+      if (session && !session.revokedAt) {
+        await revokeSession(session, 'logout');
+      } else {
+        // Token from before sessions existed
+        customer.token = null;
+        await customer.save();
+      }
 
       // Activity log: app logout
       if (customer.role === 'customer') {
@@ -956,6 +990,143 @@ export const logout = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access token (App).
+ * The refresh token is rotated - the old one stops working.
+ */
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const data = await refreshSession(req.body.refreshToken, req, async (userId) => {
+      const user = await User.findById(userId);
+      return user && user.isActive && !user.isDeleted ? user : null;
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Log out on every device, optionally keeping the current one ({ keepCurrent: true })
+ */
+export const logoutAllDevices = async (req, res) => {
+  try {
+    const keepCurrent = req.body?.keepCurrent === true && req.user.sid;
+
+    const revokedCount = await revokeAllSessions(req.user.id, {
+      reason: 'logout_all',
+      exceptSessionId: keepCurrent ? req.user.sid : null
+    });
+
+    if (!keepCurrent) {
+      await User.updateOne({ _id: req.user.id }, { $set: { token: null } });
+    }
+
+    await logActivity(req, {
+      userId: req.user.id,
+      message: `${req.user.role === 'agent' ? 'Agent' : 'Customer'} (${req.user.email}) logged out of ${keepCurrent ? 'all other devices' : 'all devices'}`,
+      status: 'logout'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent ? 'Logged out of all other devices' : 'Logged out of all devices',
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Logout all devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Devices the user is signed in on (App)
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        app: session.app,
+        deviceName: session.deviceName,
+        platform: session.platform,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        pushEnabled: !!session.deviceTokenId,
+        isCurrent: String(session._id) === String(req.user.sid)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Log out one device from the session list (App)
+ */
+export const revokeSessionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format'
+      });
+    }
+
+    const session = await Session.findOne({ _id: id, userId: req.user.id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'revoked_by_user');
+
+    await logActivity(req, {
+      userId: req.user.id,
+      message: `${req.user.role === 'agent' ? 'Agent' : 'Customer'} (${req.user.email}) logged out device "${session.deviceName || session.platform || 'unknown'}"`,
+      status: 'logout'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device logged out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 
 
 export const onlineOfflineStatus = async (req, res) => {
@@ -972,6 +1143,7 @@ export const onlineOfflineStatus = async (req, res) => {
     if (customer) {
       customer.status = status;
       await customer.save();
+      await recordPresence(customer, status);
 
       // Emit socket event for real-time status update
       try {
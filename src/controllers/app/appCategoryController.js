@@ -6,8 +6,8 @@ import { getFirebaseMessaging } from '../../config/firebase.js';
  */
 export const getCategories = async (req, res) => {
   try {
-    // Fetch only active categories, sorted by sortOrder
-    const categories = await Category.find();
+    // Fetch only active categories, sorted by sortOrder (categories created before the flag existed count as active)
+    const categories = await Category.find({ isActive: { $ne: false } }).sort({ sortOrder: 1, name: 1 });
 
     // Send Firebase push notification - Direct test with hardcoded token
     // try {
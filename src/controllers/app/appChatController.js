@@ -3,6 +3,11 @@ import Message from '../../models/Message.js';
 import Ticket from '../../models/Ticket.js';
 import User from '../../models/User.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
+import { recordTicketEvent } from '../../utils/ticketEventLogger.js';
+import { messageVisibilityFilter } from '../../services/internalNoteService.js';
+import { emitMessageWebhook } from '../../services/webhookService.js';
+import { runListQuery, ListQueryError } from '../../services/listQueryService.js';
+import { CHAT_LIST } from '../../services/listDefinitions.js';
 
 // Get or create chat for a ticket (App version - Customer only)
 export const getOrCreateChat = async (req, res) => {
@@ -108,7 +113,7 @@ export const getChatMessages = async (req, res) => {
     }
 
     // Get messages with pagination
-    const messages = await Message.find({ chatId })
+    const messages = await Message.find({ chatId, ...messageVisibilityFilter(req.user.role) })
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -205,6 +210,17 @@ export const sendMessage = async (req, res) => {
     chat.lastMessageAt = new Date();
     await chat.save();
 
+    await emitMessageWebhook(message);
+
+    if (attachments.length > 0) {
+      await recordTicketEvent(req, {
+        ticketId: chat.ticketId,
+        type: 'attachment_added',
+        after: { messageId: message._id, attachments: attachments.map(a => a.url || a.filename) },
+        message: `${attachments.length} attachment(s) added in chat`
+      });
+    }
+
     // Send Firebase push notification to other participants (skip for system messages)
     if (messageType !== 'infoSystem') {
       try {
@@ -291,26 +307,35 @@ export const getUserChats = async (req, res) => {
       return res.status(404).json({ message: 'Customer not found' });
     }
 
-    // Get chats where customer is a participant
-    const chats = await Chat.find({
+    // Chats where customer is a participant and that have a message they can see
+    const participantChatIds = await Chat.find({
       'participants.userEmail': userEmail,
       isActive: true
-    })
-      .populate({
+    }).distinct('_id');
+    const chatIdsWithMessages = await Message.distinct('chatId', {
+      chatId: { $in: participantChatIds },
+      ...messageVisibilityFilter(req.user.role)
+    });
+
+    // Paging, sort and filters from CHAT_LIST
+    const { items: chats, pagination } = await runListQuery(Chat, CHAT_LIST, req.query, {
+      baseFilter: { _id: { $in: chatIdsWithMessages } },
+      select: 'isActive ticketId lastMessage',
+      populate: {
         path: 'ticketId',
         select: 'ticketNumber status categoryId',
         populate: {
           path: 'categoryId',
           select: 'name'
         }
-      }).select('isActive ticketId lastMessage')
-      .sort({ lastMessageAt: -1 });
+      }
+    });
 
     // Get last message and its read status for each chat
     const chatsWithLastMessage = await Promise.all(
       chats.map(async (chat) => {
         // Get last message for this chat
-        const lastMessageData = await Message.findOne({ chatId: chat._id })
+        const lastMessageData = await Message.findOne({ chatId: chat._id, ...messageVisibilityFilter(req.user.role) })
           .select('content createdAt isRead readBy')
           .sort({ createdAt: -1 })
           .limit(1);
@@ -341,14 +366,15 @@ export const getUserChats = async (req, res) => {
       })
     );
 
-    // Filter out chats without messageId (no messages)
-    const chatsWithMessages = chatsWithLastMessage.filter(chat => chat.messageId !== null);
-
     res.json({
       success: true,
-      data: chatsWithMessages
+      data: chatsWithLastMessage,
+      pagination
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get customer chats error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -378,6 +404,7 @@ export const readAllMessages = async (req, res) => {
     await Message.updateMany(
       {
         chatId,
+        ...messageVisibilityFilter(req.user.role),
         'sender.userId': { $ne: customer._id },
         'readBy.userId': { $ne: customer._id }
       },
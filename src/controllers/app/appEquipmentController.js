@@ -1,4 +1,21 @@
+import mongoose from 'mongoose';
 import Equipment from '../../models/Equipment.js';
+import CustomerMachine from '../../models/CustomerMachine.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { normalizeSerialNumber, validateMachinePayload } from '../../services/machineRegistryService.js';
+
+// Warranty dates are managed by the support team, not from the app
+const CUSTOMER_MACHINE_FIELDS = ['equipmentId', 'serialNumber', 'installDate', 'siteLocation', 'notes'];
+
+const pickMachineFields = (body) => {
+  const payload = {};
+  CUSTOMER_MACHINE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
 
 /**
  * Get all equipment for app
@@ -30,3 +47,168 @@ export const getEquipment = async (req, res) => {
   }
 };
 
+/**
+ * Machines registered by the logged-in customer
+ */
+export const getMyMachines = async (req, res) => {
+  try {
+    const machines = await CustomerMachine.find({ customer: req.user.id, isActive: true })
+      .populate('equipmentId', 'name modelNumber description')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Machines fetched successfully',
+      data: machines.map(machine => ({
+        id: machine._id,
+        serialNumber: machine.serialNumber,
+        equipment: machine.equipmentId,
+        installDate: machine.installDate,
+        siteLocation: machine.siteLocation,
+        warrantyEndDate: machine.warrantyEndDate,
+        underWarranty: !!machine.warrantyEndDate && machine.warrantyEndDate >= new Date(),
+        notes: machine.notes
+      }))
+    });
+  } catch (error) {
+    console.error('Get customer machines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch machines'
+    });
+  }
+};
+
+export const registerMachine = async (req, res) => {
+  try {
+    const payload = pickMachineFields(req.body);
+
+    if (!payload.equipmentId || !payload.serialNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'equipmentId and serialNumber are required'
+      });
+    }
+
+    const validationError = await validateMachinePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    payload.serialNumber = normalizeSerialNumber(payload.serialNumber);
+    const existing = await CustomerMachine.findOne({ serialNumber: payload.serialNumber });
+
+    // Registering a machine the customer removed earlier brings it back
+    if (existing && String(existing.customer) === String(req.user.id) && !existing.isActive) {
+      existing.set({ ...payload, isActive: true });
+      await existing.save();
+      return res.status(201).json({
+        success: true,
+        message: 'Machine registered successfully',
+        data: existing
+      });
+    }
+
+    if (existing) {
+      // A machine that moved to another customer has to be transferred by support
+      const ownMachine = String(existing.customer) === String(req.user.id);
+      return res.status(400).json({
+        success: false,
+        message: ownMachine
+          ? 'You have already registered this machine'
+          : 'This serial number is registered to another account. Please contact support.'
+      });
+    }
+
+    const machine = await CustomerMachine.create({
+      ...payload,
+      customer: req.user.id,
+      registeredBy: req.user.id
+    });
+
+    await logActivity(req, {
+      message: `Machine ${machine.serialNumber} registered by customer`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Machine registered successfully',
+      data: machine
+    });
+  } catch (error) {
+    console.error('Register machine error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateMyMachine = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid machine ID format' });
+    }
+
+    const machine = await CustomerMachine.findOne({ _id: req.params.id, customer: req.user.id, isActive: true });
+    if (!machine) {
+      return res.status(404).json({ success: false, message: 'Machine not found' });
+    }
+
+    // Model and serial identify the unit - changing them means registering another machine
+    const { installDate, siteLocation, notes } = pickMachineFields(req.body);
+    const payload = { installDate, siteLocation, notes };
+    Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+
+    const validationError = await validateMachinePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    machine.set(payload);
+    await machine.save();
+
+    res.json({
+      success: true,
+      message: 'Machine updated successfully',
+      data: machine
+    });
+  } catch (error) {
+    console.error('Update machine error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const removeMyMachine = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid machine ID format' });
+    }
+
+    const machine = await CustomerMachine.findOne({ _id: req.params.id, customer: req.user.id, isActive: true });
+    if (!machine) {
+      return res.status(404).json({ success: false, message: 'Machine not found' });
+    }
+
+    // Past tickets reference the machine, so it is only deactivated
+    machine.isActive = false;
+    await machine.save();
+
+    await logActivity(req, {
+      message: `Machine ${machine.serialNumber} removed by customer`,
+      status: 'deleted'
+    });
+
+    res.json({
+      success: true,
+      message: 'Machine removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove machine error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import KbArticle from '../../models/KbArticle.js';
+import KbSection from '../../models/KbSection.js';
+import {
+  buildArticleFilter,
+  suggestArticlesForTicket,
+  recordDeflection,
+  KnowledgeBaseError
+} from '../../services/knowledgeBaseService.js';
+
+const ARTICLE_LIST_FIELDS = 'title slug summary sectionId categoryIds equipmentIds tags publishedAt viewCount';
+
+/**
+ * Active sections with their number of published articles
+ */
+export const getKbSections = async (req, res) => {
+  try {
+    const [sections, counts] = await Promise.all([
+      KbSection.find({ isActive: true }).sort({ sortOrder: 1, name: 1 }).lean(),
+      KbArticle.aggregate([
+        { $match: { status: 'published' } },
+        { $group: { _id: '$sectionId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countMap = new Map(counts.map(row => [String(row._id), row.count]));
+
+    res.json({
+      success: true,
+      message: 'Sections fetched successfully',
+      data: sections.map(section => ({
+        id: section._id,
+        name: section.name,
+        description: section.description,
+        articleCount: countMap.get(String(section._id)) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get KB sections error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch sections' });
+  }
+};
+
+/**
+ * Browse or search published articles (?q=, sectionId, categoryId, equipmentId, tag)
+ */
+export const getKbArticles = async (req, res) => {
+  try {
+    const { q, page = 1, limit = 20 } = req.query;
+    const filter = buildArticleFilter({ ...req.query, status: 'published' });
+    const searching = !!filter.$text;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+    const projection = Object.fromEntries(ARTICLE_LIST_FIELDS.split(' ').map(field => [field, 1]));
+    if (searching) projection.score = { $meta: 'textScore' };
+    const sort = searching ? { score: { $meta: 'textScore' } } : { sortOrder: 1, publishedAt: -1 };
+
+    const [articles, total] = await Promise.all([
+      KbArticle.find(filter, projection)
+        .populate('sectionId', 'name')
+        .sort(sort)
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      KbArticle.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: searching ? `Search results for "${q}"` : 'Articles fetched successfully',
+      data: articles,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum) || 1,
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get KB articles error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch articles' });
+  }
+};
+
+/**
+ * Single published article by id or slug
+ */
+export const getKbArticle = async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const match = mongoose.Types.ObjectId.isValid(idOrSlug) ? { _id: idOrSlug } : { slug: String(idOrSlug).toLowerCase() };
+
+    const article = await KbArticle.findOneAndUpdate(
+      { ...match, status: 'published' },
+      { $inc: { viewCount: 1 } },
+      { new: true }
+    )
+      .select('-author -updatedBy -suggestedCount -deflectionCount')
+      .populate('sectionId', 'name')
+      .populate('categoryIds', 'name')
+      .populate('equipmentIds', 'name modelNumber');
+
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    res.json({ success: true, data: article });
+  } catch (error) {
+    console.error('Get KB article error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * "Was this article helpful?"
+ */
+export const submitKbArticleFeedback = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { helpful } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID format' });
+    }
+    if (typeof helpful !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'helpful must be true or false' });
+    }
+
+    const article = await KbArticle.findOneAndUpdate(
+      { _id: id, status: 'published' },
+      { $inc: helpful ? { helpfulCount: 1 } : { notHelpfulCount: 1 } },
+      { new: true }
+    ).select('helpfulCount notHelpfulCount');
+
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    res.json({ success: true, message: 'Thanks for your feedback' });
+  } catch (error) {
+    console.error('KB article feedback error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Suggested articles for a ticket description, shown before the ticket is submitted.
+ * Pass the returned suggestionId to /tickets/create, or to /kb/suggestions/:id/deflect if an article solved it.
+ */
+export const suggestTicketArticles = async (req, res) => {
+  try {
+    const { description, categoryId, equipmentId } = req.body;
+
+    if (!description || !String(description).trim()) {
+      return res.status(400).json({ success: false, message: 'description is required' });
+    }
+
+    const { suggestionId, articles } = await suggestArticlesForTicket({
+      customerId: req.user.id,
+      description,
+      categoryId,
+      equipmentId
+    });
+
+    res.json({
+      success: true,
+      message: articles.length ? 'These articles may solve your problem' : 'No matching articles',
+      data: { suggestionId, articles }
+    });
+  } catch (error) {
+    console.error('Suggest KB articles error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * The customer's problem was solved by a suggested article - no ticket needed
+ */
+export const deflectKbSuggestion = async (req, res) => {
+  try {
+    const { articleId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(articleId)) {
+      return res.status(400).json({ success: false, message: 'A valid articleId is required' });
+    }
+
+    await recordDeflection({
+      suggestionId: req.params.id,
+      customerId: req.user.id,
+      articleId
+    });
+
+    res.json({ success: true, message: 'Glad the article helped!' });
+  } catch (error) {
+    if (error instanceof KnowledgeBaseError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Deflect KB suggestion error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
@@ -3,6 +3,8 @@ import Ticket from '../../models/Ticket.js';
 import { logActivity } from '../../utils/activityLogger.js';
 import { createNotificationWithPush } from '../../services/notificationDeliveryService.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
+import { resolveScorecardRange, buildScorecards, ScorecardError } from '../../services/scorecardService.js';
+import { parseDateRange } from '../../utils/dateRange.js';
 
 
 export const getCustomer = async (req, res) => {
@@ -431,8 +433,35 @@ export const newProfileUpdate = async (req, res) => {
     }
 };
 
+// The signed-in agent's own scorecard for ?from=&to= (default: the last 30 days)
+export const getMyScorecard = async (req, res) => {
+    try {
+        const dates = parseDateRange(req.query);
+        if (dates.error) {
+            return res.status(400).json({ success: false, message: dates.error });
+        }
+        const range = resolveScorecardRange(dates);
 
+        const user = await User.findById(req.user.id).select('name email status');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
 
+        const [scorecard] = await buildScorecards([user], range);
 
-
-
+        res.json({
+            success: true,
+            message: 'Scorecard fetched successfully',
+            data: { ...range, ...scorecard }
+        });
+    } catch (error) {
+        if (error instanceof ScorecardError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Get my scorecard error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
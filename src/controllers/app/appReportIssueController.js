@@ -1,6 +1,6 @@
 import ReportIssue from '../../models/ReportIssue.js';
 import User from '../../models/User.js';
-import { sendEmail, buildReportIssueAdminEmail, buildReportIssueUserEmail } from '../../utils/emailService.js';
+import { sendReportIssueEmails } from '../../utils/emailService.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
 
 export const reportIssue = async (req, res) => {
@@ -34,30 +34,16 @@ export const reportIssue = async (req, res) => {
             });
         }
         const { name, email, phone } = user;
-        // Build email templates
-        const createdAt = reportIssue.createdAt.toLocaleString();
-        const { subject: adminSubject, html: adminHtml } = buildReportIssueAdminEmail({
-            reportId: reportIssue._id,
-            name,
-            email,
-            phone,
-            description,
-            createdAt
-        });
-        const { subject: userSubject, html: userHtml } = buildReportIssueUserEmail({
-            reportId: reportIssue._id,
-            name,
-            email,
-            phone,
-            description,
-            createdAt
-        });
-
         try {
-            // Send email to admin with customer email as reply-to
-            await sendEmail(process.env.ADMIN_EMAIL, adminSubject, adminHtml, null, email);
-            // Send confirmation to user with admin email as reply-to
-            await sendEmail(email, userSubject, userHtml, null, process.env.ADMIN_EMAIL);
+            // Admin notification (replies go to the customer) and confirmation to the user
+            await sendReportIssueEmails({
+                reportId: reportIssue._id,
+                name,
+                email,
+                phone,
+                description,
+                createdAt: reportIssue.createdAt
+            });
         } catch (emailError) {
             console.error('Failed to send email notification:', emailError);
         }
@@ -2,14 +2,17 @@ import Ticket from '../../models/Ticket.js';
 import Message from '../../models/Message.js';
 import User from '../../models/User.js';
 import { logActivity } from '../../utils/activityLogger.js';
+import { recordTicketEvent } from '../../utils/ticketEventLogger.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
+import { loadWorkflow } from '../../services/ticketWorkflowService.js';
+import { messageVisibilityFilter } from '../../services/internalNoteService.js';
+import { runListQuery, ListQueryError } from '../../services/listQueryService.js';
+import { SUPPORT_INBOX_LIST } from '../../services/listDefinitions.js';
 
 export const getSupportInbox = async (req, res) => {
   try {
     const customerId = req.user.id;
     const {
-      page = 1,
-      limit = 10,
       filter = 'all',
       search = ''
     } = req.query;
@@ -42,26 +45,17 @@ export const getSupportInbox = async (req, res) => {
       query.$or = searchConditions;
     }
 
-    const pageNum = Math.max(parseInt(page), 1);
-    const limitNum = Math.min(Math.max(parseInt(limit), 1), 50);
-    const skip = (pageNum - 1) * limitNum;
+    // Paging, sort and the ticket filters from SUPPORT_INBOX_LIST (most recently updated first)
+    const { items: tickets, pagination } = await runListQuery(Ticket, SUPPORT_INBOX_LIST, req.query, {
+      baseFilter: query,
+      select: 'description status ticketNumber assignedAgent isReadTicket createdAt isArchived',
+      populate: [
+        { path: 'assignedAgent', select: 'name email' },
+        { path: 'categoryId', select: 'name' }
+      ]
+    });
 
-    const [tickets, totalTickets] = await Promise.all([
-      Ticket.find(query)
-        .select('description status ticketNumber assignedAgent isReadTicket createdAt isArchived')
-        .populate({
-          path: 'assignedAgent',
-          select: 'name email'
-        })
-        .populate({
-          path: 'categoryId',
-          select: 'name'
-        })
-        .sort({ updatedAt: -1 })
-        .skip(skip)
-        .limit(limitNum),
-      Ticket.countDocuments(query),
-    ]);
+    const workflow = await loadWorkflow();
 
     const getTicketTitleAndDescription = (ticket, latestMessage) => {
       const status = ticket.status;
@@ -88,10 +82,14 @@ export const getSupportInbox = async (req, res) => {
             description = 'The status of your ticket has been changed to Closed.';
             break;
           case 'pending':
-          default:
             title = `Update on Your Support Ticket #${ticketNumber}`;
             description = 'The status of your ticket has been changed to Pending.';
             break;
+          default:
+            // Custom workflow statuses (e.g. awaiting_parts)
+            title = `Update on Your Support Ticket #${ticketNumber}`;
+            description = `The status of your ticket has been changed to ${workflow.get(status)?.label || status}.`;
+            break;
         }
       }
 
@@ -100,7 +98,7 @@ export const getSupportInbox = async (req, res) => {
 
     const ticketsWithMessages = await Promise.all(
       tickets.map(async (ticket) => {
-        const messageQuery = { ticketId: ticket._id };
+        const messageQuery = { ticketId: ticket._id, ...messageVisibilityFilter(req.user.role) };
 
         const latestMessage = await Message.findOne(messageQuery)
           .select('content createdAt isRead readBy')
@@ -146,6 +144,7 @@ export const getSupportInbox = async (req, res) => {
 
         const unreadCount = await Message.countDocuments({
           ticketId: ticket._id,
+          ...messageVisibilityFilter(req.user.role),
           'sender.userId': { $ne: customerId },
           $or: [
             { readBy: { $exists: false } },
@@ -179,18 +178,15 @@ export const getSupportInbox = async (req, res) => {
       Ticket.countDocuments({ customer: customerId, isArchived: true })
     ]);
 
-    const totalItems = filter === 'unread' ? filteredTickets.length : totalTickets;
 
     res.json({
       success: true,
       data: {
         conversations: filteredTickets,
-        pagination: {
-          currentPage: pageNum,
-          totalPages: Math.ceil(totalItems / limitNum) || 1,
-          totalItems,
-          itemsPerPage: limitNum
-        },
+        // Unread is only known after loading a page, so it counts what is on this page
+        pagination: filter === 'unread'
+          ? { ...pagination, totalPages: 1, totalItems: filteredTickets.length }
+          : pagination,
         counts: {
           total: activeCount + archivedCount,
           active: activeCount,
@@ -200,6 +196,9 @@ export const getSupportInbox = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Get support inbox error:', error);
     res.status(500).json({
       success: false,
@@ -215,7 +214,7 @@ export const markAsRead = async (req, res) => {
     const customerId = req.user.id;
 
     const message = await Message.findOneAndUpdate(
-      { _id: messageId },
+      { _id: messageId, ...messageVisibilityFilter(req.user.role) },
       {
         $addToSet: {
           readBy: {
@@ -279,6 +278,14 @@ export const toggleArchiveConversation = async (req, res) => {
 
     const action = newArchiveStatus ? 'archived' : 'unarchived';
 
+    await recordTicketEvent(req, {
+      ticketId: ticket._id,
+      type: action,
+      before: { isArchived: currentTicket.isArchived },
+      after: { isArchived: newArchiveStatus },
+      message: `Conversation ${action}`
+    });
+
     // Send Firebase push notification for archive action
     try {
       await sendPushNotification({
@@ -354,7 +361,7 @@ export const getConversationDetails = async (req, res) => {
     const skip = (pageNum - 1) * limitNum;
 
     const [messages, totalMessages] = await Promise.all([
-      Message.find({ ticketId })
+      Message.find({ ticketId, ...messageVisibilityFilter(req.user.role) })
         .populate({
           path: 'sender',
           select: 'name email role'
@@ -362,7 +369,7 @@ export const getConversationDetails = async (req, res) => {
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum),
-      Message.countDocuments({ ticketId })
+      Message.countDocuments({ ticketId, ...messageVisibilityFilter(req.user.role) })
     ]);
 
     // Mark ticket as read when viewing details
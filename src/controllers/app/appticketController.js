@@ -3,14 +3,24 @@ import Category from '../../models/Category.js';
 import Equipment from '../../models/Equipment.js';
 import Notification from '../../models/Notification.js';
 import User from '../../models/User.js';
+import CsatSurvey from '../../models/CsatSurvey.js';
 import mongoose from 'mongoose';
 import { sendTicketCreationEmail, sendTicketAdminNotify } from '../../utils/emailService.js';
 import { logActivity } from '../../utils/activityLogger.js';
+import { recordTicketEvent } from '../../utils/ticketEventLogger.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
+import { buildTicketSla } from '../../services/slaService.js';
+import { autoAssignTicket } from '../../services/assignmentService.js';
+import { getInitialStatus } from '../../services/ticketWorkflowService.js';
+import { resolveTicketMachine, MachineRegistryError } from '../../services/machineRegistryService.js';
+import { evaluateTicketEntitlement } from '../../services/entitlementService.js';
+import { linkSuggestionToTicket } from '../../services/knowledgeBaseService.js';
+import { runListQuery, ListQueryError } from '../../services/listQueryService.js';
+import { TICKET_LIST } from '../../services/listDefinitions.js';
 
 export const createTicket = async (req, res) => {
     try {
-        let { description, categoryId, equipmentId, serialNumber } = req.body;
+        let { description, categoryId, equipmentId, serialNumber, machineId, suggestionId } = req.body;
 
         if (equipmentId === '' || equipmentId === undefined) {
             equipmentId = null;
@@ -40,6 +50,12 @@ export const createTicket = async (req, res) => {
                     message: 'Invalid categoryId - Category not found'
                 });
             }
+            if (category.isActive === false) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This category is no longer available'
+                });
+            }
         }
 
         // Validate equipmentId format and exists in database
@@ -60,6 +76,32 @@ export const createTicket = async (req, res) => {
                 });
             }
         }
+
+        // Machine must come from the customer's own registry
+        let machine = null;
+        try {
+            ({ machine, equipmentId, serialNumber } = await resolveTicketMachine({
+                customerId: customer._id,
+                machineId,
+                serialNumber,
+                equipmentId
+            }));
+        } catch (registryError) {
+            if (registryError instanceof MachineRegistryError) {
+                return res.status(registryError.statusCode).json({ success: false, message: registryError.message });
+            }
+            throw registryError;
+        }
+
+        // Tag coverage; out-of-coverage tickets may be moved to the sales queue category
+        const { entitlement, commitment, categoryId: entitledCategoryId } = await evaluateTicketEntitlement({
+            customerId: customer._id,
+            machine,
+            equipmentId,
+            categoryId
+        });
+        categoryId = entitledCategoryId;
+
         // Handle multiple image uploads
         let attachments = [];
         if (req.files && req.files.length > 0) {
@@ -68,12 +110,16 @@ export const createTicket = async (req, res) => {
 
         const ticket = await Ticket.create({
             description,
-            status: 'pending',
+            status: await getInitialStatus(),
             customer: customer._id,
             categoryId,
             equipmentId,
+            machineId: machine?._id || null,
             attachments: attachments,
-            serialNumber
+            serialNumber,
+            channel: 'app',
+            sla: await buildTicketSla({ categoryId, equipmentId, commitment }),
+            entitlement
         });
 
         // Activity log: ticket created
@@ -82,6 +128,36 @@ export const createTicket = async (req, res) => {
             status: 'added'
         });
 
+        await recordTicketEvent(req, {
+            ticketId: ticket._id,
+            type: 'created',
+            after: {
+                status: ticket.status,
+                categoryId: ticket.categoryId,
+                equipmentId: ticket.equipmentId,
+                entitlement: ticket.entitlement.status
+            },
+            message: 'Ticket created by customer'
+        });
+        if (attachments.length > 0) {
+            await recordTicketEvent(req, {
+                ticketId: ticket._id,
+                type: 'attachment_added',
+                after: { attachments },
+                message: `${attachments.length} attachment(s) added`
+            });
+        }
+
+        // The customer saw knowledge-base suggestions but still needed a ticket
+        await linkSuggestionToTicket({ suggestionId, customerId: customer._id, ticketId: ticket._id });
+
+        // Route the ticket according to the category's assignment strategy
+        try {
+            await autoAssignTicket(ticket);
+        } catch (assignError) {
+            console.error('Auto-assignment failed:', assignError);
+        }
+
         // Create notifications for customer, admin, and agents
         const notifications = [];
 
@@ -218,23 +294,23 @@ export const getTickets = async (req, res) => {
     try {
         const customerId = req.user.id;
 
-        const tickets = await Ticket.find({ customer: customerId })
-            .populate({
-                path: 'customer',
-                model: 'User',
-                select: 'name email',
-                match: { role: 'customer' }
-            })
-            .populate({ path: 'categoryId', select: 'name description' })
-            .populate({ path: 'equipmentId', select: 'name description' })
-            .populate({
-                path: 'assignedAgent',
-                select: 'name email'
-            });
+        // Paging, sort and filters (status, categoryId, createdAt range, ...) from TICKET_LIST
+        const { items: tickets, pagination } = await runListQuery(Ticket, TICKET_LIST, req.query, {
+            baseFilter: { customer: customerId },
+            populate: [
+                { path: 'customer', model: 'User', select: 'name email', match: { role: 'customer' } },
+                { path: 'categoryId', select: 'name description' },
+                { path: 'equipmentId', select: 'name description' },
+                { path: 'assignedAgent', select: 'name email' }
+            ]
+        });
 
-        res.json({ count: tickets.length, tickets });
+        res.json({ count: tickets.length, tickets, pagination });
 
     } catch (error) {
+        if (error instanceof ListQueryError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         res.status(500).json({ message: 'Get ticket error' });
     }
 };
@@ -259,7 +335,8 @@ export const getTicketdetails = async (req, res) => {
             })
             .populate('assignedAgent')
             .populate({ path: 'categoryId', select: 'name description' })
-            .populate({ path: 'equipmentId', select: 'name description' });
+            .populate({ path: 'equipmentId', select: 'name description' })
+            .populate({ path: 'machineId', select: 'serialNumber installDate siteLocation warrantyEndDate' });
         if (!ticket) {
             return res.status(404).json({ message: 'Ticket not found' });
         }
@@ -303,4 +380,95 @@ export const markAsTicketRead = async (req, res) => {
             message: 'Server error while marking as read'
         });
     }
-};
\ No newline at end of file
+};
+
+export const getTicketCsat = async (req, res) => {
+    try {
+        const { ticketId } = req.params;
+
+        if (!ticketId || !/^[0-9a-fA-F]{24}$/.test(ticketId)) {
+            return res.status(400).json({ message: 'Invalid ticket ID format' });
+        }
+
+        const ticket = await Ticket.findOne({ _id: ticketId, customer: req.user.id }).select('ticketNumber status');
+        if (!ticket) {
+            return res.status(404).json({ success: false, message: 'Ticket not found' });
+        }
+
+        const survey = await CsatSurvey.findOne({ ticketId: ticket._id })
+            .select('status score comment requestedAt respondedAt');
+
+        res.json({
+            success: true,
+            data: {
+                ticketId: ticket._id,
+                ticketNumber: ticket.ticketNumber,
+                canRate: survey?.status === 'pending',
+                survey
+            }
+        });
+    } catch (error) {
+        console.error('Get ticket CSAT error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+export const submitTicketCsat = async (req, res) => {
+    try {
+        const { ticketId } = req.params;
+        const { comment = '' } = req.body;
+        const score = Number(req.body.score);
+
+        if (!ticketId || !/^[0-9a-fA-F]{24}$/.test(ticketId)) {
+            return res.status(400).json({ message: 'Invalid ticket ID format' });
+        }
+
+        if (!Number.isInteger(score) || score < 1 || score > 5) {
+            return res.status(400).json({ success: false, message: 'Score must be a whole number between 1 and 5' });
+        }
+
+        if (String(comment).length > 2000) {
+            return res.status(400).json({ success: false, message: 'Comment cannot exceed 2000 characters' });
+        }
+
+        const ticket = await Ticket.findOne({ _id: ticketId, customer: req.user.id }).select('ticketNumber status');
+        if (!ticket) {
+            return res.status(404).json({ success: false, message: 'Ticket not found' });
+        }
+
+        const survey = await CsatSurvey.findOne({ ticketId: ticket._id });
+        if (!survey) {
+            return res.status(400).json({ success: false, message: 'This ticket has not been resolved yet' });
+        }
+        if (survey.status === 'completed') {
+            return res.status(409).json({ success: false, message: 'You have already rated this ticket' });
+        }
+
+        survey.score = score;
+        survey.comment = String(comment).trim();
+        survey.status = 'completed';
+        survey.respondedAt = new Date();
+        await survey.save();
+
+        await recordTicketEvent(req, {
+            ticketId: ticket._id,
+            type: 'csat_submitted',
+            after: { score, comment: survey.comment },
+            message: `Customer rated the support ${score}/5`
+        });
+
+        await logActivity(req, {
+            message: `Ticket ${ticket.ticketNumber} rated ${score}/5 by customer`,
+            status: 'added'
+        });
+
+        res.json({
+            success: true,
+            message: 'Thank you for your feedback',
+            data: survey
+        });
+    } catch (error) {
+        console.error('Submit ticket CSAT error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
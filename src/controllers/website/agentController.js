@@ -3,7 +3,10 @@ import Category from '../../models/Category.js';
 import Notification from '../../models/Notification.js';
 import { logActivity } from '../../utils/activityLogger.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
-import { sendEmail } from '../../utils/emailService.js';
+import { sendAgentWelcomeEmail } from '../../utils/emailService.js';
+import { reassignAgentTickets } from '../../services/assignmentService.js';
+import { runListQuery, findAllForList, ListQueryError } from '../../services/listQueryService.js';
+import { AGENT_LIST } from '../../services/listDefinitions.js';
 
 export const createAgent = async (req, res) => {
   try {
@@ -61,41 +64,7 @@ export const createAgent = async (req, res) => {
 
     // Send email to the new agent
     try {
-      const emailHtml = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 24px;">
-          <div style="text-align: center; margin-bottom: 24px;">
-            <img src="${process.env.APP_URL}/uploads/email.png" alt="Expand Machinery" style="max-width: 200px; height: auto; margin-bottom: 15px; display: block; margin-left: auto; margin-right: auto;" />
-            <p style="color: #4b5563; font-size: 16px;">Agent Account Created</p>
-          </div>
-          <div style="background: #f9fafb; padding: 28px; border-radius: 14px; box-shadow: 0 10px 25px rgba(124,58,237,0.08);">
-            <h2 style="color: #1f2937; font-size: 22px; margin-bottom: 16px;">Welcome ${fullName}!</h2>
-            <p style="color: #4b5563; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">
-              Your agent account has been successfully created. You can now access the Expand Machinery support dashboard using the credentials below:
-            </p>
-            <div style="background: #ffffff; padding: 20px; border-radius: 12px; margin: 24px 0; border: 1px solid #e5e7eb;">
-              <p style="color: #1f2937; font-size: 14px; margin: 8px 0;"><strong>Email:</strong> <span style="color: #7c3aed;">${email}</span></p>
-              <p style="color: #1f2937; font-size: 14px; margin: 8px 0;"><strong>Password:</strong> <span style="color: #7c3aed; font-family: monospace;">${password}</span></p>
-            </div>
-            <div style="background: #eef2ff; padding: 16px; border-radius: 8px; margin: 20px 0;">
-              <p style="color: #4b5563; font-size: 14px; margin: 0; line-height: 1.6;">
-                <strong>⚠️ Important:</strong> Please change your password after your first login for security purposes.
-              </p>
-            </div>
-            <p style="color: #6b7280; font-size: 14px; margin-top: 24px;">
-              If you have any questions or need assistance, please contact the support team.
-            </p>
-          </div>
-          <div style="text-align: center; color: #9ca3af; font-size: 12px; margin-top: 32px;">
-            Expand Machinery • Management Team
-          </div>
-        </div>
-      `;
-
-      const emailResult = await sendEmail(
-        email,
-        'Welcome to Expand Machinery - Agent Account Created',
-        emailHtml
-      );
+      const emailResult = await sendAgentWelcomeEmail({ name: fullName, email, password });
 
       if (emailResult.success) {
         console.log('📧 Welcome email sent to new agent');
@@ -147,9 +116,6 @@ export const createAgent = async (req, res) => {
 
 export const getAgentsList = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
     const search = req.query.search || '';
 
     // Build search query
@@ -166,27 +132,21 @@ export const getAgentsList = async (req, res) => {
       };
     }
 
-    // Get total count for pagination
-    const totalAgents = await User.countDocuments(searchQuery);
-    const totalPages = Math.ceil(totalAgents / limit);
-
-    // Get paginated agents
-    const agents = await User.find(searchQuery)
-      .populate('categoryIds', 'name')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // Paging, sort and filters (status, isActive, categoryId, createdAt range) from AGENT_LIST
+    const { items: agents, pagination } = await runListQuery(User, AGENT_LIST, req.query, {
+      baseFilter: searchQuery,
+      populate: { path: 'categoryIds', select: 'name' }
+    });
 
     res.json({
       success: true,
       message: 'Agents list fetched successfully',
       pagination: {
-        currentPage: page,
-        totalPages,
-        totalAgents,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        limit
+        ...pagination,
+        totalAgents: pagination.totalItems,
+        hasNextPage: pagination.hasMore,
+        hasPrevPage: pagination.currentPage > 1,
+        limit: pagination.itemsPerPage
       },
       data: agents.map(a => ({
         _id: a._id,
@@ -201,6 +161,10 @@ export const getAgentsList = async (req, res) => {
       }))
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Get agents list error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -395,7 +359,9 @@ export const deleteAgent = async (req, res) => {
 
 export const getCategoryList = async (req, res) => {
   try {
-    const categoryList = await Category.find();
+    // Retired categories are only listed on request (e.g. ?includeInactive=true for reports)
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: { $ne: false } };
+    const categoryList = await Category.find(filter).sort({ sortOrder: 1, name: 1 });
     res.json({
       success: true,
       data: categoryList
@@ -442,10 +408,23 @@ export const toggleAgentStatus = async (req, res) => {
       status: 'updated'
     });
 
+    // Hand the deactivated agent's open tickets to other agents
+    let reassignment = null;
+    if (!agent.isActive) {
+      reassignment = await reassignAgentTickets(agent._id, { decidedBy: req.user?.id || null });
+      if (reassignment.total > 0) {
+        await logActivity(req, {
+          message: `${reassignment.reassigned} open ticket(s) of agent (${agent.email}) reassigned, ${reassignment.unassigned} returned to the queue`,
+          status: 'updated'
+        });
+      }
+    }
+
     res.json({
       success: true,
       message: `Agent ${action} successfully`,
-      data: agent
+      data: agent,
+      reassignment
     });
   } catch (error) {
     console.error('Toggle agent status error:', error);
@@ -473,10 +452,11 @@ export const exportAgents = async (req, res) => {
       };
     }
 
-    // Get all agents for export (no pagination)
-    const agents = await User.find(searchQuery)
-      .populate('categoryIds', 'name')
-      .sort({ createdAt: -1 });
+    // Get all agents for export (no pagination), with the same filters and sort as the list
+    const agents = await findAllForList(User, AGENT_LIST, req.query, {
+      baseFilter: searchQuery,
+      populate: { path: 'categoryIds', select: 'name' }
+    });
 
     // Format data for export
     const exportData = agents.map(agent => {
@@ -502,6 +482,9 @@ export const exportAgents = async (req, res) => {
       data: exportData
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Export agents error:', error);
     res.status(500).json({
       success: false,
@@ -4,9 +4,13 @@ import Category from '../../models/Category.js';
 import Equipment from '../../models/Equipment.js';
 import Message from '../../models/Message.js';
 import mongoose from 'mongoose';
-import { sendPushNotification } from '../../services/pushNotificationService.js';
 import { logActivity } from '../../utils/activityLogger.js';
-import { sendTicketUpdateStatusEmail, sendTicketStatusChangeAdminEmail } from '../../utils/emailService.js';
+import TicketEvent from '../../models/TicketEvent.js';
+import { buildSlaStateFilter } from '../../services/slaService.js';
+import { userHasPermission, buildVisibleTicketFilter } from '../../services/permissionService.js';
+import { runListQuery, legacySortParam, ListQueryError } from '../../services/listQueryService.js';
+import { TICKET_LIST } from '../../services/listDefinitions.js';
+import { changeTicketStatus, notifyTicketStatusChange, getAvailableTransitions, WorkflowError } from '../../services/ticketWorkflowService.js';
 
 export const getTicketList = async (req, res) => {
     try {
@@ -19,15 +23,8 @@ export const getTicketList = async (req, res) => {
         }
 
         // Query params
-        const {
-            status,
-            category,
-            search,
-            page = 1,
-            limit = 10,
-            sortBy = 'createdAt',
-            sortOrder = 'desc'
-        } = req.query;
+        // Paging, sort and the typed filters (status, assignedAgent, createdAtFrom, ...) come from TICKET_LIST
+        const { category, slaState, search } = req.query;
 
         // Get agent's assigned categories and convert to ObjectId
         const agentCategoryIds = user.categoryIds && Array.isArray(user.categoryIds) && user.categoryIds.length > 0
@@ -42,7 +39,10 @@ export const getTicketList = async (req, res) => {
         // Base visibility filter: 
         // 1. Tickets assigned to this agent (regardless of category)
         // 2. OR unassigned tickets that belong to agent's assigned categories
-        const visibilityFilter = agentCategoryIds.length > 0
+        // Roles with tickets.view_all (managers, supervisors, auditors) see every ticket
+        const visibilityFilter = await userHasPermission(user, 'tickets.view_all')
+            ? {}
+            : agentCategoryIds.length > 0
             ? {
                 $or: [
                     // Tickets assigned to this agent (show all, even if category doesn't match)
@@ -67,8 +67,7 @@ export const getTicketList = async (req, res) => {
             };
 
         // Build match filter
-        const match = { ...visibilityFilter };
-        if (status) match.status = status;
+        const match = { ...visibilityFilter, ...buildSlaStateFilter(slaState) };
         let customerIds = [];
         let categoryIdsFromSearch = [];
         let equipmentIds = [];
@@ -104,41 +103,26 @@ export const getTicketList = async (req, res) => {
             const categoryDoc = await Category.findOne({
                 name: { $regex: category.trim(), $options: 'i' }
             });
-            if (categoryDoc) {
-                categoryFilter.categoryId = categoryDoc._id;
-            } else {
-                // If category not found, return empty results
-                return res.json({
-                    tickets: [],
-                    meta: { total: 0, page: pageNum, limit: limitNum, pages: 0 }
-                });
-            }
+            // If category not found, nothing matches
+            categoryFilter.categoryId = categoryDoc ? categoryDoc._id : { $in: [] };
         }
 
-        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
-        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100);
-        const skip = (pageNum - 1) * limitNum;
-        const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
-
         // Combine all filters
         const finalMatch = { ...match, ...categoryFilter };
 
-        const [tickets, total] = await Promise.all([
-            Ticket.find(finalMatch)
-                .sort(sort)
-                .skip(skip)
-                .limit(limitNum)
-                .populate({
-                    path: 'customer',
-                    model: 'User',
-                    match: { role: 'customer' },
-                    select: 'name email phone'
-                })
-                .populate({ path: 'categoryId', model: 'Category', select: 'name' })
-                .populate({ path: 'equipmentId', model: 'Equipment', select: 'name serialNumber modelNumber' })
-                .populate({ path: 'assignedAgent', model: 'User', select: 'name email phone' }),
-            Ticket.countDocuments(finalMatch)
-        ]);
+        const { items: tickets, pagination } = await runListQuery(Ticket, TICKET_LIST, {
+            ...req.query,
+            sort: legacySortParam(req.query, 'desc')
+        }, {
+            baseFilter: finalMatch,
+            alwaysSelect: ['isReadTicket'],
+            populate: [
+                { path: 'customer', model: 'User', match: { role: 'customer' }, select: 'name email phone' },
+                { path: 'categoryId', model: 'Category', select: 'name' },
+                { path: 'equipmentId', model: 'Equipment', select: 'name serialNumber modelNumber' },
+                { path: 'assignedAgent', model: 'User', select: 'name email phone' }
+            ]
+        });
 
         // Add isReadTicket field and unread message count based on latest message's readBy
         const ticketsWithReadStatus = await Promise.all(
@@ -191,14 +175,18 @@ export const getTicketList = async (req, res) => {
             success: true,
             tickets: ticketsWithReadStatus,
             meta: {
-                total,
-                page: pageNum,
-                limit: limitNum,
-                pages: Math.ceil(total / limitNum) || 1
-            }
+                total: pagination.totalItems,
+                page: pagination.currentPage,
+                limit: pagination.itemsPerPage,
+                pages: pagination.totalPages || 1
+            },
+            pagination
         });
 
     } catch (error) {
+        if (error instanceof ListQueryError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
         console.error('Get tickets error:', error);
         res.status(500).json({ message: 'Get ticket error' });
     }
@@ -225,7 +213,9 @@ export const getTicketByID = async (req, res) => {
             : [];
 
         // Find ticket that is either assigned to this agent OR unassigned with matching category
-        const ticketFilter = agentCategoryIds.length > 0
+        const ticketFilter = await userHasPermission(user, 'tickets.view_all')
+            ? { _id: id }
+            : agentCategoryIds.length > 0
             ? {
                 _id: id,
                 $or: [
@@ -270,6 +260,44 @@ export const getTicketByID = async (req, res) => {
     }
 };
 
+export const getTicketTimeline = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type } = req.query;
+
+        if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+            return res.status(400).json({ message: 'Invalid ticket ID format' });
+        }
+
+        const user = await User.findOne({ _id: req.user.id });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const ticket = await Ticket.findOne(await buildVisibleTicketFilter(user, id)).select('ticketNumber');
+        if (!ticket) {
+            return res.status(404).json({ message: 'Ticket not found or access denied', statuscode: 404, status: false });
+        }
+
+        const query = { ticketId: ticket._id };
+        if (type) query.type = { $in: String(type).split(',') };
+
+        const events = await TicketEvent.find(query).sort({ createdAt: 1 });
+
+        res.json({
+            message: 'Ticket timeline fetched successfully',
+            success: true,
+            ticketId: ticket._id,
+            ticketNumber: ticket.ticketNumber,
+            total: events.length,
+            data: events
+        });
+    } catch (error) {
+        console.error('Get ticket timeline error:', error);
+        res.status(500).json({ message: 'Get ticket timeline error' });
+    }
+};
+
 export const getTicketsSummary = async (req, res) => {
     try {
         const userEmail = req.user.email;
@@ -290,7 +318,9 @@ export const getTicketsSummary = async (req, res) => {
             : [];
 
         // Base visibility filter for summary
-        let match = agentCategoryIds.length > 0
+        let match = await userHasPermission(user, 'tickets.view_all')
+            ? {}
+            : agentCategoryIds.length > 0
             ? {
                 $or: [
                     // Tickets assigned to this agent (show all, even if category doesn't match)
@@ -348,94 +378,79 @@ export const updateTicketStatus = async (req, res) => {
     try {
       const { id } = req.params;
   
-      const { status } = req.body;
-  
-      const ticket = await Ticket.findById(id);
+      const { status, reason } = req.body;
+
+      if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+        return res.status(400).json({ message: 'Invalid ticket ID format' });
+      }
+
+      const user = await User.findOne({ _id: req.user.id });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      // Same visibility as getTicketTransitions - only tickets the agent can see can be moved
+      const ticket = await Ticket.findOne(await buildVisibleTicketFilter(user, id));
       if (!ticket) {
-        return res.status(404).json({ message: 'Ticket not found' });
+        return res.status(404).json({ message: 'Ticket not found or access denied', statuscode: 404, status: false });
       }
-  
-      // Handle reopen status - keep status as reopen
-      let finalStatus = status;
-      if (status === 'reopen' && ticket.status === 'closed') {
-        ticket.status = 'reopen';
-        finalStatus = 'reopen';
-      } else if (ticket.status === 'closed' && status !== 'reopen') {
-        // Do not allow status change if ticket is already closed (except for reopen)
-        return res.status(400).json({
-          success: false,
-          message: 'Ticket is already closed. Status cannot be changed.'
+
+      try {
+        await changeTicketStatus(ticket, status, {
+          actor: { id: req.user.id, role: req.user.role },
+          reason,
+          req
         });
-      } else if (status) {
-        ticket.status = status;
+      } catch (workflowError) {
+        if (workflowError instanceof WorkflowError) {
+          return res.status(workflowError.statusCode).json({ success: false, message: workflowError.message });
+        }
+        throw workflowError;
       }
   
-      await ticket.save();
-  
       await logActivity(req, {
-        message: `Ticket ${ticket.ticketNumber || ticket._id} status changed to ${finalStatus}`,
+        message: `Ticket ${ticket.ticketNumber || ticket._id} status changed to ${ticket.status}`,
         status: 'updated'
       });
-  
-      // Send push notification to customer about status change
-      try {
-        const ticketDisplay = ticket.ticketNumber || ticket._id;
-        const statusMessages = {
-          'pending': 'Your ticket is now pending review.',
-          'in_progress': 'Your ticket is now being worked on.',
-          'resolved': 'Your ticket has been resolved.',
-          'closed': 'Your ticket has been closed.',
-          'reopen': 'Your ticket has been reopened.'
-        };
-  
-        const notificationRecipients = [];
-        
-        // Notify customer
-        if (ticket.customer) {
-          notificationRecipients.push(ticket.customer);
-        }
 
-        // Notify assigned agent
-        if (ticket.assignedAgent) {
-          notificationRecipients.push(ticket.assignedAgent);
+      await notifyTicketStatusChange(ticket, { changedByUserId: req.user.id, reason });
+      
+      res.json({ message: 'Ticket updated successfully', ticket });
+    } catch (error) {
+      console.error('Update ticket status error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+
+export const getTicketTransitions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+            return res.status(400).json({ message: 'Invalid ticket ID format' });
         }
 
-        const customerdata = await User.findById(ticket.customer);
-        
-        // Get user who made the change
-        const changedByUser = await User.findOne({ email: req.user.email }).select('name');
-        
-        // Send email to customer
-        const emailResults = await sendTicketUpdateStatusEmail(ticket, customerdata);
-        console.log('Email sending results:', emailResults);
-        
-        // Send email to admin about status change
-        try {
-          await sendTicketStatusChangeAdminEmail(ticket, customerdata, changedByUser);
-        } catch (adminEmailError) {
-          console.error('Failed to send admin status change email:', adminEmailError);
+        const user = await User.findOne({ _id: req.user.id });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
         }
 
-        if (notificationRecipients.length > 0) {
-          await sendPushNotification({
-            title: `Ticket Status Updated - #${ticketDisplay}`,
-            body: statusMessages[finalStatus] || `Ticket status changed to ${finalStatus}.`,
-            data: {
-              type: 'ticket_status_updated',
-              ticketId: ticket._id.toString(),
-              ticketNumber: ticketDisplay,
-              newStatus: finalStatus,
-            },
-            userIds: notificationRecipients,
-          });
-          console.log('📱 Push notification sent for ticket status update');
+        const ticket = await Ticket.findOne(await buildVisibleTicketFilter(user, id)).select('status ticketNumber');
+        if (!ticket) {
+            return res.status(404).json({ message: 'Ticket not found or access denied', statuscode: 404, status: false });
         }
-      } catch (pushError) {
-        console.error('Failed to send push notification for status update:', pushError);
-      }
-      
-      res.json({ message: 'Ticket updated successfully', ticket });
+
+        const transitions = await getAvailableTransitions(ticket.status, user.role);
+
+        res.json({
+            message: 'Ticket transitions fetched successfully',
+            success: true,
+            ticketId: ticket._id,
+            currentStatus: ticket.status,
+            transitions
+        });
     } catch (error) {
-      res.status(500).json({ message: 'Server error' });
+        console.error('Get ticket transitions error:', error);
+        res.status(500).json({ message: 'Server error' });
     }
-  };
\ No newline at end of file
+};
@@ -0,0 +1,55 @@
+import { parseDateRange } from '../../utils/dateRange.js';
+import {
+  resolveReportOptions,
+  buildVolumeReport,
+  buildBacklogReport,
+  buildFirstResponseReport,
+  buildResolutionTimeReport,
+  buildReopenReport,
+  AnalyticsError
+} from '../../services/analyticsService.js';
+
+/**
+ * Every report takes ?interval=day|week|month&from=&to=&categoryId=&equipmentId=&agentId=
+ * and returns { interval, from, to, filters, summary, series }.
+ */
+const sendReport = (build, label) => async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const { interval, categoryId, equipmentId, agentId } = req.query;
+    const options = resolveReportOptions({ interval, from: range.from, to: range.to, categoryId, equipmentId, agentId });
+    const report = await build(options);
+
+    res.json({
+      success: true,
+      message: `${label} report fetched successfully`,
+      data: {
+        interval: options.interval,
+        from: options.from,
+        to: options.to,
+        filters: { categoryId: categoryId || null, equipmentId: equipmentId || null, agentId: agentId || null },
+        ...report
+      }
+    });
+  } catch (error) {
+    if (error instanceof AnalyticsError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error(`Get ${label.toLowerCase()} report error:`, error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getVolumeReport = sendReport(buildVolumeReport, 'Ticket volume');
+
+export const getBacklogReport = sendReport(buildBacklogReport, 'Backlog');
+
+export const getFirstResponseReport = sendReport(buildFirstResponseReport, 'First response time');
+
+export const getResolutionTimeReport = sendReport(buildResolutionTimeReport, 'Resolution time');
+
+export const getReopenReport = sendReport(buildReopenReport, 'Reopen rate');
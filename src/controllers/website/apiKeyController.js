@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import ApiKey, { API_KEY_SCOPES } from '../../models/ApiKey.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { generateApiKey, getApiKeyStatus, clearRateLimit } from '../../services/apiKeyService.js';
+
+const API_KEY_FIELDS = ['name', 'scopes', 'rateLimitPerMinute', 'expiresAt'];
+
+const pickApiKeyFields = (body) => {
+  const payload = {};
+  API_KEY_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+/**
+ * Validate key fields. Returns an error message or null.
+ */
+const validateApiKeyPayload = (payload) => {
+  if (payload.name !== undefined && !String(payload.name).trim()) {
+    return 'Name cannot be empty';
+  }
+  if (payload.scopes !== undefined) {
+    if (!Array.isArray(payload.scopes) || payload.scopes.length === 0) {
+      return 'scopes must be a non-empty array';
+    }
+    const unknown = payload.scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return `Unknown scopes: ${unknown.join(', ')}`;
+    }
+  }
+  if (payload.rateLimitPerMinute !== undefined) {
+    const limit = Number(payload.rateLimitPerMinute);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+      return 'rateLimitPerMinute must be a whole number between 1 and 10000';
+    }
+  }
+  if (payload.expiresAt !== undefined && payload.expiresAt !== null) {
+    const expiresAt = new Date(payload.expiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      return 'expiresAt must be a valid date';
+    }
+    if (expiresAt <= new Date()) {
+      return 'expiresAt must be in the future';
+    }
+  }
+  return null;
+};
+
+const apiKeyResponse = (apiKey) => ({
+  ...apiKey.toObject(),
+  status: getApiKeyStatus(apiKey)
+});
+
+const findApiKey = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid API key ID format' });
+    return null;
+  }
+  const apiKey = await ApiKey.findById(req.params.id);
+  if (!apiKey) {
+    res.status(404).json({ success: false, message: 'API key not found' });
+    return null;
+  }
+  return apiKey;
+};
+
+export const getApiKeyScopes = async (req, res) => {
+  res.json({ success: true, data: API_KEY_SCOPES });
+};
+
+/**
+ * All keys (?status=active|expired|revoked)
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+    const filter = {};
+    if (status === 'revoked') {
+      filter.revokedAt = { $ne: null };
+    } else if (status === 'expired') {
+      filter.revokedAt = null;
+      filter.expiresAt = { $lte: now };
+    } else if (status === 'active') {
+      filter.revokedAt = null;
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: apiKeys.map(apiKeyResponse) });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getApiKeyById = async (req, res) => {
+  try {
+    const apiKey = await findApiKey(req, res);
+    if (!apiKey) return;
+
+    await apiKey.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'revokedBy', select: 'name email' }
+    ]);
+
+    res.json({ success: true, data: apiKeyResponse(apiKey) });
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Issue a key. Requests made with it act as the user creating it.
+ * The key is only returned in this response.
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const payload = pickApiKeyFields(req.body);
+
+    if (!payload.name || !payload.scopes) {
+      return res.status(400).json({ success: false, message: 'name and scopes are required' });
+    }
+
+    const validationError = validateApiKeyPayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      ...payload,
+      prefix,
+      keyHash,
+      createdBy: req.user.id
+    });
+
+    await logActivity(req, {
+      message: `API key "${apiKey.name}" (${apiKey.prefix}) has been added with scopes ${apiKey.scopes.join(', ')}`,
+      status: 'added'
+    });
+
+    const data = apiKeyResponse(apiKey);
+    delete data.keyHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store the key now - it will not be shown again.',
+      data: { ...data, key }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateApiKey = async (req, res) => {
+  try {
+    const apiKey = await findApiKey(req, res);
+    if (!apiKey) return;
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ success: false, message: 'A revoked API key cannot be changed' });
+    }
+
+    const payload = pickApiKeyFields(req.body);
+    const validationError = validateApiKeyPayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    apiKey.set(payload);
+    await apiKey.save();
+
+    if (payload.rateLimitPerMinute !== undefined) {
+      await clearRateLimit(apiKey._id);
+    }
+
+    await logActivity(req, {
+      message: `API key "${apiKey.name}" (${apiKey.prefix}) has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: apiKeyResponse(apiKey)
+    });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Revoke a key immediately. Revoked keys stay listed so their activity can still be traced.
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await findApiKey(req, res);
+    if (!apiKey) return;
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ success: false, message: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.id;
+    await apiKey.save();
+    await clearRateLimit(apiKey._id);
+
+    await logActivity(req, {
+      message: `API key "${apiKey.name}" (${apiKey.prefix}) has been revoked`,
+      status: 'deleted'
+    });
+
+    res.json({ success: true, message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
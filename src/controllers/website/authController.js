@@ -1,8 +1,11 @@
 import User from '../../models/User.js';
-import { signToken } from '../../utils/jwt.js';
+import { signPanelToken } from '../../utils/jwt.js';
 import crypto from 'crypto';
 import { sendPasswordResetEmail, sendPasswordResetConfirmation } from '../../utils/emailService.js';
 import { logActivity } from '../../utils/activityLogger.js';
+import { getUserPermissions } from '../../services/permissionService.js';
+import { signChallengeToken, isTwoFactorRequired, TWO_FACTOR_METHODS } from '../../services/twoFactorService.js';
+import { recordLoginFailure, recordLoginSuccess, unlockAccount, ThrottleError } from '../../services/loginProtectionService.js';
 
 export const register = async (req, res, next) => {
   try {
@@ -15,7 +18,7 @@ export const register = async (req, res, next) => {
 
     const user = await User.create({ name, email, password, role });
 
-    const token = signToken({ id: user._id, email: user.email, role: user.role, name: user.name });
+    const token = signPanelToken({ id: user._id, email: user.email, role: user.role, name: user.name });
 
     // Activity log: registration
     await logActivity(req, {
@@ -42,6 +45,48 @@ export const register = async (req, res, next) => {
   }
 };
 
+/**
+ * Issue the panel session token and send the login response.
+ * Also used after the two-factor step; `extraData` is merged into data.
+ */
+export const completeLogin = async (req, res, user, extraData = {}) => {
+  const token = signPanelToken({ id: user._id, email: user.email, role: user.role, name: user.name });
+
+  // Activity log: login based on role
+  if (user.role === 'agent') {
+    await logActivity(req, {
+      userId: user._id,
+      message: `Agent (${user.email}) logged in via the website`,
+      status: 'login'
+    });
+  } else if (user.role === 'manager') {
+    await logActivity(req, {
+      userId: user._id,
+      message: `Manager (${user.email}) logged in via the website`,
+      status: 'login'
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        roleId: user.roleId,
+        twoFactorEnabled: user.twoFactorEnabled,
+        // Lets the panel show only what the user's role allows
+        permissions: await getUserPermissions(user),
+      },
+      token,
+      ...extraData,
+    }
+  });
+};
+
 export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
@@ -52,6 +97,8 @@ export const login = async (req, res, next) => {
 
     const user = await User.findOne({ email , role: { $ne: 'customer' } }).select('+password');
     if (!user) {
+      // Counted too, so unknown and known emails behave the same
+      await recordLoginFailure(email);
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
 
@@ -68,40 +115,44 @@ export const login = async (req, res, next) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const failure = await recordLoginFailure(email, user);
+      if (failure.locked) {
+        await logActivity(req, {
+          userId: user._id,
+          message: `Account locked after too many failed logins (${user.email})`,
+          status: 'account_locked'
+        });
+        return res.status(423).json({ success: false, message: failure.message });
+      }
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
+    await recordLoginSuccess(email);
 
-    const token = signToken({ id: user._id, email: user.email, role: user.role, name: user.name });
-    
-    // Activity log: login based on role
-    if (user.role === 'agent') {
-      await logActivity(req, {
-        userId: user._id,
-        message: `Agent (${user.email}) logged in via the website`,
-        status: 'login'
+    // Password is right - a second factor is still needed before a session token is issued
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(user, 'login'),
+          methods: TWO_FACTOR_METHODS
+        }
       });
-    } else if (user.role === 'manager') {
-      await logActivity(req, {
-        userId: user._id,
-        message: `Manager (${user.email}) logged in via the website`,
-        status: 'login'
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Your role requires two-factor authentication. Set it up to continue.',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: signChallengeToken(user, 'setup')
+        }
       });
-    } 
-    
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-        },
-        token,
-      }
-    });
+    return completeLogin(req, res, user);
 
   } catch (error) {
     next(error);
@@ -237,7 +288,6 @@ export const resetPassword = async (req, res, next) => {
     if (user) {
       userType = 'user';
       userEmail = user.email;
-      console.log('Found admin/agent user:', user.email);
     }
 
     if (!user) {
@@ -281,6 +331,31 @@ export const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * Lift a login lockout from the link in the "account locked" email (web and app accounts)
+ */
+export const unlockLockedAccount = async (req, res, next) => {
+  try {
+    const email = await unlockAccount(req.params.token);
+
+    const user = await User.findOne({ email });
+    if (user) {
+      await logActivity(req, {
+        userId: user._id,
+        message: `Account unlocked from the email link (${user.email})`,
+        status: 'account_unlocked'
+      });
+    }
+
+    return res.status(200).json({ success: true, message: 'Your account has been unlocked. You can log in again.' });
+  } catch (error) {
+    if (error instanceof ThrottleError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+};
+
 export const logout = async (req, res, next) => {
   try {
     const { id, email, role } = req.user || {};
@@ -303,6 +378,6 @@ export const logout = async (req, res, next) => {
 };
 
 
-export default { register, login, forgotPassword, resetPassword, logout };
+export default { register, login, forgotPassword, resetPassword, unlockLockedAccount, logout };
 
 
@@ -0,0 +1,330 @@
+import mongoose from 'mongoose';
+import path from 'path';
+import Category from '../../models/Category.js';
+import Ticket from '../../models/Ticket.js';
+import User from '../../models/User.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { recordTicketEvent } from '../../utils/ticketEventLogger.js';
+import { getStatusKeysByKind } from '../../services/ticketWorkflowService.js';
+
+const CATEGORY_FIELDS = ['name', 'description', 'sortOrder', 'isActive'];
+
+const pickCategoryFields = (body) => {
+  const payload = {};
+  CATEGORY_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  // multipart/form-data sends everything as strings
+  if (payload.sortOrder !== undefined) payload.sortOrder = Number(payload.sortOrder);
+  if (typeof payload.isActive === 'string') payload.isActive = payload.isActive === 'true';
+  return payload;
+};
+
+const validateCategoryPayload = async (payload, categoryId = null) => {
+  if (payload.name !== undefined && !String(payload.name).trim()) {
+    return 'Category name cannot be empty';
+  }
+  if (payload.description !== undefined && !String(payload.description).trim()) {
+    return 'Description cannot be empty';
+  }
+  if (payload.sortOrder !== undefined && !Number.isFinite(payload.sortOrder)) {
+    return 'sortOrder must be a number';
+  }
+  if (payload.name !== undefined) {
+    const duplicate = await Category.findOne({
+      name: { $regex: `^${String(payload.name).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' },
+      _id: { $ne: categoryId }
+    });
+    if (duplicate) {
+      return 'A category with this name already exists';
+    }
+  }
+  return null;
+};
+
+const iconPath = (file) => `/${path.posix.join('uploads', 'categories', file.filename)}`;
+
+/**
+ * Open tickets and agents still attached to a category - they must be moved before it can be retired
+ */
+const getCategoryUsage = async (categoryId) => {
+  const [openTickets, agents] = await Promise.all([
+    Ticket.countDocuments({ categoryId, status: { $in: await getStatusKeysByKind(['open', 'paused']) } }),
+    User.countDocuments({ role: 'agent', categoryIds: categoryId })
+  ]);
+  return { openTickets, agents };
+};
+
+/**
+ * All categories for managers, including retired ones, with usage counts
+ */
+export const getCategories = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'false' ? { isActive: { $ne: false } } : {};
+    const categories = await Category.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+
+    const [ticketCounts, agentCounts] = await Promise.all([
+      Ticket.aggregate([
+        { $match: { categoryId: { $in: categories.map(category => category._id) } } },
+        { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+      ]),
+      User.aggregate([
+        { $match: { role: 'agent', categoryIds: { $in: categories.map(category => category._id) } } },
+        { $unwind: '$categoryIds' },
+        { $group: { _id: '$categoryIds', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countMap = (rows) => new Map(rows.map(row => [String(row._id), row.count]));
+    const tickets = countMap(ticketCounts);
+    const agents = countMap(agentCounts);
+
+    res.json({
+      success: true,
+      data: categories.map(category => ({
+        ...category,
+        isActive: category.isActive !== false,
+        ticketCount: tickets.get(String(category._id)) || 0,
+        agentCount: agents.get(String(category._id)) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createCategory = async (req, res) => {
+  try {
+    const payload = pickCategoryFields(req.body);
+
+    if (!payload.name || !payload.description) {
+      return res.status(400).json({ success: false, message: 'name and description are required' });
+    }
+
+    const validationError = await validateCategoryPayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    // New categories go to the end of the list unless a position is given
+    if (payload.sortOrder === undefined) {
+      const last = await Category.findOne().sort({ sortOrder: -1 }).select('sortOrder');
+      payload.sortOrder = (last?.sortOrder || 0) + 1;
+    }
+    if (req.file) {
+      payload.icon = iconPath(req.file);
+    }
+
+    const category = await Category.create(payload);
+
+    await logActivity(req, {
+      message: `Category "${category.name}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateCategory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid category ID format' });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const payload = pickCategoryFields(req.body);
+    // Retiring goes through DELETE so open tickets and agents get reassigned
+    if (payload.isActive === false && category.isActive !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the delete endpoint to retire a category'
+      });
+    }
+
+    const validationError = await validateCategoryPayload(payload, category._id);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    if (req.file) {
+      payload.icon = iconPath(req.file);
+    }
+
+    const previousName = category.name;
+    category.set(payload);
+    await category.save();
+
+    await logActivity(req, {
+      message: previousName !== category.name
+        ? `Category "${previousName}" renamed to "${category.name}"`
+        : `Category "${category.name}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Set the display order. Body: { order: [categoryId, ...] } - first id gets sortOrder 1.
+ */
+export const reorderCategories = async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.length === 0 || !order.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'order must be a non-empty array of category IDs' });
+    }
+    if (new Set(order.map(String)).size !== order.length) {
+      return res.status(400).json({ success: false, message: 'order contains duplicate category IDs' });
+    }
+
+    const count = await Category.countDocuments({ _id: { $in: order } });
+    if (count !== order.length) {
+      return res.status(400).json({ success: false, message: 'order contains unknown category IDs' });
+    }
+
+    await Category.bulkWrite(order.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { sortOrder: index + 1 } } }
+    })));
+
+    await logActivity(req, {
+      message: 'Category order has been updated',
+      status: 'updated'
+    });
+
+    const categories = await Category.find().sort({ sortOrder: 1, name: 1 });
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully',
+      data: categories
+    });
+  } catch (error) {
+    console.error('Reorder categories error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Retire a category. Open tickets and agents are moved to `reassignToCategoryId`
+ * (required while any remain); resolved and closed tickets keep the retired category.
+ */
+export const deleteCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reassignToCategoryId } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid category ID format' });
+    }
+
+    const category = await Category.findById(id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+    if (category.isActive === false) {
+      return res.status(400).json({ success: false, message: 'Category is already retired' });
+    }
+
+    const usage = await getCategoryUsage(category._id);
+    let target = null;
+
+    if (reassignToCategoryId) {
+      if (!mongoose.Types.ObjectId.isValid(reassignToCategoryId) || String(reassignToCategoryId) === String(category._id)) {
+        return res.status(400).json({ success: false, message: 'Invalid reassignToCategoryId' });
+      }
+      target = await Category.findOne({ _id: reassignToCategoryId, isActive: { $ne: false } });
+      if (!target) {
+        return res.status(404).json({ success: false, message: 'Reassignment category not found or retired' });
+      }
+    } else if (usage.openTickets > 0 || usage.agents > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Category has ${usage.openTickets} open ticket(s) and ${usage.agents} agent(s). Provide reassignToCategoryId to move them.`,
+        data: usage
+      });
+    }
+
+    if (target) {
+      const openTickets = await Ticket.find({
+        categoryId: category._id,
+        status: { $in: await getStatusKeysByKind(['open', 'paused']) }
+      }).select('_id');
+
+      await Ticket.updateMany(
+        { _id: { $in: openTickets.map(ticket => ticket._id) } },
+        { $set: { categoryId: target._id } }
+      );
+      for (const ticket of openTickets) {
+        await recordTicketEvent(req, {
+          ticketId: ticket._id,
+          type: 'category_changed',
+          before: { categoryId: category._id, name: category.name },
+          after: { categoryId: target._id, name: target.name },
+          message: `Category "${category.name}" retired - moved to "${target.name}"`
+        });
+      }
+
+      // Agents keep their other categories and pick up the replacement
+      await User.updateMany(
+        { role: 'agent', categoryIds: category._id },
+        { $addToSet: { categoryIds: target._id } }
+      );
+      await User.updateMany(
+        { role: 'agent', categoryIds: category._id },
+        { $pull: { categoryIds: category._id } }
+      );
+    }
+
+    category.isActive = false;
+    await category.save();
+
+    await logActivity(req, {
+      message: target
+        ? `Category "${category.name}" retired, ${usage.openTickets} ticket(s) and ${usage.agents} agent(s) moved to "${target.name}"`
+        : `Category "${category.name}" retired`,
+      status: 'deleted'
+    });
+
+    res.json({
+      success: true,
+      message: 'Category retired successfully',
+      data: {
+        category,
+        reassignedTo: target ? { id: target._id, name: target.name } : null,
+        movedTickets: target ? usage.openTickets : 0,
+        movedAgents: target ? usage.agents : 0
+      }
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
@@ -3,7 +3,15 @@ import Message from '../../models/Message.js';
 import Ticket from '../../models/Ticket.js';
 import User from '../../models/User.js';
 import { logActivity } from '../../utils/activityLogger.js';
+import { recordTicketEvent } from '../../utils/ticketEventLogger.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
+import { recordFirstResponse } from '../../services/slaService.js';
+import { changeTicketStatus, WorkflowError } from '../../services/ticketWorkflowService.js';
+import { findUsableMacro, applyMacro, renderMacroTemplate, buildMacroContext, MacroError } from '../../services/macroService.js';
+import { isStaffRole, messageVisibilityFilter, resolveMentions, notifyMentions } from '../../services/internalNoteService.js';
+import { emitMessageWebhook } from '../../services/webhookService.js';
+import { runListQuery, ListQueryError } from '../../services/listQueryService.js';
+import { CHAT_LIST } from '../../services/listDefinitions.js';
 
 // Get or create chat for a ticket
 export const getOrCreateChat = async (req, res) => {
@@ -122,7 +130,7 @@ export const getChatMessages = async (req, res) => {
     }
 
     // Get messages with pagination
-    const messages = await Message.find({ chatId })
+    const messages = await Message.find({ chatId, ...messageVisibilityFilter(req.user.role) })
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -161,9 +169,16 @@ export const getChatMessages = async (req, res) => {
 // Send message f
 export const sendMessage = async (req, res) => {
   try {
-    const { chatId, content, messageType = 'text', attachments = [] } = req.body;
+    const { chatId, messageType = 'text', attachments = [], macroId, mentions = [] } = req.body;
+    let { content } = req.body;
     const userEmail = req.user.email;
     const userRole = req.user.role;
+    // Internal notes are agent/manager-only messages that customers never see
+    const isInternal = req.body.isInternal === true || req.body.isInternal === 'true';
+
+    if (isInternal && !isStaffRole(userRole)) {
+      return res.status(403).json({ message: 'Only agents and managers can add internal notes' });
+    }
 
     // Get sender details first
     const senderUser = await User.findOne({ email: userEmail });
@@ -195,6 +210,35 @@ export const sendMessage = async (req, res) => {
       }
     }
 
+    // Reply from a macro: the rendered macro text is used unless the agent edited it
+    let macro = null;
+    let macroTicket = null;
+    if (macroId) {
+      if (userRole === 'customer') {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      macroTicket = await Ticket.findById(chat.ticketId);
+      if (!macroTicket) {
+        return res.status(404).json({ message: 'Ticket not found' });
+      }
+      try {
+        macro = await findUsableMacro(macroId, senderUser, macroTicket);
+      } catch (macroError) {
+        if (macroError instanceof MacroError) {
+          return res.status(macroError.statusCode).json({ success: false, message: macroError.message });
+        }
+        throw macroError;
+      }
+      if (!String(content || '').trim()) {
+        content = renderMacroTemplate(macro.content, await buildMacroContext(macroTicket, senderUser));
+      }
+    }
+
+    if (!String(content || '').trim()) {
+      return res.status(400).json({ success: false, message: 'Message content is required' });
+    }
+    content = String(content);
+
     // Prevent duplicate messages - check if same message was sent recently (within last 5 seconds)
     const recentMessage = await Message.findOne({
       chatId,
@@ -215,7 +259,8 @@ export const sendMessage = async (req, res) => {
     // Check if this is the first message in the chat (excluding system messages)
     const existingMessagesCount = await Message.countDocuments({
       chatId,
-      messageType: { $ne: 'infoSystem' }
+      messageType: { $ne: 'infoSystem' },
+      isInternal: { $ne: true }
     });
 
     // Create message with sender automatically marked as read
@@ -231,6 +276,8 @@ export const sendMessage = async (req, res) => {
       content: content.trim(),
       messageType,
       attachments,
+      isInternal,
+      mentions: isInternal ? await resolveMentions(mentions, senderUser._id) : [],
       // Sender automatically reads their own message
       readBy: [{
         userId: senderUser._id,
@@ -241,31 +288,83 @@ export const sendMessage = async (req, res) => {
       isRead: false
     });
 
-    // Update chat's last message
-    chat.lastMessage = content;
-    chat.lastMessageAt = new Date();
-    await chat.save();
+    // Update chat's last message (internal notes stay out of the customer's chat preview)
+    if (!isInternal) {
+      chat.lastMessage = content;
+      chat.lastMessageAt = new Date();
+      await chat.save();
+    }
+
+    await emitMessageWebhook(message);
+
+    if (isInternal) {
+      const noteTicket = await Ticket.findById(chat.ticketId).select('ticketNumber');
+      await recordTicketEvent(req, {
+        ticketId: chat.ticketId,
+        type: 'note_added',
+        after: { messageId: message._id, internal: true, mentions: message.mentions.map(m => m.userName) },
+        message: 'Internal note added in chat'
+      });
+      await notifyMentions(message, noteTicket, senderUser);
+    }
 
     // If this is the first message, update ticket status to 'in_progress'
-    if (existingMessagesCount === 0 && messageType !== 'infoSystem') {
+    if (existingMessagesCount === 0 && messageType !== 'infoSystem' && !isInternal) {
       const ticket = await Ticket.findById(chat.ticketId);
       if (ticket && ticket.status !== 'closed') {
-        ticket.status = 'in_progress';
-
         // If agent sends the first message, assign the ticket to that agent
         if (userRole === 'agent' && !ticket.assignedAgent) {
           ticket.assignedAgent = senderUser._id;
+          ticket.routing = {
+            strategy: 'manual',
+            reason: `Claimed by ${senderUser.name} with the first reply`,
+            decidedAt: new Date(),
+            decidedBy: senderUser._id,
+            candidates: []
+          };
+          await recordTicketEvent(req, {
+            ticketId: ticket._id,
+            type: 'assigned',
+            after: { agentId: senderUser._id, name: senderUser.name },
+            message: `Claimed by ${senderUser.name} with the first reply`
+          });
         }
 
         await ticket.save();
+
+        // Only when the workflow allows it (e.g. not from resolved)
+        try {
+          await changeTicketStatus(ticket, 'in_progress', { actor: { role: 'system' } });
+        } catch (workflowError) {
+          if (!(workflowError instanceof WorkflowError)) throw workflowError;
+        }
+      }
+    }
+
+    if (attachments.length > 0) {
+      await recordTicketEvent(req, {
+        ticketId: chat.ticketId,
+        type: 'attachment_added',
+        after: { messageId: message._id, attachments: attachments.map(a => a.url || a.filename) },
+        message: `${attachments.length} attachment(s) added in chat`
+      });
+    }
+
+    // First reply from staff stops the first-response SLA clock
+    if (userRole !== 'customer' && messageType !== 'infoSystem' && !isInternal) {
+      try {
+        await recordFirstResponse(chat.ticketId);
+      } catch (slaError) {
+        console.error('Failed to record SLA first response:', slaError);
       }
     }
 
     // If this is the agent's first message on this ticket, log activity
-    if (userRole === 'agent') {
+    if (userRole === 'agent' && !isInternal) {
       const agentPrevCount = await Message.countDocuments({
         chatId,
-        'sender.userId': senderUser._id
+        'sender.userId': senderUser._id,
+        isInternal: { $ne: true }
       });
       if (agentPrevCount === 1) { // includes the one we just created
         try {
@@ -280,11 +379,19 @@ export const sendMessage = async (req, res) => {
         }
       }
     }
+    // Macro actions (note, status, reassignment) run after the reply is stored
+    let macroResult = null;
+    if (macro) {
+      macroTicket = await Ticket.findById(chat.ticketId);
+      macroResult = await applyMacro(macro, macroTicket, senderUser, { req });
+    }
+
     // Populate sender details
     await message.populate('sender.userId');
 
-    // Send Firebase push notification to other participants (skip for system messages)
-    if (messageType !== 'infoSystem') {
+    // Send Firebase push notification to other participants (skip for system messages;
+    // internal notes only notify the agents mentioned in them)
+    if (messageType !== 'infoSystem' && !isInternal) {
       try {
         const senderIdStr = String(senderUser._id);
         const participantIds = chat.participants
@@ -294,11 +401,9 @@ export const sendMessage = async (req, res) => {
         // Filter out manager role users from recipients
         if (participantIds.length > 0) {
           const participants = await User.find({ _id: { $in: participantIds } }).select('role').lean();
-          const recipientIds = participants
-            .filter(user => user.role !== 'manager')
-            .map(user => user._id);
+          const recipients = participants.filter(user => user.role !== 'manager');
 
-          if (recipientIds.length > 0) {
+          if (recipients.length > 0) {
             const ticket = await Ticket.findById(chat.ticketId).select('ticketNumber').lean();
             const ticketNumber = ticket?.ticketNumber || 'Ticket';
 
@@ -307,10 +412,11 @@ export const sendMessage = async (req, res) => {
 
             // Send notification to each recipient with their unread message count
             await Promise.all(
-              recipientIds.map(async (recipientId) => {
+              recipients.map(async ({ _id: recipientId, role: recipientRole }) => {
                 // Count unread messages for this recipient in this chat
                 const unreadCount = await Message.countDocuments({
                   chatId: chatId,
+                  ...messageVisibilityFilter(recipientRole),
                   'sender.userId': { $ne: recipientId },
                   $or: [
                     { readBy: { $exists: false } },
@@ -346,7 +452,8 @@ export const sendMessage = async (req, res) => {
 
     res.json({
       success: true,
-      data: message
+      data: message,
+      ...(macroResult ? { macro: { applied: macroResult.applied, errors: macroResult.errors } } : {})
     });
   } catch (error) {
     console.error('Send message error:', error);
@@ -373,20 +480,25 @@ export const getUserChatsLists = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get chats where user is a participant
-    const chats = await Chat.find({
-      'participants.userEmail': userEmail,
-      isActive: true
-    })
-      .populate({ path: 'ticketId', select: 'ticketNumber description status createdAt updatedAt isArchived' })
-      .sort({ lastMessageAt: -1 });
+    // Get chats where user is a participant (paging, sort and filters from CHAT_LIST)
+    const { items: chats, pagination } = await runListQuery(Chat, CHAT_LIST, req.query, {
+      baseFilter: {
+        'participants.userEmail': userEmail,
+        isActive: true
+      },
+      populate: { path: 'ticketId', select: 'ticketNumber description status createdAt updatedAt isArchived' }
+    });
 
     res.json({
       success: true,
       message: 'Chats fetched successfully',
-      data: chats
+      data: chats,
+      pagination
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get user chats error:', error);
     res.status(500).json({ message: 'Server error' });
   }
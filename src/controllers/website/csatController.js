@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import CsatSurvey from '../../models/CsatSurvey.js';
+import { buildCsatReport, CSAT_GROUP_BY } from '../../services/csatService.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+
+export const getCsatReport = async (req, res) => {
+  try {
+    const { groupBy = 'agent', agentId, categoryId } = req.query;
+
+    if (!CSAT_GROUP_BY[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid groupBy. Allowed: ${Object.keys(CSAT_GROUP_BY).join(', ')}`
+      });
+    }
+
+    if ((agentId && !mongoose.Types.ObjectId.isValid(agentId)) || (categoryId && !mongoose.Types.ObjectId.isValid(categoryId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid agentId or categoryId format - Must be a valid ObjectId'
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const report = await buildCsatReport({ groupBy, from: range.from, to: range.to, agentId, categoryId });
+
+    res.json({
+      success: true,
+      message: 'CSAT report fetched successfully',
+      data: report
+    });
+  } catch (error) {
+    console.error('Get CSAT report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const getCsatResponses = async (req, res) => {
+  try {
+    const { agentId, categoryId, score, page = 1, limit = 20 } = req.query;
+
+    if ((agentId && !mongoose.Types.ObjectId.isValid(agentId)) || (categoryId && !mongoose.Types.ObjectId.isValid(categoryId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid agentId or categoryId format - Must be a valid ObjectId'
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const query = { status: 'completed' };
+    if (agentId) query.agent = agentId;
+    if (categoryId) query.categoryId = categoryId;
+    if (score) query.score = { $in: String(score).split(',').map(Number) };
+    if (range.from || range.to) {
+      query.respondedAt = {};
+      if (range.from) query.respondedAt.$gte = range.from;
+      if (range.to) query.respondedAt.$lte = range.to;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [responses, total] = await Promise.all([
+      CsatSurvey.find(query)
+        .populate('ticketId', 'ticketNumber status')
+        .populate('customer', 'name email')
+        .populate('agent', 'name email')
+        .populate('categoryId', 'name')
+        .sort({ respondedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      CsatSurvey.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: responses,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum) || 1,
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get CSAT responses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -4,6 +4,11 @@ import Ticket from '../../models/Ticket.js';
 import { logActivity } from '../../utils/activityLogger.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
 import { sendCustomerWelcomeEmail } from '../../utils/emailService.js';
+import { emitWebhookEvent, customerWebhookData } from '../../services/webhookService.js';
+import { userHasPermission } from '../../services/permissionService.js';
+import { runListQuery, findAllForList, ListQueryError } from '../../services/listQueryService.js';
+import { CUSTOMER_LIST } from '../../services/listDefinitions.js';
+import { percentChange } from '../../utils/percentChange.js';
 
 
 export const createCustomer = async (req, res) => {
@@ -160,6 +165,8 @@ export const createCustomer = async (req, res) => {
       createdAt: customer.createdAt
     };
 
+    await emitWebhookEvent('customer.created', customerWebhookData(customer));
+
     res.status(201).json({ message: 'Customer created successfully', customer: customerResponse });
   } catch (error) {
     console.error('Create customer error:', error);
@@ -177,8 +184,6 @@ export const createCustomer = async (req, res) => {
 
 export const getCustomers = async (req, res) => {
   try {
-    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10), 1), 100);
     const search = (req.query.search || '').toString().trim();
 
     // Get the logged-in user to check their role
@@ -196,14 +201,13 @@ export const getCustomers = async (req, res) => {
       ];
     }
 
-    const skip = (page - 1) * limit;
     // Add role filter for customers and exclude deleted users
     query.role = 'customer';
     query.isDeleted = { $ne: true };
     query.emailVerified = true; // Only show customers with verified email
 
-    // If user is an agent (not manager/admin), filter to show only assigned customers
-    if (loggedInUser.role === 'agent') {
+    // Without customers.view_all (e.g. agents), only show customers of tickets assigned to the user
+    if (!await userHasPermission(loggedInUser, 'customers.view_all')) {
       // Find all tickets assigned to this agent
       const assignedTickets = await Ticket.find({ 
         assignedAgent: loggedInUser._id 
@@ -214,38 +218,31 @@ export const getCustomers = async (req, res) => {
         assignedTickets.map(ticket => ticket.customer.toString())
       )].filter(Boolean);
       
-      // If no customers assigned, return empty result
-      if (assignedCustomerIds.length === 0) {
-        return res.json({
-          page,
-          limit,
-          total: 0,
-          totalPages: 0,
-          customers: [],
-        });
-      }
-      
-      // Filter query to only include assigned customers
+      // Filter query to only include assigned customers (none assigned -> nothing matches)
       query._id = { $in: assignedCustomerIds };
     }
     // If user is manager/admin, show all customers (no additional filter)
 
-    const [customers, total] = await Promise.all([
-      User.find(query).select('email name phone profileImage status isActive createdAt').sort({ createdAt: -1 }).skip(skip).limit(limit),
-      User.countDocuments(query),
-    ]);
+    const { items: customers, pagination } = await runListQuery(User, CUSTOMER_LIST, req.query, {
+      baseFilter: query,
+      select: 'email name phone profileImage status isActive createdAt'
+    });
 
     // Return customers with name field (no need to split into firstName/lastName)
     const customersList = customers.map(customer => customer.toObject());
 
     res.json({
-      page,
-      limit,
-      total,
-      totalPages: Math.ceil(total / limit),
+      page: pagination.currentPage,
+      limit: pagination.itemsPerPage,
+      total: pagination.totalItems,
+      totalPages: pagination.totalPages,
       customers: customersList,
+      pagination
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Get customers error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -397,6 +394,8 @@ export const updateCustomer = async (req, res) => {
       createdAt: customer.createdAt
     };
 
+    await emitWebhookEvent('customer.updated', customerWebhookData(customer));
+
     res.json({ message: 'Customer updated successfully', customer: customerResponse });
   } catch (error) {
     console.error('Update customer error:', error);
@@ -477,6 +476,8 @@ export const deleteCustomer = async (req, res) => {
 
     }
 
+    await emitWebhookEvent('customer.deleted', customerWebhookData(customer));
+
     res.json({ message: 'Customer deleted successfully' });
   } catch (error) {
     console.error('Delete customer error:', error);
@@ -512,16 +513,11 @@ export const getCustomerStats = async (req, res) => {
       User.countDocuments({ createdAt: { $gte: startOfPrevMonth, $lt: endOfPrevMonth }, role: 'customer', isDeleted: { $ne: true } }),
     ]);
 
-    const pct = (current, previous) => {
-      if (previous === 0) return current > 0 ? 100 : 0;
-      return Math.round(((current - previous) / previous) * 100);
-    };
-
     return res.json({
-      totalCustomers: { value: total, change: pct(total, total - today) },
+      totalCustomers: { value: total, change: percentChange(total, total - today) },
       activeCustomers: { value: active, change: 0 },
-      newToday: { value: today, change: pct(today, yesterday) },
-      newThisMonth: { value: thisMonth, change: pct(thisMonth, lastMonth) },
+      newToday: { value: today, change: percentChange(today, yesterday) },
+      newThisMonth: { value: thisMonth, change: percentChange(thisMonth, lastMonth) },
     });
   } catch (error) {
     console.error('Get customer stats error:', error);
@@ -542,7 +538,8 @@ export const exportCustomersCsv = async (req, res) => {
     }
     query.role = 'customer';
     query.isDeleted = { $ne: true };
-    const customers = await User.find(query).sort({ createdAt: -1 });
+    // Same filters and sort as the customer list, without paging
+    const customers = await findAllForList(User, CUSTOMER_LIST, req.query, { baseFilter: query });
     const header = 'Name,Email,Phone,Created At\n';
     const rows = customers.map(c => {
       const cols = [c.name, c.email, c.phone, new Date(c.createdAt).toISOString()]
@@ -555,6 +552,9 @@ export const exportCustomersCsv = async (req, res) => {
     res.setHeader('Content-Disposition', 'attachment; filename="customers.csv"');
     return res.status(200).send(csv);
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Export customers error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -657,6 +657,8 @@ export const activateCustomer = async (req, res) => {
       createdAt: customer.createdAt
     };
 
+    await emitWebhookEvent('customer.activated', customerWebhookData(customer));
+
     res.json({ message: 'Customer activated successfully', customer: customerResponse });
   } catch (error) {
     console.error('Activate customer error:', error);
@@ -761,6 +763,8 @@ export const deactivateCustomer = async (req, res) => {
       createdAt: customer.createdAt
     };
 
+    await emitWebhookEvent('customer.deactivated', customerWebhookData(customer));
+
     res.json({ message: 'Customer deactivated successfully', customer: customerResponse });
   } catch (error) {
     console.error('Deactivate customer error:', error);
@@ -0,0 +1,102 @@
+import { logActivity } from '../../utils/activityLogger.js';
+import {
+  listEmailTemplates,
+  getEmailTemplate,
+  previewEmailTemplate,
+  saveEmailTemplate,
+  resetEmailTemplate,
+  EmailTemplateError
+} from '../../services/emailTemplateService.js';
+
+const handleTemplateError = (res, error, label) => {
+  if (error instanceof EmailTemplateError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(error.name === 'ValidationError' ? 400 : 500).json({
+    success: false,
+    message: error.name === 'ValidationError' ? error.message : 'Server error'
+  });
+};
+
+export const getEmailTemplates = async (req, res) => {
+  try {
+    const templates = await listEmailTemplates();
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    handleTemplateError(res, error, 'Get email templates');
+  }
+};
+
+export const getEmailTemplateByKey = async (req, res) => {
+  try {
+    const template = await getEmailTemplate(req.params.key);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleTemplateError(res, error, 'Get email template');
+  }
+};
+
+/**
+ * Render a template with its sample variables. Send subject / html to preview unsaved changes.
+ */
+export const previewEmailTemplateDraft = async (req, res) => {
+  try {
+    const { subject, html, variables } = req.body || {};
+    const preview = await previewEmailTemplate(req.params.key, { subject, html, variables });
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    handleTemplateError(res, error, 'Preview email template');
+  }
+};
+
+export const updateEmailTemplate = async (req, res) => {
+  try {
+    const { subject, html } = req.body || {};
+    if (subject === undefined && html === undefined) {
+      return res.status(400).json({ success: false, message: 'subject or html is required' });
+    }
+
+    const template = await saveEmailTemplate(req.params.key, { subject, html }, req.user.id);
+
+    await logActivity(req, {
+      message: `Email template "${template.name}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Email template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Update email template');
+  }
+};
+
+/**
+ * Drop the edited copy and go back to the default template
+ */
+export const resetEmailTemplateToDefault = async (req, res) => {
+  try {
+    const reset = await resetEmailTemplate(req.params.key);
+    if (!reset) {
+      return res.status(400).json({ success: false, message: 'Email template is already the default' });
+    }
+
+    const template = await getEmailTemplate(req.params.key);
+
+    await logActivity(req, {
+      message: `Email template "${template.name}" has been reset to the default`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Email template reset to the default',
+      data: template
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Reset email template');
+  }
+};
@@ -1,14 +1,39 @@
+import mongoose from 'mongoose';
 import Equipment from '../../models/Equipment.js';
+import CustomerMachine from '../../models/CustomerMachine.js';
+import User from '../../models/User.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { normalizeSerialNumber, validateMachinePayload } from '../../services/machineRegistryService.js';
+
+const EQUIPMENT_FIELDS = ['name', 'serialNumber', 'modelNumber', 'description', 'isActive', 'sortOrder'];
+const MACHINE_FIELDS = ['equipmentId', 'serialNumber', 'installDate', 'siteLocation', 'warrantyEndDate', 'notes', 'isActive'];
+
+const pickFields = (body, fields) => {
+  const payload = {};
+  fields.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+// Mongo duplicate key -> readable message
+const duplicateKeyMessage = (error) => {
+  const field = Object.keys(error.keyPattern || error.keyValue || {})[0] || 'value';
+  return `An entry with this ${field} already exists`;
+};
 
 /**
  * Get all equipment for website/admin panel
  */
 export const getEquipment = async (req, res) => {
   try {
-    // Fetch only active equipment, sorted by sortOrder
-    const equipment = await Equipment.find({ isActive: true })
+    // Fetch only active equipment unless the admin panel asks for everything
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const equipment = await Equipment.find(query)
       .sort({ sortOrder: 1 })
-      .select('name serialNumber modelNumber description sortOrder');
+      .select('name serialNumber modelNumber description sortOrder isActive');
 
     res.json({
       success: true,
@@ -18,7 +43,9 @@ export const getEquipment = async (req, res) => {
         name: eq.name,
         serialNumber: eq.serialNumber,
         modelNumber: eq.modelNumber,
-        description: eq.description
+        description: eq.description,
+        sortOrder: eq.sortOrder,
+        isActive: eq.isActive
       }))
     });
   } catch (error) {
@@ -30,3 +57,272 @@ export const getEquipment = async (req, res) => {
   }
 };
 
+export const getEquipmentById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid equipment ID format' });
+    }
+
+    const equipment = await Equipment.findById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ success: false, message: 'Equipment not found' });
+    }
+
+    const installedCount = await CustomerMachine.countDocuments({ equipmentId: equipment._id, isActive: true });
+
+    res.json({
+      success: true,
+      data: { ...equipment.toObject(), installedCount }
+    });
+  } catch (error) {
+    console.error('Get equipment by id error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createEquipment = async (req, res) => {
+  try {
+    const payload = pickFields(req.body, EQUIPMENT_FIELDS);
+
+    if (!payload.name || !payload.serialNumber || !payload.modelNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, serialNumber and modelNumber are required'
+      });
+    }
+
+    const equipment = await Equipment.create(payload);
+
+    await logActivity(req, {
+      message: `Equipment "${equipment.name}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Equipment created successfully',
+      data: equipment
+    });
+  } catch (error) {
+    console.error('Create equipment error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: duplicateKeyMessage(error) });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateEquipment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid equipment ID format' });
+    }
+
+    const equipment = await Equipment.findById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ success: false, message: 'Equipment not found' });
+    }
+
+    equipment.set(pickFields(req.body, EQUIPMENT_FIELDS));
+    await equipment.save();
+
+    await logActivity(req, {
+      message: `Equipment "${equipment.name}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Equipment updated successfully',
+      data: equipment
+    });
+  } catch (error) {
+    console.error('Update equipment error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: duplicateKeyMessage(error) });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteEquipment = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid equipment ID format' });
+    }
+
+    const equipment = await Equipment.findById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({ success: false, message: 'Equipment not found' });
+    }
+
+    // Tickets, SLA policies and registered machines reference the model, so it is only deactivated
+    equipment.isActive = false;
+    await equipment.save();
+
+    await logActivity(req, {
+      message: `Equipment "${equipment.name}" has been deactivated`,
+      status: 'deleted'
+    });
+
+    res.json({
+      success: true,
+      message: 'Equipment deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete equipment error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Installed base across all customers (admin panel)
+ */
+export const getCustomerMachines = async (req, res) => {
+  try {
+    const { customerId, equipmentId, search, isActive, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (customerId) query.customer = customerId;
+    if (equipmentId) query.equipmentId = equipmentId;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      query.$or = [
+        { serialNumber: { $regex: search, $options: 'i' } },
+        { siteLocation: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [machines, total] = await Promise.all([
+      CustomerMachine.find(query)
+        .populate('customer', 'name email')
+        .populate('equipmentId', 'name modelNumber')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      CustomerMachine.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: machines,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum) || 1,
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get customer machines error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createCustomerMachine = async (req, res) => {
+  try {
+    const { customerId } = req.body;
+    const payload = pickFields(req.body, MACHINE_FIELDS);
+
+    if (!customerId || !payload.equipmentId || !payload.serialNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'customerId, equipmentId and serialNumber are required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(customerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid customerId format - Must be a valid ObjectId' });
+    }
+    const customer = await User.findOne({ _id: customerId, role: 'customer' });
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const validationError = await validateMachinePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    payload.serialNumber = normalizeSerialNumber(payload.serialNumber);
+    const machine = await CustomerMachine.create({
+      ...payload,
+      customer: customer._id,
+      registeredBy: req.user.id
+    });
+
+    await logActivity(req, {
+      message: `Machine ${machine.serialNumber} registered for customer ${customer.name}`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Machine registered successfully',
+      data: machine
+    });
+  } catch (error) {
+    console.error('Create customer machine error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'This serial number is already registered' });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateCustomerMachine = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid machine ID format' });
+    }
+
+    const machine = await CustomerMachine.findById(req.params.id);
+    if (!machine) {
+      return res.status(404).json({ success: false, message: 'Machine not found' });
+    }
+
+    const payload = pickFields(req.body, MACHINE_FIELDS);
+    const validationError = await validateMachinePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+    if (payload.serialNumber !== undefined) {
+      payload.serialNumber = normalizeSerialNumber(payload.serialNumber);
+    }
+
+    machine.set(payload);
+    await machine.save();
+
+    await logActivity(req, {
+      message: `Machine ${machine.serialNumber} has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Machine updated successfully',
+      data: machine
+    });
+  } catch (error) {
+    console.error('Update customer machine error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'This serial number is already registered' });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import InboundEmail, { INBOUND_EMAIL_STATUSES } from '../../models/InboundEmail.js';
+import { getInboundEmailParser } from '../../services/inboundEmailParsers.js';
+import { processInboundEmail } from '../../services/inboundEmailService.js';
+
+// Providers cannot send our JWT, so the webhook URL carries a shared secret (?secret= or X-Inbound-Secret header)
+const isValidWebhookSecret = (req) => {
+  const expected = process.env.INBOUND_EMAIL_WEBHOOK_SECRET;
+  const given = String(req.get('x-inbound-secret') || req.query.secret || '');
+  if (!expected || given.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
+
+/**
+ * Inbound email webhook - threads replies onto ticket chats and opens tickets for new customer emails
+ */
+export const receiveInboundEmail = async (req, res) => {
+  try {
+    if (!isValidWebhookSecret(req)) {
+      return res.status(401).json({ success: false, message: 'Invalid webhook secret' });
+    }
+
+    const parser = getInboundEmailParser();
+    const emails = await parser.parse(req.body);
+
+    const results = [];
+    // One at a time so replies in the same batch are threaded in order
+    for (const email of emails) {
+      const log = await processInboundEmail(email, { provider: parser.name });
+      results.push({ messageId: log.messageId, status: log.status, reason: log.reason, ticketId: log.ticketId });
+    }
+
+    // Always 200 for processed batches - ignored emails must not make the provider retry
+    res.json({ success: true, data: results });
+  } catch (error) {
+    console.error('Inbound email webhook error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Inbound email log for managers (?status=threaded|ticket_created|ignored|failed)
+ */
+export const getInboundEmails = async (req, res) => {
+  try {
+    const { status, search, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (INBOUND_EMAIL_STATUSES.includes(status)) query.status = status;
+    if (search) {
+      query.$or = [
+        { fromEmail: { $regex: search, $options: 'i' } },
+        { subject: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [emails, total] = await Promise.all([
+      InboundEmail.find(query)
+        .populate('ticketId', 'ticketNumber status')
+        .populate('senderId', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      InboundEmail.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: emails,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum) || 1,
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get inbound emails error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import Job, { JOB_STATUSES } from '../../models/Job.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { runListQuery, ListQueryError } from '../../services/listQueryService.js';
+import { JOB_LIST } from '../../services/listDefinitions.js';
+import { retryJob, retryDeadJobs, getJobTypes } from '../../services/jobQueue.js';
+
+// Payloads can be large (email bodies, attachments) - only shown on a single job
+const LIST_FIELDS = JOB_LIST.fields.join(' ');
+
+const findJob = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid job ID format' });
+    return null;
+  }
+  const job = await Job.findById(req.params.id);
+  if (!job) {
+    res.status(404).json({ success: false, message: 'Job not found' });
+    return null;
+  }
+  return job;
+};
+
+// Counts per type and status, e.g. to spot a provider that keeps failing
+export const getJobStats = async (req, res) => {
+  try {
+    const rows = await Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const types = [...new Set([...getJobTypes(), ...rows.map(row => row._id.type)])].sort();
+    const countOf = (type, status) => rows
+      .filter(row => (!type || row._id.type === type) && row._id.status === status)
+      .reduce((sum, row) => sum + row.count, 0);
+
+    res.json({
+      success: true,
+      data: {
+        total: Object.fromEntries(JOB_STATUSES.map(status => [status, countOf(null, status)])),
+        byType: types.map(type => ({
+          type,
+          ...Object.fromEntries(JOB_STATUSES.map(status => [status, countOf(type, status)]))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get job stats error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getJobs = async (req, res) => {
+  try {
+    const { items, pagination } = await runListQuery(Job, JOB_LIST, req.query, { select: LIST_FIELDS });
+
+    res.json({ success: true, data: items, pagination });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Get jobs error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getJobById = async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Queue a dead job again with a fresh set of attempts
+ */
+export const retryFailedJob = async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'dead') {
+      return res.status(400).json({ success: false, message: 'Only dead jobs can be retried' });
+    }
+
+    const retried = await retryJob(job._id);
+
+    await logActivity(req, {
+      message: `${job.type} job ${job._id} has been retried`,
+      status: 'updated'
+    });
+
+    res.json({ success: true, message: 'Job queued again', data: retried });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Queue every dead job again, optionally only those of one ?type=
+ */
+export const retryDeadJobsBulk = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const retried = await retryDeadJobs(type ? { type } : {});
+
+    await logActivity(req, {
+      message: `${retried} dead ${type ? `${type} ` : ''}job(s) have been retried`,
+      status: 'updated'
+    });
+
+    res.json({ success: true, message: `${retried} job(s) queued again`, data: { retried } });
+  } catch (error) {
+    console.error('Retry dead jobs error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
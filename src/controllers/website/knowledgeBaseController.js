@@ -0,0 +1,389 @@
+import mongoose from 'mongoose';
+import KbArticle, { KB_ARTICLE_STATUSES } from '../../models/KbArticle.js';
+import KbSection from '../../models/KbSection.js';
+import Category from '../../models/Category.js';
+import Equipment from '../../models/Equipment.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+import { buildArticleFilter, buildUniqueSlug, slugify, buildDeflectionReport } from '../../services/knowledgeBaseService.js';
+
+const SECTION_FIELDS = ['name', 'description', 'sortOrder', 'isActive'];
+const ARTICLE_FIELDS = ['title', 'slug', 'summary', 'content', 'sectionId', 'categoryIds', 'equipmentIds', 'tags', 'status', 'sortOrder'];
+
+const pickFields = (body, fields) => {
+  const payload = {};
+  fields.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+const isValidIdList = (value) => Array.isArray(value) && value.every(id => mongoose.Types.ObjectId.isValid(id));
+
+/**
+ * Validate article fields. Returns an error message or null.
+ */
+const validateArticlePayload = async (payload) => {
+  if (payload.title !== undefined && !String(payload.title).trim()) {
+    return 'Title cannot be empty';
+  }
+  if (payload.content !== undefined && !String(payload.content).trim()) {
+    return 'Content cannot be empty';
+  }
+  if (payload.status !== undefined && !KB_ARTICLE_STATUSES.includes(payload.status)) {
+    return `status must be one of: ${KB_ARTICLE_STATUSES.join(', ')}`;
+  }
+  if (payload.tags !== undefined && (!Array.isArray(payload.tags) || !payload.tags.every(tag => typeof tag === 'string'))) {
+    return 'tags must be an array of strings';
+  }
+
+  if (payload.sectionId) {
+    if (!mongoose.Types.ObjectId.isValid(payload.sectionId)) {
+      return 'Invalid sectionId format - Must be a valid ObjectId';
+    }
+    if (!await KbSection.exists({ _id: payload.sectionId })) {
+      return 'Invalid sectionId - Section not found';
+    }
+  }
+
+  for (const [field, Model] of [['categoryIds', Category], ['equipmentIds', Equipment]]) {
+    if (payload[field] === undefined) continue;
+    if (!isValidIdList(payload[field])) {
+      return `${field} must be an array of IDs`;
+    }
+    const count = await Model.countDocuments({ _id: { $in: payload[field] } });
+    if (count !== new Set(payload[field].map(String)).size) {
+      return `Invalid ${field} - not found`;
+    }
+  }
+
+  return null;
+};
+
+// ---------- Sections ----------
+
+export const getKbSections = async (req, res) => {
+  try {
+    const sections = await KbSection.find().sort({ sortOrder: 1, name: 1 });
+    res.json({ success: true, data: sections });
+  } catch (error) {
+    console.error('Get KB sections error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createKbSection = async (req, res) => {
+  try {
+    const payload = pickFields(req.body, SECTION_FIELDS);
+
+    if (!payload.name || !String(payload.name).trim()) {
+      return res.status(400).json({ success: false, message: 'Section name is required' });
+    }
+
+    const section = await KbSection.create(payload);
+
+    await logActivity(req, {
+      message: `Knowledge base section "${section.name}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Section created successfully',
+      data: section
+    });
+  } catch (error) {
+    console.error('Create KB section error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A section with this name already exists' });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateKbSection = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid section ID format' });
+    }
+
+    const section = await KbSection.findById(req.params.id);
+    if (!section) {
+      return res.status(404).json({ success: false, message: 'Section not found' });
+    }
+
+    section.set(pickFields(req.body, SECTION_FIELDS));
+    await section.save();
+
+    await logActivity(req, {
+      message: `Knowledge base section "${section.name}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Section updated successfully',
+      data: section
+    });
+  } catch (error) {
+    console.error('Update KB section error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A section with this name already exists' });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteKbSection = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid section ID format' });
+    }
+
+    const section = await KbSection.findById(req.params.id);
+    if (!section) {
+      return res.status(404).json({ success: false, message: 'Section not found' });
+    }
+
+    // Articles keep their section reference; the section is just hidden from the app
+    section.isActive = false;
+    await section.save();
+
+    await logActivity(req, {
+      message: `Knowledge base section "${section.name}" has been deactivated`,
+      status: 'deleted'
+    });
+
+    res.json({ success: true, message: 'Section deactivated successfully' });
+  } catch (error) {
+    console.error('Delete KB section error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// ---------- Articles ----------
+
+/**
+ * All articles including drafts (?status=, q=, sectionId=, categoryId=, equipmentId=, tag=)
+ */
+export const getKbArticles = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = buildArticleFilter({
+      ...req.query,
+      status: KB_ARTICLE_STATUSES.includes(status) ? status : undefined
+    });
+    const searching = !!filter.$text;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [articles, total] = await Promise.all([
+      KbArticle.find(filter, searching ? { score: { $meta: 'textScore' } } : {})
+        .populate('sectionId', 'name')
+        .populate('author', 'name email')
+        .sort(searching ? { score: { $meta: 'textScore' } } : { updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      KbArticle.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: articles,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum) || 1,
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get KB articles error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getKbArticleById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID format' });
+    }
+
+    const article = await KbArticle.findById(req.params.id)
+      .populate('sectionId', 'name')
+      .populate('categoryIds', 'name')
+      .populate('equipmentIds', 'name modelNumber')
+      .populate('author', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    res.json({ success: true, data: article });
+  } catch (error) {
+    console.error('Get KB article error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createKbArticle = async (req, res) => {
+  try {
+    const payload = pickFields(req.body, ARTICLE_FIELDS);
+
+    if (!payload.title || !payload.content) {
+      return res.status(400).json({ success: false, message: 'title and content are required' });
+    }
+
+    const validationError = await validateArticlePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    payload.slug = await buildUniqueSlug(payload.slug || payload.title);
+    if (payload.status === 'published') {
+      payload.publishedAt = new Date();
+    }
+
+    const article = await KbArticle.create({
+      ...payload,
+      author: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await logActivity(req, {
+      message: `Knowledge base article "${article.title}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Article created successfully',
+      data: article
+    });
+  } catch (error) {
+    console.error('Create KB article error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateKbArticle = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID format' });
+    }
+
+    const article = await KbArticle.findById(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    const payload = pickFields(req.body, ARTICLE_FIELDS);
+    const validationError = await validateArticlePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    // Published links keep working - the slug only changes when explicitly set
+    if (payload.slug !== undefined) {
+      payload.slug = slugify(payload.slug) === article.slug
+        ? article.slug
+        : await buildUniqueSlug(payload.slug, article._id);
+    }
+    // First publish date is kept when an article is unpublished and republished
+    if (payload.status === 'published' && !article.publishedAt) {
+      payload.publishedAt = new Date();
+    }
+
+    const previousStatus = article.status;
+    article.set({ ...payload, updatedBy: req.user.id });
+    await article.save();
+
+    await logActivity(req, {
+      message: previousStatus !== article.status
+        ? `Knowledge base article "${article.title}" changed from ${previousStatus} to ${article.status}`
+        : `Knowledge base article "${article.title}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Article updated successfully',
+      data: article
+    });
+  } catch (error) {
+    console.error('Update KB article error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteKbArticle = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid article ID format' });
+    }
+
+    const article = await KbArticle.findById(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    // Deflection history references the article, so it is archived rather than removed
+    article.status = 'archived';
+    article.updatedBy = req.user.id;
+    await article.save();
+
+    await logActivity(req, {
+      message: `Knowledge base article "${article.title}" has been archived`,
+      status: 'deleted'
+    });
+
+    res.json({ success: true, message: 'Article archived successfully' });
+  } catch (error) {
+    console.error('Delete KB article error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// ---------- Reports ----------
+
+/**
+ * How many ticket-creation suggestions ended without a ticket (?from=&to=)
+ */
+export const getKbDeflectionReport = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const report = await buildDeflectionReport(range);
+
+    res.json({
+      success: true,
+      data: {
+        from: range.from || null,
+        to: range.to || null,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Get KB deflection report error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
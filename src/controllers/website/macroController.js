@@ -0,0 +1,306 @@
+import mongoose from 'mongoose';
+import Macro from '../../models/Macro.js';
+import Ticket from '../../models/Ticket.js';
+import User from '../../models/User.js';
+import Category from '../../models/Category.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { loadWorkflow } from '../../services/ticketWorkflowService.js';
+import {
+  MACRO_PLACEHOLDERS,
+  buildUsableMacroFilter,
+  buildMacroContext,
+  renderMacroTemplate,
+  findUsableMacro,
+  MacroError
+} from '../../services/macroService.js';
+import { userHasPermission } from '../../services/permissionService.js';
+
+const EDITABLE_FIELDS = ['title', 'content', 'scope', 'categoryIds', 'actions', 'isActive'];
+
+const pickMacroFields = (body) => {
+  const payload = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+// Returns an error message, or null when the payload is usable
+const validateMacroPayload = async (payload, user) => {
+  if (payload.scope !== undefined && !['shared', 'personal'].includes(payload.scope)) {
+    return 'Scope must be shared or personal';
+  }
+
+  if (payload.scope === 'shared' && !await userHasPermission(user, 'macros.manage_shared')) {
+    return 'You do not have permission to manage shared macros';
+  }
+
+  if (payload.categoryIds !== undefined) {
+    if (!Array.isArray(payload.categoryIds) || payload.categoryIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return 'categoryIds must be an array of valid ObjectIds';
+    }
+    const categoryCount = await Category.countDocuments({ _id: { $in: payload.categoryIds } });
+    if (categoryCount !== new Set(payload.categoryIds.map(String)).size) {
+      return 'Invalid categoryIds - Category not found';
+    }
+  }
+
+  const actions = payload.actions || {};
+
+  if (actions.setStatus) {
+    const workflow = await loadWorkflow();
+    if (!workflow.get(actions.setStatus)?.isActive) {
+      return `Unknown ticket status "${actions.setStatus}"`;
+    }
+  }
+
+  if (actions.reassignTo) {
+    if (!mongoose.Types.ObjectId.isValid(actions.reassignTo)) {
+      return 'Invalid reassignTo format - Must be a valid ObjectId';
+    }
+    const agent = await User.findOne({ _id: actions.reassignTo, role: 'agent' });
+    if (!agent) {
+      return 'Invalid reassignTo - Agent not found';
+    }
+  }
+
+  return null;
+};
+
+// Shared macros are managed by roles with macros.manage_shared, personal ones by their owner
+const canManageMacro = async (macro, user) => (
+  macro.scope === 'shared' ? userHasPermission(user, 'macros.manage_shared') : String(macro.owner) === String(user._id)
+);
+
+const getCurrentUser = (req) => User.findById(req.user.id).select('name email role roleId categoryIds');
+
+export const getMacros = async (req, res) => {
+  try {
+    const { ticketId, scope, search } = req.query;
+    let { categoryId } = req.query;
+
+    const user = await getCurrentUser(req);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // With a ticket, only the macros usable on that ticket's category are returned
+    if (ticketId) {
+      if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+        return res.status(400).json({ success: false, message: 'Invalid ticket ID format' });
+      }
+      const ticket = await Ticket.findById(ticketId).select('categoryId');
+      if (!ticket) {
+        return res.status(404).json({ success: false, message: 'Ticket not found' });
+      }
+      categoryId = ticket.categoryId;
+    }
+
+    if (categoryId && !mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid categoryId format - Must be a valid ObjectId' });
+    }
+
+    const query = buildUsableMacroFilter(user, categoryId);
+    if (req.query.includeInactive === 'true') {
+      delete query.isActive;
+    }
+    if (scope) query.scope = scope;
+    if (search) query.title = { $regex: search, $options: 'i' };
+
+    const macros = await Macro.find(query)
+      .populate('owner', 'name email')
+      .populate('categoryIds', 'name')
+      .populate('actions.reassignTo', 'name email')
+      .sort({ scope: 1, usageCount: -1, title: 1 });
+
+    res.json({
+      success: true,
+      message: 'Macros fetched successfully',
+      placeholders: MACRO_PLACEHOLDERS,
+      data: macros
+    });
+  } catch (error) {
+    console.error('Get macros error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createMacro = async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const payload = pickMacroFields(req.body);
+
+    if (!payload.title || (!payload.content && !payload.actions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and either content or actions are required'
+      });
+    }
+
+    const validationError = await validateMacroPayload(payload, user);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const macro = await Macro.create({ ...payload, owner: user._id });
+
+    await logActivity(req, {
+      message: `Macro "${macro.title}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Macro created successfully',
+      data: macro
+    });
+  } catch (error) {
+    console.error('Create macro error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateMacro = async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid macro ID format' });
+    }
+
+    const macro = await Macro.findById(req.params.id);
+    if (!macro) {
+      return res.status(404).json({ success: false, message: 'Macro not found' });
+    }
+
+    if (!await canManageMacro(macro, user)) {
+      return res.status(403).json({ success: false, message: 'You cannot edit this macro' });
+    }
+
+    const payload = pickMacroFields(req.body);
+    const validationError = await validateMacroPayload(payload, user);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    if (payload.actions) {
+      payload.actions = { ...macro.actions.toObject(), ...payload.actions };
+    }
+
+    macro.set(payload);
+    await macro.save();
+
+    await logActivity(req, {
+      message: `Macro "${macro.title}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Macro updated successfully',
+      data: macro
+    });
+  } catch (error) {
+    console.error('Update macro error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteMacro = async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid macro ID format' });
+    }
+
+    const macro = await Macro.findById(req.params.id);
+    if (!macro) {
+      return res.status(404).json({ success: false, message: 'Macro not found' });
+    }
+
+    if (!await canManageMacro(macro, user)) {
+      return res.status(403).json({ success: false, message: 'You cannot delete this macro' });
+    }
+
+    await macro.deleteOne();
+
+    await logActivity(req, {
+      message: `Macro "${macro.title}" has been deleted`,
+      status: 'deleted'
+    });
+
+    res.json({
+      success: true,
+      message: 'Macro deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete macro error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Render a macro against a ticket without sending it or running its actions
+export const previewMacro = async (req, res) => {
+  try {
+    const { ticketId } = req.query;
+
+    if (!ticketId || !mongoose.Types.ObjectId.isValid(ticketId)) {
+      return res.status(400).json({ success: false, message: 'A valid ticketId is required' });
+    }
+
+    const user = await getCurrentUser(req);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+
+    let macro;
+    try {
+      macro = await findUsableMacro(req.params.id, user, ticket);
+    } catch (macroError) {
+      if (macroError instanceof MacroError) {
+        return res.status(macroError.statusCode).json({ success: false, message: macroError.message });
+      }
+      throw macroError;
+    }
+
+    const context = await buildMacroContext(ticket, user);
+
+    res.json({
+      success: true,
+      data: {
+        macroId: macro._id,
+        content: renderMacroTemplate(macro.content, context),
+        note: renderMacroTemplate(macro.actions?.addNote, context),
+        statusReason: renderMacroTemplate(macro.actions?.statusReason, context),
+        actions: macro.actions
+      }
+    });
+  } catch (error) {
+    console.error('Preview macro error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
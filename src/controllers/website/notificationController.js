@@ -1,20 +1,16 @@
 import Notification from '../../models/Notification.js';
+import { runListQuery, ListQueryError } from '../../services/listQueryService.js';
+import { NOTIFICATION_LIST } from '../../services/listDefinitions.js';
 
 // Get notifications for a user
 export const getNotifications = async (req, res) => {
   try {
     const userId = req.user.id; // Get user ID from decoded token
-    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
-    const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10), 1), 50);
 
-    const skip = (page - 1) * limit;
-    const [notifications, total] = await Promise.all([
-      Notification.find({ userId })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit),
-      Notification.countDocuments({ userId })
-    ]);
+    // Paging, sort and filters (isRead, category, type, createdAt range) from NOTIFICATION_LIST
+    const { items: notifications, pagination } = await runListQuery(Notification, NOTIFICATION_LIST, req.query, {
+      baseFilter: { userId }
+    });
 
     const unreadCount = await Notification.countDocuments({ 
       userId, 
@@ -23,13 +19,17 @@ export const getNotifications = async (req, res) => {
 
     res.json({
       notifications,
-      total,
+      total: pagination.totalItems,
       unreadCount,
-      page,
-      limit,
-      totalPages: Math.ceil(total / limit)
+      page: pagination.currentPage,
+      limit: pagination.itemsPerPage,
+      totalPages: pagination.totalPages,
+      pagination
     });
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get notifications error:', error);
     res.status(500).json({ message: 'Server error' });
   }
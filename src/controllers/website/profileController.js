@@ -3,6 +3,7 @@ import path from 'path';
 import { logActivity } from '../../utils/activityLogger.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
 import bcrypt from 'bcryptjs';
+import { getUserPermissions } from '../../services/permissionService.js';
 // Get current user profile
 export const getCurrentUser = async (req, res, next) => {
   try {
@@ -24,6 +25,8 @@ export const getCurrentUser = async (req, res, next) => {
         phone: user.phone,
         profileImage: user.profileImage,
         role: user.role,
+        roleId: user.roleId,
+        permissions: await getUserPermissions(user),
         status: user.status,
         categoryIds: user.categoryIds,
         createdAt: user.createdAt,
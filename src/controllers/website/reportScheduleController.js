@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import ReportSchedule, { REPORT_TYPES, REPORT_FREQUENCIES, REPORT_FORMATS } from '../../models/ReportSchedule.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { isValidTimezone } from '../../utils/businessCalendar.js';
+import { SCHEDULED_REPORTS } from '../../services/scheduledReports.js';
+import { computeNextRunAt, sendReportNow } from '../../services/reportScheduleService.js';
+
+const SCHEDULE_FIELDS = ['name', 'report', 'recipients', 'frequency', 'timeOfDay', 'dayOfWeek', 'dayOfMonth', 'timezone', 'formats', 'isActive'];
+// Changing any of these moves the next run
+const TIMING_FIELDS = ['frequency', 'timeOfDay', 'dayOfWeek', 'dayOfMonth', 'timezone', 'isActive'];
+
+const pickScheduleFields = (body) => {
+  const payload = {};
+  SCHEDULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+/**
+ * Validate schedule fields. Returns an error message or null.
+ */
+const validateSchedulePayload = (payload) => {
+  if (payload.name !== undefined && !String(payload.name).trim()) {
+    return 'Name cannot be empty';
+  }
+  if (payload.report !== undefined && !REPORT_TYPES.includes(payload.report)) {
+    return `report must be one of: ${REPORT_TYPES.join(', ')}`;
+  }
+  if (payload.recipients !== undefined) {
+    if (!Array.isArray(payload.recipients) || payload.recipients.length === 0) {
+      return 'recipients must be a non-empty array';
+    }
+    const invalid = payload.recipients.filter(email => !/^\S+@\S+\.\S+$/.test(String(email)));
+    if (invalid.length > 0) {
+      return `Invalid recipient emails: ${invalid.join(', ')}`;
+    }
+  }
+  if (payload.frequency !== undefined && !REPORT_FREQUENCIES.includes(payload.frequency)) {
+    return `frequency must be one of: ${REPORT_FREQUENCIES.join(', ')}`;
+  }
+  if (payload.timeOfDay !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(payload.timeOfDay))) {
+    return 'timeOfDay must be HH:mm';
+  }
+  if (payload.timezone !== undefined && !isValidTimezone(payload.timezone)) {
+    return 'timezone must be an IANA timezone such as Europe/Berlin';
+  }
+  if (payload.formats !== undefined) {
+    if (!Array.isArray(payload.formats)) {
+      return 'formats must be an array';
+    }
+    const unknown = payload.formats.filter(format => !REPORT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+      return `Unknown formats: ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+const scheduleNextRun = (schedule) => {
+  schedule.nextRunAt = schedule.isActive ? computeNextRunAt(schedule) : null;
+};
+
+const findSchedule = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid report schedule ID format' });
+    return null;
+  }
+  const schedule = await ReportSchedule.findById(req.params.id);
+  if (!schedule) {
+    res.status(404).json({ success: false, message: 'Report schedule not found' });
+    return null;
+  }
+  return schedule;
+};
+
+export const getScheduledReportTypes = async (req, res) => {
+  res.json({
+    success: true,
+    data: REPORT_TYPES.map(key => ({ key, title: SCHEDULED_REPORTS[key].title }))
+  });
+};
+
+export const getReportSchedules = async (req, res) => {
+  try {
+    const schedules = await ReportSchedule.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: schedules });
+  } catch (error) {
+    console.error('Get report schedules error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getReportScheduleById = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Get report schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createReportSchedule = async (req, res) => {
+  try {
+    const payload = pickScheduleFields(req.body);
+
+    if (!payload.name || !payload.report || !payload.recipients) {
+      return res.status(400).json({ success: false, message: 'name, report and recipients are required' });
+    }
+
+    const validationError = validateSchedulePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const schedule = new ReportSchedule({ ...payload, createdBy: req.user.id });
+    scheduleNextRun(schedule);
+    await schedule.save();
+
+    await logActivity(req, {
+      message: `Report schedule "${schedule.name}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report schedule created successfully',
+      data: schedule
+    });
+  } catch (error) {
+    console.error('Create report schedule error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateReportSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    const payload = pickScheduleFields(req.body);
+    const validationError = validateSchedulePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    schedule.set(payload);
+    if (TIMING_FIELDS.some(field => schedule.isModified(field))) {
+      scheduleNextRun(schedule);
+    }
+    await schedule.save();
+
+    await logActivity(req, {
+      message: `Report schedule "${schedule.name}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Report schedule updated successfully',
+      data: schedule
+    });
+  } catch (error) {
+    console.error('Update report schedule error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteReportSchedule = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    await schedule.deleteOne();
+
+    await logActivity(req, {
+      message: `Report schedule "${schedule.name}" has been deleted`,
+      status: 'deleted'
+    });
+
+    res.json({ success: true, message: 'Report schedule deleted successfully' });
+  } catch (error) {
+    console.error('Delete report schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Email the report now for the period up to now (e.g. to check the recipients and content).
+ * The regular runs are not affected.
+ */
+export const sendReportScheduleNow = async (req, res) => {
+  try {
+    const schedule = await findSchedule(req, res);
+    if (!schedule) return;
+
+    const result = await sendReportNow(schedule);
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: `The report could not be sent: ${result.error}` });
+    }
+
+    res.json({ success: true, message: 'Report queued for sending' });
+  } catch (error) {
+    console.error('Send report schedule error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
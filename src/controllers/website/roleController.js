@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import Role, { PERMISSIONS, ROLE_BASE_TYPES } from '../../models/Role.js';
+import User from '../../models/User.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { clearPermissionCache } from '../../services/permissionService.js';
+
+const ROLE_FIELDS = ['name', 'description', 'permissions', 'baseRole', 'requireTwoFactor'];
+
+const pickRoleFields = (body) => {
+  const payload = {};
+  ROLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+/**
+ * Validate role fields. Returns an error message or null.
+ */
+const validateRolePayload = (payload) => {
+  if (payload.name !== undefined && !String(payload.name).trim()) {
+    return 'Role name cannot be empty';
+  }
+  if (payload.permissions !== undefined) {
+    if (!Array.isArray(payload.permissions)) {
+      return 'permissions must be an array';
+    }
+    const unknown = payload.permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+  }
+  if (payload.baseRole !== undefined && !ROLE_BASE_TYPES.includes(payload.baseRole)) {
+    return `baseRole must be one of: ${ROLE_BASE_TYPES.join(', ')}`;
+  }
+  if (payload.requireTwoFactor !== undefined && typeof payload.requireTwoFactor !== 'boolean') {
+    return 'requireTwoFactor must be true or false';
+  }
+  return null;
+};
+
+const slugifyRoleKey = (value) => String(value || '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[^a-z]+|_+$/g, '');
+
+// Users holding a role: assigned explicitly, or by default for the system role named after their user type
+const roleHoldersFilter = (role) => (
+  role.isSystem
+    ? { isDeleted: { $ne: true }, $or: [{ roleId: role._id }, { roleId: null, role: role.key }] }
+    : { isDeleted: { $ne: true }, roleId: role._id }
+);
+
+const findRole = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid role ID format' });
+    return null;
+  }
+  const role = await Role.findById(req.params.id);
+  if (!role) {
+    res.status(404).json({ success: false, message: 'Role not found' });
+    return null;
+  }
+  return role;
+};
+
+export const getPermissions = async (req, res) => {
+  res.json({ success: true, data: PERMISSIONS });
+};
+
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+    const userCounts = await Promise.all(roles.map(role => User.countDocuments(roleHoldersFilter(role))));
+
+    res.json({
+      success: true,
+      data: roles.map((role, index) => ({ ...role.toObject(), userCount: userCounts[index] }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getRoleById = async (req, res) => {
+  try {
+    const role = await findRole(req, res);
+    if (!role) return;
+
+    const users = await User.find(roleHoldersFilter(role)).select('name email role isActive');
+
+    res.json({ success: true, data: { ...role.toObject(), users } });
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createRole = async (req, res) => {
+  try {
+    const payload = pickRoleFields(req.body);
+
+    if (!payload.name || !payload.permissions) {
+      return res.status(400).json({ success: false, message: 'name and permissions are required' });
+    }
+
+    const validationError = validateRolePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const key = slugifyRoleKey(req.body.key || payload.name);
+    if (!key) {
+      return res.status(400).json({ success: false, message: 'Role key must contain at least one letter' });
+    }
+
+    const role = await Role.create({
+      ...payload,
+      key,
+      isSystem: false,
+      createdBy: req.user.id
+    });
+
+    await logActivity(req, {
+      message: `Role "${role.name}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A role with this key already exists' });
+    }
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateRole = async (req, res) => {
+  try {
+    const role = await findRole(req, res);
+    if (!role) return;
+
+    const payload = pickRoleFields(req.body);
+    const validationError = validateRolePayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    if (role.isSystem && payload.baseRole !== undefined && payload.baseRole !== role.baseRole) {
+      return res.status(400).json({ success: false, message: 'The base role of a built-in role cannot be changed' });
+    }
+    // The built-in manager role always keeps every permission so the panel cannot lock itself out
+    if (role.isSystem && role.key === 'manager' && payload.permissions !== undefined) {
+      return res.status(400).json({ success: false, message: 'Permissions of the Manager role cannot be changed' });
+    }
+
+    role.set(payload);
+    await role.save();
+    clearPermissionCache();
+
+    // Holders keep the user type of their role
+    if (payload.baseRole !== undefined) {
+      await User.updateMany({ roleId: role._id }, { $set: { role: role.baseRole } });
+    }
+
+    await logActivity(req, {
+      message: `Role "${role.name}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await findRole(req, res);
+    if (!role) return;
+
+    if (role.isSystem) {
+      return res.status(400).json({ success: false, message: 'Built-in roles cannot be deleted' });
+    }
+
+    const holders = await User.countDocuments(roleHoldersFilter(role));
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${holders} user(s) still have this role. Assign them another role first.`
+      });
+    }
+
+    role.isActive = false;
+    await role.save();
+    clearPermissionCache();
+
+    await logActivity(req, {
+      message: `Role "${role.name}" has been deactivated`,
+      status: 'deleted'
+    });
+
+    res.json({ success: true, message: 'Role deactivated successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Give a staff member a role ({ roleId }, or null to go back to the default role of their user type).
+ * The user type (users.role) follows the role's baseRole.
+ */
+export const assignUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { roleId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+    }
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } });
+    if (!user || user.role === 'customer') {
+      return res.status(404).json({ success: false, message: 'Staff member not found' });
+    }
+
+    let role = null;
+    if (roleId) {
+      if (!mongoose.Types.ObjectId.isValid(roleId)) {
+        return res.status(400).json({ success: false, message: 'Invalid role ID format' });
+      }
+      role = await Role.findOne({ _id: roleId, isActive: true });
+      if (!role) {
+        return res.status(404).json({ success: false, message: 'Role not found' });
+      }
+    }
+
+    user.roleId = role ? role._id : null;
+    if (role) {
+      user.role = role.baseRole;
+    }
+    await user.save();
+
+    await logActivity(req, {
+      message: `${user.name} (${user.email}) has been given the ${role ? `"${role.name}"` : `default ${user.role}`} role`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Role assigned successfully',
+      data: { userId: user._id, role: user.role, roleId: user.roleId }
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
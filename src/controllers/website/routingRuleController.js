@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import RoutingRule, { ROUTING_STRATEGIES } from '../../models/RoutingRule.js';
+import Category from '../../models/Category.js';
+import Ticket from '../../models/Ticket.js';
+import User from '../../models/User.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { autoAssignTicket, selectAgentForTicket } from '../../services/assignmentService.js';
+
+export const getRoutingRules = async (req, res) => {
+  try {
+    const [categories, rules] = await Promise.all([
+      Category.find().select('name'),
+      RoutingRule.find().populate('agentWeights.agentId', 'name email').populate('lastAssignedAgent', 'name')
+    ]);
+
+    const rulesByCategory = new Map(rules.map(rule => [String(rule.categoryId), rule]));
+
+    // Categories without a rule use manual assignment
+    res.json({
+      success: true,
+      message: 'Routing rules fetched successfully',
+      strategies: ROUTING_STRATEGIES,
+      data: categories.map(category => ({
+        category,
+        rule: rulesByCategory.get(String(category._id)) || {
+          categoryId: category._id,
+          strategy: 'manual',
+          maxOpenTickets: 0,
+          agentWeights: []
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Get routing rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const upsertRoutingRule = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    const { strategy, maxOpenTickets, agentWeights } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid categoryId format - Must be a valid ObjectId'
+      });
+    }
+
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (strategy !== undefined && !ROUTING_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid strategy - Must be one of: ${ROUTING_STRATEGIES.join(', ')}`
+      });
+    }
+
+    if (agentWeights !== undefined) {
+      if (!Array.isArray(agentWeights)) {
+        return res.status(400).json({
+          success: false,
+          message: 'agentWeights must be an array of { agentId, weight }'
+        });
+      }
+      const agentIds = agentWeights.map(w => w.agentId);
+      const validAgents = await User.countDocuments({
+        _id: { $in: agentIds.filter(id => mongoose.Types.ObjectId.isValid(id)) },
+        role: 'agent'
+      });
+      if (validAgents !== agentIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'agentWeights contains an unknown agent'
+        });
+      }
+    }
+
+    const update = { updatedBy: req.user?.id || null };
+    if (strategy !== undefined) update.strategy = strategy;
+    if (maxOpenTickets !== undefined) update.maxOpenTickets = Math.max(0, parseInt(maxOpenTickets, 10) || 0);
+    if (agentWeights !== undefined) update.agentWeights = agentWeights;
+
+    const rule = await RoutingRule.findOneAndUpdate(
+      { categoryId },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await logActivity(req, {
+      message: `Routing for category "${category.name}" set to ${rule.strategy}`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Routing rule saved successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Upsert routing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const getTicketRouting = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+
+    const ticket = await Ticket.findById(ticketId)
+      .select('ticketNumber categoryId assignedAgent routing status')
+      .populate('assignedAgent', 'name email')
+      .populate('routing.decidedBy', 'name email')
+      .populate('categoryId', 'name');
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ticketId: ticket._id,
+        ticketNumber: ticket.ticketNumber,
+        category: ticket.categoryId,
+        assignedAgent: ticket.assignedAgent,
+        routing: ticket.routing
+      }
+    });
+  } catch (error) {
+    console.error('Get ticket routing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Preview (dryRun=true) or apply the category strategy to an existing ticket
+export const rerouteTicket = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const dryRun = req.query.dryRun === 'true';
+
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (ticket.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket is closed. Assigned agent cannot be changed.'
+      });
+    }
+
+    if (dryRun) {
+      const { agent, routing } = await selectAgentForTicket(ticket);
+      return res.json({
+        success: true,
+        data: { agent, routing }
+      });
+    }
+
+    const { agent, routing } = await autoAssignTicket(ticket, { decidedBy: req.user?.id || null });
+    if (!routing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket category uses manual assignment'
+      });
+    }
+
+    await logActivity(req, {
+      message: agent
+        ? `Ticket ${ticket.ticketNumber} auto-assigned to ${agent.name} (${routing.reason})`
+        : `Ticket ${ticket.ticketNumber} could not be auto-assigned (${routing.reason})`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: agent ? 'Ticket routed successfully' : 'No agent available for this ticket',
+      data: { agent, routing }
+    });
+  } catch (error) {
+    console.error('Reroute ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
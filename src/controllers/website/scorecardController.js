@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import { parseDateRange } from '../../utils/dateRange.js';
+import { resolveScorecardRange, buildScorecards, ScorecardError } from '../../services/scorecardService.js';
+
+const AGENT_FIELDS = 'name email status';
+
+// Scorecards of all agents for ?from=&to= (default: the last 30 days)
+export const getAgentScorecards = async (req, res) => {
+  try {
+    const dates = parseDateRange(req.query);
+    if (dates.error) {
+      return res.status(400).json({ success: false, message: dates.error });
+    }
+    const range = resolveScorecardRange(dates);
+
+    const agents = await User.find({ role: 'agent', isDeleted: false }).select(AGENT_FIELDS).sort({ name: 1 });
+    const scorecards = await buildScorecards(agents, range);
+
+    res.json({
+      success: true,
+      message: 'Agent scorecards fetched successfully',
+      data: { ...range, scorecards }
+    });
+  } catch (error) {
+    if (error instanceof ScorecardError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Get agent scorecards error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getAgentScorecard = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid agent ID' });
+    }
+
+    const dates = parseDateRange(req.query);
+    if (dates.error) {
+      return res.status(400).json({ success: false, message: dates.error });
+    }
+    const range = resolveScorecardRange(dates);
+
+    const agent = await User.findOne({ _id: id, role: 'agent' }).select(AGENT_FIELDS);
+    if (!agent) {
+      return res.status(404).json({ success: false, message: 'Agent not found' });
+    }
+
+    const [scorecard] = await buildScorecards([agent], range);
+
+    res.json({
+      success: true,
+      message: 'Agent scorecard fetched successfully',
+      data: { ...range, ...scorecard }
+    });
+  } catch (error) {
+    if (error instanceof ScorecardError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Get agent scorecard error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
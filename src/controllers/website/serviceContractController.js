@@ -0,0 +1,366 @@
+import mongoose from 'mongoose';
+import ServiceContract, { COVERAGE_LEVELS } from '../../models/ServiceContract.js';
+import CustomerMachine from '../../models/CustomerMachine.js';
+import Equipment from '../../models/Equipment.js';
+import User from '../../models/User.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { checkEntitlement } from '../../services/entitlementService.js';
+
+const CONTRACT_FIELDS = [
+  'name',
+  'coverageLevel',
+  'startDate',
+  'endDate',
+  'coveredMachines',
+  'coveredEquipment',
+  'firstResponseMinutes',
+  'resolutionMinutes',
+  'notes',
+  'isActive'
+];
+
+// Expiry report windows, in days
+const EXPIRY_WINDOWS = [30, 60, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pickContractFields = (body) => {
+  const payload = {};
+  CONTRACT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+const isValidIdList = (value) => Array.isArray(value) && value.every(id => mongoose.Types.ObjectId.isValid(id));
+
+/**
+ * Validate a contract payload merged over the existing contract (if any). Returns an error message or null.
+ */
+const validateContractPayload = async (payload, customerId, existing = null) => {
+  if (payload.coverageLevel !== undefined && !COVERAGE_LEVELS.includes(payload.coverageLevel)) {
+    return `coverageLevel must be one of: ${COVERAGE_LEVELS.join(', ')}`;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (payload[field] !== undefined && Number.isNaN(new Date(payload[field]).getTime())) {
+      return `Invalid ${field}`;
+    }
+  }
+
+  const startDate = new Date(payload.startDate ?? existing?.startDate);
+  const endDate = new Date(payload.endDate ?? existing?.endDate);
+  if (endDate <= startDate) {
+    return 'endDate must be after startDate';
+  }
+
+  for (const field of ['firstResponseMinutes', 'resolutionMinutes']) {
+    if (payload[field] !== undefined && payload[field] !== null) {
+      const minutes = Number(payload[field]);
+      if (!Number.isFinite(minutes) || minutes < 1) {
+        return `${field} must be a positive number of minutes`;
+      }
+    }
+  }
+
+  if (payload.coveredMachines !== undefined) {
+    if (!isValidIdList(payload.coveredMachines)) {
+      return 'coveredMachines must be an array of machine IDs';
+    }
+    const count = await CustomerMachine.countDocuments({ _id: { $in: payload.coveredMachines }, customer: customerId });
+    if (count !== new Set(payload.coveredMachines.map(String)).size) {
+      return 'coveredMachines must belong to the contract customer';
+    }
+  }
+
+  if (payload.coveredEquipment !== undefined) {
+    if (!isValidIdList(payload.coveredEquipment)) {
+      return 'coveredEquipment must be an array of equipment IDs';
+    }
+    const count = await Equipment.countDocuments({ _id: { $in: payload.coveredEquipment } });
+    if (count !== new Set(payload.coveredEquipment.map(String)).size) {
+      return 'Invalid coveredEquipment - Equipment not found';
+    }
+  }
+
+  return null;
+};
+
+export const getServiceContracts = async (req, res) => {
+  try {
+    const { customerId, coverageLevel, status, search, page = 1, limit = 20 } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (customerId) query.customer = customerId;
+    if (coverageLevel) query.coverageLevel = coverageLevel;
+    if (search) {
+      query.$or = [
+        { contractNumber: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } }
+      ];
+    }
+    // status: active (in force now), expired, upcoming or inactive (cancelled)
+    if (status === 'active') Object.assign(query, { isActive: true, startDate: { $lte: now }, endDate: { $gte: now } });
+    if (status === 'expired') Object.assign(query, { isActive: true, endDate: { $lt: now } });
+    if (status === 'upcoming') Object.assign(query, { isActive: true, startDate: { $gt: now } });
+    if (status === 'inactive') query.isActive = false;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [contracts, total] = await Promise.all([
+      ServiceContract.find(query)
+        .populate('customer', 'name email')
+        .populate('coveredMachines', 'serialNumber equipmentId')
+        .populate('coveredEquipment', 'name modelNumber')
+        .sort({ endDate: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ServiceContract.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: contracts,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum) || 1,
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get service contracts error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getServiceContractById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid contract ID format' });
+    }
+
+    const contract = await ServiceContract.findById(req.params.id)
+      .populate('customer', 'name email phone')
+      .populate('coveredMachines', 'serialNumber equipmentId siteLocation warrantyEndDate')
+      .populate('coveredEquipment', 'name modelNumber');
+
+    if (!contract) {
+      return res.status(404).json({ success: false, message: 'Contract not found' });
+    }
+
+    res.json({ success: true, data: contract });
+  } catch (error) {
+    console.error('Get service contract error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const createServiceContract = async (req, res) => {
+  try {
+    const { customerId } = req.body;
+    const payload = pickContractFields(req.body);
+
+    if (!customerId || !payload.name || !payload.startDate || !payload.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'customerId, name, startDate and endDate are required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(customerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid customerId format - Must be a valid ObjectId' });
+    }
+    const customer = await User.findOne({ _id: customerId, role: 'customer' });
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const validationError = await validateContractPayload(payload, customer._id);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const contract = await ServiceContract.create({
+      ...payload,
+      customer: customer._id,
+      createdBy: req.user.id
+    });
+
+    await logActivity(req, {
+      message: `Service contract ${contract.contractNumber} created for ${customer.name}`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contract created successfully',
+      data: contract
+    });
+  } catch (error) {
+    console.error('Create service contract error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateServiceContract = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid contract ID format' });
+    }
+
+    const contract = await ServiceContract.findById(req.params.id);
+    if (!contract) {
+      return res.status(404).json({ success: false, message: 'Contract not found' });
+    }
+
+    const payload = pickContractFields(req.body);
+    const validationError = await validateContractPayload(payload, contract.customer, contract);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    contract.set(payload);
+    await contract.save();
+
+    await logActivity(req, {
+      message: `Service contract ${contract.contractNumber} updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Contract updated successfully',
+      data: contract
+    });
+  } catch (error) {
+    console.error('Update service contract error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteServiceContract = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid contract ID format' });
+    }
+
+    const contract = await ServiceContract.findById(req.params.id);
+    if (!contract) {
+      return res.status(404).json({ success: false, message: 'Contract not found' });
+    }
+
+    // Tickets keep a reference to the contract that covered them, so it is only deactivated
+    contract.isActive = false;
+    await contract.save();
+
+    await logActivity(req, {
+      message: `Service contract ${contract.contractNumber} cancelled`,
+      status: 'deleted'
+    });
+
+    res.json({ success: true, message: 'Contract cancelled successfully' });
+  } catch (error) {
+    console.error('Delete service contract error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Active contracts ending in the next 30 / 60 / 90 days, grouped by window.
+ * ?days=30|60|90 limits the report (default 90).
+ */
+export const getExpiringContracts = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 90;
+    if (!EXPIRY_WINDOWS.includes(days)) {
+      return res.status(400).json({ success: false, message: `days must be one of: ${EXPIRY_WINDOWS.join(', ')}` });
+    }
+
+    const now = new Date();
+    const contracts = await ServiceContract.find({
+      isActive: true,
+      endDate: { $gte: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+    })
+      .populate('customer', 'name email phone')
+      .populate('coveredMachines', 'serialNumber')
+      .populate('coveredEquipment', 'name modelNumber')
+      .sort({ endDate: 1 });
+
+    const windows = EXPIRY_WINDOWS.filter(window => window <= days).map((window, index, list) => {
+      const fromDays = index === 0 ? 0 : list[index - 1];
+      const inWindow = contracts.filter((contract) => {
+        const daysLeft = (contract.endDate - now) / DAY_MS;
+        return daysLeft <= window && (index === 0 || daysLeft > fromDays);
+      });
+      return {
+        label: `${fromDays}-${window} days`,
+        withinDays: window,
+        count: inWindow.length,
+        contracts: inWindow.map(contract => ({
+          ...contract.toObject(),
+          daysLeft: Math.ceil((contract.endDate - now) / DAY_MS)
+        }))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        generatedAt: now,
+        days,
+        total: contracts.length,
+        windows
+      }
+    });
+  } catch (error) {
+    console.error('Get expiring contracts error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Check what a customer is entitled to for a machine or equipment model (e.g. before raising a ticket).
+ */
+export const checkCustomerEntitlement = async (req, res) => {
+  try {
+    const { customerId, machineId, equipmentId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(customerId)) {
+      return res.status(400).json({ success: false, message: 'A valid customerId is required' });
+    }
+    if (equipmentId && !mongoose.Types.ObjectId.isValid(equipmentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid equipmentId format - Must be a valid ObjectId' });
+    }
+
+    let machine = null;
+    if (machineId) {
+      if (!mongoose.Types.ObjectId.isValid(machineId)) {
+        return res.status(400).json({ success: false, message: 'Invalid machineId format - Must be a valid ObjectId' });
+      }
+      machine = await CustomerMachine.findOne({ _id: machineId, customer: customerId });
+      if (!machine) {
+        return res.status(404).json({ success: false, message: 'Machine not found for this customer' });
+      }
+    }
+
+    const { entitlement, commitment } = await checkEntitlement({ customerId, machine, equipmentId });
+
+    res.json({
+      success: true,
+      data: { ...entitlement, commitment }
+    });
+  } catch (error) {
+    console.error('Check entitlement error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
@@ -0,0 +1,246 @@
+import mongoose from 'mongoose';
+import SlaPolicy from '../../models/SlaPolicy.js';
+import Category from '../../models/Category.js';
+import Equipment from '../../models/Equipment.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { isValidTimezone } from '../../utils/businessCalendar.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'categoryId',
+  'equipmentId',
+  'firstResponseMinutes',
+  'resolutionMinutes',
+  'warningThresholdPercent',
+  'businessHours',
+  'pauseStatuses',
+  'escalationEmails',
+  'isActive'
+];
+
+// Returns an error message, or null when the payload is usable
+const validatePolicyPayload = async (payload) => {
+  if (payload.categoryId !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(payload.categoryId)) {
+      return 'Invalid categoryId format - Must be a valid ObjectId';
+    }
+    const category = await Category.findById(payload.categoryId);
+    if (!category) {
+      return 'Invalid categoryId - Category not found';
+    }
+  }
+
+  if (payload.equipmentId) {
+    if (!mongoose.Types.ObjectId.isValid(payload.equipmentId)) {
+      return 'Invalid equipmentId format - Must be a valid ObjectId';
+    }
+    const equipment = await Equipment.findById(payload.equipmentId);
+    if (!equipment) {
+      return 'Invalid equipmentId - Equipment not found';
+    }
+  }
+
+  if (payload.businessHours?.timezone && !isValidTimezone(payload.businessHours.timezone)) {
+    return `Invalid timezone "${payload.businessHours.timezone}"`;
+  }
+
+  const firstResponse = Number(payload.firstResponseMinutes);
+  const resolution = Number(payload.resolutionMinutes);
+  if (!Number.isNaN(firstResponse) && !Number.isNaN(resolution) && resolution < firstResponse) {
+    return 'Resolution target cannot be shorter than the first response target';
+  }
+
+  return null;
+};
+
+const pickPolicyFields = (body) => {
+  const payload = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  if (payload.equipmentId === '') {
+    payload.equipmentId = null;
+  }
+  return payload;
+};
+
+export const getSlaPolicies = async (req, res) => {
+  try {
+    const { categoryId, isActive } = req.query;
+
+    const query = {};
+    if (categoryId) query.categoryId = categoryId;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const policies = await SlaPolicy.find(query)
+      .populate('categoryId', 'name')
+      .populate('equipmentId', 'name modelNumber')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'SLA policies fetched successfully',
+      data: policies
+    });
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const getSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id)
+      .populate('categoryId', 'name')
+      .populate('equipmentId', 'name modelNumber');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Get SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const createSlaPolicy = async (req, res) => {
+  try {
+    const payload = pickPolicyFields(req.body);
+
+    if (!payload.name || !payload.categoryId || !payload.firstResponseMinutes || !payload.resolutionMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, categoryId, firstResponseMinutes and resolutionMinutes are required'
+      });
+    }
+
+    const validationError = await validatePolicyPayload(payload);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const policy = await SlaPolicy.create({
+      ...payload,
+      createdBy: req.user?.id || null
+    });
+
+    await logActivity(req, {
+      message: `SLA policy "${policy.name}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'SLA policy created successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Create SLA policy error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    const payload = pickPolicyFields(req.body);
+    const validationError = await validatePolicyPayload({
+      firstResponseMinutes: policy.firstResponseMinutes,
+      resolutionMinutes: policy.resolutionMinutes,
+      ...payload
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (payload.businessHours) {
+      payload.businessHours = { ...policy.businessHours.toObject(), ...payload.businessHours };
+    }
+
+    policy.set(payload);
+    await policy.save();
+
+    await logActivity(req, {
+      message: `SLA policy "${policy.name}" has been updated`,
+      status: 'updated'
+    });
+
+    // Targets on existing tickets are not recalculated - only new tickets pick up the change
+    res.json({
+      success: true,
+      message: 'SLA policy updated successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found'
+      });
+    }
+
+    // Tickets keep a reference to their policy for pause calculations, so policies are only deactivated
+    policy.isActive = false;
+    await policy.save();
+
+    await logActivity(req, {
+      message: `SLA policy "${policy.name}" has been deactivated`,
+      status: 'deleted'
+    });
+
+    res.json({
+      success: true,
+      message: 'SLA policy deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,15 +1,24 @@
 import Ticket from '../../models/Ticket.js';
 import User from '../../models/User.js';
-import Chat from '../../models/Chat.js';
 import Message from '../../models/Message.js';
 import Category from '../../models/Category.js';
 import Equipment from '../../models/Equipment.js';
 import Notification from '../../models/Notification.js';
+import TicketEvent from '../../models/TicketEvent.js';
 import mongoose from 'mongoose';
 import { getIO } from '../../socket/index.js';
 import { logActivity } from '../../utils/activityLogger.js';
-import { sendTicketCreationEmail, sendTicketAdminNotify, sendTicketUpdateStatusEmail, sendTicketStatusChangeAdminEmail, sendTicketAssignmentEmail } from '../../utils/emailService.js';
+import { recordTicketEvent } from '../../utils/ticketEventLogger.js';
+import { sendTicketCreationEmail, sendTicketAdminNotify, sendTicketAssignmentEmail } from '../../utils/emailService.js';
 import { sendPushNotification } from '../../services/pushNotificationService.js';
+import { buildTicketSla, buildSlaStateFilter } from '../../services/slaService.js';
+import { autoAssignTicket, syncChatAssignee } from '../../services/assignmentService.js';
+import { changeTicketStatus, notifyTicketStatusChange, getAvailableTransitions, getInitialStatus, WorkflowError } from '../../services/ticketWorkflowService.js';
+import { resolveTicketMachine, MachineRegistryError } from '../../services/machineRegistryService.js';
+import { evaluateTicketEntitlement } from '../../services/entitlementService.js';
+import { userHasPermission } from '../../services/permissionService.js';
+import { runListQuery, legacySortParam, ListQueryError } from '../../services/listQueryService.js';
+import { TICKET_LIST } from '../../services/listDefinitions.js';
 
 export const getTickets = async (req, res) => {
   try {
@@ -18,20 +27,26 @@ export const getTickets = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    if (user.role !== 'manager') {
+    // Agents use /agent/tickets for the tickets they can see
+    if (!await userHasPermission(user, 'tickets.view_all')) {
       return res.json({ success: true, tickets: [] });
     }
 
-    // 1️⃣ Fetch all tickets
-    const tickets = await Ticket.find()
-      .populate('categoryId')
-      .populate('equipmentId')
-      .populate('assignedAgent')
-      .populate({
-        path: 'customer',
-        model: 'User',
-        match: { role: 'customer' }
-      });
+    // Filters, sort and paging come from TICKET_LIST; slaState is applied on top
+    // (e.g. ?slaState=at_risk,breached&sort=slaDue&entitlement=not_covered)
+    const { items: tickets, pagination } = await runListQuery(Ticket, TICKET_LIST, {
+      ...req.query,
+      sort: legacySortParam(req.query, 'asc')
+    }, {
+      baseFilter: buildSlaStateFilter(req.query.slaState),
+      alwaysSelect: ['categoryId'],
+      populate: [
+        { path: 'categoryId' },
+        { path: 'equipmentId' },
+        { path: 'assignedAgent' },
+        { path: 'customer', model: 'User', match: { role: 'customer' } }
+      ]
+    });
 
     // 2️⃣ Collect UNIQUE categoryIds
     const categoryIds = [
@@ -70,11 +85,15 @@ export const getTickets = async (req, res) => {
 
     return res.json({
       success: true,
-      total: ticketsWithCustomers.length,
-      tickets: ticketsWithCustomers
+      total: pagination.totalItems,
+      tickets: ticketsWithCustomers,
+      pagination
     });
 
   } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Get tickets error:', error);
     res.status(500).json({ message: 'Get ticket error' });
   }
@@ -99,7 +118,8 @@ export const getTicket = async (req, res) => {
       })
       .populate('assignedAgent')
       .populate('categoryId')
-      .populate('equipmentId');
+      .populate('equipmentId')
+      .populate('machineId');
 
     if (!ticket) {
       return res.status(404).json({ message: 'Ticket not found' });
@@ -112,6 +132,39 @@ export const getTicket = async (req, res) => {
 
 
 
+export const getTicketTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query;
+
+    // Validate ObjectId format
+    if (!id || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      return res.status(400).json({ message: 'Invalid ticket ID format' });
+    }
+
+    const ticket = await Ticket.findById(id).select('ticketNumber');
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const query = { ticketId: id };
+    if (type) query.type = { $in: String(type).split(',') };
+
+    const events = await TicketEvent.find(query).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      total: events.length,
+      data: events
+    });
+  } catch (error) {
+    console.error('Get ticket timeline error:', error);
+    res.status(500).json({ message: 'Get ticket timeline error' });
+  }
+};
+
 export const assignTicket = async (req, res) => {
   try {
     const { id } = req.params;
@@ -140,45 +193,34 @@ export const assignTicket = async (req, res) => {
     // Get customer data for email
     const customer = ticket.customer ? await User.findById(ticket.customer) : null;
 
+    const previousAgent = ticket.assignedAgent
+      ? await User.findById(ticket.assignedAgent).select('name')
+      : null;
+
     ticket.assignedAgent = agent._id;
+    ticket.routing = {
+      strategy: 'manual',
+      reason: `Assigned manually by ${req.user?.name || req.user?.email || 'manager'}`,
+      decidedAt: new Date(),
+      decidedBy: req.user?.id || null,
+      candidates: []
+    };
 
     await ticket.save();
 
-    const chatfind = await Chat.findOne({ ticketId: id });
-
-    let previousActiveAgent = null;
+    const { chat: chatfind, previousActiveAgent } = await syncChatAssignee(id, agent);
+
+    const isReassignment = previousAgent && String(previousAgent._id) !== String(agent._id);
+    await recordTicketEvent(req, {
+      ticketId: ticket._id,
+      type: isReassignment ? 'reassigned' : 'assigned',
+      before: previousAgent ? { agentId: previousAgent._id, name: previousAgent.name } : null,
+      after: { agentId: agent._id, name: agent.name },
+      message: isReassignment
+        ? `Agent changed from ${previousAgent.name} to ${agent.name}`
+        : `Assigned to ${agent.name}`
+    });
     if (chatfind) {
-      // Find the previous active agent before making changes
-      previousActiveAgent = chatfind.participants.find(p => p.userType === 'agent' && p.status === 'active');
-
-      // First, mark ALL existing agents as 'old'
-      chatfind.participants.forEach(participant => {
-        if (participant.userType === 'agent') {
-          participant.status = 'old';
-          participant.updatedAt = new Date();
-        }
-      });
-
-      const existingParticipant = chatfind.participants.find(p => p.userId.toString() === agent._id.toString());
-
-      if (existingParticipant) {
-        existingParticipant.status = 'active';
-        existingParticipant.updatedAt = new Date();
-        existingParticipant.userName = agent.name;
-        existingParticipant.userEmail = agent.email;
-      } else {
-        chatfind.participants.push({
-          userId: agent._id,
-          userName: agent.name,
-          userType: agent.role,
-          userEmail: agent.email,
-          status: 'active',
-          joinedAt: new Date()
-        });
-      }
-
-      await chatfind.save();
-
       // Create a system message about agent assignment change
       if (previousActiveAgent && previousActiveAgent.userId.toString() !== agent._id.toString()) {
         try {
@@ -353,98 +395,54 @@ export const updateTicketStatus = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     const ticket = await Ticket.findById(id);
     if (!ticket) {
       return res.status(404).json({ message: 'Ticket not found' });
     }
 
-    // Handle reopen status - keep status as reopen
-    let finalStatus = status;
-    if (status === 'reopen' && ticket.status === 'closed') {
-      ticket.status = 'reopen';
-      finalStatus = 'reopen';
-    } else if (ticket.status === 'closed' && status !== 'reopen') {
-      // Do not allow status change if ticket is already closed (except for reopen)
-      return res.status(400).json({
-        success: false,
-        message: 'Ticket is already closed. Status cannot be changed.'
+    try {
+      await changeTicketStatus(ticket, status, {
+        actor: { id: req.user.id, role: req.user.role, name: req.user.name },
+        reason,
+        req
       });
-    } else if (status) {
-      ticket.status = status;
+    } catch (workflowError) {
+      if (workflowError instanceof WorkflowError) {
+        return res.status(workflowError.statusCode).json({ success: false, message: workflowError.message });
+      }
+      throw workflowError;
     }
 
-    await ticket.save();
-
     await logActivity(req, {
-      message: `Ticket ${ticket.ticketNumber || ticket._id} status changed to ${finalStatus}`,
+      message: `Ticket ${ticket.ticketNumber || ticket._id} status changed to ${ticket.status}`,
       status: 'updated'
     });
 
-    // Send push notification to customer about status change
-    try {
-      const ticketDisplay = ticket.ticketNumber || ticket._id;
-      const statusMessages = {
-        'pending': 'Your ticket is now pending review.',
-        'in_progress': 'Your ticket is now being worked on.',
-        'resolved': 'Your ticket has been resolved.',
-        'closed': 'Your ticket has been closed.',
-        'reopen': 'Your ticket has been reopened.'
-      };
-
-      const notificationRecipients = [];
-      
-      // Notify customer
-      if (ticket.customer) {
-        notificationRecipients.push(ticket.customer);
-      }
-
-      // Notify assigned agent
-      if (ticket.assignedAgent) {
-        notificationRecipients.push(ticket.assignedAgent);
-      }
+    await notifyTicketStatusChange(ticket, { changedByUserId: req.user.id, reason });
 
-      
+    res.json({ message: 'Ticket updated successfully', ticket });
+  } catch (error) {
+    console.error('Update ticket status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-      const customerdata = await User.findById(ticket.customer);
-      
-      // Get user who made the change
-      const changedByUser = await User.findOne({ email: req.user.email }).select('name');
-      
-      // Send email to customer
-      const emailResults = await sendTicketUpdateStatusEmail(ticket, customerdata);
-      console.log('Email sending results:', emailResults);
-      
-      // Send email to admin about status change
-      try {
-        await sendTicketStatusChangeAdminEmail(ticket, customerdata, changedByUser);
-      } catch (adminEmailError) {
-        console.error('Failed to send admin status change email:', adminEmailError);
-      }
+// Statuses the current user can move this ticket to
+export const getTicketTransitions = async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id).select('status ticketNumber');
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
 
+    const transitions = await getAvailableTransitions(ticket.status, req.user.role);
 
-      if (notificationRecipients.length > 0) {
-        await sendPushNotification({
-          title: `Ticket Status Updated - #${ticketDisplay}`,
-          body: statusMessages[finalStatus] || `Ticket status changed to ${finalStatus}.`,
-          data: {
-            type: 'ticket_status_updated',
-            ticketId: ticket._id.toString(),
-            ticketNumber: ticketDisplay,
-            newStatus: finalStatus,
-          },
-          userIds: notificationRecipients,
-        });
-        console.log('📱 Push notification sent for ticket status update');
-      }
-    } catch (pushError) {
-      console.error('Failed to send push notification for status update:', pushError);
-    }
-    
-    res.json({ message: 'Ticket updated successfully2222', ticket });
+    res.json({ success: true, status: ticket.status, transitions });
   } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+    console.error('Get ticket transitions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 };
 
@@ -492,6 +490,14 @@ export const updateTicketNotes = async (req, res) => {
     ticket.notes.push(noteBlock);
     await ticket.save();
 
+    await recordTicketEvent(req, {
+      ticketId: ticket._id,
+      type: 'note_added',
+      before: { noteCount: ticket.notes.length - 1 },
+      after: { noteCount: ticket.notes.length, note: newNote },
+      message: 'Note added'
+    });
+
     // Activity log for notes update
     await logActivity(req, {
       message: `Ticket ${ticket.ticketNumber || ticket._id} notes updated`,
@@ -514,14 +520,14 @@ export const updateTicketNotes = async (req, res) => {
 
 export const createTicket = async (req, res) => {
   try {
-    // Check if user is manager
+    // Creating tickets on behalf of customers needs tickets.create (checked by the route)
     const userEmail = req.user.email;
     const currentUser = await User.findOne({ email: userEmail });
-    if (!currentUser || currentUser.role !== 'manager') {
-      return res.status(403).json({ message: 'Only managers can create tickets on behalf of customers' });
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    let { description, categoryId, equipmentId, customerId, serialNumber } = req.body;
+    let { description, categoryId, equipmentId, customerId, serialNumber, machineId } = req.body;
 
     // Validate required fields
     if (!description || !categoryId || !customerId) {
@@ -557,6 +563,12 @@ export const createTicket = async (req, res) => {
           message: 'Invalid categoryId - Category not found'
         });
       }
+      if (category.isActive === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'This category is no longer available'
+        });
+      }
     }
 
     // Validate equipmentId format and exists in database
@@ -577,6 +589,31 @@ export const createTicket = async (req, res) => {
       }
     }
 
+    // Machine must come from the customer's registry
+    let machine = null;
+    try {
+      ({ machine, equipmentId, serialNumber } = await resolveTicketMachine({
+        customerId: customer._id,
+        machineId,
+        serialNumber,
+        equipmentId
+      }));
+    } catch (registryError) {
+      if (registryError instanceof MachineRegistryError) {
+        return res.status(registryError.statusCode).json({ success: false, message: registryError.message });
+      }
+      throw registryError;
+    }
+
+    // Tag coverage; out-of-coverage tickets may be moved to the sales queue category
+    const { entitlement, commitment, categoryId: entitledCategoryId } = await evaluateTicketEntitlement({
+      customerId: customer._id,
+      machine,
+      equipmentId,
+      categoryId
+    });
+    categoryId = entitledCategoryId;
+
     // Handle multiple image uploads
     let attachments = [];
     if (req.files && req.files.length > 0) {
@@ -585,12 +622,16 @@ export const createTicket = async (req, res) => {
 
     const ticket = await Ticket.create({
       description,
-      status: 'pending',
+      status: await getInitialStatus(),
       customer: customer._id,
       categoryId,
       equipmentId,
+      machineId: machine?._id || null,
       serialNumber: serialNumber || undefined,
-      attachments: attachments
+      attachments: attachments,
+      channel: 'portal',
+      sla: await buildTicketSla({ categoryId, equipmentId, commitment }),
+      entitlement
     });
 
     // Activity log: ticket created
@@ -599,6 +640,33 @@ export const createTicket = async (req, res) => {
       status: 'added'
     });
 
+    await recordTicketEvent(req, {
+      ticketId: ticket._id,
+      type: 'created',
+      after: {
+        status: ticket.status,
+        categoryId: ticket.categoryId,
+        equipmentId: ticket.equipmentId,
+        entitlement: ticket.entitlement.status
+      },
+      message: `Ticket created for customer ${customer.name}`
+    });
+    if (attachments.length > 0) {
+      await recordTicketEvent(req, {
+        ticketId: ticket._id,
+        type: 'attachment_added',
+        after: { attachments },
+        message: `${attachments.length} attachment(s) added`
+      });
+    }
+
+    // Route the ticket according to the category's assignment strategy
+    try {
+      await autoAssignTicket(ticket, { decidedBy: currentUser._id });
+    } catch (assignError) {
+      console.error('Auto-assignment failed:', assignError);
+    }
+
     // Create notifications for customer, admin, and agents
     const notifications = [];
 
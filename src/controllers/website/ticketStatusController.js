@@ -0,0 +1,240 @@
+import TicketStatus, { STATUS_KINDS } from '../../models/TicketStatus.js';
+import Ticket from '../../models/Ticket.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { invalidateWorkflowCache } from '../../services/ticketWorkflowService.js';
+
+const EDITABLE_FIELDS = [
+  'label',
+  'kind',
+  'customerMessage',
+  'isInitial',
+  'isActive',
+  'sortOrder',
+  'transitions'
+];
+
+const pickStatusFields = (body) => {
+  const payload = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+// Returns an error message, or null when the payload is usable
+const validateStatusPayload = async (payload, ownKey) => {
+  if (payload.kind !== undefined && !STATUS_KINDS.includes(payload.kind)) {
+    return `Invalid kind. Allowed: ${STATUS_KINDS.join(', ')}`;
+  }
+
+  if (payload.transitions !== undefined) {
+    if (!Array.isArray(payload.transitions)) {
+      return 'Transitions must be an array';
+    }
+
+    const targets = payload.transitions.map(transition => transition?.to);
+    if (targets.some(to => !to)) {
+      return 'Every transition needs a target status ("to")';
+    }
+    if (targets.includes(ownKey)) {
+      return 'A status cannot transition to itself';
+    }
+    if (new Set(targets).size !== targets.length) {
+      return 'Duplicate transition targets are not allowed';
+    }
+
+    const existing = await TicketStatus.find({ key: { $in: targets } }).select('key');
+    const existingKeys = existing.map(status => status.key);
+    const unknown = targets.filter(to => !existingKeys.includes(to));
+    if (unknown.length > 0) {
+      return `Unknown transition target(s): ${unknown.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+// Only one status can be the starting point for new tickets
+const clearOtherInitialStatuses = async (key) => {
+  await TicketStatus.updateMany({ key: { $ne: key }, isInitial: true }, { $set: { isInitial: false } });
+};
+
+export const getTicketStatuses = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const statuses = await TicketStatus.find(query).sort({ sortOrder: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      message: 'Ticket statuses fetched successfully',
+      kinds: STATUS_KINDS,
+      data: statuses
+    });
+  } catch (error) {
+    console.error('Get ticket statuses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+export const createTicketStatus = async (req, res) => {
+  try {
+    const key = String(req.body.key || '').trim().toLowerCase();
+    const payload = pickStatusFields(req.body);
+
+    if (!key || !payload.label) {
+      return res.status(400).json({
+        success: false,
+        message: 'Key and label are required'
+      });
+    }
+
+    const existing = await TicketStatus.findOne({ key });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Status "${key}" already exists`
+      });
+    }
+
+    const validationError = await validateStatusPayload(payload, key);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const status = await TicketStatus.create({ ...payload, key });
+    if (status.isInitial) {
+      await clearOtherInitialStatuses(status.key);
+    }
+    invalidateWorkflowCache();
+
+    await logActivity(req, {
+      message: `Ticket status "${status.label}" has been added`,
+      status: 'added'
+    });
+
+    // New statuses are unreachable until another status lists them in its transitions
+    res.status(201).json({
+      success: true,
+      message: 'Ticket status created successfully',
+      data: status
+    });
+  } catch (error) {
+    console.error('Create ticket status error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateTicketStatusDefinition = async (req, res) => {
+  try {
+    const status = await TicketStatus.findOne({ key: req.params.key });
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket status not found'
+      });
+    }
+
+    const payload = pickStatusFields(req.body);
+    const validationError = await validateStatusPayload(payload, status.key);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (status.isInitial && (payload.isInitial === false || payload.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mark another status as initial before changing the initial status'
+      });
+    }
+
+    status.set(payload);
+    await status.save();
+    if (status.isInitial) {
+      await clearOtherInitialStatuses(status.key);
+    }
+    invalidateWorkflowCache();
+
+    await logActivity(req, {
+      message: `Ticket status "${status.label}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Ticket status updated successfully',
+      data: status
+    });
+  } catch (error) {
+    console.error('Update ticket status definition error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteTicketStatus = async (req, res) => {
+  try {
+    const status = await TicketStatus.findOne({ key: req.params.key });
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket status not found'
+      });
+    }
+
+    if (status.isInitial) {
+      return res.status(400).json({
+        success: false,
+        message: 'The initial status cannot be deactivated'
+      });
+    }
+
+    const ticketsInStatus = await Ticket.countDocuments({ status: status.key });
+    if (ticketsInStatus > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${ticketsInStatus} ticket(s) are still in "${status.label}". Move them to another status first.`
+      });
+    }
+
+    // Past timeline entries still reference the key, so statuses are only deactivated
+    status.isActive = false;
+    await status.save();
+    invalidateWorkflowCache();
+
+    await logActivity(req, {
+      message: `Ticket status "${status.label}" has been deactivated`,
+      status: 'deleted'
+    });
+
+    res.json({
+      success: true,
+      message: 'Ticket status deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete ticket status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
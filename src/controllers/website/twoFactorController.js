@@ -0,0 +1,354 @@
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { sendTwoFactorOtpEmail } from '../../utils/emailService.js';
+import { completeLogin } from './authController.js';
+import { recordOtpFailure, clearOtpFailures } from '../../services/loginProtectionService.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+  generateBackupCodes,
+  generateEmailOtp,
+  verifyChallengeToken,
+  verifySecondFactor,
+  isTwoFactorRequired,
+  TWO_FACTOR_SELECT,
+  TwoFactorError,
+} from '../../services/twoFactorService.js';
+
+const handleTwoFactorError = (res, error, label) => {
+  if (error instanceof TwoFactorError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message: 'Server error' });
+};
+
+const clearTwoFactor = (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = null;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorBackupCodes = [];
+  user.twoFactorEmailOTP = undefined;
+  user.twoFactorEmailOTPExpiry = undefined;
+};
+
+const findStaffUser = (id, select = '') => User.findOne({
+  _id: id,
+  role: { $ne: 'customer' },
+  isDeleted: { $ne: true },
+  isActive: true
+}).select(select);
+
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await findStaffUser(req.user.id, '+twoFactorBackupCodes');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: await isTwoFactorRequired(user),
+        backupCodesRemaining: user.twoFactorEnabled ? (user.twoFactorBackupCodes || []).length : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Start enrollment: a new authenticator secret and the otpauth:// URI to show as a QR code.
+ * Nothing changes until a code from it is confirmed with enableTwoFactor.
+ */
+export const startTwoFactorSetup = async (req, res) => {
+  try {
+    const user = await findStaffUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from it',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app. Returns the backup codes (shown once).
+ * When enrolling from a login setup challenge, the user is signed in as well.
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'code is required' });
+    }
+
+    const user = await findStaffUser(req.user.id, '+twoFactorPendingSecret');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      await logActivity(req, {
+        userId: user._id,
+        message: `Two-factor enrollment code rejected (${user.email})`,
+        status: 'two_factor_failed'
+      });
+      return res.status(400).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+
+    await logActivity(req, {
+      userId: user._id,
+      message: `Two-factor authentication enabled (${user.email})`,
+      status: 'two_factor_enabled'
+    });
+
+    if (req.twoFactorSetup) {
+      return completeLogin(req, res, user, { backupCodes: codes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes now - they will not be shown again.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Email a one-time code as a fallback to the authenticator app.
+ * Works with a login challengeToken or for a signed-in user (before disabling 2FA etc.).
+ */
+export const sendTwoFactorEmailCode = async (req, res) => {
+  try {
+    const userId = req.user?.id || verifyChallengeToken(req.body?.challengeToken, 'login').id;
+
+    const user = await findStaffUser(userId);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    const { otp, otpHash, expiresAt } = generateEmailOtp();
+    user.twoFactorEmailOTP = otpHash;
+    user.twoFactorEmailOTPExpiry = expiresAt;
+    await user.save();
+
+    const result = await sendTwoFactorOtpEmail({ name: user.name, email: user.email, otp });
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: 'Failed to send the code. Please try again later.' });
+    }
+
+    await logActivity(req, {
+      userId: user._id,
+      message: `Two-factor code sent by email (${user.email})`,
+      status: 'two_factor_email_sent'
+    });
+
+    res.json({ success: true, message: 'A sign-in code has been sent to your email' });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Send two-factor email code');
+  }
+};
+
+/**
+ * Second login step: { challengeToken, code, method? } where method is totp, email or backup
+ * (tried in that order when omitted). Returns the same data as a normal login.
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, method } = req.body;
+    const { id } = verifyChallengeToken(challengeToken, 'login');
+
+    const user = await findStaffUser(id, TWO_FACTOR_SELECT);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ success: false, message: 'Two-factor session has expired - Please login again' });
+    }
+
+    let usedMethod;
+    try {
+      usedMethod = verifySecondFactor(user, { method, code });
+    } catch (error) {
+      if (error instanceof TwoFactorError && error.statusCode === 401) {
+        await recordOtpFailure('two_factor', id);
+        await logActivity(req, {
+          userId: user._id,
+          message: `Failed two-factor sign-in attempt (${user.email})`,
+          status: 'two_factor_failed'
+        });
+      }
+      throw error;
+    }
+    await user.save();
+    await clearOtpFailures('two_factor', id);
+
+    await logActivity(req, {
+      userId: user._id,
+      message: usedMethod === 'backup'
+        ? `Two-factor sign-in with a backup code (${user.email}), ${user.twoFactorBackupCodes.length} left`
+        : `Two-factor sign-in with ${usedMethod === 'email' ? 'an email code' : 'the authenticator app'} (${user.email})`,
+      status: 'two_factor_verified'
+    });
+
+    return completeLogin(req, res, user, usedMethod === 'backup'
+      ? { backupCodesRemaining: user.twoFactorBackupCodes.length }
+      : {});
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Verify two-factor login');
+  }
+};
+
+/**
+ * Turn 2FA off ({ password, code }). Not allowed while the user's role requires it.
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ success: false, message: 'password and code are required' });
+    }
+
+    const user = await findStaffUser(req.user.id, `+password ${TWO_FACTOR_SELECT}`);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ success: false, message: 'Your role requires two-factor authentication' });
+    }
+    if (!await user.comparePassword(password)) {
+      return res.status(401).json({ success: false, message: 'Invalid password' });
+    }
+
+    verifySecondFactor(user, { code });
+    clearTwoFactor(user);
+    await user.save();
+
+    await logActivity(req, {
+      userId: user._id,
+      message: `Two-factor authentication disabled (${user.email})`,
+      status: 'two_factor_disabled'
+    });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Disable two-factor');
+  }
+};
+
+/**
+ * Replace all backup codes ({ code } from the authenticator app or email)
+ */
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await findStaffUser(req.user.id, TWO_FACTOR_SELECT);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    const usedMethod = verifySecondFactor(user, { code: req.body.code });
+    if (usedMethod === 'backup') {
+      throw new TwoFactorError('Use a code from your authenticator app or email');
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save();
+
+    await logActivity(req, {
+      userId: user._id,
+      message: `Two-factor backup codes regenerated (${user.email})`,
+      status: 'two_factor_backup_codes'
+    });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Store them now - they will not be shown again.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Regenerate backup codes');
+  }
+};
+
+/**
+ * Recovery for a staff member who lost their authenticator and backup codes.
+ * They enroll again on next login if their role requires 2FA.
+ */
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+    }
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ success: false, message: 'You cannot reset your own two-factor authentication' });
+    }
+
+    const user = await User.findOne({ _id: userId, role: { $ne: 'customer' }, isDeleted: { $ne: true } });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Staff member not found' });
+    }
+
+    clearTwoFactor(user);
+    await user.save();
+
+    await logActivity(req, {
+      message: `Two-factor authentication of ${user.name} (${user.email}) has been reset`,
+      status: 'two_factor_reset'
+    });
+
+    res.json({ success: true, message: 'Two-factor authentication reset successfully' });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
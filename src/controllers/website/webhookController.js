@@ -0,0 +1,364 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import WebhookEndpoint, { WEBHOOK_EVENTS } from '../../models/WebhookEndpoint.js';
+import WebhookDelivery, { WEBHOOK_DELIVERY_STATUSES } from '../../models/WebhookDelivery.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { generateWebhookSecret, checkWebhookUrl, attemptDelivery, replayDelivery } from '../../services/webhookService.js';
+
+const ENDPOINT_FIELDS = ['name', 'url', 'description', 'events', 'isActive'];
+
+const pickEndpointFields = (body) => {
+  const payload = {};
+  ENDPOINT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      payload[field] = body[field];
+    }
+  });
+  return payload;
+};
+
+/**
+ * Validate endpoint fields. Returns an error message or null.
+ */
+const validateEndpointPayload = async (payload) => {
+  if (payload.name !== undefined && !String(payload.name).trim()) {
+    return 'Name cannot be empty';
+  }
+  if (payload.url !== undefined) {
+    const urlError = await checkWebhookUrl(payload.url);
+    if (urlError) {
+      return urlError;
+    }
+  }
+  if (payload.events !== undefined) {
+    if (!Array.isArray(payload.events) || payload.events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = payload.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+const findEndpoint = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid webhook ID format' });
+    return null;
+  }
+  const endpoint = await WebhookEndpoint.findById(req.params.id);
+  if (!endpoint) {
+    res.status(404).json({ success: false, message: 'Webhook not found' });
+    return null;
+  }
+  return endpoint;
+};
+
+export const getWebhookEvents = async (req, res) => {
+  res.json({ success: true, data: WEBHOOK_EVENTS });
+};
+
+export const getWebhookEndpoints = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: endpoints });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const getWebhookEndpointById = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    const stats = await WebhookDelivery.aggregate([
+      { $match: { endpointId: endpoint._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...endpoint.toObject(),
+        deliveryStats: Object.fromEntries(WEBHOOK_DELIVERY_STATUSES.map(status => [
+          status,
+          stats.find(row => row._id === status)?.count || 0
+        ]))
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Register an endpoint. The signing secret is only returned in this response (and on rotation).
+ */
+export const createWebhookEndpoint = async (req, res) => {
+  try {
+    const payload = pickEndpointFields(req.body);
+
+    if (!payload.name || !payload.url || !payload.events) {
+      return res.status(400).json({ success: false, message: 'name, url and events are required' });
+    }
+
+    const validationError = await validateEndpointPayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const secret = generateWebhookSecret();
+    const endpoint = await WebhookEndpoint.create({
+      ...payload,
+      secret,
+      createdBy: req.user.id
+    });
+
+    await logActivity(req, {
+      message: `Webhook "${endpoint.name}" has been added`,
+      status: 'added'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully. Store the secret now - it will not be shown again.',
+      data: { ...endpoint.toObject(), secret }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const updateWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    const payload = pickEndpointFields(req.body);
+    const validationError = await validateEndpointPayload(payload);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    endpoint.set(payload);
+    await endpoint.save();
+
+    await logActivity(req, {
+      message: `Webhook "${endpoint.name}" has been updated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: endpoint
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+export const deleteWebhookEndpoint = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    // The delivery log stays inspectable; pending retries fail on their next attempt
+    endpoint.isActive = false;
+    await endpoint.save();
+
+    await logActivity(req, {
+      message: `Webhook "${endpoint.name}" has been deactivated`,
+      status: 'deleted'
+    });
+
+    res.json({ success: true, message: 'Webhook deactivated successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+export const rotateWebhookSecret = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    const secret = generateWebhookSecret();
+    endpoint.secret = secret;
+    await endpoint.save();
+
+    await logActivity(req, {
+      message: `Signing secret of webhook "${endpoint.name}" has been rotated`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: 'Secret rotated successfully. Store the new secret now - it will not be shown again.',
+      data: { secret }
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Send a webhook.test event to one endpoint right away and return the result
+ */
+export const sendTestWebhook = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    if (!endpoint.isActive) {
+      return res.status(400).json({ success: false, message: 'Webhook is inactive' });
+    }
+
+    const eventId = crypto.randomUUID();
+    const delivery = await WebhookDelivery.create({
+      endpointId: endpoint._id,
+      eventId,
+      event: 'webhook.test',
+      payload: {
+        id: eventId,
+        event: 'webhook.test',
+        createdAt: new Date().toISOString(),
+        data: { webhookId: endpoint._id, message: 'Test event' }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Test event sent',
+      data: await attemptDelivery(delivery._id)
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Delivery log of one endpoint (?status=pending|succeeded|failed, event=)
+ */
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    const { status, event, page = 1, limit = 20 } = req.query;
+    const filter = { endpointId: endpoint._id };
+    if (status) {
+      if (!WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+      }
+      filter.status = status;
+    }
+    if (event) {
+      filter.event = event;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload -attempts.responseBody')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum) || 1,
+        totalItems: total,
+        itemsPerPage: limitNum
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * One delivery with its payload and every attempt
+ */
+export const getWebhookDelivery = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid delivery ID format' });
+    }
+
+    const delivery = await WebhookDelivery.findById(deliveryId).populate('endpointId', 'name url');
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Send a delivery's payload again as a new delivery (linked through replayOf)
+ */
+export const replayWebhookDelivery = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(400).json({ success: false, message: 'Invalid delivery ID format' });
+    }
+
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('name isActive');
+    if (!endpoint?.isActive) {
+      return res.status(400).json({ success: false, message: 'Webhook is inactive' });
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    await logActivity(req, {
+      message: `Webhook delivery ${delivery.event} to "${endpoint.name}" has been replayed`,
+      status: 'updated'
+    });
+
+    res.json({
+      success: true,
+      message: replay?.status === 'succeeded' ? 'Delivery replayed successfully' : 'Replay failed - it will be retried',
+      data: replay
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
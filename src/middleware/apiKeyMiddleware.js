@@ -0,0 +1,121 @@
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import ActivityLog from '../models/ActivityLog.js';
+import { hashApiKey, getApiKeyStatus, consumeRateLimit } from '../services/apiKeyService.js';
+
+// Keys are sent as "X-API-Key: emk_..." or "Authorization: ApiKey emk_..."
+const readApiKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header).trim();
+
+  const [scheme, value] = (req.headers.authorization || '').split(' ');
+  return scheme?.toLowerCase() === 'apikey' && value ? value.trim() : null;
+};
+
+export const hasApiKey = (req) => !!readApiKey(req);
+
+/**
+ * Scope for a resource by HTTP method: GET/HEAD need `<resource>:read`, anything else `<resource>:write`
+ */
+export const readWriteScope = (resource) => (req) => (
+  ['GET', 'HEAD'].includes(req.method) ? `${resource}:read` : `${resource}:write`
+);
+
+// Every request made with a key goes to the activity log under the key's owner, tagged with the key
+const logApiKeyRequest = (req, res, apiKey) => {
+  res.on('finish', () => {
+    ActivityLog.create({
+      userId: apiKey.createdBy,
+      message: `API key "${apiKey.name}" (${apiKey.prefix}) called ${req.method} ${req.originalUrl.split('?')[0]} - ${res.statusCode}`,
+      status: 'api_request',
+      apiKey: { keyId: apiKey._id, name: apiKey.name, prefix: apiKey.prefix }
+    }).catch(error => console.error('Failed to log API key request:', error));
+  });
+};
+
+/**
+ * Authenticate an integration by API key. `scope` is a scope name or a function of the request
+ * (see readWriteScope). The request then runs as the user who created the key (and with their
+ * role's permissions), with
+ * req.apiKey set so logActivity records the key as well.
+ */
+export const apiKeyAuthenticate = (scope) => async (req, res, next) => {
+  try {
+    const key = readApiKey(req);
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: 'No API key provided. Authorization required.'
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+    if (!apiKey) {
+      return res.status(401).json({ success: false, message: 'Invalid API key' });
+    }
+
+    const status = getApiKeyStatus(apiKey);
+    if (status !== 'active') {
+      return res.status(401).json({ success: false, message: `API key has been ${status}` });
+    }
+
+    const requiredScope = typeof scope === 'function' ? scope(req) : scope;
+    if (requiredScope && !apiKey.scopes.includes(requiredScope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the "${requiredScope}" scope`
+      });
+    }
+
+    const owner = await User.findById(apiKey.createdBy).select('email role isActive isDeleted');
+    if (!owner || owner.isDeleted || !owner.isActive || owner.role === 'customer') {
+      return res.status(401).json({
+        success: false,
+        message: 'API key owner is no longer an active staff member'
+      });
+    }
+
+    const limit = await consumeRateLimit(apiKey._id, apiKey.rateLimitPerMinute);
+    res.set({
+      'X-RateLimit-Limit': String(apiKey.rateLimitPerMinute),
+      'X-RateLimit-Remaining': String(limit.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(limit.resetAt / 1000))
+    });
+    if (!limit.allowed) {
+      res.set('Retry-After', String(Math.ceil((limit.resetAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: `Rate limit of ${apiKey.rateLimitPerMinute} requests per minute exceeded`
+      });
+    }
+
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip }, $inc: { usageCount: 1 } }
+    ).catch(error => console.error('Failed to update API key usage:', error));
+
+    logApiKeyRequest(req, res, apiKey);
+
+    req.apiKey = { id: apiKey._id, name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes };
+    req.user = {
+      id: String(owner._id),
+      email: owner.email,
+      role: owner.role,
+      // Shown as the actor on ticket timelines
+      name: `API key "${apiKey.name}"`,
+      apiKeyId: String(apiKey._id)
+    };
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/**
+ * Accept an API key with `scope` on a route, and fall back to the route's usual JWT middleware otherwise
+ */
+export const allowApiKey = (scope, fallback) => {
+  const keyAuth = apiKeyAuthenticate(scope);
+  return (req, res, next) => (hasApiKey(req) ? keyAuth(req, res, next) : fallback(req, res, next));
+};
@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { checkAppSession } from '../services/sessionService.js';
+import { verifyChallengeToken } from '../services/twoFactorService.js';
+import { PANEL_TOKEN_TYPE } from '../utils/jwt.js';
 
 // For website APIs - checks User table
 export const authenticate = async (req, res, next) => {
@@ -17,6 +20,14 @@ export const authenticate = async (req, res, next) => {
       process.env.JWT_SECRET || 'fallback_secret'
     );
 
+    // Only tokens from the panel login - app tokens never went through its two-factor check
+    if (decoded.typ !== PANEL_TOKEN_TYPE) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token - please sign in to the panel'
+      });
+    }
+
     // First check if user exists
     const user = await User.findOne({ email: decoded.email,  role: { $ne: 'customer' }  });
     if (!user) {
@@ -52,6 +63,34 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+// For two-factor enrollment - a signed-in user, or one whose role requires 2FA and who
+// got a setup challengeToken from login instead of a session token
+export const twoFactorEnrollmentAuthenticate = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken, 'setup');
+    const user = await User.findOne({ _id: decoded.id, role: { $ne: 'customer' }, isDeleted: { $ne: true }, isActive: true });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token - User not found'
+      });
+    }
+
+    req.user = { id: String(user._id), email: user.email, role: user.role, name: user.name };
+    req.twoFactorSetup = true;
+    next();
+  } catch (error) {
+    return res.status(error.statusCode || 401).json({
+      success: false,
+      message: error.message || 'Invalid or expired token'
+    });
+  }
+};
+
 // For app APIs - checks User table with customer role
 export const appAuthenticate = async (req, res, next) => {
   try {
@@ -93,11 +132,12 @@ export const appAuthenticate = async (req, res, next) => {
       });
     }
 
-    // Check if token exists in database (user is logged in)
-    if (!user.token || user.token !== token) {
+    // Check the token's session is still open (user is logged in on this device)
+    const sessionError = await checkAppSession(user, decoded, token);
+    if (sessionError) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token - Please login again'
+        message: sessionError
       });
     }
 
@@ -151,11 +191,12 @@ export const appLoggedInAuthenticate = async (req, res, next) => {
       });
     }
 
-    // Check if token exists in database (user is logged in)
-    if (!user.token || user.token !== token) {
+    // Check the token's session is still open (user is logged in on this device)
+    const sessionError = await checkAppSession(user, decoded, token);
+    if (sessionError) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token - Please login again'
+        message: sessionError
       });
     }
 
@@ -210,11 +251,12 @@ export const appAgentAuthenticate = async (req, res, next) => {
       });
     }
 
-    // Check if token exists in database (user is logged in)
-    if (!user.token || user.token !== token) {
+    // Check the token's session is still open (user is logged in on this device)
+    const sessionError = await checkAppSession(user, decoded, token);
+    if (sessionError) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token - Please login again'
+        message: sessionError
       });
     }
 
@@ -227,37 +269,3 @@ export const appAgentAuthenticate = async (req, res, next) => {
     });
   }
 };
-
-export const adminAuthenticate = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided. Authorization required.'
-      });
-    }
-
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'fallback_secret'
-    );
-
-    // First check if user exists
-    const user = await User.findOne({ email: decoded.email,  role:  'manager' });
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token - User not found'
-      });
-    }
-    
-    req.user = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid or expired token'
-    });
-  }
-};
\ No newline at end of file
@@ -44,6 +44,8 @@ export const errorHandler = (
   res.status(statusCode).json({
     success: false,
     message,
+    // Every failed field of a request that did not match its schema (see validateRequest)
+    errors: err.name === 'RequestValidationError' ? err.errors : undefined,
     stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
   });
 };
@@ -0,0 +1,65 @@
+import {
+  ThrottleError,
+  checkIpLimit,
+  checkAccountLock,
+  checkOtpDelay,
+  consumeSendQuota,
+} from '../services/loginProtectionService.js';
+
+const emailFromBody = (req) => req.body?.email;
+
+export const respondThrottled = (res, error) => {
+  res.set('Retry-After', String(error.retryAfterSeconds));
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    retryAfter: error.retryAfterSeconds
+  });
+};
+
+// Limiter problems (e.g. the store being unreachable) are logged and never block sign-in
+const guard = (check) => async (req, res, next) => {
+  try {
+    await check(req);
+  } catch (error) {
+    if (error instanceof ThrottleError) {
+      return respondThrottled(res, error);
+    }
+    console.error('Login protection error:', error);
+  }
+  next();
+};
+
+/**
+ * Password logins: per-IP attempts and the account lockout.
+ * The controller reports wrong passwords with recordLoginFailure.
+ */
+export const protectLogin = guard(async (req) => {
+  await checkIpLimit('login', req.ip);
+  const identifier = emailFromBody(req);
+  if (identifier) {
+    await checkAccountLock(identifier);
+  }
+});
+
+/**
+ * OTP checks: per-IP attempts and the growing delay after wrong codes.
+ * The controller reports wrong codes with recordOtpFailure(scope, ...).
+ */
+export const protectOtpVerification = (scope, identify = emailFromBody) => guard(async (req) => {
+  await checkIpLimit('otp', req.ip);
+  const identifier = identify(req);
+  if (identifier) {
+    await checkOtpDelay(scope, identifier);
+  }
+});
+
+/**
+ * Endpoints that email a code or link: per-account and per-IP send limits
+ */
+export const limitOtpSends = (scope, identify = emailFromBody) => guard(async (req) => {
+  const identifier = identify(req);
+  if (identifier) {
+    await consumeSendQuota(scope, identifier, req.ip);
+  }
+});
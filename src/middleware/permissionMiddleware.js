@@ -0,0 +1,42 @@
+import User from '../models/User.js';
+import { getUserPermissions } from '../services/permissionService.js';
+
+/**
+ * Allow the request only if the signed-in user's role has every listed permission.
+ * Runs after any authentication middleware (website, app or API key) that sets req.user.
+ * The user's permissions are kept on req.permissions for the controller.
+ */
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.user?.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization required.'
+      });
+    }
+
+    if (!req.permissions) {
+      const user = await User.findById(req.user.id).select('role roleId isActive isDeleted').lean();
+      if (!user || user.isDeleted || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token - User not found'
+        });
+      }
+      req.permissions = await getUserPermissions(user);
+    }
+
+    const missing = permissions.filter(permission => !req.permissions.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have permission to do this (requires ${missing.join(', ')})`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
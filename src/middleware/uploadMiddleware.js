@@ -68,12 +68,25 @@ const uploadAttachments = multer({
   }
 });
 
+const storageCategoryIcons = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const dest = path.join(__dirname, '../../public/uploads/categories');
+    ensureDirectoryExists(dest);
+    cb(null, dest);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
 
+const uploadCategoryIcon = multer({
+  storage: storageCategoryIcons,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
 
-
-
-
-
-
-export default { upload, uploadAttachments };
-export { upload, uploadAttachments };
+export default { upload, uploadAttachments, uploadCategoryIcon };
+export { upload, uploadAttachments, uploadCategoryIcon };
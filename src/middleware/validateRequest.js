@@ -0,0 +1,133 @@
+import { body, query, param } from 'express-validator';
+
+const CHECKS = { params: param, query, body };
+
+export class RequestValidationError extends Error {
+  constructor(errors) {
+    super(errors[0]?.message || 'Invalid request');
+    this.name = 'RequestValidationError';
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const describeRange = (min, max, unit = '') => {
+  if (min !== undefined && max !== undefined) return `between ${min} and ${max}${unit}`;
+  if (min !== undefined) return `at least ${min}${unit}`;
+  return `at most ${max}${unit}`;
+};
+
+// validator.js treats a present-but-undefined bound as a real one, so only pass the bounds that are set
+const bounds = (min, max) => ({ ...(min !== undefined && { min }), ...(max !== undefined && { max }) });
+
+// Messages use the concrete field path, e.g. "items[2].name is required"
+const message = (text) => (value, { path }) => `${path} ${text}`;
+
+const addTypeChecks = (chain, field) => {
+  if (field.enum) {
+    return chain.isIn(field.enum).withMessage(message(`must be one of: ${field.enum.join(', ')}`));
+  }
+
+  switch (field.type) {
+    case 'string': {
+      chain = chain.custom(value => typeof value === 'string').withMessage(message('must be a string')).bail();
+      if (field.minLength !== undefined || field.maxLength !== undefined) {
+        chain = chain.isLength(bounds(field.minLength, field.maxLength))
+          .withMessage(message(`must be ${describeRange(field.minLength, field.maxLength, ' characters')}`));
+      }
+      if (field.format === 'objectid') chain = chain.isMongoId().withMessage(message('must be a valid ID'));
+      if (field.format === 'email') chain = chain.isEmail().withMessage(message('must be a valid email address'));
+      if (field.format === 'uri') chain = chain.isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage(message('must be a valid URL'));
+      if (field.format === 'date-time') chain = chain.isISO8601().withMessage(message('must be a valid date'));
+      if (field.pattern) chain = chain.matches(new RegExp(field.pattern)).withMessage(message('has an invalid format'));
+      return chain;
+    }
+    case 'integer':
+      return chain.isInt(bounds(field.minimum, field.maximum))
+        .withMessage(message(field.minimum !== undefined || field.maximum !== undefined
+          ? `must be a whole number ${describeRange(field.minimum, field.maximum)}`
+          : 'must be a whole number'));
+    case 'number':
+      return chain.isFloat(bounds(field.minimum, field.maximum))
+        .withMessage(message(field.minimum !== undefined || field.maximum !== undefined
+          ? `must be a number ${describeRange(field.minimum, field.maximum)}`
+          : 'must be a number'));
+    case 'boolean':
+      return chain.isBoolean().withMessage(message('must be true or false'));
+    case 'array':
+      return chain.isArray(bounds(field.minItems, field.maxItems))
+        .withMessage(message(field.minItems !== undefined || field.maxItems !== undefined
+          ? `must be an array with ${describeRange(field.minItems, field.maxItems, ' items')}`
+          : 'must be an array'));
+    case 'object':
+      return chain.custom(isPlainObject).withMessage(message('must be an object'));
+    default:
+      return chain;
+  }
+};
+
+const buildChains = (location, properties = {}, prefix = '') => Object.entries(properties).flatMap(([name, field]) => {
+  const path = prefix ? `${prefix}.${name}` : name;
+
+  let chain = CHECKS[location](path);
+  if (field.required) {
+    chain = chain.custom(value => !isBlank(value)).withMessage(message('is required')).bail();
+  } else {
+    // Missing, null and empty values are left to the controller (forms send '' for "none")
+    chain = chain.if(value => !isBlank(value));
+  }
+  chain = addTypeChecks(chain, field);
+
+  const nested = [];
+  if (field.type === 'object' && field.properties) {
+    nested.push(...buildChains(location, field.properties, path));
+  }
+  if (field.type === 'array' && field.items) {
+    if (field.items.type === 'object' && field.items.properties) {
+      nested.push(...buildChains(location, field.items.properties, `${path}.*`));
+    } else {
+      nested.push(...buildChains(location, { '*': { ...field.items, required: false } }, path));
+    }
+  }
+  return [chain, ...nested];
+});
+
+/**
+ * Check params, query and body against a route schema (see schemas/fields.js).
+ * Failures go to errorHandler as a RequestValidationError (400 with every problem listed).
+ */
+export const validate = (schema) => {
+  const chains = [
+    ...buildChains('params', schema.params),
+    ...buildChains('query', schema.query),
+    ...buildChains('body', schema.body)
+  ];
+
+  const middleware = async (req, res, next) => {
+    try {
+      // dryRun: check only, never write back into req (Express 5 req.query is read-only)
+      const errors = [];
+      for (const chain of chains) {
+        const result = await chain.run(req, { dryRun: true });
+        for (const error of result.array()) {
+          if (!errors.some(existing => existing.location === error.location && existing.field === error.path)) {
+            errors.push({ location: error.location, field: error.path, message: error.msg });
+          }
+        }
+      }
+      if (errors.length > 0) {
+        return next(new RequestValidationError(errors));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+  // Read by the Swagger generator and route checks
+  middleware.schema = schema;
+  return middleware;
+};
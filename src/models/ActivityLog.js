@@ -19,12 +19,19 @@ const activityLogSchema = new Schema({
         type: String,
         trim: true
     },
+    // Set when the action was made with an API key
+    apiKey: {
+        keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+        name: String,
+        prefix: String
+    },
 }, {
     timestamps: true,
     collection: 'activityLogs'
 });
 
 // userId already has index: true in schema, no need for separate index
+activityLogSchema.index({ 'apiKey.keyId': 1, createdAt: -1 });
 
 
 
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One online session of a staff member (from going online until going offline),
+// used for online hours on the agent scorecard
+const agentPresenceSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // null while the session is still open
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  collection: 'agentPresence'
+});
+
+agentPresenceSchema.index({ userId: 1, endedAt: 1 });
+agentPresenceSchema.index({ userId: 1, startedAt: -1 });
+
+const AgentPresence = mongoose.models.AgentPresence || mongoose.model('AgentPresence', agentPresenceSchema);
+export default AgentPresence;
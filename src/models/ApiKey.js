@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Scopes an integration key can be granted (read = GET requests, write = everything else)
+export const API_KEY_SCOPES = [
+  'tickets:read',
+  'tickets:write',
+  'customers:read',
+  'customers:write',
+  'equipment:read',
+  'equipment:write',
+  'categories:read',
+  'categories:write',
+  'contracts:read',
+  'contracts:write'
+];
+
+const apiKeySchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  // First characters of the key, shown in the panel and activity log to identify it
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key - the key itself is only shown once when created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'Select at least one scope']
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    min: 1,
+    max: 10000,
+    default: 60
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Requests made with the key act as this user
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// keyHash already has unique: true in schema, no need for separate index
+
+const ApiKey = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
+export default ApiKey;
@@ -13,13 +13,27 @@ const categorySchema = new Schema({
     type: String,
     required: [true, 'Description is required'],
     trim: true
+  },
+  // Path of the uploaded icon, e.g. /uploads/categories/icon-123.png
+  icon: {
+    type: String,
+    default: ''
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Retired categories are hidden from the ticket-creation picker but stay on historical tickets
+  isActive: {
+    type: Boolean,
+    default: true
   }
 }, {
   timestamps: true
 });
 
 // name already has unique: true in schema, no need for separate index
-categorySchema.index({ isActive: 1 });
+categorySchema.index({ isActive: 1, sortOrder: 1 });
 
 const Category = mongoose.models.Category || mongoose.model('Category', categorySchema);
 export default Category;
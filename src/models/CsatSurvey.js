@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const csatSurveySchema = new Schema({
+  ticketId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Snapshot of the ticket when the survey was requested, so reports stay stable
+  // if the ticket is reassigned or recategorised later
+  agent: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  categoryId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  equipmentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment',
+    default: null
+  },
+  equipmentModel: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  score: {
+    type: Number,
+    min: [1, 'Score must be between 1 and 5'],
+    max: [5, 'Score must be between 1 and 5'],
+    default: null
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    default: ''
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ticketId already has unique: true in schema, no need for separate index
+csatSurveySchema.index({ status: 1, respondedAt: -1 });
+csatSurveySchema.index({ agent: 1, respondedAt: -1 });
+
+const CsatSurvey = mongoose.models.CsatSurvey || mongoose.model('CsatSurvey', csatSurveySchema);
+export default CsatSurvey;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// A physical machine installed at a customer site (the customer's installed base).
+// Equipment is the model catalogue; this is one serial-numbered unit of a model.
+const customerMachineSchema = new Schema({
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+  equipmentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment',
+    required: [true, 'Equipment model is required']
+  },
+  serialNumber: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  installDate: {
+    type: Date,
+    default: null
+  },
+  siteLocation: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Set by managers - customers cannot change it from the app
+  warrantyEndDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  registeredBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// serialNumber already has unique: true in schema, no need for separate index
+customerMachineSchema.index({ customer: 1, isActive: 1 });
+customerMachineSchema.index({ equipmentId: 1 });
+
+const CustomerMachine = mongoose.models.CustomerMachine || mongoose.model('CustomerMachine', customerMachineSchema);
+export default CustomerMachine;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// An admin's edited copy of one of the file templates in src/templates/email.
+// Deleting it goes back to the file.
+const emailTemplateSchema = new Schema({
+  // Template key, e.g. "ticket-created" or "layout"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Not used for the layout
+  subject: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  html: {
+    type: String,
+    required: [true, 'Template HTML is required']
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const EmailTemplate = mongoose.models.EmailTemplate || mongoose.model('EmailTemplate', emailTemplateSchema);
+export default EmailTemplate;
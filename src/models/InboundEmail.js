@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const INBOUND_EMAIL_STATUSES = ['threaded', 'ticket_created', 'ignored', 'failed'];
+
+// Every email received by the inbound webhook - used for idempotency (providers retry) and troubleshooting
+const inboundEmailSchema = new Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  provider: {
+    type: String,
+    default: 'brevo'
+  },
+  fromEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  fromName: {
+    type: String,
+    default: ''
+  },
+  to: {
+    type: [String],
+    default: []
+  },
+  subject: {
+    type: String,
+    default: ''
+  },
+  attachmentCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: INBOUND_EMAIL_STATUSES,
+    required: true
+  },
+  // Why the email was ignored or failed
+  reason: {
+    type: String,
+    default: ''
+  },
+  ticketId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  chatMessageId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  senderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// messageId already has unique: true in schema, no need for separate index
+inboundEmailSchema.index({ createdAt: -1 });
+inboundEmailSchema.index({ status: 1, createdAt: -1 });
+
+const InboundEmail = mongoose.models.InboundEmail || mongoose.model('InboundEmail', inboundEmailSchema);
+export default InboundEmail;
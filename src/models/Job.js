@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// pending: waiting for its run time, running: claimed by a worker, succeeded: done,
+// dead: gave up after the last attempt (kept until retried from the admin API)
+export const JOB_STATUSES = ['pending', 'running', 'succeeded', 'dead'];
+
+// Finished jobs are kept this long for inspection
+const SUCCEEDED_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const failureSchema = new Schema({
+  attempt: { type: Number, required: true },
+  error: { type: String, default: '' },
+  failedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const jobSchema = new Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'pending'
+  },
+  // Queueing the same key again returns the existing job instead of adding another
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Lease of the worker running it - a job whose lease ran out (crashed worker) is picked up again
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  // Most recent failures, newest last
+  failures: {
+    type: [failureSchema],
+    default: []
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, status: 1 });
+jobSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: SUCCEEDED_TTL_SECONDS, partialFilterExpression: { status: 'succeeded' } });
+
+const Job = mongoose.models.Job || mongoose.model('Job', jobSchema);
+export default Job;
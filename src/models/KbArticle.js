@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const KB_ARTICLE_STATUSES = ['draft', 'published', 'archived'];
+
+const kbArticleSchema = new Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  summary: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required']
+  },
+  sectionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'KbSection',
+    default: null
+  },
+  // Tagging - used to filter browsing and to rank ticket-creation suggestions
+  categoryIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  equipmentIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment'
+  }],
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Only published articles are visible in the customer app
+  status: {
+    type: String,
+    enum: KB_ARTICLE_STATUSES,
+    default: 'draft'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  notHelpfulCount: {
+    type: Number,
+    default: 0
+  },
+  // Times shown as a suggestion while creating a ticket / times it stopped the ticket being created
+  suggestedCount: {
+    type: Number,
+    default: 0
+  },
+  deflectionCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// slug already has unique: true in schema, no need for separate index
+kbArticleSchema.index({ status: 1, sectionId: 1, sortOrder: 1 });
+kbArticleSchema.index({ categoryIds: 1 });
+kbArticleSchema.index({ equipmentIds: 1 });
+kbArticleSchema.index(
+  { title: 'text', tags: 'text', summary: 'text', content: 'text' },
+  { weights: { title: 10, tags: 5, summary: 3, content: 1 }, name: 'kb_article_text' }
+);
+
+const KbArticle = mongoose.models.KbArticle || mongoose.model('KbArticle', kbArticleSchema);
+export default KbArticle;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Top-level grouping of knowledge-base articles (e.g. "Getting started", "Troubleshooting")
+const kbSectionSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Section name is required'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// name already has unique: true in schema, no need for separate index
+kbSectionSchema.index({ isActive: 1, sortOrder: 1 });
+
+const KbSection = mongoose.models.KbSection || mongoose.model('KbSection', kbSectionSchema);
+export default KbSection;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const KB_SUGGESTION_OUTCOMES = ['pending', 'deflected', 'ticket_created'];
+
+// One set of articles suggested while a customer was writing a ticket, and what happened next
+const kbSuggestionSchema = new Schema({
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  categoryId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  equipmentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment',
+    default: null
+  },
+  articleIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'KbArticle'
+  }],
+  outcome: {
+    type: String,
+    enum: KB_SUGGESTION_OUTCOMES,
+    default: 'pending'
+  },
+  // Article the customer said solved the problem
+  deflectedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'KbArticle',
+    default: null
+  },
+  ticketId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+kbSuggestionSchema.index({ createdAt: -1 });
+kbSuggestionSchema.index({ customer: 1, createdAt: -1 });
+
+const KbSuggestion = mongoose.models.KbSuggestion || mongoose.model('KbSuggestion', kbSuggestionSchema);
+export default KbSuggestion;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Optional side effects run when the macro is used on a ticket
+const macroActionsSchema = new Schema({
+  // Status key to move the ticket to (must be an allowed transition at the time of use)
+  setStatus: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Reason sent with setStatus - placeholders are rendered like the reply text
+  statusReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Internal note appended to the ticket - placeholders are rendered like the reply text
+  addNote: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reassignTo: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+const macroSchema = new Schema({
+  title: {
+    type: String,
+    required: [true, 'Macro title is required'],
+    trim: true
+  },
+  // Reply text, e.g. "Hi {{customer.name}}, ticket {{ticket.number}} ..."
+  content: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // shared: every agent can use it, personal: only the owner
+  scope: {
+    type: String,
+    enum: ['shared', 'personal'],
+    default: 'personal'
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Empty means the macro is available in every category
+  categoryIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  actions: {
+    type: macroActionsSchema,
+    default: () => ({})
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+macroSchema.index({ scope: 1, owner: 1, isActive: 1 });
+macroSchema.index({ categoryIds: 1 });
+
+const Macro = mongoose.models.Macro || mongoose.model('Macro', macroSchema);
+export default Macro;
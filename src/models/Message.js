@@ -47,6 +47,19 @@ const messageSchema = new mongoose.Schema({
     size: Number,
     url: String
   }],
+  // Internal notes are only visible to agents and managers
+  isInternal: {
+    type: Boolean,
+    default: false
+  },
+  // Agents/managers @-mentioned in an internal note
+  mentions: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    userName: String
+  }],
   isRead: {
     type: Boolean,
     default: false
@@ -69,5 +82,6 @@ const messageSchema = new mongoose.Schema({
 messageSchema.index({ chatId: 1, createdAt: -1 });
 messageSchema.index({ ticketId: 1, createdAt: -1 });
 messageSchema.index({ 'sender.userId': 1 });
+messageSchema.index({ 'mentions.userId': 1 });
 
 export default mongoose.model('Message', messageSchema);
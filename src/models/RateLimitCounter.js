@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One fixed-window counter of the rate limit store (see services/rateLimitStore.js)
+const rateLimitCounterSchema = new Schema({
+  // e.g. "login_fail:jane@example.com", "ip:login:10.0.0.1", "api_key:<id>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; MongoDB removes the counter after this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Requests for this key are refused until then (lockout / OTP delay)
+  blockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'rateLimitCounters'
+});
+
+// key already has unique: true in schema, no need for separate index
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+export default RateLimitCounter;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Reports that can be scheduled (definitions in services/scheduledReports.js)
+export const REPORT_TYPES = ['backlog_summary', 'sla_breaches', 'new_customers', 'agent_activity'];
+export const REPORT_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+export const REPORT_FORMATS = ['csv', 'pdf'];
+export const REPORT_RUN_STATUSES = ['sent', 'failed'];
+
+const reportScheduleSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [120, 'Name cannot exceed 120 characters']
+  },
+  report: {
+    type: String,
+    enum: REPORT_TYPES,
+    required: [true, 'Report is required']
+  },
+  recipients: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    validate: [recipients => recipients.length > 0, 'At least one recipient is required']
+  },
+  frequency: {
+    type: String,
+    enum: REPORT_FREQUENCIES,
+    default: 'weekly'
+  },
+  // Local time of day (HH:mm) in `timezone`
+  timeOfDay: {
+    type: String,
+    default: '08:00',
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time of day must be HH:mm']
+  },
+  // Weekly: 0 = Sunday ... 6 = Saturday
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    default: 1
+  },
+  // Monthly: up to 28 so every month has the day
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28,
+    default: 1
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  formats: {
+    type: [{ type: String, enum: REPORT_FORMATS }],
+    default: ['csv']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Claimed by moving it on to the following run, so only one instance sends each run
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: [...REPORT_RUN_STATUSES, null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  // Period covered by the last report sent
+  lastPeriod: {
+    from: { type: Date, default: null },
+    to: { type: Date, default: null }
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reportScheduleSchema.index({ isActive: 1, nextRunAt: 1 });
+
+const ReportSchedule = mongoose.models.ReportSchedule || mongoose.model('ReportSchedule', reportScheduleSchema);
+export default ReportSchedule;
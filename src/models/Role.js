@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Granular permissions a role can be made of
+export const PERMISSIONS = [
+  'tickets.view_all',
+  'tickets.create',
+  'tickets.assign',
+  'tickets.update_status',
+  'tickets.add_notes',
+  'chat.reply',
+  'customers.view',
+  'customers.view_all',
+  'customers.manage',
+  'customers.export',
+  'agents.view',
+  'agents.manage',
+  'terms.edit',
+  'email_templates.manage',
+  'categories.manage',
+  'equipment.manage',
+  'contracts.manage',
+  'kb.manage',
+  'macros.manage_shared',
+  'workflow.manage',
+  'sla.manage',
+  'routing.manage',
+  'reports.view',
+  'reports.schedule',
+  'activity_logs.view',
+  'webhooks.manage',
+  'jobs.manage',
+  'api_keys.manage',
+  'inbound_email.view',
+  'roles.manage'
+];
+
+// User type a role is given to (users.role) - decides which login, app and assignment pool the user belongs to
+export const ROLE_BASE_TYPES = ['agent', 'manager'];
+
+const roleSchema = new Schema({
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role key may only contain lowercase letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  permissions: {
+    type: [{ type: String, enum: PERMISSIONS }],
+    default: []
+  },
+  baseRole: {
+    type: String,
+    enum: ROLE_BASE_TYPES,
+    default: 'agent'
+  },
+  // Holders must use two-factor authentication to sign in to the panel
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Built-in roles cannot be deleted; users without a roleId use the system role matching their users.role
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// key already has unique: true in schema, no need for separate index
+
+const Role = mongoose.models.Role || mongoose.model('Role', roleSchema);
+export default Role;
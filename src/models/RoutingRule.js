@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const ROUTING_STRATEGIES = ['manual', 'round_robin', 'least_open', 'skill_weighted', 'online_only'];
+
+const routingRuleSchema = new Schema({
+  categoryId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required'],
+    unique: true
+  },
+  strategy: {
+    type: String,
+    enum: ROUTING_STRATEGIES,
+    default: 'manual'
+  },
+  // Skip agents that already hold this many open tickets (0 = no limit)
+  maxOpenTickets: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Per-agent skill weight used by the skill_weighted strategy (agents without an entry weigh 1)
+  agentWeights: [{
+    agentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    weight: {
+      type: Number,
+      min: 0,
+      default: 1
+    }
+  }],
+  // Round-robin cursor
+  lastAssignedAgent: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// categoryId already has unique: true in schema, no need for separate index
+
+const RoutingRule = mongoose.models.RoutingRule || mongoose.model('RoutingRule', routingRuleSchema);
+export default RoutingRule;
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Ordered from lowest to highest - the best active coverage wins when several contracts apply
+export const COVERAGE_LEVELS = ['basic', 'standard', 'premium'];
+
+const serviceContractSchema = new Schema({
+  contractNumber: {
+    type: String,
+    unique: true,
+    required: true,
+    default: function () {
+      // Generate SC + 8 digit random number
+      const randomNum = Math.floor(10000000 + Math.random() * 90000000);
+      return `SC${randomNum}`;
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Contract name is required'],
+    trim: true
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+  coverageLevel: {
+    type: String,
+    enum: COVERAGE_LEVELS,
+    default: 'standard'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Specific registered machines covered. Leave both lists empty to cover all of the customer's equipment.
+  coveredMachines: [{
+    type: Schema.Types.ObjectId,
+    ref: 'CustomerMachine'
+  }],
+  // Equipment models covered (any of the customer's machines of these models)
+  coveredEquipment: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment'
+  }],
+  // Response-time commitments - tighten the category SLA for covered tickets
+  firstResponseMinutes: {
+    type: Number,
+    min: [1, 'First response commitment must be at least 1 minute'],
+    default: null
+  },
+  resolutionMinutes: {
+    type: Number,
+    min: [1, 'Resolution commitment must be at least 1 minute'],
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// contractNumber already has unique: true in schema, no need for separate index
+serviceContractSchema.index({ customer: 1, isActive: 1, endDate: 1 });
+serviceContractSchema.index({ isActive: 1, endDate: 1 });
+
+const ServiceContract = mongoose.models.ServiceContract || mongoose.model('ServiceContract', serviceContractSchema);
+export default ServiceContract;
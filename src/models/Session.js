@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Which app the session was opened from (decided by the user's role at login)
+export const SESSION_APPS = ['customer_app', 'agent_app'];
+
+const sessionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  app: {
+    type: String,
+    enum: SESSION_APPS,
+    required: true
+  },
+  // SHA-256 of the current refresh token; it changes on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // The token it replaced - presenting it again means the token leaked, so the session is revoked
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  refreshExpiresAt: {
+    type: Date,
+    required: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web', null],
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Push registration of this device, removed when the session ends
+  deviceTokenId: {
+    type: Schema.Types.ObjectId,
+    ref: 'DeviceToken',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// refreshTokenHash already has unique: true in schema, no need for separate index
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Only rotated sessions have a previous token; sparse would still index the null default
+sessionSchema.index(
+  { previousRefreshTokenHash: 1 },
+  { partialFilterExpression: { previousRefreshTokenHash: { $type: 'string' } } }
+);
+
+const Session = mongoose.models.Session || mongoose.model('Session', sessionSchema);
+export default Session;
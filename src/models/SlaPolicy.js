@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const businessHoursSchema = new Schema({
+  // When disabled, targets are counted around the clock (24x7)
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    default: 'America/New_York'
+  },
+  // 0 = Sunday ... 6 = Saturday
+  workingDays: {
+    type: [Number],
+    default: [1, 2, 3, 4, 5]
+  },
+  startTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:mm format'],
+    default: '09:00'
+  },
+  endTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be in HH:mm format'],
+    default: '17:00'
+  },
+  // Dates (YYYY-MM-DD, in the calendar's timezone) that are not worked
+  holidays: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+const slaPolicySchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  categoryId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  // Optional - a policy with equipmentId wins over the category-wide policy
+  equipmentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Equipment',
+    default: null
+  },
+  firstResponseMinutes: {
+    type: Number,
+    required: [true, 'First response target is required'],
+    min: [1, 'First response target must be at least 1 minute']
+  },
+  resolutionMinutes: {
+    type: Number,
+    required: [true, 'Resolution target is required'],
+    min: [1, 'Resolution target must be at least 1 minute']
+  },
+  // Percentage of the target elapsed before the ticket is flagged as at risk
+  warningThresholdPercent: {
+    type: Number,
+    min: 1,
+    max: 99,
+    default: 80
+  },
+  businessHours: {
+    type: businessHoursSchema,
+    default: () => ({})
+  },
+  // Extra ticket statuses during which the SLA clock is paused
+  // (statuses of workflow kind 'paused', e.g. awaiting_customer, always pause it)
+  pauseStatuses: {
+    type: [String],
+    default: []
+  },
+  // Extra addresses that receive escalation emails besides managers and the assigned agent
+  escalationEmails: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+slaPolicySchema.index({ categoryId: 1, equipmentId: 1, isActive: 1 });
+
+const SlaPolicy = mongoose.models.SlaPolicy || mongoose.model('SlaPolicy', slaPolicySchema);
+export default SlaPolicy;
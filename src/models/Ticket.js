@@ -2,6 +2,53 @@ import mongoose from 'mongoose';
 
 const { Schema } = mongoose;
 
+const slaSchema = new Schema({
+  policyId: { type: Schema.Types.ObjectId, ref: 'SlaPolicy', default: null },
+  firstResponseDueAt: { type: Date, default: null },
+  resolutionDueAt: { type: Date, default: null },
+  firstResponseWarningAt: { type: Date, default: null },
+  resolutionWarningAt: { type: Date, default: null },
+  firstRespondedAt: { type: Date, default: null },
+  resolvedAt: { type: Date, default: null },
+  pausedAt: { type: Date, default: null },
+  pausedMinutes: { type: Number, default: 0 },
+  state: { type: String, enum: ['none', 'on_track', 'at_risk', 'breached', 'paused', 'met'], default: 'none' },
+  firstResponseBreached: { type: Boolean, default: false },
+  resolutionBreached: { type: Boolean, default: false },
+  // Escalations already sent, so the monitor never notifies twice for the same event
+  escalations: { type: [String], default: [] }
+}, { _id: false });
+
+// Why the ticket is assigned to its current agent
+const routingSchema = new Schema({
+  strategy: { type: String, default: null },
+  reason: { type: String, default: '' },
+  decidedAt: { type: Date, default: null },
+  decidedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  candidates: [{
+    _id: false,
+    agentId: { type: Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    openTickets: Number,
+    weight: Number,
+    online: Boolean
+  }]
+}, { _id: false });
+
+// Warranty / service contract coverage, checked when the ticket is created
+const entitlementSchema = new Schema({
+  status: { type: String, enum: ['covered', 'not_covered', 'unknown'], default: 'unknown' },
+  source: { type: String, enum: ['contract', 'warranty', null], default: null },
+  contractId: { type: Schema.Types.ObjectId, ref: 'ServiceContract', default: null },
+  coverageLevel: { type: String, default: null },
+  expiresAt: { type: Date, default: null },
+  reason: { type: String, default: '' },
+  checkedAt: { type: Date, default: null },
+  // Out-of-coverage tickets moved to the sales queue keep the category the customer picked
+  routedToSales: { type: Boolean, default: false },
+  originalCategoryId: { type: Schema.Types.ObjectId, ref: 'Category', default: null }
+}, { _id: false });
+
 const ticketSchema = new Schema({
   ticketNumber: {
     type: String,
@@ -18,18 +65,30 @@ const ticketSchema = new Schema({
   notes: { type: [String], default: [] },
   attachments: { type: [String], default: [] },
   serialNumber: { type: String, trim: true },
-  status: { type: String, enum: ['pending', 'in_progress', 'closed', 'resolved', 'reopen'], default: 'pending' },
+  // Key of a TicketStatus - allowed values and transitions come from the configurable workflow
+  status: { type: String, default: 'pending' },
+  // Reason given when the ticket was last resolved or closed
+  resolutionNote: { type: String, trim: true, default: '' },
   customer: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   assignedAgent: { type: Schema.Types.ObjectId, ref: 'User', default: null },
   categoryId: { type: Schema.Types.ObjectId, ref: 'Category' },
   equipmentId: { type: Schema.Types.ObjectId, ref: 'Equipment', default: null },
+  // The customer's registered machine the ticket is about (serialNumber is copied from it)
+  machineId: { type: Schema.Types.ObjectId, ref: 'CustomerMachine', default: null },
+  // Where the ticket came from (null for tickets created before this was tracked)
+  channel: { type: String, enum: ['app', 'portal', 'email', null], default: null },
   isReadTicket: { type: Boolean, default: false },
-  isArchived: { type: Boolean, default: false }
+  isArchived: { type: Boolean, default: false },
+  sla: { type: slaSchema, default: () => ({}) },
+  routing: { type: routingSchema, default: () => ({}) },
+  entitlement: { type: entitlementSchema, default: () => ({}) }
 }, {
   timestamps: true
 });
 
 ticketSchema.index({ createdAt: -1 });
+ticketSchema.index({ 'sla.state': 1, 'sla.resolutionDueAt': 1 });
+ticketSchema.index({ 'entitlement.status': 1 });
 // ticketNumber already has unique: true in schema, no need for separate index
 
 const Ticket = mongoose.models.Ticket || mongoose.model('Ticket', ticketSchema);
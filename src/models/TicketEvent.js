@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const TICKET_EVENT_TYPES = [
+  'created',
+  'status_changed',
+  'assigned',
+  'reassigned',
+  'unassigned',
+  'note_added',
+  'attachment_added',
+  'archived',
+  'unarchived',
+  'csat_submitted',
+  'macro_applied',
+  'category_changed'
+];
+
+const ticketEventSchema = new Schema({
+  ticketId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TICKET_EVENT_TYPES,
+    required: true
+  },
+  // Snapshot of who did it - null userId means the system (routing, SLA, etc.)
+  actor: {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    name: { type: String, default: 'System' },
+    role: { type: String, default: 'system' }
+  },
+  before: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+  message: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'ticketEvents'
+});
+
+ticketEventSchema.index({ ticketId: 1, createdAt: 1 });
+
+const TicketEvent = mongoose.models.TicketEvent || mongoose.model('TicketEvent', ticketEventSchema);
+export default TicketEvent;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// open: being worked, paused: waiting on someone else (SLA clock stops),
+// resolved / closed: work finished (SLA clock stops for good)
+export const STATUS_KINDS = ['open', 'paused', 'resolved', 'closed'];
+
+const transitionSchema = new Schema({
+  to: {
+    type: String,
+    required: [true, 'Transition target status is required'],
+    trim: true
+  },
+  // Roles allowed to perform this transition
+  roles: {
+    type: [String],
+    enum: ['agent', 'manager', 'customer'],
+    default: ['agent', 'manager']
+  },
+  requiresReason: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const ticketStatusSchema = new Schema({
+  key: {
+    type: String,
+    required: [true, 'Status key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Status key may only contain lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Status label is required'],
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: STATUS_KINDS,
+    default: 'open'
+  },
+  // Push notification body sent to the customer when a ticket enters this status
+  customerMessage: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // New tickets start in the initial status
+  isInitial: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  transitions: {
+    type: [transitionSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// key already has unique: true in schema, no need for separate index
+
+const TicketStatus = mongoose.models.TicketStatus || mongoose.model('TicketStatus', ticketStatusSchema);
+export default TicketStatus;
@@ -42,6 +42,12 @@ const userSchema = new Schema({
     enum: ['agent', 'manager', 'customer'],
     default: 'agent'
   },
+  // Custom or built-in permission role (see Role); null means the system role named after `role`
+  roleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    default: null
+  },
   categoryIds: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category'
@@ -65,6 +71,42 @@ const userSchema = new Schema({
     type: Date,
     select: false
   },
+  // Two-factor authentication (web panel). Secrets and codes are never selected by default.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret being enrolled, moved to twoFactorSecret once a code from it is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last authenticator time step accepted, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of unused backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorEmailOTP: {
+    type: String,
+    select: false
+  },
+  twoFactorEmailOTPExpiry: {
+    type: Date,
+    select: false
+  },
   status: {
     type: String,
     enum: ['online', 'offline'],
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// pending: waiting for its next attempt, succeeded: 2xx received, failed: gave up after the last attempt
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const attemptSchema = new Schema({
+  attemptedAt: { type: Date, default: Date.now },
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: String, default: '' },
+  error: { type: String, default: '' },
+  durationMs: { type: Number, default: 0 }
+}, { _id: false });
+
+const webhookDeliverySchema = new Schema({
+  endpointId: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  // Same for every delivery of one event, so receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  // Set on deliveries created by a manual replay
+  replayOf: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', webhookDeliverySchema);
+export default WebhookDelivery;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Event types an endpoint can subscribe to
+export const WEBHOOK_EVENTS = [
+  'ticket.created',
+  'ticket.status_changed',
+  'ticket.assigned',
+  'ticket.unassigned',
+  'ticket.category_changed',
+  'ticket.note_added',
+  'ticket.attachment_added',
+  'ticket.archived',
+  'ticket.unarchived',
+  'ticket.csat_submitted',
+  'message.created',
+  'customer.created',
+  'customer.updated',
+  'customer.activated',
+  'customer.deactivated',
+  'customer.deleted'
+];
+
+const webhookEndpointSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'Select at least one event']
+  },
+  // HMAC-SHA256 signing secret - only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookEndpointSchema.index({ isActive: 1, events: 1 });
+
+const WebhookEndpoint = mongoose.models.WebhookEndpoint || mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+export default WebhookEndpoint;
@@ -1,11 +1,14 @@
 import { Router } from 'express';
 import { appAgentAuthenticate } from '../../../middleware/authMiddleware.js';
+import { requirePermission } from '../../../middleware/permissionMiddleware.js';
 import {
   getChatDetailsForAgent,
   sendMessage,
   getUserChatsLists,
   readAllMessages
 } from '../../../controllers/website/chatController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/agent/chatSchemas.js';
 
 const router = Router();
 
@@ -14,7 +17,7 @@ router.use(appAgentAuthenticate);
 
 /**
  * @swagger
- * /agent/chat/list:
+ * /app/agent/chat/list:
  *   get:
  *     tags:
  *       - Agent Chat
@@ -27,62 +30,36 @@ router.use(appAgentAuthenticate);
  *       401:
  *         description: Unauthorized
  */
-router.get('/list', getUserChatsLists);
+router.get('/list', validate(schemas.getUserChatsLists), getUserChatsLists);
 
 
 /**
  * @swagger
- * /agent/chat/ticket/{ticketId}:
+ * /app/agent/chat/ticket/{ticketId}:
  *   get:
  *     tags:
  *       - Agent Chat
  *     summary: Get or create chat for ticket
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: ticketId
- *         required: true
- *         schema:
- *           type: string
- *         description: Ticket ID
  *     responses:
  *       200:
  *         description: Chat details
  *       401:
  *         description: Unauthorized
  */
-router.get('/ticket/:ticketId', getChatDetailsForAgent);
+router.get('/ticket/:ticketId', validate(schemas.getChatDetailsForAgent), getChatDetailsForAgent);
 
 
 /**
  * @swagger
- * /agent/chat/send:
+ * /app/agent/chat/send:
  *   post:
  *     tags:
  *       - Agent Chat
  *     summary: Send message
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               chatId:
- *                 type: string
- *               ticketId:
- *                 type: string
- *               content:
- *                 type: string
- *               messageType:
- *                 type: string
- *                 enum: [text, image, file]
- *                 default: text
- *             required:
- *               - content
  *     responses:
  *       201:
  *         description: Message sent successfully
@@ -91,24 +68,17 @@ router.get('/ticket/:ticketId', getChatDetailsForAgent);
  *       401:
  *         description: Unauthorized
  */
-router.post('/send', sendMessage);
+router.post('/send', requirePermission('chat.reply'), validate(schemas.sendMessage), sendMessage);
 
 /**
  * @swagger
- * /agent/chat/{chatId}/readAllMessages:
+ * /app/agent/chat/{chatId}/readAllMessages:
  *   put:
  *     tags:
  *       - Agent Chat
  *     summary: Mark all messages as read
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: chatId
- *         required: true
- *         schema:
- *           type: string
- *         description: Chat ID
  *     responses:
  *       200:
  *         description: Messages marked as read successfully
@@ -119,6 +89,6 @@ router.post('/send', sendMessage);
  *       404:
  *         description: Chat not found
  */
-router.put('/:chatId/readAllMessages', readAllMessages);
+router.put('/:chatId/readAllMessages', validate(schemas.readAllMessages), readAllMessages);
 
 export default router;
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { appAgentAuthenticate } from '../../../middleware/authMiddleware.js';
+import { requirePermission } from '../../../middleware/permissionMiddleware.js';
 import { 
   createCustomer, 
   getCustomers, 
@@ -9,6 +10,8 @@ import {
   getCustomerStats,
   exportCustomersCsv
 } from '../../../controllers/website/customerController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/agent/customerSchemas.js';
 
 const router = Router();
 
@@ -16,37 +19,13 @@ router.use(appAgentAuthenticate);
 
 /**
  * @swagger
- * /agent/customers:
+ * /app/agent/customers:
  *   post:
  *     tags:
  *       - Agent Customers
  *     summary: Create new customer
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               firstName:
- *                 type: string
- *               lastName:
- *                 type: string
- *               email:
- *                 type: string
- *                 format: email
- *               phone:
- *                 type: string
- *               password:
- *                 type: string
- *             required:
- *               - firstName
- *               - lastName
- *               - email
- *               - password
- *               - phone
  *     responses:
  *       201:
  *         description: Customer created successfully
@@ -55,46 +34,28 @@ router.use(appAgentAuthenticate);
  *       401:
  *         description: Unauthorized
  */
-router.post('/', createCustomer);
+router.post('/', requirePermission('customers.manage'), validate(schemas.createCustomer), createCustomer);
 
 /**
  * @swagger
- * /agent/customers:
+ * /app/agent/customers:
  *   get:
  *     tags:
  *       - Agent Customers
  *     summary: Get all customers
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 50
- *           default: 10
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: List of customers with pagination
  *       401:
  *         description: Unauthorized
  */
-router.get('/', getCustomers);
+router.get('/', requirePermission('customers.view'), validate(schemas.getCustomers), getCustomers);
 
 /**
  * @swagger
- * /agent/customers/stats/summary:
+ * /app/agent/customers/stats/summary:
  *   get:
  *     tags:
  *       - Agent Customers
@@ -107,11 +68,11 @@ router.get('/', getCustomers);
  *       401:
  *         description: Unauthorized
  */
-router.get('/stats/summary', getCustomerStats);
+router.get('/stats/summary', requirePermission('customers.view'), validate(schemas.getCustomerStats), getCustomerStats);
 
 /**
  * @swagger
- * /agent/customers/export/csv:
+ * /app/agent/customers/export/csv:
  *   get:
  *     tags:
  *       - Agent Customers
@@ -124,23 +85,17 @@ router.get('/stats/summary', getCustomerStats);
  *       401:
  *         description: Unauthorized
  */
-router.get('/export/csv', exportCustomersCsv);
+router.get('/export/csv', requirePermission('customers.export'), validate(schemas.exportCustomersCsv), exportCustomersCsv);
 
 /**
  * @swagger
- * /agent/customers/{id}:
+ * /app/agent/customers/{id}:
  *   get:
  *     tags:
  *       - Agent Customers
  *     summary: Get customer by ID
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Customer details
@@ -149,41 +104,17 @@ router.get('/export/csv', exportCustomersCsv);
  *       401:
  *         description: Unauthorized
  */
-router.get('/:id', getCustomer);
+router.get('/:id', requirePermission('customers.view'), validate(schemas.getCustomer), getCustomer);
 
 /**
  * @swagger
- * /agent/customers/{id}:
+ * /app/agent/customers/{id}:
  *   put:
  *     tags:
  *       - Agent Customers
  *     summary: Update customer
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               phone:
- *                 type: string
- *               password:
- *                 type: string
- *               firstName:
- *                 type: string
- *               lastName:
- *                 type: string
  *     responses:
  *       200:
  *         description: Customer updated successfully
@@ -192,23 +123,17 @@ router.get('/:id', getCustomer);
  *       401:
  *         description: Unauthorized
  */
-router.put('/:id', updateCustomer);
+router.put('/:id', requirePermission('customers.manage'), validate(schemas.updateCustomer), updateCustomer);
 
 /**
  * @swagger
- * /agent/customers/{id}:
+ * /app/agent/customers/{id}:
  *   delete:
  *     tags:
  *       - Agent Customers
  *     summary: Delete customer
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Customer deleted successfully
@@ -217,6 +142,6 @@ router.put('/:id', updateCustomer);
  *       401:
  *         description: Unauthorized
  */
-router.delete('/:id', deleteCustomer);
+router.delete('/:id', requirePermission('customers.manage'), validate(schemas.deleteCustomer), deleteCustomer);
 
 export default router;
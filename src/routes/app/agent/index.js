@@ -3,6 +3,7 @@ import ticketRoutes from './ticketRoutes.js';
 import customerRoutes from './customerRoutes.js';
 import chatRoutes from './chatRoutes.js';
 import profileRoutes from './profileRoutes.js';
+import macroRoutes from './macroRoutes.js';
 
 const router = Router();
 
@@ -17,12 +18,15 @@ const router = Router();
  *     description: Agent chat endpoints
  *   - name: Agent Profile
  *     description: Agent profile management endpoints
+ *   - name: Agent Macros
+ *     description: Canned responses and macros for agent replies
  */
 
 // Agent routes
 router.use('/tickets', ticketRoutes);
 router.use('/customers', customerRoutes);
 router.use('/chat', chatRoutes);
+router.use('/macros', macroRoutes);
 router.use('/', profileRoutes);
 
 export default router;
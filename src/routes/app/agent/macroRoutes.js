@@ -0,0 +1,52 @@
+import { Router } from 'express';
+import { appAgentAuthenticate } from '../../../middleware/authMiddleware.js';
+import {
+  getMacros,
+  previewMacro
+} from '../../../controllers/website/macroController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/agent/macroSchemas.js';
+
+const router = Router();
+
+router.use(appAgentAuthenticate);
+
+/**
+ * @swagger
+ * /app/agent/macros:
+ *   get:
+ *     tags:
+ *       - Agent Macros
+ *     summary: List reply macros
+ *     description: Shared macros plus the agent's personal ones. Pass ticketId to only get macros available in that ticket's category.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Macros and the supported placeholders
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validate(schemas.getMacros), getMacros);
+
+/**
+ * @swagger
+ * /app/agent/macros/{id}/preview:
+ *   get:
+ *     tags:
+ *       - Agent Macros
+ *     summary: Preview a macro for a ticket
+ *     description: Renders the macro placeholders (customer name, ticket number, equipment model, serial number...) without sending it. Send it with POST /agent/chat/send and macroId.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rendered macro
+ *       404:
+ *         description: Macro or ticket not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/preview', validate(schemas.previewMacro), previewMacro);
+
+export default router;
@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import { appAgentAuthenticate } from '../../../middleware/authMiddleware.js';
-import { newProfileUpdate } from '../../../controllers/app/appProfileController.js';
+import { newProfileUpdate, getMyScorecard } from '../../../controllers/app/appProfileController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/agent/profileSchemas.js';
 
 const router = Router();
 
@@ -9,30 +11,13 @@ router.use(appAgentAuthenticate);
 
 /**
  * @swagger
- * /agent/new-profile-update:
+ * /app/agent/new-profile-update:
  *   put:
  *     tags:
  *       - Agent Profile
  *     summary: Update agent profile
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Agent name
- *               email:
- *                 type: string
- *                 format: email
- *                 description: Agent email
- *               phone:
- *                 type: string
- *                 description: Agent phone number
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -59,7 +44,41 @@ router.use(appAgentAuthenticate);
  *       500:
  *         description: Server error
  */
-router.put('/new-profile-update', newProfileUpdate);
+router.put('/new-profile-update', validate(schemas.newProfileUpdate), newProfileUpdate);
 
-export default router;
+/**
+ * @swagger
+ * /app/agent/scorecard:
+ *   get:
+ *     tags:
+ *       - Agent Profile
+ *     summary: Own performance scorecard
+ *     description: Tickets handled, first response and handle times, reassignments, reopen rate, messages, online hours and CSAT, each compared with the previous period of the same length.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the period (default 30 days before to)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the period (default now)
+ *     responses:
+ *       200:
+ *         description: Scorecard fetched successfully
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/scorecard', validate(schemas.getMyScorecard), getMyScorecard);
 
+export default router;
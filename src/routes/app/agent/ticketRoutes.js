@@ -1,46 +1,29 @@
 import { Router } from 'express';
 import { appAgentAuthenticate } from '../../../middleware/authMiddleware.js';
+import { requirePermission } from '../../../middleware/permissionMiddleware.js';
 import {
   getTicketList,
   getTicketByID,
   getTicketsSummary,
-  updateTicketStatus
+  updateTicketStatus,
+  getTicketTimeline,
+  getTicketTransitions
 } from '../../../controllers/website/agentTicketController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/agent/ticketSchemas.js';
 const router = Router();
 
 router.use(appAgentAuthenticate);
 
 /**
  * @swagger
- * /agent/tickets:
+ * /app/agent/tickets:
  *   get:
  *     tags:
  *       - Agent Tickets
  *     summary: Get all tickets
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 50
- *           default: 10
- *         description: Number of tickets per page
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, in_progress, closed, resolved]
- *         description: Filter by ticket status
      *       - in: query
      *         name: category
      *         schema:
@@ -57,24 +40,17 @@ router.use(appAgentAuthenticate);
  *       401:
  *         description: Unauthorized
  */
-router.get('/', getTicketList);
+router.get('/', validate(schemas.getTicketList), getTicketList);
 
 /**
  * @swagger
- * /agent/tickets/details/{id}:
+ * /app/agent/tickets/details/{id}:
  *   get:
  *     tags:
  *       - Agent Tickets
  *     summary: Get ticket by ID
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Ticket ID
  *     responses:
  *       200:
  *         description: Ticket details
@@ -83,12 +59,52 @@ router.get('/', getTicketList);
  *       401:
  *         description: Unauthorized
  */
-router.get('/details/:id', getTicketByID);
+router.get('/details/:id', validate(schemas.getTicketByID), getTicketByID);
+
+/**
+ * @swagger
+ * /app/agent/tickets/details/{id}/timeline:
+ *   get:
+ *     tags:
+ *       - Agent Tickets
+ *     summary: Get ticket history timeline
+ *     description: Status changes, assignments, notes, attachments and archive toggles with actor, before/after values and timestamp (oldest first).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ticket timeline
+ *       404:
+ *         description: Ticket not found or access denied
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/details/:id/timeline', validate(schemas.getTicketTimeline), getTicketTimeline);
+
+/**
+ * @swagger
+ * /app/agent/tickets/details/{id}/transitions:
+ *   get:
+ *     tags:
+ *       - Agent Tickets
+ *     summary: Get the statuses this user can move the ticket to
+ *     description: Allowed transitions from the ticket's current status for the caller's role, and whether each needs a reason.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Allowed transitions
+ *       404:
+ *         description: Ticket not found or access denied
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/details/:id/transitions', validate(schemas.getTicketTransitions), getTicketTransitions);
 
 
 /**
  * @swagger
- * /agent/tickets/summary:
+ * /app/agent/tickets/summary:
  *   get:
  *     tags:
  *       - Agent Tickets
@@ -101,52 +117,35 @@ router.get('/details/:id', getTicketByID);
  *       401:
  *         description: Unauthorized
  */
-router.get('/summary', getTicketsSummary);
+router.get('/summary', validate(schemas.getTicketsSummary), getTicketsSummary);
 
 
 
 
 /**
  * @swagger
- * /agent/tickets/change-status/{id}:
+ * /app/agent/tickets/change-status/{id}:
  *   put:
  *     tags:
  *       - Agent Tickets
  *     summary: Update ticket status
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Ticket ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - status
- *             properties:
- *               status:
- *                 type: string
- *                 example: pending
  *     responses:
  *       200:
  *         description: Ticket status updated successfully
  *       400:
- *         description: Invalid status
+ *         description: Transition not allowed, unknown status or missing reason
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Role not allowed to perform this transition
  *       404:
  *         description: Ticket not found
  */
 
 
-router.put('/change-status/:id', updateTicketStatus);
+router.put('/change-status/:id', requirePermission('tickets.update_status'), validate(schemas.updateTicketStatus), updateTicketStatus);
 
 
 
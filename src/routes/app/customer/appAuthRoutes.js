@@ -9,55 +9,42 @@ import {
   verifyOTP,
   resetPassword,
   logout,
+  refreshAccessToken,
+  logoutAllDevices,
+  getSessions,
+  revokeSessionById,
   onlineOfflineStatus,
 } from '../../../controllers/app/appAuthController.js';
 import { appLoggedInAuthenticate } from '../../../middleware/authMiddleware.js';
+import { protectLogin, protectOtpVerification, limitOtpSends } from '../../../middleware/loginProtectionMiddleware.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appAuthSchemas.js';
 
 const router = Router();
 
 /**
  * @swagger
- * /auth/login:
+ * /app/auth/login:
  *   post:
  *     tags:
  *       - App Authentication
  *     summary: Customer login for mobile app
  *     description: No authentication required - public endpoint
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: customer@yopmail.com
- *               password:
- *                 type: string
- *                 example: password123
- *               fcmToken:
- *                 type: string
- *                 example: fcm_token_example
- *               platform:
- *                 type: string
- *                 enum: [android, ios]
- *                 default: android
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. Returns a short-lived access token and a refresh token for this device.
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed logins
+ *       429:
+ *         description: Too many attempts from this network
  */
-router.post('/login', login);
+router.post('/login', protectLogin, validate(schemas.login), login);
 
 /**
  * @swagger
- * /auth/device-token:
+ * /app/auth/device-token:
  *   post:
  *     tags:
  *       - App Authentication
@@ -65,22 +52,6 @@ router.post('/login', login);
  *     description: Store or update the device token for the authenticated user
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - deviceToken
- *             properties:
- *               deviceToken:
- *                 type: string
- *                 example: fcm_token_example
- *               devicePlatform:
- *                 type: string
- *                 enum: [android, ios]
- *                 default: android
  *     responses:
  *       200:
  *         description: Device token registered successfully
@@ -89,75 +60,32 @@ router.post('/login', login);
  *       401:
  *         description: Unauthorized
  */
-router.post('/device-token', appLoggedInAuthenticate, registerDeviceTokenForUser);
+router.post('/device-token', appLoggedInAuthenticate, validate(schemas.registerDeviceTokenForUser), registerDeviceTokenForUser);
 
 /**
  * @swagger
- * /auth/register:
+ * /app/auth/register:
  *   post:
  *     tags:
  *       - App Authentication
  *     summary: Customer registration
  *     description: No authentication required - public endpoint
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - phoneNumber
- *               - password
- *             properties:
- *               name:
- *                 type: string
- *                 example: John Doe
- *               email:
- *                 type: string
- *                 format: email
- *                 example: john@example.com
- *               phoneNumber:
- *                 type: string
- *                 example: "9876543210"
- *               password:
- *                 type: string
- *                 minLength: 6
- *                 example: password123
  *     responses:
  *       201:
  *         description: Registration successful
  *       400:
  *         description: Validation error
  */
-router.post('/register', register);
+router.post('/register', validate(schemas.register), register);
 
 /**
  * @swagger
- * /auth/verify-email:
+ * /app/auth/verify-email:
  *   post:
  *     tags:
  *       - App Authentication
  *     summary: Verify customer email using OTP
  *     description: Verify the email address using the OTP received after registration
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - otp
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: customer@example.com
- *               otp:
- *                 type: string
- *                 example: "123456"
  *     responses:
  *       200:
  *         description: Email verified successfully
@@ -165,30 +93,19 @@ router.post('/register', register);
  *         description: Invalid or expired OTP
  *       404:
  *         description: Account not found
+ *       429:
+ *         description: Too many incorrect codes - wait before trying again (the delay doubles after each wrong OTP)
  */
-router.post('/verify-email', verifyEmailOtp);
+router.post('/verify-email', protectOtpVerification('email_verification'), validate(schemas.verifyEmailOtp), verifyEmailOtp);
 
 /**
  * @swagger
- * /auth/resend-email-otp:
+ * /app/auth/resend-email-otp:
  *   post:
  *     tags:
  *       - App Authentication
  *     summary: Resend email verification OTP
  *     description: Resend OTP to verify customer email address
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: customer@example.com
  *     responses:
  *       200:
  *         description: Verification OTP resent successfully
@@ -196,64 +113,37 @@ router.post('/verify-email', verifyEmailOtp);
  *         description: Email already verified
  *       404:
  *         description: Account not found
+ *       429:
+ *         description: Too many codes requested
  */
-router.post('/resend-email-otp', resendEmailVerificationOtp);
+router.post('/resend-email-otp', limitOtpSends('email_verification'), validate(schemas.resendEmailVerificationOtp), resendEmailVerificationOtp);
 
 /**
  * @swagger
- * /auth/forgot-password:
+ * /app/auth/forgot-password:
  *   post:
  *     tags:
  *       - App Authentication
  *     summary: Request password reset
  *     description: Send password reset token to customer email
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: customer@yopmail.com
  *     responses:
  *       200:
  *         description: Reset token sent (if email exists)
  *       400:
  *         description: Validation error
+ *       429:
+ *         description: Too many codes requested
  */
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', limitOtpSends('password_reset'), validate(schemas.forgotPassword), forgotPassword);
 
 /**
  * @swagger
- * /auth/verify-otp:
+ * /app/auth/verify-otp:
  *   post:
  *     tags:
  *       - App Authentication
  *     summary: Verify OTP for password reset
  *     description: Verify the OTP sent to user's email
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - otp
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: customer@yopmail.com
- *               otp:
- *                 type: string
- *                 pattern: '^[0-9]{6}$'
- *                 example: "123456"
  *     responses:
  *       200:
  *         description: OTP verified successfully
@@ -261,12 +151,14 @@ router.post('/forgot-password', forgotPassword);
  *         description: Invalid or expired OTP
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many incorrect codes - wait before trying again (the delay doubles after each wrong OTP)
  */
-router.post('/verify-otp', verifyOTP);
+router.post('/verify-otp', protectOtpVerification('password_reset'), validate(schemas.verifyOTP), verifyOTP);
 
 /**
  * @swagger
- * /auth/reset-password:
+ * /app/auth/reset-password:
  *   post:
  *     tags:
  *       - App Authentication
@@ -274,24 +166,6 @@ router.post('/verify-otp', verifyOTP);
  *     description: Reset user password using reset token from verify-otp endpoint
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - newPassword
- *               - confirmPassword
- *             properties:
- *               newPassword:
- *                 type: string
- *                 minLength: 6
- *                 example: newpassword123
- *               confirmPassword:
- *                 type: string
- *                 minLength: 6
- *                 example: newpassword123
  *     responses:
  *       200:
  *         description: Password reset successfully
@@ -302,16 +176,16 @@ router.post('/verify-otp', verifyOTP);
  *       404:
  *         description: User not found
  */
-router.post('/reset-password', resetPassword);
+router.post('/reset-password', validate(schemas.resetPassword), resetPassword);
 
 /**
  * @swagger
- * /auth/logout:
+ * /app/auth/logout:
  *   post:
  *     tags:
  *       - App Authentication
  *     summary: Customer logout
- *     description: Logout the authenticated customer
+ *     description: Log out this device - ends its session and unregisters its push token
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -329,13 +203,85 @@ router.post('/reset-password', resetPassword);
  *                   type: string
  *                   example: Logged out successfully
  */
-router.post('/logout', appLoggedInAuthenticate, logout);
+router.post('/logout', appLoggedInAuthenticate, validate(schemas.logout), logout);
+
+/**
+ * @swagger
+ * /app/auth/refresh:
+ *   post:
+ *     tags:
+ *       - App Authentication
+ *     summary: Refresh the access token
+ *     description: No authentication required - exchanges a refresh token for a new access token and refresh token. The old refresh token stops working; using it again ends the session.
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       400:
+ *         description: refreshToken is required
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+router.post('/refresh', validate(schemas.refreshAccessToken), refreshAccessToken);
+
+/**
+ * @swagger
+ * /app/auth/logout-all:
+ *   post:
+ *     tags:
+ *       - App Authentication
+ *     summary: Log out everywhere
+ *     description: Ends every session of the authenticated customer or agent and unregisters their push tokens
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', appLoggedInAuthenticate, validate(schemas.logoutAllDevices), logoutAllDevices);
+
+/**
+ * @swagger
+ * /app/auth/sessions:
+ *   get:
+ *     tags:
+ *       - App Authentication
+ *     summary: List signed-in devices
+ *     description: Active sessions of the authenticated customer or agent across the customer and agent apps. The current device has isCurrent true.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', appLoggedInAuthenticate, validate(schemas.getSessions), getSessions);
+
+/**
+ * @swagger
+ * /app/auth/sessions/{id}:
+ *   delete:
+ *     tags:
+ *       - App Authentication
+ *     summary: Log out one device
+ *     description: Ends the session and unregisters its push token
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Device logged out successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', appLoggedInAuthenticate, validate(schemas.revokeSessionById), revokeSessionById);
 
 
 
 /**
  * @swagger
- * /auth/onlineOffline/{status}:
+ * /app/auth/onlineOffline/{status}:
  *   post:
  *     tags:
  *       - App Authentication
@@ -343,14 +289,6 @@ router.post('/logout', appLoggedInAuthenticate, logout);
  *     description: Update the authenticated customer's online status
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - name: status
- *         in: path
- *         required: true
- *         schema:
- *           type: string
- *           enum: [online, offline]
- *           description: The online status to update. Use online for online and offline for offline.
  *     responses:
  *       200:
  *         description: Online status updated successfully
@@ -366,7 +304,7 @@ router.post('/logout', appLoggedInAuthenticate, logout);
  *                   type: string
  *                   example: Online status updated successfully
  */
-router.post('/onlineOffline/:status', appLoggedInAuthenticate, onlineOfflineStatus);
+router.post('/onlineOffline/:status', appLoggedInAuthenticate, validate(schemas.onlineOfflineStatus), onlineOfflineStatus);
 
 
 export default router;
@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import { appLoggedInAuthenticate } from '../../../middleware/authMiddleware.js';
 import { getCategories } from '../../../controllers/app/appCategoryController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appCategorySchemas.js';
 
 const router = Router();
 
@@ -9,12 +11,12 @@ router.use(appLoggedInAuthenticate);
 
 /**
  * @swagger
- * /categories:
+ * /app/categories:
  *   get:
  *     tags:
  *       - App Categories
  *     summary: Get all support categories
- *     description: Protected endpoint - Requires authentication token. Returns list of ticket categories.
+ *     description: Protected endpoint - Requires authentication token. Returns active ticket categories in display order. Retired categories are not listed.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -44,8 +46,14 @@ router.use(appLoggedInAuthenticate);
  *                       description:
  *                         type: string
  *                         example: Help with software applications and technical issues
+ *                       icon:
+ *                         type: string
+ *                         example: /uploads/categories/icon-1700000000000-123456789.png
+ *                       sortOrder:
+ *                         type: number
+ *                         example: 1
  */
-router.get('/', getCategories);
+router.get('/', validate(schemas.getCategories), getCategories);
 
 export default router;
 
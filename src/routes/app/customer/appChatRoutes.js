@@ -7,6 +7,8 @@ import {
   getUserChats,
   readAllMessages
 } from '../../../controllers/app/appChatController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appChatSchemas.js';
 
 const router = Router();
 
@@ -15,7 +17,7 @@ router.use(appAuthenticate);
 
 /**
  * @swagger
- * /chat/list:
+ * /app/chat/list:
  *   get:
  *     tags: [App Chat]
  *     summary: Get current user's chats
@@ -25,108 +27,64 @@ router.use(appAuthenticate);
  *       200:
  *         description: List of chats
  */
-router.get('/list', getUserChats);
+router.get('/list', validate(schemas.getUserChats), getUserChats);
 
 /**
  * @swagger
- * /chat/{ticketId}:
+ * /app/chat/{ticketId}:
  *   get:
  *     tags: [App Chat]
  *     summary: Get or create chat by ticket
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: ticketId
- *         schema:
- *           type: string
- *         required: true
- *         description: Ticket ID
  *     responses:
  *       200:
  *         description: Chat object
  */
-router.get('/:ticketId', getOrCreateChat);
+router.get('/:ticketId', validate(schemas.getOrCreateChat), getOrCreateChat);
 
 /**
  * @swagger
- * /chat/{chatId}/messages:
+ * /app/chat/{chatId}/messages:
  *   get:
  *     tags: [App Chat]
  *     summary: Get chat messages
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: chatId
- *         schema:
- *           type: string
- *         required: true
- *         description: Chat ID
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *         required: false
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         required: false
  *     responses:
  *       200:
  *         description: List of messages
  */
-router.get('/:chatId/messages', getChatMessages);
+router.get('/:chatId/messages', validate(schemas.getChatMessages), getChatMessages);
 
 /**
  * @swagger
- * /chat/send:
+ * /app/chat/send:
  *   post:
  *     tags: [App Chat]
  *     summary: Send a message in chat
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               chatId:
- *                 type: string
- *               content:
- *                 type: string
- *               messageType:
- *                 type: string
- *                 enum: [text, image, file]
  *     responses:
  *       200:
  *         description: Message sent
  */
-router.post('/send', sendMessage);
+router.post('/send', validate(schemas.sendMessage), sendMessage);
 
 
 /**
  * @swagger
- * /chat/{chatId}/readAllMessages:
+ * /app/chat/{chatId}/readAllMessages:
  *   put:
  *     tags: [App Chat]
  *     summary: Mark all messages as read
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: chatId
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: messages marked as read
  */
-router.put('/:chatId/readAllMessages', readAllMessages);
+router.put('/:chatId/readAllMessages', validate(schemas.readAllMessages), readAllMessages);
 
 export default router;
 
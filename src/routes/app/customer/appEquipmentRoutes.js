@@ -1,6 +1,14 @@
 import { Router } from 'express';
 import { appAuthenticate } from '../../../middleware/authMiddleware.js';
-import { getEquipment } from '../../../controllers/app/appEquipmentController.js';
+import {
+  getEquipment,
+  getMyMachines,
+  registerMachine,
+  updateMyMachine,
+  removeMyMachine
+} from '../../../controllers/app/appEquipmentController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appEquipmentSchemas.js';
 
 const router = Router();
 
@@ -9,7 +17,7 @@ router.use(appAuthenticate);
 
 /**
  * @swagger
- * /equipment:
+ * /app/equipment:
  *   get:
  *     tags:
  *       - App Equipment
@@ -54,7 +62,79 @@ router.use(appAuthenticate);
  *                         type: number
  *                         example: 1
  */
-router.get('/', getEquipment);
+router.get('/', validate(schemas.getEquipment), getEquipment);
+
+/**
+ * @swagger
+ * /app/equipment/machines:
+ *   get:
+ *     tags:
+ *       - App Equipment
+ *     summary: Get my registered machines
+ *     description: The customer's installed base - pick one of these (machineId) when creating a ticket.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Machines fetched successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/machines', validate(schemas.getMyMachines), getMyMachines);
+
+/**
+ * @swagger
+ * /app/equipment/machines:
+ *   post:
+ *     tags:
+ *       - App Equipment
+ *     summary: Register a machine
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Machine registered successfully
+ *       400:
+ *         description: Validation error or serial number already registered
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/machines', validate(schemas.registerMachine), registerMachine);
+
+/**
+ * @swagger
+ * /app/equipment/machines/{id}:
+ *   put:
+ *     tags:
+ *       - App Equipment
+ *     summary: Update a registered machine
+ *     description: Only installDate, siteLocation and notes can be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Machine updated successfully
+ *       404:
+ *         description: Machine not found
+ */
+router.put('/machines/:id', validate(schemas.updateMyMachine), updateMyMachine);
+
+/**
+ * @swagger
+ * /app/equipment/machines/{id}:
+ *   delete:
+ *     tags:
+ *       - App Equipment
+ *     summary: Remove a registered machine
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Machine removed successfully
+ *       404:
+ *         description: Machine not found
+ */
+router.delete('/machines/:id', validate(schemas.removeMyMachine), removeMyMachine);
 
 export default router;
 
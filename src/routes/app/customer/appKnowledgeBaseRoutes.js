@@ -0,0 +1,110 @@
+import { Router } from 'express';
+import { appAuthenticate } from '../../../middleware/authMiddleware.js';
+import {
+  getKbSections,
+  getKbArticles,
+  getKbArticle,
+  submitKbArticleFeedback,
+  deflectKbSuggestion
+} from '../../../controllers/app/appKnowledgeBaseController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appKnowledgeBaseSchemas.js';
+
+const router = Router();
+
+// Require authentication for all knowledge base routes
+router.use(appAuthenticate);
+
+/**
+ * @swagger
+ * /app/kb/sections:
+ *   get:
+ *     tags:
+ *       - App Knowledge Base
+ *     summary: Get knowledge base sections
+ *     description: Active sections with the number of published articles in each.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sections fetched successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sections', validate(schemas.getKbSections), getKbSections);
+
+/**
+ * @swagger
+ * /app/kb/articles:
+ *   get:
+ *     tags:
+ *       - App Knowledge Base
+ *     summary: Browse or search published articles
+ *     description: Without q, articles are listed in display order. With q, a full-text search over title, tags, summary and content, best match first.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Articles with pagination
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/articles', validate(schemas.getKbArticles), getKbArticles);
+
+/**
+ * @swagger
+ * /app/kb/articles/{idOrSlug}:
+ *   get:
+ *     tags:
+ *       - App Knowledge Base
+ *     summary: Get a published article
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Article with full content
+ *       404:
+ *         description: Article not found
+ */
+router.get('/articles/:idOrSlug', validate(schemas.getKbArticle), getKbArticle);
+
+/**
+ * @swagger
+ * /app/kb/articles/{id}/feedback:
+ *   post:
+ *     tags:
+ *       - App Knowledge Base
+ *     summary: Rate whether an article was helpful
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feedback saved
+ *       404:
+ *         description: Article not found
+ */
+router.post('/articles/:id/feedback', validate(schemas.submitKbArticleFeedback), submitKbArticleFeedback);
+
+/**
+ * @swagger
+ * /app/kb/suggestions/{id}/deflect:
+ *   post:
+ *     tags:
+ *       - App Knowledge Base
+ *     summary: Report that a suggested article solved the problem
+ *     description: Call instead of creating the ticket when one of the articles from /tickets/suggest-articles answered the question.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deflection recorded
+ *       400:
+ *         description: Article was not part of the suggestion
+ *       404:
+ *         description: Suggestion not found
+ *       409:
+ *         description: A ticket was already created for this suggestion
+ */
+router.post('/suggestions/:id/deflect', validate(schemas.deflectKbSuggestion), deflectKbSuggestion);
+
+export default router;
@@ -6,6 +6,8 @@ import {
   markAllAsRead,
   deleteNotification
 } from '../../../controllers/app/appNotificationController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appNotificationSchemas.js';
 
 const router = Router();
 
@@ -14,29 +16,13 @@ router.use(appLoggedInAuthenticate);
 
 /**
  * @swagger
- * /notifications:
+ * /app/notifications:
  *   get:
  *     tags:
  *       - App Notifications
  *     summary: Get customer notifications with pagination
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 50
- *           default: 10
- *         description: Number of notifications per page
  *     responses:
  *       200:
  *         description: List of notifications with pagination info
@@ -65,32 +51,26 @@ router.use(appLoggedInAuthenticate);
  *                   type: integer
  *                   description: Total number of pages
  */
-router.get('/', getNotifications);
+router.get('/', validate(schemas.getNotifications), getNotifications);
 
 /**
  * @swagger
- * /notifications/{id}/read:
+ * /app/notifications/{id}/read:
  *   put:
  *     tags:
  *       - App Notifications
  *     summary: Mark notification as read
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Notification marked as read
  */
-router.put('/:id/read', markAsRead);
+router.put('/:id/read', validate(schemas.markAsRead), markAsRead);
 
 /**
  * @swagger
- * /notifications/read-all:
+ * /app/notifications/read-all:
  *   put:
  *     tags:
  *       - App Notifications
@@ -101,30 +81,24 @@ router.put('/:id/read', markAsRead);
  *       200:
  *         description: All notifications marked as read
  */
-router.put('/read-all', markAllAsRead);
+router.put('/read-all', validate(schemas.markAllAsRead), markAllAsRead);
 
 /**
  * @swagger
- * /notifications/{id}:
+ * /app/notifications/{id}:
  *   delete:
  *     tags:
  *       - App Notifications
  *     summary: Delete single notification
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Notification deleted successfully
  *       404:
  *         description: Notification not found
  */
-router.delete('/:id', deleteNotification);
+router.delete('/:id', validate(schemas.deleteNotification), deleteNotification);
 
 
 export default router;
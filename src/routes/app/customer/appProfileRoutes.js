@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { appLoggedInAuthenticate } from '../../../middleware/authMiddleware.js';
 import { getCustomer, updateCustomer, uploadProfileImage, deleteAccount, newProfileUpdate } from '../../../controllers/app/appProfileController.js';
 import { upload } from '../../../middleware/uploadMiddleware.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appProfileSchemas.js';
 
 const router = Router();
 
@@ -9,7 +11,7 @@ router.use(appLoggedInAuthenticate);
 
 /**
  * @swagger
- * /profile:
+ * /app/profile:
  *   get:
  *     tags:
  *       - App Profile
@@ -24,54 +26,32 @@ router.use(appLoggedInAuthenticate);
  *             schema:
  *               $ref: '#/components/schemas/Customer'
  */
-router.get('/', getCustomer);
+router.get('/', validate(schemas.getCustomer), getCustomer);
 
 /**
  * @swagger
- * /profile:
+ * /app/profile:
  *   put:
  *     tags:
  *       - App Profile
  *     summary: Update customer profile
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
  *     responses:
  *       200:
  *         description: Profile updated
  */
-router.put('/', updateCustomer);
+router.put('/', validate(schemas.updateCustomer), updateCustomer);
 
 /**
  * @swagger
- * /profile/upload-image:
+ * /app/profile/upload-image:
  *   post:
  *     tags:
  *       - App Profile
  *     summary: Upload profile image
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               profileImage:
- *                 type: string
- *                 format: binary
- *                 description: Profile image file
  *     responses:
  *       200:
  *         description: Profile image uploaded successfully
@@ -91,11 +71,11 @@ router.put('/', updateCustomer);
  *       404:
  *         description: Customer not found
  */
-router.post('/upload-image', upload.single('profileImage'), uploadProfileImage);
+router.post('/upload-image', upload.single('profileImage'), validate(schemas.uploadProfileImage), uploadProfileImage);
 
 /**
  * @swagger
- * /profile/delete-account:
+ * /app/profile/delete-account:
  *   delete:
  *     tags:
  *       - App Profile
@@ -128,34 +108,17 @@ router.post('/upload-image', upload.single('profileImage'), uploadProfileImage);
  *       500:
  *         description: Server error
  */
-router.delete('/delete-account', deleteAccount);
+router.delete('/delete-account', validate(schemas.deleteAccount), deleteAccount);
 
 /**
  * @swagger
- * /profile/new-profile-update:
+ * /app/profile/new-profile-update:
  *   put:
  *     tags:
  *       - App Profile
  *     summary: Update customer profile
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Customer name
- *               email:
- *                 type: string
- *                 format: email
- *                 description: Customer email
- *               phone:
- *                 type: string
- *                 description: Customer phone number
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -182,7 +145,7 @@ router.delete('/delete-account', deleteAccount);
  *       500:
  *         description: Server error
  */
-router.put('/new-profile-update', newProfileUpdate);
+router.put('/new-profile-update', validate(schemas.newProfileUpdate), newProfileUpdate);
 
 export default router;
 
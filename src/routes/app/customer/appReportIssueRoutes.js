@@ -1,6 +1,8 @@
 import { Router } from 'express';
 import { appAuthenticate } from '../../../middleware/authMiddleware.js';
 import { reportIssue } from '../../../controllers/app/appReportIssueController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appReportIssueSchemas.js';
 
 const router = Router();
 router.use(appAuthenticate);
@@ -8,7 +10,7 @@ router.use(appAuthenticate);
 
 /**
  * @swagger
- * /report-issue:
+ * /app/report-issue:
  *   post:
  *     tags:
  *       - App Report Issues
@@ -16,18 +18,6 @@ router.use(appAuthenticate);
  *     description: Report a new issue to the support team
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - description
- *             properties:
- *               description:
- *                 type: string
- *                 description: Issue description
  *     responses:
  *       201:
  *         description: Issue reported successfully
@@ -36,7 +26,7 @@ router.use(appAuthenticate);
  *       500:
  *         description: Server error
  */
-router.post('/', reportIssue);
+router.post('/', validate(schemas.reportIssue), reportIssue);
 
 
 export default router;
@@ -6,6 +6,8 @@ import {
   toggleArchiveConversation,
   getConversationDetails
 } from '../../../controllers/app/appSupportInboxController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appSupportInboxSchemas.js';
 
 const router = Router();
 
@@ -13,41 +15,13 @@ router.use(appAuthenticate);
 
 /**
  * @swagger
- * /support-inbox:
+ * /app/support-inbox:
  *   get:
  *     tags:
  *       - App Support Inbox
  *     summary: Get support inbox conversations with filtering and search
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 50
- *           default: 10
- *         description: Number of conversations per page
- *       - in: query
- *         name: filter
- *         schema:
- *           type: string
- *           enum: [all, unread, archived]
- *           default: all
- *         description: Filter conversations by status
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search in conversation ticketNumber and status
  *     responses:
  *       200:
  *         description: List of support conversations with pagination
@@ -70,93 +44,57 @@ router.use(appAuthenticate);
  *                     counts:
  *                       type: object
  */
-router.get('/', getSupportInbox);
+router.get('/', validate(schemas.getSupportInbox), getSupportInbox);
 
 /**
  * @swagger
- * /support-inbox/{messageId}/read:
+ * /app/support-inbox/{messageId}/read:
  *   put:
  *     tags:
  *       - App Support Inbox
  *     summary: Mark message as read
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: messageId
- *         required: true
- *         schema:
- *           type: string
- *         description: Message ID
  *     responses:
  *       200:
  *         description: Message marked as read
  *       404:
  *         description: Message not found
  */
-router.put('/:messageId/read', markAsRead);
+router.put('/:messageId/read', validate(schemas.markAsRead), markAsRead);
 
 /**
  * @swagger
- * /support-inbox/{ticketId}/toggle-archive:
+ * /app/support-inbox/{ticketId}/toggle-archive:
  *   put:
  *     tags:
  *       - App Support Inbox
  *     summary: Toggle archive status of conversation
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: ticketId
- *         required: true
- *         schema:
- *           type: string
- *         description: Ticket ID
  *     responses:
  *       200:
  *         description: Conversation archive status toggled successfully
  *       404:
  *         description: Conversation not found
  */
-router.put('/:ticketId/toggle-archive', toggleArchiveConversation);
+router.put('/:ticketId/toggle-archive', validate(schemas.toggleArchiveConversation), toggleArchiveConversation);
 
 /**
  * @swagger
- * /support-inbox/{ticketId}/details:
+ * /app/support-inbox/{ticketId}/details:
  *   get:
  *     tags:
  *       - App Support Inbox
  *     summary: Get conversation details with messages
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: ticketId
- *         required: true
- *         schema:
- *           type: string
- *         description: Ticket ID
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for messages pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 50
- *           default: 20
- *         description: Number of messages per page
  *     responses:
  *       200:
  *         description: Conversation details with messages
  *       404:
  *         description: Conversation not found
  */
-router.get('/:ticketId/details', getConversationDetails);
+router.get('/:ticketId/details', validate(schemas.getConversationDetails), getConversationDetails);
 
 export default router;
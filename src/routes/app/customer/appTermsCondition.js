@@ -1,12 +1,14 @@
 import { Router } from 'express';
 import { getTermsAndConditions } from '../../../controllers/app/termsController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appTermsSchemas.js';
 
 const router = Router();
 
 
 /**
  * @swagger
- * /terms:
+ * /app/terms:
  *   get:
  *     tags:
  *       - App Terms and Conditions
@@ -36,7 +38,7 @@ const router = Router();
  *       500:
  *         description: Server error
  */
-router.get('/', getTermsAndConditions);
+router.get('/', validate(schemas.getTermsAndConditions), getTermsAndConditions);
 
 export default router;
 
@@ -5,8 +5,13 @@ import {
     createTicket,
     getTickets,
     getTicketdetails,
-    markAsTicketRead
+    markAsTicketRead,
+    getTicketCsat,
+    submitTicketCsat
 } from '../../../controllers/app/appticketController.js';
+import { suggestTicketArticles } from '../../../controllers/app/appKnowledgeBaseController.js';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/appTicketSchemas.js';
 
 const router = Router();
 
@@ -15,7 +20,7 @@ router.use(appAuthenticate);
 
 /**
  * @swagger
- * /tickets/fetch:
+ * /app/tickets/fetch:
  *   get:
  *     tags:
  *       - App Tickets
@@ -28,93 +33,144 @@ router.use(appAuthenticate);
  *       401:
  *         description: Unauthorized
  */
-router.get('/fetch', getTickets);
+router.get('/fetch', validate(schemas.getTickets), getTickets);
 
 /**
  * @swagger
- * /tickets/details/{id}:
+ * /app/tickets/details/{id}:
  *   get:
  *     tags:
  *       - App Tickets
  *     summary: Get specific ticket
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Ticket details
  *       404:
  *         description: Ticket not found
  */
-router.get('/details/:id', getTicketdetails);
+router.get('/details/:id', validate(schemas.getTicketdetails), getTicketdetails);
 
 /**
  * @swagger
- * /tickets/create:
+ * /app/tickets/create:
  *   post:
  *     tags:
  *       - App Tickets
  *     summary: Create new support ticket
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             required:
- *               - description
- *               - categoryId
- *             properties:
- *               description:
- *                 type: string
- *               categoryId:
- *                 type: string
- *               equipmentId:
- *                 type: string
- *               serialNumber:
- *                 type: string
- *               attachments:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary   
  *     responses:
  *       201:
  *         description: Ticket created
+ *       400:
+ *         description: Validation error (e.g. serial number not registered to the customer)
  */
-router.post('/create', uploadAttachments.array('attachments', 5), createTicket);
+router.post('/create', uploadAttachments.array('attachments', 5), validate(schemas.createTicket), createTicket);
+
+/**
+ * @swagger
+ * /app/tickets/suggest-articles:
+ *   post:
+ *     tags:
+ *       - App Tickets
+ *     summary: Suggest knowledge-base articles for a ticket description
+ *     description: Call while the customer is writing a ticket, before submitting it. If an article solves the problem, report it with /kb/suggestions/{id}/deflect; otherwise pass suggestionId to /tickets/create.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Suggested articles (empty when nothing matches or the description is too short)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     suggestionId:
+ *                       type: string
+ *                       nullable: true
+ *                     articles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           slug:
+ *                             type: string
+ *                           summary:
+ *                             type: string
+ *                           relevance:
+ *                             type: number
+ *       400:
+ *         description: description is required
+ */
+router.post('/suggest-articles', validate(schemas.suggestTicketArticles), suggestTicketArticles);
 
 
 /**
  * @swagger
- * /tickets/{ticketId}/read:
+ * /app/tickets/{ticketId}/read:
  *   put:
  *     tags:
  *       - App Tickets
  *     summary: Mark ticket as read
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: ticketId
- *         required: true
- *         schema:
- *           type: string
- *         description: Message ID
  *     responses:
  *       200:
  *         description: Message marked as read
  *       404:
  *         description: Message not found
  */
-router.put('/:ticketId/read', markAsTicketRead);
+router.put('/:ticketId/read', validate(schemas.markAsTicketRead), markAsTicketRead);
+
+/**
+ * @swagger
+ * /app/tickets/{ticketId}/csat:
+ *   get:
+ *     tags:
+ *       - App Tickets
+ *     summary: Get the satisfaction survey for a ticket
+ *     description: canRate is true once the ticket has been resolved or closed and the survey has not been answered yet.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Survey state
+ *       404:
+ *         description: Ticket not found
+ */
+router.get('/:ticketId/csat', validate(schemas.getTicketCsat), getTicketCsat);
+
+/**
+ * @swagger
+ * /app/tickets/{ticketId}/csat:
+ *   post:
+ *     tags:
+ *       - App Tickets
+ *     summary: Rate the support received on a resolved ticket
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rating saved
+ *       400:
+ *         description: Invalid score or ticket not resolved yet
+ *       404:
+ *         description: Ticket not found
+ *       409:
+ *         description: Ticket already rated
+ */
+router.post('/:ticketId/csat', validate(schemas.submitTicketCsat), submitTicketCsat);
 
 
 
@@ -1,10 +1,12 @@
 import { Router } from 'express';
+import { validate } from '../../../middleware/validateRequest.js';
+import schemas from '../../../schemas/app/customer/socketIOSchemas.js';
 
 const router = Router();
 
 /**
  * @swagger
- * /socket-io-info:
+ * /app/socket-io-info:
  *   get:
  *     tags:
  *       - Socket.IO
@@ -136,7 +138,7 @@ const router = Router();
  *                       items:
  *                         type: object
  */
-router.get('/socket-io-info', (req, res) => {
+router.get('/socket-io-info', validate(schemas.getSocketIoInfo), (req, res) => {
   res.json({
     success: true,
     data: {
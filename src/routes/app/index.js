@@ -10,6 +10,7 @@ import appSupportInboxRoutes from './customer/appSupportInboxRoutes.js';
 import agentRoutes from './agent/index.js';
 import appReportIssueRoutes from './customer/appReportIssueRoutes.js';
 import appTermsConditionRoutes from './customer/appTermsCondition.js';
+import appKnowledgeBaseRoutes from './customer/appKnowledgeBaseRoutes.js';
 import socketIORoutes from './customer/socketIORoutes.js';
 const router = Router();
 
@@ -34,6 +35,8 @@ const router = Router();
  *     description: Customer support inbox 
  *   - name: App Report Issues
  *     description: Customer report issues
+ *   - name: App Knowledge Base
+ *     description: Help articles and ticket deflection
  */
 
 // App routes (for mobile application)
@@ -47,6 +50,7 @@ router.use('/notifications', appNotificationRoutes);
 router.use('/support-inbox', appSupportInboxRoutes);
 router.use('/report-issue', appReportIssueRoutes);
 router.use('/terms', appTermsConditionRoutes);
+router.use('/kb', appKnowledgeBaseRoutes);
 router.use('/', socketIORoutes);
 
 // Agent routes (for agent mobile app)
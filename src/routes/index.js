@@ -11,6 +11,22 @@ import agentticketRoutes from './website/agentticketRoutes.js';
 import activityLogRoutes from './website/activityLogRoutes.js';
 import equipmentRoutes from './website/equipmentRoutes.js';
 import termsRoutes from './website/termsRoutes.js';
+import slaPolicyRoutes from './website/slaPolicyRoutes.js';
+import routingRuleRoutes from './website/routingRuleRoutes.js';
+import ticketStatusRoutes from './website/ticketStatusRoutes.js';
+import csatRoutes from './website/csatRoutes.js';
+import macroRoutes from './website/macroRoutes.js';
+import serviceContractRoutes from './website/serviceContractRoutes.js';
+import categoryRoutes from './website/categoryRoutes.js';
+import knowledgeBaseRoutes from './website/knowledgeBaseRoutes.js';
+import inboundEmailRoutes from './website/inboundEmailRoutes.js';
+import webhookRoutes from './website/webhookRoutes.js';
+import apiKeyRoutes from './website/apiKeyRoutes.js';
+import roleRoutes from './website/roleRoutes.js';
+import analyticsRoutes from './website/analyticsRoutes.js';
+import reportScheduleRoutes from './website/reportScheduleRoutes.js';
+import jobRoutes from './website/jobRoutes.js';
+import emailTemplateRoutes from './website/emailTemplateRoutes.js';
 // Create router instance
 const router = express.Router();
 
@@ -26,6 +42,22 @@ router.use('/agent/tickets', agentticketRoutes);
 router.use('/activity-logs', activityLogRoutes);
 router.use('/equipment', equipmentRoutes);
 router.use('/terms', termsRoutes);
+router.use('/sla-policies', slaPolicyRoutes);
+router.use('/routing-rules', routingRuleRoutes);
+router.use('/ticket-statuses', ticketStatusRoutes);
+router.use('/csat', csatRoutes);
+router.use('/macros', macroRoutes);
+router.use('/contracts', serviceContractRoutes);
+router.use('/categories', categoryRoutes);
+router.use('/kb', knowledgeBaseRoutes);
+router.use('/inbound-email', inboundEmailRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/roles', roleRoutes);
+router.use('/analytics', analyticsRoutes);
+router.use('/report-schedules', reportScheduleRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/email-templates', emailTemplateRoutes);
 
 
 // Mobile App API Routes
@@ -1,14 +1,17 @@
 import { Router } from 'express';
-import { adminAuthenticate } from '../../middleware/authMiddleware.js';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
 import {
   getActivityLogs,
 } from '../../controllers/website/activityLogController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/activityLogSchemas.js';
 
 const router = Router();
 
-router.use(adminAuthenticate);
+router.use(authenticate, requirePermission('activity_logs.view'));
 
-router.get('/list', getActivityLogs);
+router.get('/list', validate(schemas.getActivityLogs), getActivityLogs);
 
 
 export default router;
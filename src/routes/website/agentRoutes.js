@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
 import { 
   createAgent, 
   getAgentsList, 
@@ -10,26 +11,33 @@ import {
   getCategoryList,
   exportAgents
 } from '../../controllers/website/agentController.js';
+import { getAgentScorecards, getAgentScorecard } from '../../controllers/website/scorecardController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/agentSchemas.js';
 
 const router = Router();
 
 router.use(authenticate);
 
-router.post('/', createAgent);
+router.post('/', requirePermission('agents.manage'), validate(schemas.createAgent), createAgent);
 
-router.get('/', getAgentsList);
+router.get('/', requirePermission('agents.view'), validate(schemas.getAgentsList), getAgentsList);
 
-router.get('/export', exportAgents);
+router.get('/export', requirePermission('agents.view'), validate(schemas.exportAgents), exportAgents);
 
-router.get('/categorylist', getCategoryList);
+router.get('/categorylist', validate(schemas.getCategoryList), getCategoryList);
 
-router.get('/:id', getAgent);
+router.get('/scorecards', requirePermission('reports.view'), validate(schemas.getAgentScorecards), getAgentScorecards);
 
-router.put('/:id', updateAgent);
+router.get('/:id/scorecard', requirePermission('reports.view'), validate(schemas.getAgentScorecard), getAgentScorecard);
 
-router.put('/:id/toggle-status', toggleAgentStatus);
+router.get('/:id', requirePermission('agents.view'), validate(schemas.getAgent), getAgent);
 
-router.delete('/:id', deleteAgent);
+router.put('/:id', requirePermission('agents.manage'), validate(schemas.updateAgent), updateAgent);
+
+router.put('/:id/toggle-status', requirePermission('agents.manage'), validate(schemas.toggleAgentStatus), toggleAgentStatus);
+
+router.delete('/:id', requirePermission('agents.manage'), validate(schemas.deleteAgent), deleteAgent);
 
 export default router;
 
@@ -4,14 +4,16 @@ import {
     getTicketList,
     getTicketByID
 } from '../../controllers/website/agentTicketController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/agentTicketSchemas.js';
 
 const router = Router();
 
 router.use(authenticate);
 
-router.get('/', getTicketList);
+router.get('/', validate(schemas.getTicketList), getTicketList);
 
-router.get('/:id', getTicketByID);
+router.get('/:id', validate(schemas.getTicketByID), getTicketByID);
 
 export default router;
 
@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getVolumeReport,
+  getBacklogReport,
+  getFirstResponseReport,
+  getResolutionTimeReport,
+  getReopenReport
+} from '../../controllers/website/analyticsController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/analyticsSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('reports.view'));
+
+// All take ?interval=day|week|month&from=YYYY-MM-DD&to=YYYY-MM-DD&categoryId=&equipmentId=&agentId=
+router.get('/volume', validate(schemas.getVolumeReport), getVolumeReport);
+router.get('/backlog', validate(schemas.getBacklogReport), getBacklogReport);
+router.get('/first-response', validate(schemas.getFirstResponseReport), getFirstResponseReport);
+router.get('/resolution-time', validate(schemas.getResolutionTimeReport), getResolutionTimeReport);
+router.get('/reopens', validate(schemas.getReopenReport), getReopenReport);
+
+export default router;
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getApiKeyScopes,
+  getApiKeys,
+  getApiKeyById,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} from '../../controllers/website/apiKeyController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/apiKeySchemas.js';
+
+const router = Router();
+
+// Keys are managed with a panel login only - an API key cannot issue other keys
+router.use(authenticate, requirePermission('api_keys.manage'));
+
+router.get('/scopes', validate(schemas.getApiKeyScopes), getApiKeyScopes);
+
+router.get('/', validate(schemas.getApiKeys), getApiKeys);
+
+router.get('/:id', validate(schemas.getApiKeyById), getApiKeyById);
+
+router.post('/', validate(schemas.createApiKey), createApiKey);
+
+router.put('/:id', validate(schemas.updateApiKey), updateApiKey);
+
+router.delete('/:id', validate(schemas.revokeApiKey), revokeApiKey);
+
+export default router;
@@ -1,19 +1,56 @@
 import { Router } from 'express';
-import { register, login, forgotPassword, resetPassword, logout } from '../../controllers/website/authController.js';
-import { authenticate } from '../../middleware/authMiddleware.js';
+import { register, login, forgotPassword, resetPassword, unlockLockedAccount, logout } from '../../controllers/website/authController.js';
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  sendTwoFactorEmailCode,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetUserTwoFactor,
+} from '../../controllers/website/twoFactorController.js';
+import { authenticate, twoFactorEnrollmentAuthenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import { protectLogin, protectOtpVerification, limitOtpSends } from '../../middleware/loginProtectionMiddleware.js';
+import { challengeUserId } from '../../services/twoFactorService.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/authSchemas.js';
 
 const router = Router();
 
-router.post('/register', register);
+router.post('/register', validate(schemas.register), register);
 
-router.post('/login', login);
+router.post('/login', protectLogin, validate(schemas.login), login);
 
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', limitOtpSends('password_reset'), validate(schemas.forgotPassword), forgotPassword);
 
-router.post('/reset-password/:token', resetPassword);
+router.post('/reset-password/:token', validate(schemas.resetPassword), resetPassword);
 
-router.post('/logout', authenticate, logout);
+router.post('/unlock/:token', validate(schemas.unlockLockedAccount), unlockLockedAccount);
 
-export default router;
+router.post('/logout', authenticate, validate(schemas.logout), logout);
+
+// Two-factor login step (challengeToken from /login)
+router.post('/2fa/challenge/email', limitOtpSends('two_factor', req => challengeUserId(req.body?.challengeToken)), validate(schemas.sendTwoFactorChallengeEmail), sendTwoFactorEmailCode);
+
+router.post('/2fa/verify', protectOtpVerification('two_factor', req => challengeUserId(req.body?.challengeToken)), validate(schemas.verifyTwoFactorLogin), verifyTwoFactorLogin);
+
+// Two-factor enrollment (signed in, or setup challengeToken from /login)
+router.post('/2fa/setup', twoFactorEnrollmentAuthenticate, validate(schemas.startTwoFactorSetup), startTwoFactorSetup);
+
+router.post('/2fa/enable', twoFactorEnrollmentAuthenticate, validate(schemas.enableTwoFactor), enableTwoFactor);
 
+// Two-factor management for the signed-in user
+router.get('/2fa', authenticate, validate(schemas.getTwoFactorStatus), getTwoFactorStatus);
 
+router.post('/2fa/email-code', authenticate, limitOtpSends('two_factor', req => req.user?.id), validate(schemas.sendTwoFactorEmailCode), sendTwoFactorEmailCode);
+
+router.post('/2fa/disable', authenticate, validate(schemas.disableTwoFactor), disableTwoFactor);
+
+router.post('/2fa/backup-codes', authenticate, validate(schemas.regenerateBackupCodes), regenerateBackupCodes);
+
+// Recovery for another staff member
+router.delete('/2fa/users/:userId', authenticate, requirePermission('agents.manage'), validate(schemas.resetUserTwoFactor), resetUserTwoFactor);
+
+export default router;
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { allowApiKey, readWriteScope } from '../../middleware/apiKeyMiddleware.js';
+import { uploadCategoryIcon } from '../../middleware/uploadMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getCategories,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory
+} from '../../controllers/website/categoryController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/categorySchemas.js';
+
+const router = Router();
+
+// Integrations can call these with an API key holding the categories:read / categories:write scope
+router.use(allowApiKey(readWriteScope('categories'), authenticate), requirePermission('categories.manage'));
+
+router.get('/', validate(schemas.getCategories), getCategories);
+
+router.post('/', uploadCategoryIcon.single('icon'), validate(schemas.createCategory), createCategory);
+
+// Specific routes before /:id
+router.put('/reorder', validate(schemas.reorderCategories), reorderCategories);
+
+router.put('/:id', uploadCategoryIcon.single('icon'), validate(schemas.updateCategory), updateCategory);
+
+router.delete('/:id', validate(schemas.deleteCategory), deleteCategory);
+
+export default router;
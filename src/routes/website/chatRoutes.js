@@ -1,22 +1,25 @@
 import { Router } from 'express';
 import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
 import { 
   getOrCreateChat, 
   getChatMessages, 
   sendMessage, 
   getUserChatsLists 
 } from '../../controllers/website/chatController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/chatSchemas.js';
 
 const router = Router();
 
 router.use('/admin', authenticate);
 
-router.get('/admin/chats', getUserChatsLists);
+router.get('/admin/chats', validate(schemas.getUserChatsLists), getUserChatsLists);
 
-router.get('/admin/chat/ticket/:ticketId', getOrCreateChat);
+router.get('/admin/chat/ticket/:ticketId', validate(schemas.getOrCreateChat), getOrCreateChat);
 
-router.get('/admin/chat/:chatId/messages', getChatMessages);
+router.get('/admin/chat/:chatId/messages', validate(schemas.getChatMessages), getChatMessages);
 
-router.post('/admin/chat/send', sendMessage);
+router.post('/admin/chat/send', requirePermission('chat.reply'), validate(schemas.sendMessage), sendMessage);
 
 export default router;
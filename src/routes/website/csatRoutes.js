@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getCsatReport,
+  getCsatResponses
+} from '../../controllers/website/csatController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/csatSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('reports.view'));
+
+// ?groupBy=agent|category|equipment&from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/reports', validate(schemas.getCsatReport), getCsatReport);
+
+router.get('/responses', validate(schemas.getCsatResponses), getCsatResponses);
+
+export default router;
@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import { authenticate } from '../../middleware/authMiddleware.js';
+import { allowApiKey, readWriteScope } from '../../middleware/apiKeyMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
 import { 
   createCustomer, 
   getCustomers, 
@@ -11,28 +13,31 @@ import {
   activateCustomer,
   deactivateCustomer
 } from '../../controllers/website/customerController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/customerSchemas.js';
 
 const router = Router();
 
-router.use(authenticate);
+// Integrations can call these with an API key holding the customers:read / customers:write scope
+router.use(allowApiKey(readWriteScope('customers'), authenticate));
 
-router.post('/', createCustomer);
+router.post('/', requirePermission('customers.manage'), validate(schemas.createCustomer), createCustomer);
 
-router.get('/', getCustomers);
+router.get('/', requirePermission('customers.view'), validate(schemas.getCustomers), getCustomers);
 
-router.get('/stats/summary', getCustomerStats);
+router.get('/stats/summary', requirePermission('customers.view'), validate(schemas.getCustomerStats), getCustomerStats);
 
-router.get('/export/csv', exportCustomersCsv);
+router.get('/export/csv', requirePermission('customers.export'), validate(schemas.exportCustomersCsv), exportCustomersCsv);
 
-router.get('/:id', getCustomer);
+router.get('/:id', requirePermission('customers.view'), validate(schemas.getCustomer), getCustomer);
 
-router.put('/:id', updateCustomer);
+router.put('/:id', requirePermission('customers.manage'), validate(schemas.updateCustomer), updateCustomer);
 
-router.put('/:id/activate', activateCustomer);
+router.put('/:id/activate', requirePermission('customers.manage'), validate(schemas.activateCustomer), activateCustomer);
 
-router.put('/:id/deactivate', deactivateCustomer);
+router.put('/:id/deactivate', requirePermission('customers.manage'), validate(schemas.deactivateCustomer), deactivateCustomer);
 
-router.delete('/:id', deleteCustomer);
+router.delete('/:id', requirePermission('customers.manage'), validate(schemas.deleteCustomer), deleteCustomer);
 
 export default router;
 
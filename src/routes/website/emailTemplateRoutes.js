@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getEmailTemplates,
+  getEmailTemplateByKey,
+  previewEmailTemplateDraft,
+  updateEmailTemplate,
+  resetEmailTemplateToDefault
+} from '../../controllers/website/emailTemplateController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/emailTemplateSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('email_templates.manage'));
+
+router.get('/', validate(schemas.getEmailTemplates), getEmailTemplates);
+
+router.get('/:key', validate(schemas.getEmailTemplateByKey), getEmailTemplateByKey);
+
+router.post('/:key/preview', validate(schemas.previewEmailTemplateDraft), previewEmailTemplateDraft);
+
+router.put('/:key', validate(schemas.updateEmailTemplate), updateEmailTemplate);
+
+router.delete('/:key', validate(schemas.resetEmailTemplateToDefault), resetEmailTemplateToDefault);
+
+export default router;
@@ -1,12 +1,42 @@
 import { Router } from 'express';
 import { authenticate } from '../../middleware/authMiddleware.js';
-import { getEquipment } from '../../controllers/website/equipmentController.js';
+import { allowApiKey } from '../../middleware/apiKeyMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getEquipment,
+  getEquipmentById,
+  createEquipment,
+  updateEquipment,
+  deleteEquipment,
+  getCustomerMachines,
+  createCustomerMachine,
+  updateCustomerMachine
+} from '../../controllers/website/equipmentController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/equipmentSchemas.js';
 
 const router = Router();
 
-router.use(authenticate);
+// Integrations can call these with an API key holding the equipment:read / equipment:write scope
+const readAuth = allowApiKey('equipment:read', authenticate);
+const adminReadAuth = [readAuth, requirePermission('equipment.manage')];
+const adminWriteAuth = [allowApiKey('equipment:write', authenticate), requirePermission('equipment.manage')];
 
-router.get('/', getEquipment);
+router.get('/', readAuth, validate(schemas.getEquipment), getEquipment);
 
-export default router;
+// Customer installed base (specific routes before /:id)
+router.get('/machines', adminReadAuth, validate(schemas.getCustomerMachines), getCustomerMachines);
+
+router.post('/machines', adminWriteAuth, validate(schemas.createCustomerMachine), createCustomerMachine);
+
+router.put('/machines/:id', adminWriteAuth, validate(schemas.updateCustomerMachine), updateCustomerMachine);
+
+router.get('/:id', readAuth, validate(schemas.getEquipmentById), getEquipmentById);
 
+router.post('/', adminWriteAuth, validate(schemas.createEquipment), createEquipment);
+
+router.put('/:id', adminWriteAuth, validate(schemas.updateEquipment), updateEquipment);
+
+router.delete('/:id', adminWriteAuth, validate(schemas.deleteEquipment), deleteEquipment);
+
+export default router;
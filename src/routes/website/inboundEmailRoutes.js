@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import { receiveInboundEmail, getInboundEmails } from '../../controllers/website/inboundEmailController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/inboundEmailSchemas.js';
+
+const router = Router();
+
+// Called by the email provider - authenticated with INBOUND_EMAIL_WEBHOOK_SECRET, not a user token
+router.post('/', validate(schemas.receiveInboundEmail), receiveInboundEmail);
+
+router.get('/', authenticate, requirePermission('inbound_email.view'), validate(schemas.getInboundEmails), getInboundEmails);
+
+export default router;
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getJobStats,
+  getJobs,
+  getJobById,
+  retryFailedJob,
+  retryDeadJobsBulk
+} from '../../controllers/website/jobController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/jobSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('jobs.manage'));
+
+// Specific routes before /:id
+router.get('/stats', validate(schemas.getJobStats), getJobStats);
+
+router.post('/retry-dead', validate(schemas.retryDeadJobsBulk), retryDeadJobsBulk);
+
+router.get('/', validate(schemas.getJobs), getJobs);
+
+router.get('/:id', validate(schemas.getJobById), getJobById);
+
+router.post('/:id/retry', validate(schemas.retryFailedJob), retryFailedJob);
+
+export default router;
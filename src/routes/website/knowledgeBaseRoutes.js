@@ -0,0 +1,42 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getKbSections,
+  createKbSection,
+  updateKbSection,
+  deleteKbSection,
+  getKbArticles,
+  getKbArticleById,
+  createKbArticle,
+  updateKbArticle,
+  deleteKbArticle,
+  getKbDeflectionReport
+} from '../../controllers/website/knowledgeBaseController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/knowledgeBaseSchemas.js';
+
+const router = Router();
+
+// Agents can read articles (including drafts) to share with customers; roles with kb.manage author them
+router.get('/sections', authenticate, validate(schemas.getKbSections), getKbSections);
+
+router.post('/sections', authenticate, requirePermission('kb.manage'), validate(schemas.createKbSection), createKbSection);
+
+router.put('/sections/:id', authenticate, requirePermission('kb.manage'), validate(schemas.updateKbSection), updateKbSection);
+
+router.delete('/sections/:id', authenticate, requirePermission('kb.manage'), validate(schemas.deleteKbSection), deleteKbSection);
+
+router.get('/articles', authenticate, validate(schemas.getKbArticles), getKbArticles);
+
+router.get('/articles/:id', authenticate, validate(schemas.getKbArticleById), getKbArticleById);
+
+router.post('/articles', authenticate, requirePermission('kb.manage'), validate(schemas.createKbArticle), createKbArticle);
+
+router.put('/articles/:id', authenticate, requirePermission('kb.manage'), validate(schemas.updateKbArticle), updateKbArticle);
+
+router.delete('/articles/:id', authenticate, requirePermission('kb.manage'), validate(schemas.deleteKbArticle), deleteKbArticle);
+
+router.get('/reports/deflection', authenticate, requirePermission('reports.view'), validate(schemas.getKbDeflectionReport), getKbDeflectionReport);
+
+export default router;
@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import {
+  getMacros,
+  createMacro,
+  updateMacro,
+  deleteMacro,
+  previewMacro
+} from '../../controllers/website/macroController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/macroSchemas.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.getMacros), getMacros);
+
+router.post('/', validate(schemas.createMacro), createMacro);
+
+router.get('/:id/preview', validate(schemas.previewMacro), previewMacro);
+
+router.put('/:id', validate(schemas.updateMacro), updateMacro);
+
+router.delete('/:id', validate(schemas.deleteMacro), deleteMacro);
+
+export default router;
@@ -7,20 +7,22 @@ import {
   deleteNotification,
   getNotificationStats
 } from '../../controllers/website/notificationController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/notificationSchemas.js';
 
 const router = Router();
 
 router.use(authenticate);
 
 
-router.get('/', getNotifications);
+router.get('/', validate(schemas.getNotifications), getNotifications);
 
-router.get('/stats', getNotificationStats);
+router.get('/stats', validate(schemas.getNotificationStats), getNotificationStats);
 
-router.patch('/:id/read', markAsRead);
+router.patch('/:id/read', validate(schemas.markAsRead), markAsRead);
 
-router.patch('/read-all', markAllAsRead);
+router.patch('/read-all', validate(schemas.markAllAsRead), markAllAsRead);
 
-router.delete('/:id', deleteNotification);
+router.delete('/:id', validate(schemas.deleteNotification), deleteNotification);
 
 export default router;
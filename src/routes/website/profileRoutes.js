@@ -2,16 +2,18 @@ import { Router } from 'express';
 import { getCurrentUser, updateProfile, uploadAvatar } from '../../controllers/website/profileController.js';
 import { authenticate } from '../../middleware/authMiddleware.js';
 import { upload } from '../../middleware/uploadMiddleware.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/profileSchemas.js';
 
 const router = Router();
 
 router.use(authenticate);
 
-router.get('/me', getCurrentUser);
+router.get('/me', validate(schemas.getCurrentUser), getCurrentUser);
 
-router.put('/update', updateProfile);
+router.put('/update', validate(schemas.updateProfile), updateProfile);
 
-router.post('/profile-image', upload.single('profileImage'), uploadAvatar);
+router.post('/profile-image', upload.single('profileImage'), validate(schemas.uploadAvatar), uploadAvatar);
 
 export default router;
 
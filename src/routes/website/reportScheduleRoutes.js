@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getScheduledReportTypes,
+  getReportSchedules,
+  getReportScheduleById,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  sendReportScheduleNow
+} from '../../controllers/website/reportScheduleController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/reportScheduleSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('reports.schedule'));
+
+// Specific routes before /:id
+router.get('/reports', validate(schemas.getScheduledReportTypes), getScheduledReportTypes);
+
+router.get('/', validate(schemas.getReportSchedules), getReportSchedules);
+
+router.get('/:id', validate(schemas.getReportScheduleById), getReportScheduleById);
+
+router.post('/', validate(schemas.createReportSchedule), createReportSchedule);
+
+router.put('/:id', validate(schemas.updateReportSchedule), updateReportSchedule);
+
+router.delete('/:id', validate(schemas.deleteReportSchedule), deleteReportSchedule);
+
+router.post('/:id/send', validate(schemas.sendReportScheduleNow), sendReportScheduleNow);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole
+} from '../../controllers/website/roleController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/roleSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('roles.manage'));
+
+// Specific routes before /:id
+router.get('/permissions', validate(schemas.getPermissions), getPermissions);
+
+router.put('/users/:userId', validate(schemas.assignUserRole), assignUserRole);
+
+router.get('/', validate(schemas.getRoles), getRoles);
+
+router.get('/:id', validate(schemas.getRoleById), getRoleById);
+
+router.post('/', validate(schemas.createRole), createRole);
+
+router.put('/:id', validate(schemas.updateRole), updateRole);
+
+router.delete('/:id', validate(schemas.deleteRole), deleteRole);
+
+export default router;
@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getRoutingRules,
+  upsertRoutingRule,
+  getTicketRouting,
+  rerouteTicket
+} from '../../controllers/website/routingRuleController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/routingRuleSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('routing.manage'));
+
+router.get('/', validate(schemas.getRoutingRules), getRoutingRules);
+
+router.get('/tickets/:ticketId', validate(schemas.getTicketRouting), getTicketRouting);
+
+router.post('/tickets/:ticketId/reroute', validate(schemas.rerouteTicket), rerouteTicket);
+
+router.put('/:categoryId', validate(schemas.upsertRoutingRule), upsertRoutingRule);
+
+export default router;
@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { allowApiKey, readWriteScope } from '../../middleware/apiKeyMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getServiceContracts,
+  getServiceContractById,
+  createServiceContract,
+  updateServiceContract,
+  deleteServiceContract,
+  getExpiringContracts,
+  checkCustomerEntitlement
+} from '../../controllers/website/serviceContractController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/serviceContractSchemas.js';
+
+const router = Router();
+
+// Integrations can call these with an API key holding the contracts:read / contracts:write scope
+router.use(allowApiKey(readWriteScope('contracts'), authenticate), requirePermission('contracts.manage'));
+
+// Specific routes before /:id
+router.get('/expiring', validate(schemas.getExpiringContracts), getExpiringContracts);
+
+router.get('/entitlement', validate(schemas.checkCustomerEntitlement), checkCustomerEntitlement);
+
+router.get('/', validate(schemas.getServiceContracts), getServiceContracts);
+
+router.get('/:id', validate(schemas.getServiceContractById), getServiceContractById);
+
+router.post('/', validate(schemas.createServiceContract), createServiceContract);
+
+router.put('/:id', validate(schemas.updateServiceContract), updateServiceContract);
+
+router.delete('/:id', validate(schemas.deleteServiceContract), deleteServiceContract);
+
+export default router;
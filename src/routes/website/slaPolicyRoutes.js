@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getSlaPolicies,
+  getSlaPolicy,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+} from '../../controllers/website/slaPolicyController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/slaPolicySchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('sla.manage'));
+
+router.get('/', validate(schemas.getSlaPolicies), getSlaPolicies);
+
+router.post('/', validate(schemas.createSlaPolicy), createSlaPolicy);
+
+router.get('/:id', validate(schemas.getSlaPolicy), getSlaPolicy);
+
+router.put('/:id', validate(schemas.updateSlaPolicy), updateSlaPolicy);
+
+router.delete('/:id', validate(schemas.deleteSlaPolicy), deleteSlaPolicy);
+
+export default router;
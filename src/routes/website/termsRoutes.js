@@ -1,25 +1,28 @@
 import { Router } from 'express';
-import { adminAuthenticate } from '../../middleware/authMiddleware.js';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
 import { 
   getLatestTerms,
   getAllTerms,
   createTerms,
   updateTerms
 } from '../../controllers/website/termsController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/termsSchemas.js';
 
 const router = Router();
 
 // Public route - Get terms (for app)
-router.get('/latest', getLatestTerms);
+router.get('/latest', validate(schemas.getLatestTerms), getLatestTerms);
 
-// Protected routes - Admin only
-router.use(adminAuthenticate);
+// Protected routes
+router.use(authenticate, requirePermission('terms.edit'));
 
-router.get('/', getAllTerms);
+router.get('/', validate(schemas.getAllTerms), getAllTerms);
 
-router.post('/', createTerms);
+router.post('/', validate(schemas.createTerms), createTerms);
 
-router.put('/', updateTerms);
+router.put('/', validate(schemas.updateTerms), updateTerms);
 
 
 
@@ -27,17 +30,17 @@ router.put('/', updateTerms);
 router.get('/privacy-policy', (req, res, next) => {
   req.query.type = 'privacy_policy';
   next();
-}, getAllTerms);
+}, validate(schemas.getPrivacyPolicy), getAllTerms);
 
 router.post('/privacy-policy', (req, res, next) => {
   req.body.type = 'privacy_policy';
   next();
-}, createTerms);
+}, validate(schemas.createPrivacyPolicy), createTerms);
 
 router.put('/privacy-policy', (req, res, next) => {
   req.body.type = 'privacy_policy';
   next();
-}, updateTerms);
+}, validate(schemas.updatePrivacyPolicy), updateTerms);
 
 export default router;
 
@@ -1,31 +1,42 @@
 import { Router } from 'express';
 import { authenticate } from '../../middleware/authMiddleware.js';
+import { allowApiKey, readWriteScope } from '../../middleware/apiKeyMiddleware.js';
 import { uploadAttachments } from '../../middleware/uploadMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
 import {
   getTickets,
   getTicket,
   assignTicket,
   updateTicketStatus,
   updateTicketNotes,
-  createTicket
+  createTicket,
+  getTicketTimeline,
+  getTicketTransitions
 } from '../../controllers/website/ticketController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/ticketSchemas.js';
 
 const router = Router();
 
-router.use(authenticate);
+// Integrations can call these with an API key holding the tickets:read / tickets:write scope
+router.use(allowApiKey(readWriteScope('tickets'), authenticate));
 
-router.get('/', getTickets);
+router.get('/', validate(schemas.getTickets), getTickets);
 
-router.get('/:id', getTicket);
+router.get('/:id', validate(schemas.getTicket), getTicket);
+
+router.get('/:id/timeline', validate(schemas.getTicketTimeline), getTicketTimeline);
+
+router.get('/:id/transitions', validate(schemas.getTicketTransitions), getTicketTransitions);
 
 // Specific routes should come before generic :id routes
-router.put('/:id/notes', updateTicketNotes);
+router.put('/:id/notes', requirePermission('tickets.add_notes'), validate(schemas.updateTicketNotes), updateTicketNotes);
 
-router.post('/:id/assign', assignTicket);
+router.post('/:id/assign', requirePermission('tickets.assign'), validate(schemas.assignTicket), assignTicket);
 
-router.put('/:id', updateTicketStatus);
+router.put('/:id', requirePermission('tickets.update_status'), validate(schemas.updateTicketStatus), updateTicketStatus);
 
-router.post('/create', uploadAttachments.array('attachments', 5), createTicket);
+router.post('/create', requirePermission('tickets.create'), uploadAttachments.array('attachments', 5), validate(schemas.createTicket), createTicket);
 
 export default router;
 
@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getTicketStatuses,
+  createTicketStatus,
+  updateTicketStatusDefinition,
+  deleteTicketStatus
+} from '../../controllers/website/ticketStatusController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/ticketStatusSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('workflow.manage'));
+
+router.get('/', validate(schemas.getTicketStatuses), getTicketStatuses);
+
+router.post('/', validate(schemas.createTicketStatus), createTicketStatus);
+
+router.put('/:key', validate(schemas.updateTicketStatusDefinition), updateTicketStatusDefinition);
+
+router.delete('/:key', validate(schemas.deleteTicketStatus), deleteTicketStatus);
+
+export default router;
@@ -0,0 +1,47 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/authMiddleware.js';
+import { requirePermission } from '../../middleware/permissionMiddleware.js';
+import {
+  getWebhookEvents,
+  getWebhookEndpoints,
+  getWebhookEndpointById,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  sendTestWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery
+} from '../../controllers/website/webhookController.js';
+import { validate } from '../../middleware/validateRequest.js';
+import schemas from '../../schemas/website/webhookSchemas.js';
+
+const router = Router();
+
+router.use(authenticate, requirePermission('webhooks.manage'));
+
+// Specific routes before /:id
+router.get('/events', validate(schemas.getWebhookEvents), getWebhookEvents);
+
+router.get('/deliveries/:deliveryId', validate(schemas.getWebhookDelivery), getWebhookDelivery);
+
+router.post('/deliveries/:deliveryId/replay', validate(schemas.replayWebhookDelivery), replayWebhookDelivery);
+
+router.get('/', validate(schemas.getWebhookEndpoints), getWebhookEndpoints);
+
+router.get('/:id', validate(schemas.getWebhookEndpointById), getWebhookEndpointById);
+
+router.post('/', validate(schemas.createWebhookEndpoint), createWebhookEndpoint);
+
+router.put('/:id', validate(schemas.updateWebhookEndpoint), updateWebhookEndpoint);
+
+router.delete('/:id', validate(schemas.deleteWebhookEndpoint), deleteWebhookEndpoint);
+
+router.post('/:id/rotate-secret', validate(schemas.rotateWebhookSecret), rotateWebhookSecret);
+
+router.post('/:id/test', validate(schemas.sendTestWebhook), sendTestWebhook);
+
+router.get('/:id/deliveries', validate(schemas.getWebhookDeliveries), getWebhookDeliveries);
+
+export default router;
@@ -0,0 +1,34 @@
+import { defineRoutes, objectId } from '../../fields.js';
+import chatSchemas from '../../website/chatSchemas.js';
+
+export default defineRoutes('/app/agent/chat', { tags: ['Agent Chat'] }, {
+  getUserChatsLists: {
+    method: 'get',
+    path: '/list',
+    summary: 'Get user chats',
+    query: chatSchemas.getUserChatsLists.query
+  },
+  getChatDetailsForAgent: {
+    method: 'get',
+    path: '/ticket/:ticketId',
+    summary: 'Get or create chat for ticket',
+    params: {
+      ticketId: objectId()
+    }
+  },
+  sendMessage: {
+    method: 'post',
+    path: '/send',
+    summary: 'Send message',
+    description: chatSchemas.sendMessage.description,
+    body: chatSchemas.sendMessage.body
+  },
+  readAllMessages: {
+    method: 'put',
+    path: '/:chatId/readAllMessages',
+    summary: 'Mark all messages as read',
+    params: {
+      chatId: objectId()
+    }
+  }
+});
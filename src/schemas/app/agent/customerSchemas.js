@@ -0,0 +1,48 @@
+import { defineRoutes } from '../../fields.js';
+import customerSchemas from '../../website/customerSchemas.js';
+
+// Same controllers as the panel's /customers routes
+export default defineRoutes('/app/agent/customers', { tags: ['Agent Customers'] }, {
+  createCustomer: {
+    method: 'post',
+    path: '/',
+    summary: 'Create new customer',
+    body: customerSchemas.createCustomer.body
+  },
+  getCustomers: {
+    method: 'get',
+    path: '/',
+    summary: 'Get all customers',
+    query: customerSchemas.getCustomers.query
+  },
+  getCustomerStats: {
+    method: 'get',
+    path: '/stats/summary',
+    summary: 'Get customer statistics'
+  },
+  exportCustomersCsv: {
+    method: 'get',
+    path: '/export/csv',
+    summary: 'Export customers to CSV',
+    query: customerSchemas.exportCustomersCsv.query
+  },
+  getCustomer: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get customer by ID',
+    params: customerSchemas.getCustomer.params
+  },
+  updateCustomer: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update customer',
+    params: customerSchemas.updateCustomer.params,
+    body: customerSchemas.updateCustomer.body
+  },
+  deleteCustomer: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete customer',
+    params: customerSchemas.deleteCustomer.params
+  }
+});
@@ -0,0 +1,18 @@
+import { defineRoutes } from '../../fields.js';
+import macroSchemas from '../../website/macroSchemas.js';
+
+export default defineRoutes('/app/agent/macros', { tags: ['Agent Macros'] }, {
+  getMacros: {
+    method: 'get',
+    path: '/',
+    summary: 'List reply macros',
+    query: macroSchemas.getMacros.query
+  },
+  previewMacro: {
+    method: 'get',
+    path: '/:id/preview',
+    summary: 'Preview a macro for a ticket',
+    params: macroSchemas.previewMacro.params,
+    query: macroSchemas.previewMacro.query
+  }
+});
@@ -0,0 +1,21 @@
+import { defineRoutes, date } from '../../fields.js';
+import appProfileSchemas from '../customer/appProfileSchemas.js';
+
+export default defineRoutes('/app/agent', { tags: ['Agent Profile'] }, {
+  newProfileUpdate: {
+    method: 'put',
+    path: '/new-profile-update',
+    summary: 'Update agent profile',
+    body: appProfileSchemas.newProfileUpdate.body
+  },
+  getMyScorecard: {
+    method: 'get',
+    path: '/scorecard',
+    summary: 'Own performance scorecard',
+    description: 'Each metric is { value, previous, change } - change is the % change from the period of the same length before.',
+    query: {
+      from: date({ description: 'Start of the period (default: 30 days before to)', example: '2025-01-01' }),
+      to: date({ description: 'End of the period (a plain date includes the whole day, default: now)', example: '2025-01-31' })
+    }
+  }
+});
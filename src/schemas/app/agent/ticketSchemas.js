@@ -0,0 +1,49 @@
+import { defineRoutes, string, objectId, required } from '../../fields.js';
+import agentTicketSchemas from '../../website/agentTicketSchemas.js';
+
+const idParams = { id: objectId({ description: 'Ticket ID' }) };
+
+export default defineRoutes('/app/agent/tickets', { tags: ['Agent Tickets'] }, {
+  getTicketList: {
+    method: 'get',
+    path: '/',
+    summary: 'Get all tickets',
+    query: agentTicketSchemas.getTicketList.query
+  },
+  getTicketByID: {
+    method: 'get',
+    path: '/details/:id',
+    summary: 'Get ticket by ID',
+    params: idParams
+  },
+  getTicketTimeline: {
+    method: 'get',
+    path: '/details/:id/timeline',
+    summary: 'Get ticket history timeline',
+    params: idParams,
+    query: {
+      type: string({ description: 'Comma-separated event types', example: 'status_changed,reassigned' })
+    }
+  },
+  getTicketTransitions: {
+    method: 'get',
+    path: '/details/:id/transitions',
+    summary: 'Get the statuses this user can move the ticket to',
+    params: idParams
+  },
+  getTicketsSummary: {
+    method: 'get',
+    path: '/summary',
+    summary: 'Get tickets summary'
+  },
+  updateTicketStatus: {
+    method: 'put',
+    path: '/change-status/:id',
+    summary: 'Update ticket status',
+    params: idParams,
+    body: {
+      status: required(string({ example: 'resolved', description: 'Target status key - must be an allowed transition from the current status' })),
+      reason: string({ example: 'Replaced the faulty sensor', description: 'Required for transitions that ask for a reason (e.g. resolving or closing)' })
+    }
+  }
+});
@@ -0,0 +1,134 @@
+import { defineRoutes, string, email, objectId, boolean, required } from '../../fields.js';
+
+const otp = string({ pattern: '^[0-9]{6}$', example: '123456' });
+
+export default defineRoutes('/app/auth', { tags: ['App Authentication'] }, {
+  login: {
+    method: 'post',
+    path: '/login',
+    summary: 'Customer login for mobile app',
+    public: true,
+    body: {
+      email: required(email({ example: 'customer@yopmail.com' })),
+      password: required(string({ example: 'password123' })),
+      fcmToken: string({ example: 'fcm_token_example' }),
+      platform: string({ description: 'android, ios or web', example: 'android' }),
+      deviceName: string({ example: 'Pixel 8' })
+    }
+  },
+  registerDeviceTokenForUser: {
+    method: 'post',
+    path: '/device-token',
+    summary: 'Register device token for push notifications',
+    body: {
+      deviceToken: required(string({ example: 'fcm_token_example' })),
+      devicePlatform: string({ enum: ['android', 'ios'], default: 'android' })
+    }
+  },
+  register: {
+    method: 'post',
+    path: '/register',
+    summary: 'Customer registration',
+    public: true,
+    body: {
+      name: required(string({ example: 'John Doe' })),
+      email: required(email({ example: 'john@example.com' })),
+      phoneNumber: required(string({ example: '9876543210' })),
+      password: required(string({ minLength: 6, example: 'password123' }))
+    }
+  },
+  verifyEmailOtp: {
+    method: 'post',
+    path: '/verify-email',
+    summary: 'Verify customer email using OTP',
+    public: true,
+    body: {
+      email: required(email({ example: 'customer@example.com' })),
+      otp: required(otp),
+      fcmToken: string(),
+      platform: string({ description: 'android, ios or web' }),
+      deviceName: string()
+    }
+  },
+  resendEmailVerificationOtp: {
+    method: 'post',
+    path: '/resend-email-otp',
+    summary: 'Resend email verification OTP',
+    public: true,
+    body: {
+      email: required(email({ example: 'customer@example.com' }))
+    }
+  },
+  forgotPassword: {
+    method: 'post',
+    path: '/forgot-password',
+    summary: 'Request password reset',
+    public: true,
+    body: {
+      email: required(email({ example: 'customer@yopmail.com' }))
+    }
+  },
+  verifyOTP: {
+    method: 'post',
+    path: '/verify-otp',
+    summary: 'Verify OTP for password reset',
+    public: true,
+    body: {
+      email: required(email({ example: 'customer@yopmail.com' })),
+      otp: required(otp)
+    }
+  },
+  resetPassword: {
+    method: 'post',
+    path: '/reset-password',
+    summary: 'Reset password after OTP verification',
+    description: 'Send the reset token from verify-otp as the bearer token',
+    body: {
+      newPassword: required(string({ minLength: 6, example: 'newpassword123' })),
+      confirmPassword: required(string({ minLength: 6, example: 'newpassword123' }))
+    }
+  },
+  logout: {
+    method: 'post',
+    path: '/logout',
+    summary: 'Customer logout'
+  },
+  refreshAccessToken: {
+    method: 'post',
+    path: '/refresh',
+    summary: 'Refresh the access token',
+    public: true,
+    body: {
+      refreshToken: required(string())
+    }
+  },
+  logoutAllDevices: {
+    method: 'post',
+    path: '/logout-all',
+    summary: 'Log out everywhere',
+    body: {
+      keepCurrent: boolean({ default: false, description: 'Stay logged in on this device' })
+    }
+  },
+  getSessions: {
+    method: 'get',
+    path: '/sessions',
+    summary: 'List signed-in devices'
+  },
+  revokeSessionById: {
+    method: 'delete',
+    path: '/sessions/:id',
+    summary: 'Log out one device',
+    params: {
+      id: objectId({ description: 'Session ID' })
+    }
+  },
+  onlineOfflineStatus: {
+    method: 'post',
+    path: '/onlineOffline/:status',
+    summary: 'Update customer online status',
+    params: {
+      status: string({ enum: ['online', 'offline'] })
+    }
+  }
+});
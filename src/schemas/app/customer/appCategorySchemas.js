@@ -0,0 +1,9 @@
+import { defineRoutes } from '../../fields.js';
+
+export default defineRoutes('/app/categories', { tags: ['App Categories'] }, {
+  getCategories: {
+    method: 'get',
+    path: '/',
+    summary: 'Get all support categories'
+  }
+});
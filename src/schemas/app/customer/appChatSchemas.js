@@ -0,0 +1,54 @@
+import { defineRoutes, string, objectId, integer, array, object, required, listQuery } from '../../fields.js';
+import { CHAT_LIST } from '../../../services/listDefinitions.js';
+
+const chatParams = { chatId: objectId() };
+
+export default defineRoutes('/app/chat', { tags: ['App Chat'] }, {
+  getUserChats: {
+    method: 'get',
+    path: '/list',
+    summary: "Get current user's chats",
+    query: listQuery(CHAT_LIST)
+  },
+  getOrCreateChat: {
+    method: 'get',
+    path: '/:ticketId',
+    summary: 'Get or create chat by ticket',
+    params: {
+      ticketId: objectId()
+    }
+  },
+  getChatMessages: {
+    method: 'get',
+    path: '/:chatId/messages',
+    summary: 'Get chat messages',
+    params: chatParams,
+    query: {
+      page: integer({ minimum: 1, example: 1 }),
+      limit: integer({ minimum: 1, example: 50 })
+    }
+  },
+  sendMessage: {
+    method: 'post',
+    path: '/send',
+    summary: 'Send a message in chat',
+    body: {
+      chatId: required(objectId()),
+      content: string(),
+      messageType: string({ enum: ['text', 'image', 'file'], default: 'text' }),
+      attachments: array(object({
+        filename: string(),
+        originalName: string(),
+        mimeType: string(),
+        size: integer(),
+        url: string()
+      }))
+    }
+  },
+  readAllMessages: {
+    method: 'put',
+    path: '/:chatId/readAllMessages',
+    summary: 'Mark all messages as read',
+    params: chatParams
+  }
+});
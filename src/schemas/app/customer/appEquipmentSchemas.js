@@ -0,0 +1,45 @@
+import { defineRoutes, string, objectId, date, required } from '../../fields.js';
+
+const idParams = { id: objectId({ description: 'Registered machine ID' }) };
+
+export default defineRoutes('/app/equipment', { tags: ['App Equipment'] }, {
+  getEquipment: {
+    method: 'get',
+    path: '/',
+    summary: 'Get all equipment list'
+  },
+  getMyMachines: {
+    method: 'get',
+    path: '/machines',
+    summary: 'Get my registered machines'
+  },
+  registerMachine: {
+    method: 'post',
+    path: '/machines',
+    summary: 'Register a machine',
+    body: {
+      equipmentId: required(objectId({ description: 'Equipment model ID (from GET /equipment)' })),
+      serialNumber: required(string({ example: 'CAM001234' })),
+      installDate: date({ example: '2024-03-15' }),
+      siteLocation: string({ example: 'Plant 2, Detroit MI' }),
+      notes: string()
+    }
+  },
+  updateMyMachine: {
+    method: 'put',
+    path: '/machines/:id',
+    summary: 'Update a registered machine',
+    params: idParams,
+    body: {
+      installDate: date(),
+      siteLocation: string(),
+      notes: string()
+    }
+  },
+  removeMyMachine: {
+    method: 'delete',
+    path: '/machines/:id',
+    summary: 'Remove a registered machine',
+    params: idParams
+  }
+});
@@ -0,0 +1,52 @@
+import { defineRoutes, string, objectId, boolean, paginationQuery, required } from '../../fields.js';
+
+export default defineRoutes('/app/kb', { tags: ['App Knowledge Base'] }, {
+  getKbSections: {
+    method: 'get',
+    path: '/sections',
+    summary: 'Get knowledge base sections'
+  },
+  getKbArticles: {
+    method: 'get',
+    path: '/articles',
+    summary: 'Browse or search published articles',
+    query: {
+      ...paginationQuery(),
+      q: string({ description: 'Full-text search' }),
+      sectionId: objectId(),
+      categoryId: objectId(),
+      equipmentId: objectId(),
+      tag: string()
+    }
+  },
+  getKbArticle: {
+    method: 'get',
+    path: '/articles/:idOrSlug',
+    summary: 'Get a published article',
+    params: {
+      idOrSlug: string({ description: 'Article ID or slug' })
+    }
+  },
+  submitKbArticleFeedback: {
+    method: 'post',
+    path: '/articles/:id/feedback',
+    summary: 'Rate whether an article was helpful',
+    params: {
+      id: objectId({ description: 'Article ID' })
+    },
+    body: {
+      helpful: required(boolean())
+    }
+  },
+  deflectKbSuggestion: {
+    method: 'post',
+    path: '/suggestions/:id/deflect',
+    summary: 'Report that a suggested article solved the problem',
+    params: {
+      id: objectId({ description: 'suggestionId from /tickets/suggest-articles' })
+    },
+    body: {
+      articleId: required(objectId())
+    }
+  }
+});
@@ -0,0 +1,30 @@
+import { defineRoutes, objectId, listQuery } from '../../fields.js';
+import { NOTIFICATION_LIST } from '../../../services/listDefinitions.js';
+
+const idParams = { id: objectId({ description: 'Notification ID' }) };
+
+export default defineRoutes('/app/notifications', { tags: ['App Notifications'] }, {
+  getNotifications: {
+    method: 'get',
+    path: '/',
+    summary: 'Get customer notifications with pagination',
+    query: listQuery(NOTIFICATION_LIST)
+  },
+  markAsRead: {
+    method: 'put',
+    path: '/:id/read',
+    summary: 'Mark notification as read',
+    params: idParams
+  },
+  markAllAsRead: {
+    method: 'put',
+    path: '/read-all',
+    summary: 'Mark all notifications as read'
+  },
+  deleteNotification: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete single notification',
+    params: idParams
+  }
+});
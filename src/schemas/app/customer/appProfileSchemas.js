@@ -0,0 +1,39 @@
+import { defineRoutes, string, email } from '../../fields.js';
+
+const profileFields = {
+  name: string({ description: 'Customer name' }),
+  email: email({ description: 'Customer email' }),
+  phone: string({ description: 'Customer phone number' })
+};
+
+export default defineRoutes('/app/profile', { tags: ['App Profile'] }, {
+  getCustomer: {
+    method: 'get',
+    path: '/',
+    summary: 'Get customer profile'
+  },
+  updateCustomer: {
+    method: 'put',
+    path: '/',
+    summary: 'Update customer profile',
+    body: profileFields
+  },
+  uploadProfileImage: {
+    method: 'post',
+    path: '/upload-image',
+    summary: 'Upload profile image',
+    contentType: 'multipart/form-data',
+    files: { profileImage: { description: 'Profile image file' } }
+  },
+  deleteAccount: {
+    method: 'delete',
+    path: '/delete-account',
+    summary: 'Delete customer account permanently'
+  },
+  newProfileUpdate: {
+    method: 'put',
+    path: '/new-profile-update',
+    summary: 'Update customer profile',
+    body: profileFields
+  }
+});
@@ -0,0 +1,12 @@
+import { defineRoutes, string, required } from '../../fields.js';
+
+export default defineRoutes('/app/report-issue', { tags: ['App Report Issues'] }, {
+  reportIssue: {
+    method: 'post',
+    path: '/',
+    summary: 'Report a new issue',
+    body: {
+      description: required(string({ description: 'Issue description' }))
+    }
+  }
+});
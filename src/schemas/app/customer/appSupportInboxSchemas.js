@@ -0,0 +1,38 @@
+import { defineRoutes, string, objectId, paginationQuery, listQuery } from '../../fields.js';
+import { SUPPORT_INBOX_LIST } from '../../../services/listDefinitions.js';
+
+const ticketParams = { ticketId: objectId() };
+
+export default defineRoutes('/app/support-inbox', { tags: ['App Support Inbox'] }, {
+  getSupportInbox: {
+    method: 'get',
+    path: '/',
+    summary: 'Get support inbox conversations with filtering and search',
+    query: {
+      ...listQuery(SUPPORT_INBOX_LIST),
+      filter: string({ enum: ['all', 'active', 'unread', 'archived'], default: 'all' }),
+      search: string()
+    }
+  },
+  markAsRead: {
+    method: 'put',
+    path: '/:messageId/read',
+    summary: 'Mark message as read',
+    params: {
+      messageId: objectId()
+    }
+  },
+  toggleArchiveConversation: {
+    method: 'put',
+    path: '/:ticketId/toggle-archive',
+    summary: 'Toggle archive status of conversation',
+    params: ticketParams
+  },
+  getConversationDetails: {
+    method: 'get',
+    path: '/:ticketId/details',
+    summary: 'Get conversation details with messages',
+    params: ticketParams,
+    query: paginationQuery(50)
+  }
+});
@@ -0,0 +1,12 @@
+import { defineRoutes, string } from '../../fields.js';
+
+export default defineRoutes('/app/terms', { tags: ['App Terms and Conditions'], public: true }, {
+  getTermsAndConditions: {
+    method: 'get',
+    path: '/',
+    summary: 'Get Terms and Conditions',
+    query: {
+      type: string({ enum: ['terms', 'privacy_policy'], default: 'terms' })
+    }
+  }
+});
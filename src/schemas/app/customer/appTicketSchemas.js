@@ -0,0 +1,68 @@
+import { defineRoutes, string, objectId, integer, required, listQuery } from '../../fields.js';
+import { TICKET_LIST } from '../../../services/listDefinitions.js';
+
+const ticketParams = { ticketId: objectId() };
+
+export default defineRoutes('/app/tickets', { tags: ['App Tickets'] }, {
+  getTickets: {
+    method: 'get',
+    path: '/fetch',
+    summary: "Get customer's tickets",
+    query: listQuery(TICKET_LIST)
+  },
+  getTicketdetails: {
+    method: 'get',
+    path: '/details/:id',
+    summary: 'Get specific ticket',
+    params: {
+      id: objectId({ description: 'Ticket ID' })
+    }
+  },
+  createTicket: {
+    method: 'post',
+    path: '/create',
+    summary: 'Create new support ticket',
+    contentType: 'multipart/form-data',
+    files: { attachments: { maxCount: 5 } },
+    body: {
+      description: required(string()),
+      categoryId: required(objectId()),
+      equipmentId: objectId(),
+      machineId: objectId({ description: "One of the customer's registered machines (GET /equipment/machines) - sets equipmentId and serialNumber" }),
+      serialNumber: string({ description: "Must match one of the customer's registered machines" }),
+      suggestionId: objectId({ description: 'suggestionId returned by /tickets/suggest-articles, used to measure knowledge-base deflection' })
+    }
+  },
+  suggestTicketArticles: {
+    method: 'post',
+    path: '/suggest-articles',
+    summary: 'Suggest knowledge-base articles for a ticket description',
+    body: {
+      description: required(string({ example: 'Scanner shows a calibration error after startup' })),
+      categoryId: objectId(),
+      equipmentId: objectId()
+    }
+  },
+  markAsTicketRead: {
+    method: 'put',
+    path: '/:ticketId/read',
+    summary: 'Mark ticket as read',
+    params: ticketParams
+  },
+  getTicketCsat: {
+    method: 'get',
+    path: '/:ticketId/csat',
+    summary: 'Get the satisfaction survey for a ticket',
+    params: ticketParams
+  },
+  submitTicketCsat: {
+    method: 'post',
+    path: '/:ticketId/csat',
+    summary: 'Rate the support received on a resolved ticket',
+    params: ticketParams,
+    body: {
+      score: required(integer({ minimum: 1, maximum: 5, example: 5 })),
+      comment: string({ example: 'Quick and helpful, thanks!' })
+    }
+  }
+});
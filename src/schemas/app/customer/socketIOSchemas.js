@@ -0,0 +1,9 @@
+import { defineRoutes } from '../../fields.js';
+
+export default defineRoutes('/app', { tags: ['Socket.IO'], public: true }, {
+  getSocketIoInfo: {
+    method: 'get',
+    path: '/socket-io-info',
+    summary: 'Get Socket.IO WebSocket Server documentation'
+  }
+});
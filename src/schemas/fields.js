@@ -0,0 +1,98 @@
+/**
+ * Field descriptors for request schemas. They are plain JSON-Schema-like objects:
+ * validateRequest turns them into express-validator checks and schemas/openapi.js
+ * turns the same objects into the Swagger definitions.
+ *
+ * Common options: required, description, example, enum, nullable,
+ * minLength/maxLength, minimum/maximum, minItems/maxItems, pattern.
+ */
+
+export const string = (options = {}) => ({ type: 'string', ...options });
+
+export const objectId = (options = {}) => ({ type: 'string', format: 'objectid', ...options });
+
+export const email = (options = {}) => ({ type: 'string', format: 'email', ...options });
+
+export const url = (options = {}) => ({ type: 'string', format: 'uri', ...options });
+
+// ISO 8601 date or date-time
+export const date = (options = {}) => ({ type: 'string', format: 'date-time', ...options });
+
+export const integer = (options = {}) => ({ type: 'integer', ...options });
+
+export const number = (options = {}) => ({ type: 'number', ...options });
+
+export const boolean = (options = {}) => ({ type: 'boolean', ...options });
+
+export const array = (items, options = {}) => ({ type: 'array', items, ...options });
+
+export const object = (properties = {}, options = {}) => ({ type: 'object', properties, ...options });
+
+// Anything (free-form JSON)
+export const any = (options = {}) => ({ ...options });
+
+export const required = (field) => ({ ...field, required: true });
+
+// Query parameters shared by list endpoints
+export const paginationQuery = (maxLimit = 100) => ({
+  page: integer({ minimum: 1, description: 'Page number', example: 1 }),
+  limit: integer({ minimum: 1, maximum: maxLimit, description: 'Items per page', example: 10 })
+});
+
+const listFilterFields = (name, filter) => {
+  switch (filter.type) {
+    case 'dateRange':
+      return {
+        [`${name}From`]: date({ description: `${name} on or after`, example: '2025-01-01' }),
+        [`${name}To`]: date({ description: `${name} on or before (a plain date includes the whole day)`, example: '2025-01-31' })
+      };
+    case 'boolean':
+      return { [name]: string({ enum: ['true', 'false'] }) };
+    case 'objectId':
+      return { [name]: string({ description: 'ID, comma-separated IDs, or "none" for not set' }) };
+    default:
+      return {
+        [name]: string({
+          description: filter.values ? `Comma-separated, any of: ${filter.values.join(', ')}` : 'Comma-separated values'
+        })
+      };
+  }
+};
+
+// Query parameters of a list endpoint described with defineList (services/listQueryService.js).
+// Exports take { paged: false }: the same filters and sort, everything at once.
+export const listQuery = (list, { paged = true } = {}) => ({
+  ...(paged && {
+    page: integer({ minimum: 1, description: 'Page number (offset pagination)', example: 1 }),
+    limit: integer({ minimum: 1, maximum: list.maxLimit, description: 'Items per page', example: list.defaultLimit }),
+    cursor: string({ description: 'nextCursor of the previous page (cursor pagination, instead of page)' })
+  }),
+  sort: string({
+    description: `Comma-separated, "-" for descending. Fields: ${Object.keys(list.sortFields).join(', ')}`,
+    example: list.defaultSort
+  }),
+  ...(paged && {
+    fields: string({ description: `Only return these fields (comma-separated): ${list.fields.join(', ')}` })
+  }),
+  ...Object.assign({}, ...Object.entries(list.filters).map(([name, filter]) => listFilterFields(name, filter)))
+});
+
+const joinPath = (base, path) => {
+  const joined = `${base}/${path}`.replace(/\/+/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+};
+
+/**
+ * Schemas for the routes of one router. `basePath` is where the router is mounted and each
+ * spec's `path` is the path given to the router, so both read like the routes file.
+ *
+ * Spec: { method, path, summary, description, tags, public, contentType, files, params, query, body }
+ */
+export const defineRoutes = (basePath, defaults, specs) => Object.fromEntries(
+  Object.entries(specs).map(([name, spec]) => [name, {
+    ...defaults,
+    ...spec,
+    routePath: spec.path,
+    path: joinPath(basePath, spec.path)
+  }])
+);
@@ -0,0 +1,96 @@
+import activityLogSchemas from './website/activityLogSchemas.js';
+import agentSchemas from './website/agentSchemas.js';
+import agentTicketSchemas from './website/agentTicketSchemas.js';
+import analyticsSchemas from './website/analyticsSchemas.js';
+import apiKeySchemas from './website/apiKeySchemas.js';
+import authSchemas from './website/authSchemas.js';
+import categorySchemas from './website/categorySchemas.js';
+import chatSchemas from './website/chatSchemas.js';
+import csatSchemas from './website/csatSchemas.js';
+import customerSchemas from './website/customerSchemas.js';
+import emailTemplateSchemas from './website/emailTemplateSchemas.js';
+import equipmentSchemas from './website/equipmentSchemas.js';
+import inboundEmailSchemas from './website/inboundEmailSchemas.js';
+import jobSchemas from './website/jobSchemas.js';
+import knowledgeBaseSchemas from './website/knowledgeBaseSchemas.js';
+import macroSchemas from './website/macroSchemas.js';
+import notificationSchemas from './website/notificationSchemas.js';
+import profileSchemas from './website/profileSchemas.js';
+import reportScheduleSchemas from './website/reportScheduleSchemas.js';
+import roleSchemas from './website/roleSchemas.js';
+import routingRuleSchemas from './website/routingRuleSchemas.js';
+import serviceContractSchemas from './website/serviceContractSchemas.js';
+import slaPolicySchemas from './website/slaPolicySchemas.js';
+import termsSchemas from './website/termsSchemas.js';
+import ticketSchemas from './website/ticketSchemas.js';
+import ticketStatusSchemas from './website/ticketStatusSchemas.js';
+import webhookSchemas from './website/webhookSchemas.js';
+import appAuthSchemas from './app/customer/appAuthSchemas.js';
+import appCategorySchemas from './app/customer/appCategorySchemas.js';
+import appChatSchemas from './app/customer/appChatSchemas.js';
+import appEquipmentSchemas from './app/customer/appEquipmentSchemas.js';
+import appKnowledgeBaseSchemas from './app/customer/appKnowledgeBaseSchemas.js';
+import appNotificationSchemas from './app/customer/appNotificationSchemas.js';
+import appProfileSchemas from './app/customer/appProfileSchemas.js';
+import appReportIssueSchemas from './app/customer/appReportIssueSchemas.js';
+import appSupportInboxSchemas from './app/customer/appSupportInboxSchemas.js';
+import appTermsSchemas from './app/customer/appTermsSchemas.js';
+import appTicketSchemas from './app/customer/appTicketSchemas.js';
+import socketIOSchemas from './app/customer/socketIOSchemas.js';
+import appAgentChatSchemas from './app/agent/chatSchemas.js';
+import appAgentCustomerSchemas from './app/agent/customerSchemas.js';
+import appAgentMacroSchemas from './app/agent/macroSchemas.js';
+import appAgentProfileSchemas from './app/agent/profileSchemas.js';
+import appAgentTicketSchemas from './app/agent/ticketSchemas.js';
+
+/**
+ * Schemas of every route, for the Swagger generator (config/swagger.js)
+ */
+const routeSchemas = [
+  activityLogSchemas,
+  agentSchemas,
+  agentTicketSchemas,
+  analyticsSchemas,
+  apiKeySchemas,
+  authSchemas,
+  categorySchemas,
+  chatSchemas,
+  csatSchemas,
+  customerSchemas,
+  emailTemplateSchemas,
+  equipmentSchemas,
+  inboundEmailSchemas,
+  jobSchemas,
+  knowledgeBaseSchemas,
+  macroSchemas,
+  notificationSchemas,
+  profileSchemas,
+  reportScheduleSchemas,
+  roleSchemas,
+  routingRuleSchemas,
+  serviceContractSchemas,
+  slaPolicySchemas,
+  termsSchemas,
+  ticketSchemas,
+  ticketStatusSchemas,
+  webhookSchemas,
+  appAuthSchemas,
+  appCategorySchemas,
+  appChatSchemas,
+  appEquipmentSchemas,
+  appKnowledgeBaseSchemas,
+  appNotificationSchemas,
+  appProfileSchemas,
+  appReportIssueSchemas,
+  appSupportInboxSchemas,
+  appTermsSchemas,
+  appTicketSchemas,
+  socketIOSchemas,
+  appAgentChatSchemas,
+  appAgentCustomerSchemas,
+  appAgentMacroSchemas,
+  appAgentProfileSchemas,
+  appAgentTicketSchemas
+].flatMap(group => Object.values(group));
+
+export default routeSchemas;
@@ -0,0 +1,132 @@
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+const DOC_KEYS = ['description', 'example', 'default', 'enum', 'nullable', 'minLength', 'maxLength', 'minimum', 'maximum', 'minItems', 'maxItems', 'pattern'];
+
+/**
+ * Field descriptor (schemas/fields.js) -> OpenAPI schema
+ */
+export const toOpenApiSchema = (field = {}) => {
+  const schema = {};
+  if (field.type) schema.type = field.type;
+  if (field.format === 'objectid') {
+    schema.pattern = OBJECT_ID_PATTERN;
+    schema.example ??= '507f1f77bcf86cd799439011';
+  } else if (field.format) {
+    schema.format = field.format;
+  }
+  DOC_KEYS.forEach((key) => {
+    if (field[key] !== undefined) schema[key] = field[key];
+  });
+
+  if (field.type === 'object' && field.properties) {
+    schema.properties = Object.fromEntries(
+      Object.entries(field.properties).map(([name, property]) => [name, toOpenApiSchema(property)])
+    );
+    const requiredFields = Object.entries(field.properties).filter(([, property]) => property.required).map(([name]) => name);
+    if (requiredFields.length > 0) schema.required = requiredFields;
+  }
+  if (field.type === 'array') {
+    schema.items = toOpenApiSchema(field.items || {});
+  }
+  return schema;
+};
+
+// /tickets/:id -> /tickets/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+const toParameters = (spec) => {
+  const params = spec.params || {};
+  const pathParams = pathParamNames(spec.path).map((name) => {
+    const { description, ...schema } = toOpenApiSchema(params[name] || { type: 'string' });
+    return { in: 'path', name, required: true, schema, ...(description && { description }) };
+  });
+  const queryParams = Object.entries(spec.query || {}).map(([name, field]) => {
+    const { description, ...schema } = toOpenApiSchema(field);
+    return { in: 'query', name, required: !!field.required, schema, ...(description && { description }) };
+  });
+  return [...pathParams, ...queryParams];
+};
+
+const toRequestBody = (spec) => {
+  if (!spec.body && !spec.files) {
+    return undefined;
+  }
+  const schema = toOpenApiSchema({ type: 'object', properties: spec.body || {} });
+  const contentType = spec.contentType || 'application/json';
+
+  // Uploaded files are documented only; multer handles them before validation
+  Object.entries(spec.files || {}).forEach(([name, { maxCount = 1, description } = {}]) => {
+    const file = { type: 'string', format: 'binary' };
+    schema.properties[name] = maxCount > 1
+      ? { type: 'array', items: file, maxItems: maxCount, ...(description && { description }) }
+      : { ...file, ...(description && { description }) };
+  });
+
+  return {
+    required: Object.values(spec.body || {}).some(field => field.required),
+    content: { [contentType]: { schema } }
+  };
+};
+
+/**
+ * Write every route schema into the Swagger spec. Generated parameters and request bodies
+ * replace hand-written ones so the docs always describe what is validated; summaries,
+ * descriptions and responses written in @swagger comments are kept.
+ */
+export const applyRouteSchemas = (swaggerSpec, routeSchemas) => {
+  swaggerSpec.paths ||= {};
+  swaggerSpec.components ||= {};
+  swaggerSpec.components.schemas ||= {};
+  swaggerSpec.components.schemas.ValidationError = {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      message: { type: 'string', example: 'email must be a valid email address' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['params', 'query', 'body'] },
+            field: { type: 'string', example: 'email' },
+            message: { type: 'string', example: 'email must be a valid email address' }
+          }
+        }
+      }
+    }
+  };
+
+  routeSchemas.forEach((spec) => {
+    const path = toOpenApiPath(spec.path);
+    const method = spec.method.toLowerCase();
+    const existing = swaggerSpec.paths[path]?.[method] || {};
+
+    const operation = {
+      tags: spec.tags,
+      summary: spec.summary,
+      ...(spec.description && { description: spec.description }),
+      ...(!spec.public && { security: [{ bearerAuth: [] }] }),
+      ...existing,
+      parameters: toParameters(spec),
+      responses: {
+        200: { description: 'Success' },
+        ...existing.responses,
+        400: { description: existing.responses?.[400]?.description || 'Invalid request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } }
+      }
+    };
+    const requestBody = toRequestBody(spec);
+    if (requestBody) {
+      operation.requestBody = requestBody;
+    } else {
+      delete operation.requestBody;
+    }
+    if (operation.parameters.length === 0) {
+      delete operation.parameters;
+    }
+
+    swaggerSpec.paths[path] = { ...swaggerSpec.paths[path], [method]: operation };
+  });
+
+  return swaggerSpec;
+};
@@ -0,0 +1,15 @@
+import { defineRoutes, date, listQuery } from '../fields.js';
+import { ACTIVITY_LOG_LIST } from '../../services/listDefinitions.js';
+
+export default defineRoutes('/activity-logs', { tags: ['Activity Logs'] }, {
+  getActivityLogs: {
+    method: 'get',
+    path: '/list',
+    summary: 'List activity logs',
+    query: {
+      ...listQuery(ACTIVITY_LOG_LIST),
+      startDate: date({ description: 'Older name of createdAtFrom', example: '2025-01-01' }),
+      endDate: date({ description: 'Older name of createdAtTo', example: '2025-01-31' })
+    }
+  }
+});
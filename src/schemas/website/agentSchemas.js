@@ -0,0 +1,96 @@
+import { defineRoutes, string, email, objectId, array, date, required, listQuery } from '../fields.js';
+import { AGENT_LIST } from '../../services/listDefinitions.js';
+
+const idParams = { id: objectId({ description: 'Agent ID' }) };
+
+const scorecardQuery = {
+  from: date({ description: 'Start of the period (default: 30 days before to)', example: '2025-01-01' }),
+  to: date({ description: 'End of the period (a plain date includes the whole day, default: now)', example: '2025-01-31' })
+};
+
+const agentFields = {
+  name: string({ example: 'Jane Agent' }),
+  email: email(),
+  phone: string({ description: '10 digits, optionally prefixed with +1' }),
+  password: string({ minLength: 6 }),
+  categoryId: array(objectId(), { description: 'Categories the agent handles' })
+};
+
+export default defineRoutes('/agents', { tags: ['Agents'] }, {
+  createAgent: {
+    method: 'post',
+    path: '/',
+    summary: 'Create an agent',
+    body: {
+      ...agentFields,
+      name: required(agentFields.name),
+      email: required(agentFields.email),
+      password: required(agentFields.password)
+    }
+  },
+  getAgentsList: {
+    method: 'get',
+    path: '/',
+    summary: 'List agents',
+    query: {
+      ...listQuery(AGENT_LIST),
+      search: string({ description: 'Matches name, email or phone' })
+    }
+  },
+  exportAgents: {
+    method: 'get',
+    path: '/export',
+    summary: 'Export agents as CSV',
+    query: {
+      ...listQuery(AGENT_LIST, { paged: false }),
+      search: string({ description: 'Matches name, email or phone' })
+    }
+  },
+  getCategoryList: {
+    method: 'get',
+    path: '/categorylist',
+    summary: 'Categories to pick from when editing an agent',
+    query: {
+      includeInactive: string({ enum: ['true', 'false'] })
+    }
+  },
+  getAgentScorecards: {
+    method: 'get',
+    path: '/scorecards',
+    summary: 'Performance scorecards of all agents',
+    description: 'Each metric is { value, previous, change } - change is the % change from the period of the same length before.',
+    query: scorecardQuery
+  },
+  getAgentScorecard: {
+    method: 'get',
+    path: '/:id/scorecard',
+    summary: 'Performance scorecard of one agent',
+    params: idParams,
+    query: scorecardQuery
+  },
+  getAgent: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get an agent',
+    params: idParams
+  },
+  updateAgent: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update an agent',
+    params: idParams,
+    body: agentFields
+  },
+  toggleAgentStatus: {
+    method: 'put',
+    path: '/:id/toggle-status',
+    summary: 'Activate or deactivate an agent',
+    params: idParams
+  },
+  deleteAgent: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete an agent',
+    params: idParams
+  }
+});
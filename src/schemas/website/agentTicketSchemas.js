@@ -0,0 +1,26 @@
+import { defineRoutes, string, objectId, listQuery } from '../fields.js';
+import { TICKET_LIST } from '../../services/listDefinitions.js';
+
+export default defineRoutes('/agent/tickets', { tags: ['Agent Tickets'] }, {
+  getTicketList: {
+    method: 'get',
+    path: '/',
+    summary: 'Tickets visible to the signed-in agent',
+    query: {
+      ...listQuery(TICKET_LIST),
+      category: string({ description: 'Category name (partial match)' }),
+      slaState: string({ description: 'Comma-separated SLA states', example: 'at_risk,breached' }),
+      search: string(),
+      sortBy: string({ enum: Object.keys(TICKET_LIST.sortFields), description: 'Older form of sort' }),
+      sortOrder: string({ enum: ['asc', 'desc'], default: 'desc' })
+    }
+  },
+  getTicketByID: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get a ticket',
+    params: {
+      id: objectId({ description: 'Ticket ID' })
+    }
+  }
+});
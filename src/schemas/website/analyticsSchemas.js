@@ -0,0 +1,23 @@
+import { defineRoutes, string, objectId, date } from '../fields.js';
+import { ANALYTICS_INTERVALS } from '../../services/analyticsService.js';
+
+const reportQuery = {
+  interval: string({ enum: ANALYTICS_INTERVALS, default: 'day', description: 'Periods are UTC; weeks start on Monday' }),
+  from: date({ example: '2025-01-01', description: 'Defaults to 30 days before to' }),
+  to: date({ example: '2025-01-31', description: 'A plain date includes the whole day. Defaults to now' }),
+  categoryId: objectId(),
+  equipmentId: objectId(),
+  agentId: objectId({ description: 'Assigned agent' })
+};
+
+const report = (path, summary, description) => ({ method: 'get', path, summary, description, query: reportQuery });
+
+export default defineRoutes('/analytics', { tags: ['Analytics'] }, {
+  getVolumeReport: report('/volume', 'Tickets created and resolved per period'),
+  getBacklogReport: report('/backlog', 'Open tickets at the end of each period'),
+  getFirstResponseReport: report('/first-response', 'Median and p90 time to the first reply',
+    'Minutes from ticket creation to the first message not sent by the customer (internal notes and system messages excluded), for tickets created in the range'),
+  getResolutionTimeReport: report('/resolution-time', 'Median and p90 time to resolution',
+    'Minutes from ticket creation to each change into a resolved or closed status in the range'),
+  getReopenReport: report('/reopens', 'Share of resolutions that were reopened')
+});
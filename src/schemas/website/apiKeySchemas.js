@@ -0,0 +1,57 @@
+import { defineRoutes, string, objectId, integer, date, array, required } from '../fields.js';
+import { API_KEY_SCOPES } from '../../models/ApiKey.js';
+
+const idParams = { id: objectId({ description: 'API key ID' }) };
+
+const apiKeyFields = {
+  name: string(),
+  scopes: array(string({ enum: API_KEY_SCOPES }), { minItems: 1 }),
+  rateLimitPerMinute: integer({ minimum: 1, maximum: 10000 }),
+  expiresAt: date({ description: 'Must be in the future; null for no expiry', nullable: true })
+};
+
+export default defineRoutes('/api-keys', { tags: ['API Keys'] }, {
+  getApiKeyScopes: {
+    method: 'get',
+    path: '/scopes',
+    summary: 'Scopes a key can be granted'
+  },
+  getApiKeys: {
+    method: 'get',
+    path: '/',
+    summary: 'List API keys',
+    query: {
+      status: string({ enum: ['active', 'expired', 'revoked'] })
+    }
+  },
+  getApiKeyById: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get an API key with recent activity',
+    params: idParams
+  },
+  createApiKey: {
+    method: 'post',
+    path: '/',
+    summary: 'Create an API key',
+    description: 'The key itself is returned once',
+    body: {
+      ...apiKeyFields,
+      name: required(apiKeyFields.name),
+      scopes: required(apiKeyFields.scopes)
+    }
+  },
+  updateApiKey: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update an API key',
+    params: idParams,
+    body: apiKeyFields
+  },
+  revokeApiKey: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Revoke an API key',
+    params: idParams
+  }
+});
@@ -0,0 +1,131 @@
+import { defineRoutes, string, email, objectId, required } from '../fields.js';
+import { TWO_FACTOR_METHODS } from '../../services/twoFactorService.js';
+
+const challengeToken = string({ description: 'challengeToken returned by /auth/login' });
+
+export default defineRoutes('/auth', { tags: ['Authentication'], public: true }, {
+  register: {
+    method: 'post',
+    path: '/register',
+    summary: 'Register a panel user',
+    body: {
+      name: required(string()),
+      email: required(email()),
+      password: required(string({ minLength: 6 })),
+      role: string({ enum: ['agent', 'manager'] })
+    }
+  },
+  login: {
+    method: 'post',
+    path: '/login',
+    summary: 'Panel login',
+    description: 'Returns a session token, or a challengeToken when a second factor (or 2FA enrollment) is needed',
+    body: {
+      email: required(email({ example: 'manager@example.com' })),
+      password: required(string())
+    }
+  },
+  forgotPassword: {
+    method: 'post',
+    path: '/forgot-password',
+    summary: 'Email a password reset link',
+    body: {
+      email: required(email())
+    }
+  },
+  resetPassword: {
+    method: 'post',
+    path: '/reset-password/:token',
+    summary: 'Set a new password with the emailed reset token',
+    body: {
+      password: required(string({ minLength: 6 }))
+    }
+  },
+  unlockLockedAccount: {
+    method: 'post',
+    path: '/unlock/:token',
+    summary: 'Lift a login lockout with the emailed unlock token'
+  },
+  logout: {
+    method: 'post',
+    path: '/logout',
+    summary: 'Panel logout',
+    public: false
+  },
+  sendTwoFactorChallengeEmail: {
+    method: 'post',
+    path: '/2fa/challenge/email',
+    summary: 'Email a sign-in code during the two-factor login step',
+    body: {
+      challengeToken: required(challengeToken)
+    }
+  },
+  verifyTwoFactorLogin: {
+    method: 'post',
+    path: '/2fa/verify',
+    summary: 'Finish login with an authenticator, email or backup code',
+    body: {
+      challengeToken: required(challengeToken),
+      code: required(string({ example: '123456' })),
+      method: string({ enum: TWO_FACTOR_METHODS, description: 'Tried in order when omitted' })
+    }
+  },
+  startTwoFactorSetup: {
+    method: 'post',
+    path: '/2fa/setup',
+    summary: 'Start two-factor enrollment',
+    description: 'Signed in, or with the setup challengeToken from login when the role requires 2FA',
+    body: {
+      challengeToken
+    }
+  },
+  enableTwoFactor: {
+    method: 'post',
+    path: '/2fa/enable',
+    summary: 'Confirm enrollment with an authenticator code',
+    body: {
+      challengeToken,
+      code: required(string({ example: '123456' }))
+    }
+  },
+  getTwoFactorStatus: {
+    method: 'get',
+    path: '/2fa',
+    summary: 'Two-factor status of the signed-in user',
+    public: false
+  },
+  sendTwoFactorEmailCode: {
+    method: 'post',
+    path: '/2fa/email-code',
+    summary: 'Email a two-factor code to the signed-in user',
+    public: false
+  },
+  disableTwoFactor: {
+    method: 'post',
+    path: '/2fa/disable',
+    summary: 'Turn two-factor authentication off',
+    public: false,
+    body: {
+      password: required(string()),
+      code: required(string())
+    }
+  },
+  regenerateBackupCodes: {
+    method: 'post',
+    path: '/2fa/backup-codes',
+    summary: 'Replace the backup codes',
+    public: false,
+    body: {
+      code: required(string())
+    }
+  },
+  resetUserTwoFactor: {
+    method: 'delete',
+    path: '/2fa/users/:userId',
+    summary: "Reset another staff member's two-factor authentication",
+    public: false,
+    params: {
+      userId: objectId()
+    }
+  }
+});
@@ -0,0 +1,62 @@
+import { defineRoutes, string, objectId, boolean, number, array, required } from '../fields.js';
+
+const idParams = { id: objectId({ description: 'Category ID' }) };
+
+const categoryFields = {
+  name: string(),
+  description: string(),
+  sortOrder: number(),
+  isActive: boolean()
+};
+
+const iconFile = { icon: { description: 'Category icon image' } };
+
+export default defineRoutes('/categories', { tags: ['Categories'] }, {
+  getCategories: {
+    method: 'get',
+    path: '/',
+    summary: 'List categories with usage counts',
+    query: {
+      includeInactive: string({ enum: ['true', 'false'], description: 'Retired categories are included unless false' })
+    }
+  },
+  createCategory: {
+    method: 'post',
+    path: '/',
+    summary: 'Create a category',
+    contentType: 'multipart/form-data',
+    files: iconFile,
+    body: {
+      ...categoryFields,
+      name: required(categoryFields.name),
+      description: required(categoryFields.description)
+    }
+  },
+  reorderCategories: {
+    method: 'put',
+    path: '/reorder',
+    summary: 'Set the display order of categories',
+    body: {
+      order: required(array(objectId(), { minItems: 1, description: 'Category IDs in display order' }))
+    }
+  },
+  updateCategory: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update a category',
+    contentType: 'multipart/form-data',
+    files: iconFile,
+    params: idParams,
+    body: categoryFields
+  },
+  deleteCategory: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Retire a category',
+    description: 'Open tickets and agents are moved to reassignToCategoryId; required while the category is in use',
+    params: idParams,
+    body: {
+      reassignToCategoryId: objectId()
+    }
+  }
+});
@@ -0,0 +1,52 @@
+import { defineRoutes, string, objectId, boolean, array, object, integer, required, listQuery } from '../fields.js';
+import { CHAT_LIST } from '../../services/listDefinitions.js';
+
+export default defineRoutes('/chat', { tags: ['Chat'] }, {
+  getUserChatsLists: {
+    method: 'get',
+    path: '/admin/chats',
+    summary: 'Chats of the signed-in user',
+    query: listQuery(CHAT_LIST)
+  },
+  getOrCreateChat: {
+    method: 'get',
+    path: '/admin/chat/ticket/:ticketId',
+    summary: 'Chat of a ticket, created on first use',
+    params: {
+      ticketId: objectId()
+    }
+  },
+  getChatMessages: {
+    method: 'get',
+    path: '/admin/chat/:chatId/messages',
+    summary: 'Messages of a chat',
+    params: {
+      chatId: objectId()
+    },
+    query: {
+      page: integer({ minimum: 1, example: 1 }),
+      limit: integer({ minimum: 1, example: 50 })
+    }
+  },
+  sendMessage: {
+    method: 'post',
+    path: '/admin/chat/send',
+    summary: 'Send a message or internal note',
+    description: 'content may be left out when macroId is given; the macro text is used instead',
+    body: {
+      chatId: required(objectId()),
+      content: string(),
+      messageType: string({ enum: ['text', 'image', 'file', 'infoSystem'], default: 'text' }),
+      attachments: array(object({
+        filename: string(),
+        originalName: string(),
+        mimeType: string(),
+        size: integer(),
+        url: string()
+      })),
+      macroId: objectId(),
+      isInternal: boolean({ description: 'Staff-only note, never shown to the customer' }),
+      mentions: array(objectId(), { description: 'Staff user IDs @-mentioned in an internal note' })
+    }
+  }
+});
@@ -0,0 +1,31 @@
+import { defineRoutes, string, objectId, date, paginationQuery } from '../fields.js';
+import { CSAT_GROUP_BY } from '../../services/csatService.js';
+
+const filterQuery = {
+  agentId: objectId(),
+  categoryId: objectId(),
+  from: date({ example: '2025-01-01' }),
+  to: date({ example: '2025-01-31', description: 'A plain date includes the whole day' })
+};
+
+export default defineRoutes('/csat', { tags: ['CSAT'] }, {
+  getCsatReport: {
+    method: 'get',
+    path: '/reports',
+    summary: 'Satisfaction scores grouped by agent, category or equipment',
+    query: {
+      groupBy: string({ enum: Object.keys(CSAT_GROUP_BY), default: 'agent' }),
+      ...filterQuery
+    }
+  },
+  getCsatResponses: {
+    method: 'get',
+    path: '/responses',
+    summary: 'Individual survey responses',
+    query: {
+      ...paginationQuery(),
+      ...filterQuery,
+      score: string({ pattern: '^[1-5](,[1-5])*$', description: 'Comma-separated scores', example: '1,2' })
+    }
+  }
+});
@@ -0,0 +1,81 @@
+import { defineRoutes, string, email, objectId, required, listQuery } from '../fields.js';
+import { CUSTOMER_LIST } from '../../services/listDefinitions.js';
+
+const idParams = { id: objectId({ description: 'Customer ID' }) };
+
+const customerFields = {
+  name: string({ example: 'John Smith' }),
+  firstName: string({ description: 'Used with lastName when name is not given' }),
+  lastName: string(),
+  email: email(),
+  phone: string({ description: '10 digits, optionally prefixed with +1', example: '5551234567' }),
+  password: string({ minLength: 6 })
+};
+
+export default defineRoutes('/customers', { tags: ['Customers'] }, {
+  createCustomer: {
+    method: 'post',
+    path: '/',
+    summary: 'Create a customer',
+    body: {
+      ...customerFields,
+      email: required(customerFields.email),
+      phone: required(customerFields.phone),
+      password: required(customerFields.password)
+    }
+  },
+  getCustomers: {
+    method: 'get',
+    path: '/',
+    summary: 'List customers',
+    query: {
+      ...listQuery(CUSTOMER_LIST),
+      search: string({ description: 'Matches name, email or phone' })
+    }
+  },
+  getCustomerStats: {
+    method: 'get',
+    path: '/stats/summary',
+    summary: 'Customer counts'
+  },
+  exportCustomersCsv: {
+    method: 'get',
+    path: '/export/csv',
+    summary: 'Export customers as CSV',
+    query: {
+      ...listQuery(CUSTOMER_LIST, { paged: false }),
+      search: string({ description: 'Matches name, email or phone' })
+    }
+  },
+  getCustomer: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get a customer',
+    params: idParams
+  },
+  updateCustomer: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update a customer',
+    params: idParams,
+    body: customerFields
+  },
+  activateCustomer: {
+    method: 'put',
+    path: '/:id/activate',
+    summary: 'Activate a customer',
+    params: idParams
+  },
+  deactivateCustomer: {
+    method: 'put',
+    path: '/:id/deactivate',
+    summary: 'Deactivate a customer',
+    params: idParams
+  },
+  deleteCustomer: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete a customer',
+    params: idParams
+  }
+});
@@ -0,0 +1,47 @@
+import { defineRoutes, string, object } from '../fields.js';
+import { EMAIL_TEMPLATE_KEYS } from '../../services/emailTemplates.js';
+
+const keyParams = { key: string({ enum: EMAIL_TEMPLATE_KEYS, description: 'Template key', example: 'ticket-created' }) };
+
+const templateFields = {
+  subject: string({ maxLength: 300, description: 'Subject template (ignored for the layout)', example: 'Ticket Created - {{ticketNumber}}' }),
+  html: string({ description: 'HTML template - {{name}} is escaped, {{{name}}} is inserted as is, {{#if}} / {{#each}} blocks' })
+};
+
+export default defineRoutes('/email-templates', { tags: ['Email Templates'] }, {
+  getEmailTemplates: {
+    method: 'get',
+    path: '/',
+    summary: 'List the email templates and whether they were edited'
+  },
+  getEmailTemplateByKey: {
+    method: 'get',
+    path: '/:key',
+    summary: 'Get a template with its default version and variables',
+    params: keyParams
+  },
+  previewEmailTemplateDraft: {
+    method: 'post',
+    path: '/:key/preview',
+    summary: 'Render a template with sample variables',
+    description: 'Leave out subject / html to preview the saved template. The result includes the plain-text alternative.',
+    params: keyParams,
+    body: {
+      ...templateFields,
+      variables: object({}, { description: 'Values to use instead of the sample ones', additionalProperties: true })
+    }
+  },
+  updateEmailTemplate: {
+    method: 'put',
+    path: '/:key',
+    summary: 'Save an edited template',
+    params: keyParams,
+    body: templateFields
+  },
+  resetEmailTemplateToDefault: {
+    method: 'delete',
+    path: '/:key',
+    summary: 'Drop the edits and use the default template again',
+    params: keyParams
+  }
+});
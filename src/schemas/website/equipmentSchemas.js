@@ -0,0 +1,93 @@
+import { defineRoutes, string, objectId, boolean, integer, date, paginationQuery, required } from '../fields.js';
+
+const idParams = { id: objectId() };
+
+const equipmentFields = {
+  name: string(),
+  serialNumber: string(),
+  modelNumber: string(),
+  description: string(),
+  isActive: boolean(),
+  sortOrder: integer()
+};
+
+const machineFields = {
+  equipmentId: objectId({ description: 'Equipment model' }),
+  serialNumber: string(),
+  installDate: date(),
+  siteLocation: string(),
+  warrantyEndDate: date(),
+  notes: string(),
+  isActive: boolean()
+};
+
+export default defineRoutes('/equipment', { tags: ['Equipment'] }, {
+  getEquipment: {
+    method: 'get',
+    path: '/',
+    summary: 'List equipment models',
+    query: {
+      includeInactive: string({ enum: ['true', 'false'] })
+    }
+  },
+  getCustomerMachines: {
+    method: 'get',
+    path: '/machines',
+    summary: 'List registered customer machines',
+    query: {
+      ...paginationQuery(),
+      customerId: objectId(),
+      equipmentId: objectId(),
+      search: string({ description: 'Matches serial number or site location' }),
+      isActive: string({ enum: ['true', 'false'] })
+    }
+  },
+  createCustomerMachine: {
+    method: 'post',
+    path: '/machines',
+    summary: 'Register a machine for a customer',
+    body: {
+      customerId: required(objectId()),
+      ...machineFields,
+      equipmentId: required(machineFields.equipmentId),
+      serialNumber: required(machineFields.serialNumber)
+    }
+  },
+  updateCustomerMachine: {
+    method: 'put',
+    path: '/machines/:id',
+    summary: 'Update a registered machine',
+    params: { id: objectId({ description: 'Customer machine ID' }) },
+    body: machineFields
+  },
+  getEquipmentById: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get an equipment model',
+    params: idParams
+  },
+  createEquipment: {
+    method: 'post',
+    path: '/',
+    summary: 'Create an equipment model',
+    body: {
+      ...equipmentFields,
+      name: required(equipmentFields.name),
+      serialNumber: required(equipmentFields.serialNumber),
+      modelNumber: required(equipmentFields.modelNumber)
+    }
+  },
+  updateEquipment: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update an equipment model',
+    params: idParams,
+    body: equipmentFields
+  },
+  deleteEquipment: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete an equipment model',
+    params: idParams
+  }
+});
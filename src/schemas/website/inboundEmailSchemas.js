@@ -0,0 +1,25 @@
+import { defineRoutes, string, paginationQuery } from '../fields.js';
+import { INBOUND_EMAIL_STATUSES } from '../../models/InboundEmail.js';
+
+export default defineRoutes('/inbound-email', { tags: ['Inbound Email'] }, {
+  receiveInboundEmail: {
+    method: 'post',
+    path: '/',
+    summary: 'Inbound email webhook',
+    description: "Called by the email provider with its own payload format. Authenticated with the X-Inbound-Secret header or ?secret=",
+    public: true,
+    query: {
+      secret: string({ description: 'INBOUND_EMAIL_WEBHOOK_SECRET, when the provider cannot send headers' })
+    }
+  },
+  getInboundEmails: {
+    method: 'get',
+    path: '/',
+    summary: 'Inbound email log',
+    query: {
+      ...paginationQuery(),
+      status: string({ enum: INBOUND_EMAIL_STATUSES }),
+      search: string({ description: 'Matches sender or subject' })
+    }
+  }
+});
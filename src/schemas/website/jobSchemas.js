@@ -0,0 +1,39 @@
+import { defineRoutes, string, objectId, listQuery } from '../fields.js';
+import { JOB_LIST } from '../../services/listDefinitions.js';
+
+const idParams = { id: objectId({ description: 'Job ID' }) };
+
+export default defineRoutes('/jobs', { tags: ['Jobs'] }, {
+  getJobStats: {
+    method: 'get',
+    path: '/stats',
+    summary: 'Job counts per type and status'
+  },
+  retryDeadJobsBulk: {
+    method: 'post',
+    path: '/retry-dead',
+    summary: 'Queue every dead job again',
+    query: {
+      type: string({ description: 'Only jobs of this type', example: 'email.send' })
+    }
+  },
+  getJobs: {
+    method: 'get',
+    path: '/',
+    summary: 'List background jobs',
+    description: 'Payloads are left out - get a single job to see it',
+    query: listQuery(JOB_LIST)
+  },
+  getJobById: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get a job with its payload and failures',
+    params: idParams
+  },
+  retryFailedJob: {
+    method: 'post',
+    path: '/:id/retry',
+    summary: 'Queue a dead job again',
+    params: idParams
+  }
+});
@@ -0,0 +1,106 @@
+import { defineRoutes, string, objectId, boolean, number, date, array, paginationQuery, required } from '../fields.js';
+import { KB_ARTICLE_STATUSES } from '../../models/KbArticle.js';
+
+const idParams = { id: objectId() };
+
+const sectionFields = {
+  name: string(),
+  description: string(),
+  sortOrder: number(),
+  isActive: boolean()
+};
+
+const articleFields = {
+  title: string(),
+  slug: string({ description: 'Generated from the title when left out' }),
+  summary: string(),
+  content: string({ description: 'HTML or Markdown' }),
+  sectionId: objectId(),
+  categoryIds: array(objectId()),
+  equipmentIds: array(objectId()),
+  tags: array(string()),
+  status: string({ enum: KB_ARTICLE_STATUSES }),
+  sortOrder: number()
+};
+
+export default defineRoutes('/kb', { tags: ['Knowledge Base'] }, {
+  getKbSections: {
+    method: 'get',
+    path: '/sections',
+    summary: 'List sections'
+  },
+  createKbSection: {
+    method: 'post',
+    path: '/sections',
+    summary: 'Create a section',
+    body: {
+      ...sectionFields,
+      name: required(sectionFields.name)
+    }
+  },
+  updateKbSection: {
+    method: 'put',
+    path: '/sections/:id',
+    summary: 'Update a section',
+    params: idParams,
+    body: sectionFields
+  },
+  deleteKbSection: {
+    method: 'delete',
+    path: '/sections/:id',
+    summary: 'Delete a section',
+    params: idParams
+  },
+  getKbArticles: {
+    method: 'get',
+    path: '/articles',
+    summary: 'List or search articles, including drafts',
+    query: {
+      ...paginationQuery(),
+      q: string({ description: 'Full-text search' }),
+      sectionId: objectId(),
+      categoryId: objectId(),
+      equipmentId: objectId(),
+      tag: string(),
+      status: string({ enum: KB_ARTICLE_STATUSES })
+    }
+  },
+  getKbArticleById: {
+    method: 'get',
+    path: '/articles/:id',
+    summary: 'Get an article',
+    params: idParams
+  },
+  createKbArticle: {
+    method: 'post',
+    path: '/articles',
+    summary: 'Create an article',
+    body: {
+      ...articleFields,
+      title: required(articleFields.title),
+      content: required(articleFields.content)
+    }
+  },
+  updateKbArticle: {
+    method: 'put',
+    path: '/articles/:id',
+    summary: 'Update an article',
+    params: idParams,
+    body: articleFields
+  },
+  deleteKbArticle: {
+    method: 'delete',
+    path: '/articles/:id',
+    summary: 'Delete an article',
+    params: idParams
+  },
+  getKbDeflectionReport: {
+    method: 'get',
+    path: '/reports/deflection',
+    summary: 'How often suggested articles kept customers from opening a ticket',
+    query: {
+      from: date({ example: '2025-01-01' }),
+      to: date({ example: '2025-01-31' })
+    }
+  }
+});
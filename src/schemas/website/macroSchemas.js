@@ -0,0 +1,64 @@
+import { defineRoutes, string, objectId, boolean, array, object, required } from '../fields.js';
+
+const idParams = { id: objectId({ description: 'Macro ID' }) };
+
+const macroFields = {
+  title: string(),
+  content: string({ description: 'Reply text with placeholders, e.g. "Hi {{customer.name}}"' }),
+  scope: string({ enum: ['shared', 'personal'], default: 'personal' }),
+  categoryIds: array(objectId(), { description: 'Empty means every category' }),
+  actions: object({
+    setStatus: string({ description: 'Status key to move the ticket to' }),
+    statusReason: string(),
+    addNote: string({ description: 'Internal note added to the ticket' }),
+    reassignTo: objectId({ description: 'Agent to reassign the ticket to' })
+  }),
+  isActive: boolean()
+};
+
+export default defineRoutes('/macros', { tags: ['Macros'] }, {
+  getMacros: {
+    method: 'get',
+    path: '/',
+    summary: 'Macros the signed-in user can use',
+    query: {
+      ticketId: objectId({ description: "Only macros usable on this ticket's category" }),
+      categoryId: objectId(),
+      scope: string({ enum: ['shared', 'personal'] }),
+      search: string({ description: 'Matches the title' }),
+      includeInactive: string({ enum: ['true', 'false'] })
+    }
+  },
+  createMacro: {
+    method: 'post',
+    path: '/',
+    summary: 'Create a macro',
+    description: 'Needs content, actions or both',
+    body: {
+      ...macroFields,
+      title: required(macroFields.title)
+    }
+  },
+  previewMacro: {
+    method: 'get',
+    path: '/:id/preview',
+    summary: 'Render a macro for a ticket',
+    params: idParams,
+    query: {
+      ticketId: required(objectId())
+    }
+  },
+  updateMacro: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update a macro',
+    params: idParams,
+    body: macroFields
+  },
+  deleteMacro: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete a macro',
+    params: idParams
+  }
+});
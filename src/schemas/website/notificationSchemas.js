@@ -0,0 +1,35 @@
+import { defineRoutes, objectId, listQuery } from '../fields.js';
+import { NOTIFICATION_LIST } from '../../services/listDefinitions.js';
+
+const idParams = { id: objectId({ description: 'Notification ID' }) };
+
+export default defineRoutes('/notifications', { tags: ['Notifications'] }, {
+  getNotifications: {
+    method: 'get',
+    path: '/',
+    summary: 'List notifications of the signed-in user',
+    query: listQuery(NOTIFICATION_LIST)
+  },
+  getNotificationStats: {
+    method: 'get',
+    path: '/stats',
+    summary: 'Unread and total counts'
+  },
+  markAsRead: {
+    method: 'patch',
+    path: '/:id/read',
+    summary: 'Mark a notification as read',
+    params: idParams
+  },
+  markAllAsRead: {
+    method: 'patch',
+    path: '/read-all',
+    summary: 'Mark all notifications as read'
+  },
+  deleteNotification: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete a notification',
+    params: idParams
+  }
+});
@@ -0,0 +1,29 @@
+import { defineRoutes, string, email } from '../fields.js';
+
+export default defineRoutes('/profile', { tags: ['Profile'] }, {
+  getCurrentUser: {
+    method: 'get',
+    path: '/me',
+    summary: 'Signed-in panel user'
+  },
+  updateProfile: {
+    method: 'put',
+    path: '/update',
+    summary: 'Update profile or change password',
+    description: 'Send currentPassword together with newPassword to change the password',
+    body: {
+      name: string(),
+      email: email(),
+      phone: string(),
+      currentPassword: string(),
+      newPassword: string({ minLength: 6 })
+    }
+  },
+  uploadAvatar: {
+    method: 'post',
+    path: '/profile-image',
+    summary: 'Upload a profile image',
+    contentType: 'multipart/form-data',
+    files: { profileImage: { description: 'Image file' } }
+  }
+});
@@ -0,0 +1,68 @@
+import { defineRoutes, string, email, objectId, integer, boolean, array, required } from '../fields.js';
+import { REPORT_TYPES, REPORT_FREQUENCIES, REPORT_FORMATS } from '../../models/ReportSchedule.js';
+
+const idParams = { id: objectId({ description: 'Report schedule ID' }) };
+
+const scheduleFields = {
+  name: string({ maxLength: 120, example: 'Weekly backlog digest' }),
+  report: string({ enum: REPORT_TYPES }),
+  recipients: array(email(), { minItems: 1 }),
+  frequency: string({ enum: REPORT_FREQUENCIES }),
+  timeOfDay: string({ pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'Local time (HH:mm)', example: '08:00' }),
+  dayOfWeek: integer({ minimum: 0, maximum: 6, description: 'Weekly schedules: 0 = Sunday ... 6 = Saturday' }),
+  dayOfMonth: integer({ minimum: 1, maximum: 28, description: 'Monthly schedules' }),
+  timezone: string({ description: 'IANA timezone', example: 'Europe/Berlin' }),
+  formats: array(string({ enum: REPORT_FORMATS }), { description: 'Attachments to include' }),
+  isActive: boolean()
+};
+
+export default defineRoutes('/report-schedules', { tags: ['Report Schedules'] }, {
+  getScheduledReportTypes: {
+    method: 'get',
+    path: '/reports',
+    summary: 'Reports that can be scheduled'
+  },
+  getReportSchedules: {
+    method: 'get',
+    path: '/',
+    summary: 'List report schedules'
+  },
+  getReportScheduleById: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get a report schedule',
+    params: idParams
+  },
+  createReportSchedule: {
+    method: 'post',
+    path: '/',
+    summary: 'Schedule a report',
+    description: 'Each run reports on the day, week or month up to the run and is emailed to the recipients',
+    body: {
+      ...scheduleFields,
+      name: required(scheduleFields.name),
+      report: required(scheduleFields.report),
+      recipients: required(scheduleFields.recipients)
+    }
+  },
+  updateReportSchedule: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update a report schedule',
+    params: idParams,
+    body: scheduleFields
+  },
+  deleteReportSchedule: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete a report schedule',
+    params: idParams
+  },
+  sendReportScheduleNow: {
+    method: 'post',
+    path: '/:id/send',
+    summary: 'Email the report now',
+    description: 'Covers the period up to now; the regular runs are not affected',
+    params: idParams
+  }
+});
@@ -0,0 +1,66 @@
+import { defineRoutes, string, objectId, boolean, array, required } from '../fields.js';
+import { PERMISSIONS, ROLE_BASE_TYPES } from '../../models/Role.js';
+
+const idParams = { id: objectId({ description: 'Role ID' }) };
+
+const roleFields = {
+  name: string(),
+  description: string(),
+  permissions: array(string({ enum: PERMISSIONS })),
+  baseRole: string({ enum: ROLE_BASE_TYPES, description: 'User type the role behaves as' }),
+  requireTwoFactor: boolean({ description: 'Holders must sign in with two-factor authentication' })
+};
+
+export default defineRoutes('/roles', { tags: ['Roles'] }, {
+  getPermissions: {
+    method: 'get',
+    path: '/permissions',
+    summary: 'Every permission a role can grant'
+  },
+  assignUserRole: {
+    method: 'put',
+    path: '/users/:userId',
+    summary: 'Give a staff member a role',
+    params: {
+      userId: objectId()
+    },
+    body: {
+      roleId: objectId({ description: 'null to fall back to the system role of the user type', nullable: true })
+    }
+  },
+  getRoles: {
+    method: 'get',
+    path: '/',
+    summary: 'List roles'
+  },
+  getRoleById: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get a role',
+    params: idParams
+  },
+  createRole: {
+    method: 'post',
+    path: '/',
+    summary: 'Create a role',
+    body: {
+      key: string({ description: 'Generated from the name when left out' }),
+      ...roleFields,
+      name: required(roleFields.name),
+      permissions: required(roleFields.permissions)
+    }
+  },
+  updateRole: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update a role',
+    params: idParams,
+    body: roleFields
+  },
+  deleteRole: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete a role',
+    params: idParams
+  }
+});
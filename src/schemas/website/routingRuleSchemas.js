@@ -0,0 +1,43 @@
+import { defineRoutes, string, objectId, integer, number, array, object, required } from '../fields.js';
+import { ROUTING_STRATEGIES } from '../../models/RoutingRule.js';
+
+const ticketParams = { ticketId: objectId() };
+
+export default defineRoutes('/routing-rules', { tags: ['Routing Rules'] }, {
+  getRoutingRules: {
+    method: 'get',
+    path: '/',
+    summary: 'Routing rule of every category'
+  },
+  getTicketRouting: {
+    method: 'get',
+    path: '/tickets/:ticketId',
+    summary: 'Why a ticket was assigned the way it was',
+    params: ticketParams
+  },
+  rerouteTicket: {
+    method: 'post',
+    path: '/tickets/:ticketId/reroute',
+    summary: "Run the category's routing rule again",
+    params: ticketParams,
+    query: {
+      dryRun: string({ enum: ['true', 'false'], description: 'Only report the agent that would be picked' })
+    }
+  },
+  upsertRoutingRule: {
+    method: 'put',
+    path: '/:categoryId',
+    summary: 'Create or update the routing rule of a category',
+    params: {
+      categoryId: objectId()
+    },
+    body: {
+      strategy: string({ enum: ROUTING_STRATEGIES }),
+      maxOpenTickets: integer({ minimum: 0, description: '0 means no limit' }),
+      agentWeights: array(object({
+        agentId: required(objectId()),
+        weight: number({ minimum: 0, default: 1 })
+      }), { description: 'Used by the skill_weighted strategy' })
+    }
+  }
+});
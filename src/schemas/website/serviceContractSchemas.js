@@ -0,0 +1,81 @@
+import { defineRoutes, string, objectId, boolean, number, date, array, paginationQuery, required } from '../fields.js';
+import { COVERAGE_LEVELS } from '../../models/ServiceContract.js';
+
+const idParams = { id: objectId({ description: 'Contract ID' }) };
+
+const contractFields = {
+  name: string(),
+  coverageLevel: string({ enum: COVERAGE_LEVELS }),
+  startDate: date(),
+  endDate: date(),
+  coveredMachines: array(objectId(), { description: "Registered machines covered; leave both lists empty to cover all of the customer's equipment" }),
+  coveredEquipment: array(objectId(), { description: 'Equipment models covered' }),
+  firstResponseMinutes: number({ minimum: 1 }),
+  resolutionMinutes: number({ minimum: 1 }),
+  notes: string(),
+  isActive: boolean()
+};
+
+export default defineRoutes('/contracts', { tags: ['Service Contracts'] }, {
+  getExpiringContracts: {
+    method: 'get',
+    path: '/expiring',
+    summary: 'Contracts ending within 30, 60 or 90 days',
+    query: {
+      days: string({ enum: ['30', '60', '90'], default: '90' })
+    }
+  },
+  checkCustomerEntitlement: {
+    method: 'get',
+    path: '/entitlement',
+    summary: 'Whether a customer (and machine) is covered today',
+    query: {
+      customerId: required(objectId()),
+      machineId: objectId(),
+      equipmentId: objectId()
+    }
+  },
+  getServiceContracts: {
+    method: 'get',
+    path: '/',
+    summary: 'List service contracts',
+    query: {
+      ...paginationQuery(),
+      customerId: objectId(),
+      coverageLevel: string({ enum: COVERAGE_LEVELS }),
+      status: string({ enum: ['active', 'expired', 'upcoming', 'inactive'] }),
+      search: string({ description: 'Matches contract number or name' })
+    }
+  },
+  getServiceContractById: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get a service contract',
+    params: idParams
+  },
+  createServiceContract: {
+    method: 'post',
+    path: '/',
+    summary: 'Create a service contract',
+    body: {
+      customerId: required(objectId()),
+      ...contractFields,
+      name: required(contractFields.name),
+      startDate: required(contractFields.startDate),
+      endDate: required(contractFields.endDate)
+    }
+  },
+  updateServiceContract: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update a service contract',
+    params: idParams,
+    body: contractFields
+  },
+  deleteServiceContract: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete a service contract',
+    params: idParams
+  }
+});
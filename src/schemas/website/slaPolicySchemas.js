@@ -0,0 +1,69 @@
+import { defineRoutes, string, email, objectId, boolean, integer, array, object, required } from '../fields.js';
+
+const idParams = { id: objectId({ description: 'SLA policy ID' }) };
+
+const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+
+const policyFields = {
+  name: string(),
+  description: string(),
+  categoryId: objectId(),
+  equipmentId: objectId({ description: 'Policy for one equipment model; wins over the category-wide policy' }),
+  firstResponseMinutes: integer({ minimum: 1 }),
+  resolutionMinutes: integer({ minimum: 1 }),
+  warningThresholdPercent: integer({ minimum: 1, maximum: 99, default: 80 }),
+  businessHours: object({
+    enabled: boolean({ description: 'When false targets are counted 24x7' }),
+    timezone: string({ example: 'America/New_York' }),
+    workingDays: array(integer({ minimum: 0, maximum: 6 }), { description: '0 = Sunday ... 6 = Saturday', example: [1, 2, 3, 4, 5] }),
+    startTime: string({ pattern: TIME_PATTERN, example: '09:00' }),
+    endTime: string({ pattern: TIME_PATTERN, example: '17:00' }),
+    holidays: array(string({ pattern: '^\\d{4}-\\d{2}-\\d{2}$' }), { example: ['2025-12-25'] })
+  }),
+  pauseStatuses: array(string(), { description: 'Extra ticket statuses that pause the clock' }),
+  escalationEmails: array(email()),
+  isActive: boolean()
+};
+
+export default defineRoutes('/sla-policies', { tags: ['SLA Policies'] }, {
+  getSlaPolicies: {
+    method: 'get',
+    path: '/',
+    summary: 'List SLA policies',
+    query: {
+      categoryId: objectId(),
+      isActive: string({ enum: ['true', 'false'] })
+    }
+  },
+  createSlaPolicy: {
+    method: 'post',
+    path: '/',
+    summary: 'Create an SLA policy',
+    body: {
+      ...policyFields,
+      name: required(policyFields.name),
+      categoryId: required(policyFields.categoryId),
+      firstResponseMinutes: required(policyFields.firstResponseMinutes),
+      resolutionMinutes: required(policyFields.resolutionMinutes)
+    }
+  },
+  getSlaPolicy: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get an SLA policy',
+    params: idParams
+  },
+  updateSlaPolicy: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update an SLA policy',
+    params: idParams,
+    body: policyFields
+  },
+  deleteSlaPolicy: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete an SLA policy',
+    params: idParams
+  }
+});
@@ -0,0 +1,62 @@
+import { defineRoutes, string, required } from '../fields.js';
+
+const TERMS_TYPES = ['terms', 'privacy_policy'];
+
+export default defineRoutes('/terms', { tags: ['Terms'] }, {
+  getLatestTerms: {
+    method: 'get',
+    path: '/latest',
+    summary: 'Current terms or privacy policy',
+    public: true,
+    query: {
+      type: string({ enum: TERMS_TYPES })
+    }
+  },
+  getAllTerms: {
+    method: 'get',
+    path: '/',
+    summary: 'Terms or privacy policy for editing',
+    query: {
+      type: string({ enum: TERMS_TYPES })
+    }
+  },
+  createTerms: {
+    method: 'post',
+    path: '/',
+    summary: 'Save the terms or privacy policy',
+    body: {
+      content: required(string({ description: 'HTML' })),
+      type: string({ enum: TERMS_TYPES, default: 'terms' })
+    }
+  },
+  updateTerms: {
+    method: 'put',
+    path: '/',
+    summary: 'Update the terms or privacy policy',
+    body: {
+      content: required(string({ description: 'HTML' })),
+      type: string({ enum: TERMS_TYPES, default: 'terms' })
+    }
+  },
+  getPrivacyPolicy: {
+    method: 'get',
+    path: '/privacy-policy',
+    summary: 'Privacy policy for editing'
+  },
+  createPrivacyPolicy: {
+    method: 'post',
+    path: '/privacy-policy',
+    summary: 'Save the privacy policy',
+    body: {
+      content: required(string({ description: 'HTML' }))
+    }
+  },
+  updatePrivacyPolicy: {
+    method: 'put',
+    path: '/privacy-policy',
+    summary: 'Update the privacy policy',
+    body: {
+      content: required(string({ description: 'HTML' }))
+    }
+  }
+});
@@ -0,0 +1,82 @@
+import { defineRoutes, string, objectId, required, listQuery } from '../fields.js';
+import { TICKET_LIST } from '../../services/listDefinitions.js';
+
+const idParams = { id: objectId({ description: 'Ticket ID' }) };
+
+export default defineRoutes('/tickets', { tags: ['Tickets'] }, {
+  getTickets: {
+    method: 'get',
+    path: '/',
+    summary: 'List all tickets',
+    query: {
+      ...listQuery(TICKET_LIST),
+      slaState: string({ description: 'Comma-separated SLA states', example: 'at_risk,breached' }),
+      sortBy: string({ enum: Object.keys(TICKET_LIST.sortFields), description: 'Older form of sort' }),
+      sortOrder: string({ enum: ['asc', 'desc'], default: 'asc' })
+    }
+  },
+  getTicket: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get a ticket',
+    params: idParams
+  },
+  getTicketTimeline: {
+    method: 'get',
+    path: '/:id/timeline',
+    summary: 'Ticket event timeline',
+    params: idParams,
+    query: {
+      type: string({ description: 'Comma-separated event types' })
+    }
+  },
+  getTicketTransitions: {
+    method: 'get',
+    path: '/:id/transitions',
+    summary: 'Statuses the ticket can move to',
+    params: idParams
+  },
+  updateTicketNotes: {
+    method: 'put',
+    path: '/:id/notes',
+    summary: 'Replace the internal notes',
+    params: idParams,
+    body: {
+      notes: string({ description: 'Required; an empty string clears the notes' })
+    }
+  },
+  assignTicket: {
+    method: 'post',
+    path: '/:id/assign',
+    summary: 'Assign the ticket to an agent',
+    params: idParams,
+    body: {
+      agentId: required(objectId())
+    }
+  },
+  updateTicketStatus: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Change the ticket status',
+    params: idParams,
+    body: {
+      status: required(string({ description: 'Status key (see /ticket-statuses)', example: 'in_progress' })),
+      reason: string()
+    }
+  },
+  createTicket: {
+    method: 'post',
+    path: '/create',
+    summary: 'Create a ticket for a customer',
+    contentType: 'multipart/form-data',
+    files: { attachments: { maxCount: 5, description: 'Up to 5 files' } },
+    body: {
+      description: required(string()),
+      categoryId: required(objectId()),
+      customerId: required(objectId()),
+      equipmentId: objectId(),
+      machineId: objectId({ description: 'Registered machine' }),
+      serialNumber: string({ description: 'Looked up in the machine registry' })
+    }
+  }
+});
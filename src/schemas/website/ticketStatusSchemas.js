@@ -0,0 +1,52 @@
+import { defineRoutes, string, boolean, integer, array, object, required } from '../fields.js';
+import { STATUS_KINDS } from '../../models/TicketStatus.js';
+
+const keyParams = { key: string({ description: 'Status key', example: 'awaiting_parts' }) };
+
+const statusFields = {
+  label: string(),
+  kind: string({ enum: STATUS_KINDS }),
+  customerMessage: string({ description: 'Push notification sent to the customer on entering the status' }),
+  isInitial: boolean({ description: 'New tickets start in this status' }),
+  isActive: boolean(),
+  sortOrder: integer(),
+  transitions: array(object({
+    to: required(string({ description: 'Target status key' })),
+    roles: array(string({ enum: ['agent', 'manager', 'customer'] })),
+    requiresReason: boolean()
+  }))
+};
+
+export default defineRoutes('/ticket-statuses', { tags: ['Ticket Statuses'] }, {
+  getTicketStatuses: {
+    method: 'get',
+    path: '/',
+    summary: 'List ticket statuses',
+    query: {
+      isActive: string({ enum: ['true', 'false'] })
+    }
+  },
+  createTicketStatus: {
+    method: 'post',
+    path: '/',
+    summary: 'Create a ticket status',
+    body: {
+      key: required(string({ pattern: '^[a-zA-Z][a-zA-Z0-9_]*$', example: 'awaiting_parts' })),
+      ...statusFields,
+      label: required(statusFields.label)
+    }
+  },
+  updateTicketStatusDefinition: {
+    method: 'put',
+    path: '/:key',
+    summary: 'Update a ticket status',
+    params: keyParams,
+    body: statusFields
+  },
+  deleteTicketStatus: {
+    method: 'delete',
+    path: '/:key',
+    summary: 'Delete a ticket status',
+    params: keyParams
+  }
+});
@@ -0,0 +1,93 @@
+import { defineRoutes, string, url, objectId, boolean, array, paginationQuery, required } from '../fields.js';
+import { WEBHOOK_EVENTS } from '../../models/WebhookEndpoint.js';
+import { WEBHOOK_DELIVERY_STATUSES } from '../../models/WebhookDelivery.js';
+
+const idParams = { id: objectId({ description: 'Webhook ID' }) };
+const deliveryParams = { deliveryId: objectId() };
+
+const endpointFields = {
+  name: string(),
+  url: url({ example: 'https://example.com/hooks/support' }),
+  description: string(),
+  events: array(string({ enum: WEBHOOK_EVENTS }), { minItems: 1 }),
+  isActive: boolean()
+};
+
+export default defineRoutes('/webhooks', { tags: ['Webhooks'] }, {
+  getWebhookEvents: {
+    method: 'get',
+    path: '/events',
+    summary: 'Events a webhook can subscribe to'
+  },
+  getWebhookDelivery: {
+    method: 'get',
+    path: '/deliveries/:deliveryId',
+    summary: 'Get a delivery with its attempts',
+    params: deliveryParams
+  },
+  replayWebhookDelivery: {
+    method: 'post',
+    path: '/deliveries/:deliveryId/replay',
+    summary: 'Send a delivery again',
+    params: deliveryParams
+  },
+  getWebhookEndpoints: {
+    method: 'get',
+    path: '/',
+    summary: 'List webhooks'
+  },
+  getWebhookEndpointById: {
+    method: 'get',
+    path: '/:id',
+    summary: 'Get a webhook',
+    params: idParams
+  },
+  createWebhookEndpoint: {
+    method: 'post',
+    path: '/',
+    summary: 'Create a webhook',
+    description: 'The signing secret is returned once',
+    body: {
+      ...endpointFields,
+      name: required(endpointFields.name),
+      url: required(endpointFields.url),
+      events: required(endpointFields.events)
+    }
+  },
+  updateWebhookEndpoint: {
+    method: 'put',
+    path: '/:id',
+    summary: 'Update a webhook',
+    params: idParams,
+    body: endpointFields
+  },
+  deleteWebhookEndpoint: {
+    method: 'delete',
+    path: '/:id',
+    summary: 'Delete a webhook',
+    params: idParams
+  },
+  rotateWebhookSecret: {
+    method: 'post',
+    path: '/:id/rotate-secret',
+    summary: 'Replace the signing secret',
+    params: idParams
+  },
+  sendTestWebhook: {
+    method: 'post',
+    path: '/:id/test',
+    summary: 'Send a test event',
+    params: idParams
+  },
+  getWebhookDeliveries: {
+    method: 'get',
+    path: '/:id/deliveries',
+    summary: 'Delivery log of a webhook',
+    params: idParams,
+    query: {
+      ...paginationQuery(),
+      status: string({ enum: WEBHOOK_DELIVERY_STATUSES }),
+      event: string({ enum: WEBHOOK_EVENTS })
+    }
+  }
+});
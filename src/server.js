@@ -12,8 +12,14 @@ import swaggerSpec from './config/swagger.js';
 import routes from './routes/index.js';
 import { seedCategories } from './utils/seedCategories.js';
 import { seedEquipment } from './utils/seedEquipment.js';
+import { seedTicketStatuses } from './utils/seedTicketStatuses.js';
+import { seedRoles } from './utils/seedRoles.js';
 import User from './models/User.js';
 import { cleanupInvalidTokens } from './services/pushNotificationService.js';
+import { startSlaMonitor } from './services/slaService.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import { startJobWorker } from './services/jobQueue.js';
+import { startReportScheduler } from './services/reportScheduleService.js';
 
 dotenv.config();
 
@@ -59,10 +65,12 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-API-Key'],
+  exposedHeaders: ['Authorization', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After'],
   optionsSuccessStatus: 200
 }));
+// Inbound email webhooks carry attachments, so they get a larger body limit than the API
+app.use('/inbound-email', express.json({ limit: '25mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -110,6 +118,8 @@ const startServer = async () => {
 
     await seedCategories();
     await seedEquipment();
+    await seedTicketStatuses();
+    await seedRoles();
 
     // Clean up invalid device tokens on startup (optional, controlled by env var)
     if (process.env.CLEANUP_INVALID_TOKENS_ON_STARTUP === 'true') {
@@ -120,6 +130,11 @@ const startServer = async () => {
       }
     }
 
+    startSlaMonitor();
+    registerJobHandlers();
+    startJobWorker();
+    startReportScheduler();
+
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`API URL: http://localhost:${PORT}/api`);
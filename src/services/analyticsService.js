@@ -0,0 +1,334 @@
+import mongoose from 'mongoose';
+import Ticket from '../models/Ticket.js';
+import Message from '../models/Message.js';
+import TicketEvent from '../models/TicketEvent.js';
+import { getStatusKeysByKind } from './ticketWorkflowService.js';
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Longest series one request may ask for (e.g. a year of days)
+export const MAX_BUCKETS = 366;
+
+const DEFAULT_RANGE_DAYS = 30;
+const STOPPED_KINDS = ['resolved', 'closed'];
+
+export class AnalyticsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Start of the period `date` falls in (UTC, weeks start on Monday) - the same as $dateTrunc.
+ */
+export const periodStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextPeriod = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+/**
+ * Validate and fill in report options: { interval, from, to, categoryId, equipmentId, agentId }.
+ * `from`/`to` are Dates (see utils/dateRange); the default range is the last 30 days.
+ */
+export const resolveReportOptions = ({ interval = 'day', from, to, categoryId, equipmentId, agentId } = {}) => {
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    throw new AnalyticsError(`interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`);
+  }
+  for (const [name, id] of Object.entries({ categoryId, equipmentId, agentId })) {
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      throw new AnalyticsError(`Invalid ${name} format - Must be a valid ObjectId`);
+    }
+  }
+
+  const rangeTo = to || new Date();
+  const rangeFrom = from || new Date(rangeTo.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (rangeFrom > rangeTo) {
+    throw new AnalyticsError('from date must be before to date');
+  }
+
+  const periods = [];
+  for (let start = periodStart(rangeFrom, interval); start <= rangeTo; start = nextPeriod(start, interval)) {
+    periods.push(start);
+    if (periods.length > MAX_BUCKETS) {
+      throw new AnalyticsError(`The range has more than ${MAX_BUCKETS} ${interval}s - use a shorter range or a longer interval`);
+    }
+  }
+
+  return { interval, from: rangeFrom, to: rangeTo, categoryId, equipmentId, agentId, periods };
+};
+
+// Category, equipment and agent are the ticket's current values
+const ticketSlice = ({ categoryId, equipmentId, agentId }, prefix = '') => ({
+  ...(categoryId && { [`${prefix}categoryId`]: new mongoose.Types.ObjectId(categoryId) }),
+  ...(equipmentId && { [`${prefix}equipmentId`]: new mongoose.Types.ObjectId(equipmentId) }),
+  ...(agentId && { [`${prefix}assignedAgent`]: new mongoose.Types.ObjectId(agentId) })
+});
+
+const periodExpression = (field, interval) => ({
+  $dateTrunc: { date: field, unit: interval, ...(interval === 'week' && { startOfWeek: 'monday' }) }
+});
+
+const between = (from, to) => ({ ...(from && { $gte: from }), ...(to && { $lte: to }) });
+
+// Map of period start (ISO) -> count, from rows grouped by period
+const byPeriod = (rows) => new Map(rows.map(row => [row._id.toISOString(), row.count]));
+
+// Map of period start (ISO) -> rows, for rows with a `period` date
+const groupByPeriod = (rows) => rows.reduce((groups, row) => {
+  const key = row.period.toISOString();
+  groups.set(key, [...(groups.get(key) || []), row]);
+  return groups;
+}, new Map());
+
+const roundMinutes = (minutes) => (minutes === null ? null : Math.round(minutes * 10) / 10);
+
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)] : null);
+
+// { count, median, p90, average } of durations in minutes
+const durationStats = (minutes) => {
+  const sorted = [...minutes].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    medianMinutes: roundMinutes(percentile(sorted, 50)),
+    p90Minutes: roundMinutes(percentile(sorted, 90)),
+    averageMinutes: roundMinutes(sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null)
+  };
+};
+
+// Counts per period, or one total row when options.interval is null
+const countCreated = (options, from, to) => Ticket.aggregate([
+  { $match: { ...ticketSlice(options), createdAt: between(from, to) } },
+  { $group: { _id: options.interval ? periodExpression('$createdAt', options.interval) : null, count: { $sum: 1 } } }
+]);
+
+/**
+ * Status changes into (resolution) or out of (reopen) a resolved/closed status,
+ * joined with their ticket so they can be sliced like tickets.
+ */
+const statusTransitionPipeline = async (transition, options, from, to) => {
+  const stopped = await getStatusKeysByKind(STOPPED_KINDS);
+  const match = transition === 'resolution'
+    ? { 'after.status': { $in: stopped }, 'before.status': { $nin: stopped } }
+    : { 'before.status': { $in: stopped }, 'after.status': { $nin: stopped } };
+
+  return [
+    { $match: { type: 'status_changed', createdAt: between(from, to), ...match } },
+    { $lookup: { from: Ticket.collection.name, localField: 'ticketId', foreignField: '_id', as: 'ticket' } },
+    { $unwind: '$ticket' },
+    { $match: ticketSlice(options, 'ticket.') }
+  ];
+};
+
+const countTransitions = async (transition, options, from, to) => TicketEvent.aggregate([
+  ...await statusTransitionPipeline(transition, options, from, to),
+  { $group: { _id: options.interval ? periodExpression('$createdAt', options.interval) : null, count: { $sum: 1 } } }
+]);
+
+const sumCounts = (rows) => rows.reduce((sum, row) => sum + row.count, 0);
+
+/**
+ * Tickets created and resolved per period. A ticket resolved again after being
+ * reopened counts as resolved again.
+ */
+export const buildVolumeReport = async (options) => {
+  const [created, resolved] = await Promise.all([
+    countCreated(options, options.from, options.to),
+    countTransitions('resolution', options, options.from, options.to)
+  ]);
+  const createdBy = byPeriod(created);
+  const resolvedBy = byPeriod(resolved);
+
+  return {
+    summary: { created: sumCounts(created), resolved: sumCounts(resolved) },
+    series: options.periods.map(period => ({
+      period,
+      created: createdBy.get(period.toISOString()) || 0,
+      resolved: resolvedBy.get(period.toISOString()) || 0
+    }))
+  };
+};
+
+/**
+ * Open (not resolved/closed) tickets at the end of each period. Worked back from the
+ * current backlog using creations, resolutions and reopens since.
+ */
+export const buildBacklogReport = async (options) => {
+  const stopped = await getStatusKeysByKind(STOPPED_KINDS);
+  const afterRange = new Date(options.to.getTime() + 1);
+  const total = { ...options, interval: null };
+
+  const [openNow, createdLater, resolvedLater, reopenedLater, created, resolved, reopened] = await Promise.all([
+    Ticket.countDocuments({ ...ticketSlice(options), status: { $nin: stopped } }),
+    countCreated(total, afterRange, null).then(sumCounts),
+    countTransitions('resolution', total, afterRange, null).then(sumCounts),
+    countTransitions('reopen', total, afterRange, null).then(sumCounts),
+    countCreated(options, options.from, options.to).then(byPeriod),
+    countTransitions('resolution', options, options.from, options.to).then(byPeriod),
+    countTransitions('reopen', options, options.from, options.to).then(byPeriod)
+  ]);
+
+  // Walk back from the end of the range: open before a period = open after it - its net change
+  let open = openNow - createdLater + resolvedLater - reopenedLater;
+  const series = [];
+  for (const period of [...options.periods].reverse()) {
+    const key = period.toISOString();
+    const change = (created.get(key) || 0) - (resolved.get(key) || 0) + (reopened.get(key) || 0);
+    series.unshift({ period, open: Math.max(open, 0), created: created.get(key) || 0, resolved: resolved.get(key) || 0, reopened: reopened.get(key) || 0 });
+    open -= change;
+  }
+
+  return {
+    summary: { openNow, openAtStart: Math.max(open, 0), openAtEnd: series[series.length - 1]?.open ?? openNow },
+    series
+  };
+};
+
+/**
+ * Minutes from ticket creation to the first reply that is not from the customer
+ * (internal notes and system messages do not count), for tickets created in the range.
+ */
+export const buildFirstResponseReport = async (options) => {
+  const rows = await Ticket.aggregate([
+    { $match: { ...ticketSlice(options), createdAt: between(options.from, options.to) } },
+    {
+      $lookup: {
+        from: Message.collection.name,
+        let: { ticketId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$ticketId', '$$ticketId'] },
+              'sender.userType': { $ne: 'customer' },
+              isInternal: { $ne: true },
+              messageType: { $ne: 'infoSystem' }
+            }
+          },
+          { $sort: { createdAt: 1 } },
+          { $limit: 1 },
+          { $project: { createdAt: 1 } }
+        ],
+        as: 'firstResponse'
+      }
+    },
+    {
+      $project: {
+        period: periodExpression('$createdAt', options.interval),
+        minutes: {
+          $let: {
+            vars: { respondedAt: { $arrayElemAt: ['$firstResponse.createdAt', 0] } },
+            in: { $cond: [{ $ifNull: ['$$respondedAt', false] }, { $divide: [{ $subtract: ['$$respondedAt', '$createdAt'] }, 60000] }, null] }
+          }
+        }
+      }
+    }
+  ]);
+
+  const stats = (periodRows) => {
+    const responded = periodRows.filter(row => row.minutes !== null).map(row => row.minutes);
+    const { count, ...times } = durationStats(responded);
+    return { tickets: periodRows.length, responded: count, awaitingResponse: periodRows.length - count, ...times };
+  };
+
+  const rowsByPeriod = groupByPeriod(rows);
+  return {
+    summary: stats(rows),
+    series: options.periods.map(period => ({ period, ...stats(rowsByPeriod.get(period.toISOString()) || []) }))
+  };
+};
+
+/**
+ * Minutes from ticket creation to each resolution in the range (by resolution date).
+ */
+export const buildResolutionTimeReport = async (options) => {
+  const rows = await TicketEvent.aggregate([
+    ...await statusTransitionPipeline('resolution', options, options.from, options.to),
+    {
+      $project: {
+        period: periodExpression('$createdAt', options.interval),
+        minutes: { $divide: [{ $subtract: ['$createdAt', '$ticket.createdAt'] }, 60000] }
+      }
+    }
+  ]);
+
+  const stats = (periodRows) => {
+    const { count, ...times } = durationStats(periodRows.map(row => row.minutes));
+    return { resolved: count, ...times };
+  };
+
+  const rowsByPeriod = groupByPeriod(rows);
+  return {
+    summary: stats(rows),
+    series: options.periods.map(period => ({ period, ...stats(rowsByPeriod.get(period.toISOString()) || []) }))
+  };
+};
+
+/**
+ * How often resolutions do not stick: a resolution in the range counts as reopened when the
+ * ticket was reopened after it (at any time since). The summary counts tickets, the series
+ * counts resolutions per period.
+ */
+export const buildReopenReport = async (options) => {
+  const stopped = await getStatusKeysByKind(STOPPED_KINDS);
+  const rows = await TicketEvent.aggregate([
+    ...await statusTransitionPipeline('resolution', options, options.from, options.to),
+    {
+      $lookup: {
+        from: TicketEvent.collection.name,
+        let: { ticketId: '$ticketId', resolvedAt: '$createdAt' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $and: [{ $eq: ['$ticketId', '$$ticketId'] }, { $gt: ['$createdAt', '$$resolvedAt'] }] },
+              type: 'status_changed',
+              'before.status': { $in: stopped },
+              'after.status': { $nin: stopped }
+            }
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'reopen'
+      }
+    },
+    {
+      $project: {
+        ticketId: 1,
+        period: periodExpression('$createdAt', options.interval),
+        reopened: { $gt: [{ $size: '$reopen' }, 0] }
+      }
+    }
+  ]);
+
+  const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+  const ticketsResolved = new Set(rows.map(row => String(row.ticketId)));
+  const ticketsReopened = new Set(rows.filter(row => row.reopened).map(row => String(row.ticketId)));
+  const rowsByPeriod = groupByPeriod(rows);
+
+  return {
+    summary: {
+      ticketsResolved: ticketsResolved.size,
+      ticketsReopened: ticketsReopened.size,
+      reopenRate: rate(ticketsReopened.size, ticketsResolved.size)
+    },
+    series: options.periods.map((period) => {
+      const periodRows = rowsByPeriod.get(period.toISOString()) || [];
+      const reopens = periodRows.filter(row => row.reopened).length;
+      return { period, resolutions: periodRows.length, reopened: reopens, reopenRate: rate(reopens, periodRows.length) };
+    })
+  };
+};
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { getRateLimitStore } from './rateLimitStore.js';
+
+const KEY_PREFIX = 'emk_';
+// Characters of the key kept in clear to identify it (emk_ + 8)
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * New random key. Only the hash is stored; the key is returned to the manager once.
+ */
+export const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return {
+    key,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashApiKey(key)
+  };
+};
+
+export const getApiKeyStatus = (apiKey, now = new Date()) => {
+  if (apiKey.revokedAt) return 'revoked';
+  if (apiKey.expiresAt && apiKey.expiresAt <= now) return 'expired';
+  return 'active';
+};
+
+const rateLimitKey = (keyId) => `api_key:${keyId}`;
+
+/**
+ * Count one request against the key's per-minute limit. The counters live in the shared
+ * rate limit store, so the limit holds across server instances and restarts.
+ */
+export const consumeRateLimit = async (keyId, limit) => {
+  const record = await getRateLimitStore().hit(rateLimitKey(keyId), RATE_LIMIT_WINDOW_MS);
+
+  return {
+    allowed: record.count <= limit,
+    remaining: Math.max(limit - record.count, 0),
+    resetAt: record.expiresAt.getTime()
+  };
+};
+
+export const clearRateLimit = async (keyId) => {
+  await getRateLimitStore().reset(rateLimitKey(keyId));
+};
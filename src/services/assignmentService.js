@@ -0,0 +1,401 @@
+import RoutingRule from '../models/RoutingRule.js';
+import Ticket from '../models/Ticket.js';
+import User from '../models/User.js';
+import Chat from '../models/Chat.js';
+import { createNotificationWithPush } from './notificationDeliveryService.js';
+import { sendPushNotification } from './pushNotificationService.js';
+import { sendTicketAssignmentEmail } from '../utils/emailService.js';
+import { recordTicketEvent } from '../utils/ticketEventLogger.js';
+import { getStatusKeysByKind } from './ticketWorkflowService.js';
+
+// Statuses that still count towards an agent's workload (everything not resolved/closed in the workflow)
+const getOpenStatusKeys = () => getStatusKeysByKind(['open', 'paused']);
+
+const STRATEGY_LABELS = {
+  round_robin: 'Round robin',
+  least_open: 'Least open tickets',
+  skill_weighted: 'Skill weighted',
+  online_only: 'Online agents only'
+};
+
+const toIdString = (value) => String(value?._id || value);
+
+const ROUTING_ACTOR = { userId: null, name: 'Auto-routing', role: 'system' };
+
+const agentSnapshot = async (agentId) => {
+  if (!agentId) return null;
+  const agent = await User.findById(agentId).select('name');
+  return { agentId, name: agent?.name || 'Unknown agent' };
+};
+
+// Round-robin cursor updates that lost to a concurrent assignment are retried this many times
+const MAX_ROTATION_RETRIES = 5;
+
+/**
+ * Active agents that work the given category, in rotation order (by id).
+ */
+const getCategoryAgents = (categoryId) => User.find({
+  role: 'agent',
+  isActive: true,
+  isDeleted: { $ne: true },
+  categoryIds: categoryId
+})
+  .select('_id name email status')
+  .sort({ _id: 1 });
+
+const countOpenTickets = async (agentIds) => {
+  if (agentIds.length === 0) {
+    return new Map();
+  }
+
+  const grouped = await Ticket.aggregate([
+    { $match: { assignedAgent: { $in: agentIds }, status: { $in: await getOpenStatusKeys() } } },
+    { $group: { _id: '$assignedAgent', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(grouped.map((g) => [String(g._id), g.count]));
+};
+
+const byFewestOpen = (a, b) => a.openTickets - b.openTickets || a.name.localeCompare(b.name);
+
+/**
+ * Next eligible agent after the rule's cursor, walking all of the category's agents (`rotation`)
+ * so skipping an agent at capacity or excluded does not restart the rotation.
+ */
+const pickNextInRotation = (rule, candidates, rotation) => {
+  const eligible = new Map(candidates.map((c) => [String(c.agentId), c]));
+  const order = rotation.map((agent) => String(agent._id));
+  const last = rule.lastAssignedAgent ? String(rule.lastAssignedAgent) : null;
+
+  let start = -1;
+  if (last) {
+    start = order.indexOf(last);
+    if (start < 0) {
+      // The last agent left the category - carry on from where it stood (ids are in rotation order)
+      const next = order.findIndex((id) => id > last);
+      start = (next < 0 ? order.length : next) - 1;
+    }
+  }
+
+  for (let step = 1; step <= order.length; step++) {
+    const candidate = eligible.get(order[(start + step) % order.length]);
+    if (candidate) {
+      const lastAgent = last && rotation.find((agent) => String(agent._id) === last);
+      return { candidate, reason: `Next agent in rotation after ${lastAgent ? lastAgent.name : 'start of rotation'}` };
+    }
+  }
+  return { candidate: null, reason: 'No eligible agents available for this category' };
+};
+
+/**
+ * Pick an agent according to the rule's strategy.
+ * Returns { candidate, reason } or { candidate: null, reason } when nobody is eligible.
+ */
+const pickCandidate = (rule, candidates, rotation) => {
+  if (candidates.length === 0) {
+    return { candidate: null, reason: 'No eligible agents available for this category' };
+  }
+
+  switch (rule.strategy) {
+    case 'round_robin':
+      return pickNextInRotation(rule, candidates, rotation);
+    case 'least_open': {
+      const candidate = [...candidates].sort(byFewestOpen)[0];
+      return { candidate, reason: `Fewest open tickets (${candidate.openTickets})` };
+    }
+    case 'skill_weighted': {
+      const scored = candidates
+        .filter((c) => c.weight > 0)
+        .map((c) => ({ ...c, score: c.weight / (c.openTickets + 1) }))
+        .sort((a, b) => b.score - a.score || byFewestOpen(a, b));
+      if (scored.length === 0) {
+        return { candidate: null, reason: 'No agents with a skill weight above 0' };
+      }
+      const candidate = scored[0];
+      return { candidate, reason: `Highest skill score (weight ${candidate.weight}, ${candidate.openTickets} open tickets)` };
+    }
+    case 'online_only': {
+      const online = candidates.filter((c) => c.online).sort(byFewestOpen);
+      if (online.length === 0) {
+        return { candidate: null, reason: 'No agents online for this category' };
+      }
+      const candidate = online[0];
+      return { candidate, reason: `Online with fewest open tickets (${candidate.openTickets})` };
+    }
+    default:
+      return { candidate: null, reason: 'Category uses manual assignment' };
+  }
+};
+
+/**
+ * Decide which agent should get a ticket without changing anything.
+ */
+export const selectAgentForTicket = async (ticket, { excludeAgentIds = [] } = {}) => {
+  const rule = ticket.categoryId
+    ? await RoutingRule.findOne({ categoryId: ticket.categoryId?._id || ticket.categoryId })
+    : null;
+
+  if (!rule || rule.strategy === 'manual') {
+    return { rule, agent: null, routing: null };
+  }
+
+  const categoryAgents = await getCategoryAgents(rule.categoryId);
+  const excluded = new Set(excludeAgentIds.map(toIdString));
+  const agents = categoryAgents.filter((agent) => !excluded.has(String(agent._id)));
+  const openCounts = await countOpenTickets(agents.map((a) => a._id));
+  const weights = new Map((rule.agentWeights || []).map((w) => [String(w.agentId), w.weight]));
+
+  const candidates = agents
+    .map((agent) => ({
+      agentId: agent._id,
+      name: agent.name,
+      openTickets: openCounts.get(String(agent._id)) || 0,
+      weight: weights.has(String(agent._id)) ? weights.get(String(agent._id)) : 1,
+      online: agent.status === 'online'
+    }))
+    .filter((c) => !rule.maxOpenTickets || c.openTickets < rule.maxOpenTickets);
+
+  const { candidate, reason } = pickCandidate(rule, candidates, categoryAgents);
+
+  return {
+    rule,
+    agent: candidate ? agents.find((a) => String(a._id) === String(candidate.agentId)) : null,
+    routing: {
+      strategy: rule.strategy,
+      reason: candidate
+        ? `${STRATEGY_LABELS[rule.strategy]}: ${reason}`
+        : `${STRATEGY_LABELS[rule.strategy]}: ${reason}${rule.maxOpenTickets ? ` (capacity ${rule.maxOpenTickets})` : ''}`,
+      decidedAt: new Date(),
+      candidates
+    }
+  };
+};
+
+/**
+ * Make the agent the active agent participant of the ticket's chat (if a chat exists).
+ * Returns the chat and the previously active agent participant.
+ */
+export const syncChatAssignee = async (ticketId, agent) => {
+  const chat = await Chat.findOne({ ticketId });
+  if (!chat) {
+    return { chat: null, previousActiveAgent: null };
+  }
+
+  // Find the previous active agent before making changes
+  const previousActiveAgent = chat.participants.find(p => p.userType === 'agent' && p.status === 'active');
+
+  // First, mark ALL existing agents as 'old'
+  chat.participants.forEach(participant => {
+    if (participant.userType === 'agent') {
+      participant.status = 'old';
+      participant.updatedAt = new Date();
+    }
+  });
+
+  if (agent) {
+    const existingParticipant = chat.participants.find(p => p.userId.toString() === agent._id.toString());
+
+    if (existingParticipant) {
+      existingParticipant.status = 'active';
+      existingParticipant.updatedAt = new Date();
+      existingParticipant.userName = agent.name;
+      existingParticipant.userEmail = agent.email;
+    } else {
+      chat.participants.push({
+        userId: agent._id,
+        userName: agent.name,
+        userType: agent.role || 'agent',
+        userEmail: agent.email,
+        status: 'active',
+        joinedAt: new Date()
+      });
+    }
+  }
+
+  await chat.save();
+  return { chat, previousActiveAgent };
+};
+
+const notifyAssignment = async (ticket, agent, action = 'auto_assigned') => {
+  const ticketDisplay = ticket.ticketNumber || ticket._id;
+
+  try {
+    await createNotificationWithPush({
+      title: 'New Ticket Assigned',
+      message: `Ticket #${ticketDisplay} has been assigned to you.`,
+      type: 'info',
+      category: 'ticket',
+      userId: String(agent._id),
+      metadata: {
+        ticketId: ticket._id,
+        ticketNumber: ticketDisplay,
+        agentId: agent._id,
+        agentName: agent.name,
+        action
+      }
+    }, {
+      pushData: { type: 'ticket_assigned' }
+    });
+
+    if (ticket.customer) {
+      await sendPushNotification({
+        title: 'Agent Assigned to Your Ticket',
+        body: `${agent.name} has been assigned to your ticket #${ticketDisplay}.`,
+        data: {
+          type: 'agent_assigned',
+          ticketId: ticket._id.toString(),
+          ticketNumber: ticketDisplay,
+          agentName: agent.name,
+        },
+        userIds: [ticket.customer._id || ticket.customer],
+      });
+    }
+  } catch (notificationError) {
+    console.error('Failed to send assignment notifications:', notificationError);
+  }
+
+  try {
+    const customer = await User.findById(ticket.customer?._id || ticket.customer);
+    if (customer) {
+      await sendTicketAssignmentEmail(ticket, agent, customer);
+    }
+  } catch (emailError) {
+    console.error('Failed to send assignment email:', emailError);
+  }
+};
+
+/**
+ * Run the category's routing rule for a ticket and assign it.
+ * Returns { agent, routing } - agent is null when the rule leaves the ticket unassigned.
+ */
+export const autoAssignTicket = async (ticket, { decidedBy = null, excludeAgentIds = [], notify = true } = {}) => {
+  let selection;
+  for (let attempt = 0; ; attempt++) {
+    selection = await selectAgentForTicket(ticket, { excludeAgentIds });
+    if (!selection.agent || selection.rule.strategy !== 'round_robin') break;
+
+    // Move the cursor only if no concurrent assignment moved it since it was read, otherwise pick again
+    const claimed = await RoutingRule.findOneAndUpdate(
+      { _id: selection.rule._id, lastAssignedAgent: selection.rule.lastAssignedAgent || null },
+      { $set: { lastAssignedAgent: selection.agent._id } }
+    );
+    if (claimed || attempt >= MAX_ROTATION_RETRIES) break;
+  }
+  const { agent, routing } = selection;
+
+  if (!routing) {
+    return { agent: null, routing: null };
+  }
+
+  routing.decidedBy = decidedBy;
+  ticket.routing = routing;
+
+  if (!agent) {
+    await ticket.save();
+    return { agent: null, routing };
+  }
+
+  const previousAgent = await agentSnapshot(ticket.assignedAgent);
+
+  ticket.assignedAgent = agent._id;
+  await ticket.save();
+
+  await recordTicketEvent(null, {
+    ticketId: ticket._id,
+    type: previousAgent ? 'reassigned' : 'assigned',
+    before: previousAgent,
+    after: { agentId: agent._id, name: agent.name },
+    message: routing.reason,
+    actor: ROUTING_ACTOR
+  });
+
+  await syncChatAssignee(ticket._id, agent);
+
+  if (notify) {
+    await notifyAssignment(ticket, agent);
+  }
+
+  return { agent, routing };
+};
+
+/**
+ * Assign a ticket to a specific agent outside the routing rules (e.g. from a macro).
+ * actor is the timeline actor ({ userId, name, role }) of whoever made the change.
+ */
+export const assignTicketToAgent = async (ticket, agent, { actor, reason, notify = true } = {}) => {
+  const previousAgent = await agentSnapshot(ticket.assignedAgent);
+  if (previousAgent && String(previousAgent.agentId) === String(agent._id)) {
+    return { agent, changed: false };
+  }
+
+  ticket.assignedAgent = agent._id;
+  ticket.routing = {
+    strategy: 'manual',
+    reason,
+    decidedAt: new Date(),
+    decidedBy: actor?.userId || null,
+    candidates: []
+  };
+  await ticket.save();
+
+  await recordTicketEvent(null, {
+    ticketId: ticket._id,
+    type: previousAgent ? 'reassigned' : 'assigned',
+    before: previousAgent,
+    after: { agentId: agent._id, name: agent.name },
+    message: reason,
+    actor
+  });
+
+  await syncChatAssignee(ticket._id, agent);
+
+  if (notify) {
+    await notifyAssignment(ticket, agent, 'manual_assigned');
+  }
+
+  return { agent, changed: true };
+};
+
+/**
+ * Move every open ticket away from an agent (e.g. when the agent is deactivated).
+ * Tickets the routing rule cannot place go back to the unassigned category pool.
+ */
+export const reassignAgentTickets = async (agentId, { decidedBy = null } = {}) => {
+  const tickets = await Ticket.find({ assignedAgent: agentId, status: { $in: await getOpenStatusKeys() } });
+
+  const summary = { total: tickets.length, reassigned: 0, unassigned: 0 };
+
+  for (const ticket of tickets) {
+    try {
+      const { agent } = await autoAssignTicket(ticket, { decidedBy, excludeAgentIds: [agentId] });
+      if (agent) {
+        summary.reassigned++;
+        continue;
+      }
+
+      const previousAgent = await agentSnapshot(ticket.assignedAgent);
+      ticket.assignedAgent = null;
+      ticket.routing = {
+        strategy: ticket.routing?.strategy || 'manual',
+        reason: 'Previous agent deactivated - returned to the category queue',
+        decidedAt: new Date(),
+        decidedBy,
+        candidates: ticket.routing?.candidates || []
+      };
+      await ticket.save();
+      await syncChatAssignee(ticket._id, null);
+      await recordTicketEvent(null, {
+        ticketId: ticket._id,
+        type: 'unassigned',
+        before: previousAgent,
+        message: ticket.routing.reason,
+        actor: ROUTING_ACTOR
+      });
+      summary.unassigned++;
+    } catch (error) {
+      console.error(`Failed to reassign ticket ${ticket.ticketNumber}:`, error);
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import CsatSurvey from '../models/CsatSurvey.js';
+import Equipment from '../models/Equipment.js';
+import User from '../models/User.js';
+import { createNotificationWithPush } from './notificationDeliveryService.js';
+import { sendCsatRequestEmail } from '../utils/emailService.js';
+
+export const CSAT_GROUP_BY = {
+  agent: '$agent',
+  category: '$categoryId',
+  equipment: '$equipmentModel'
+};
+
+/**
+ * Ask the customer to rate a resolved/closed ticket (in-app notification, push and email).
+ * A ticket gets one survey; once answered it is not requested again if the ticket is reopened.
+ */
+export const requestCsatSurvey = async (ticket) => {
+  try {
+    if (!ticket.customer) {
+      return null;
+    }
+
+    const existing = await CsatSurvey.findOne({ ticketId: ticket._id });
+    if (existing?.status === 'completed') {
+      return existing;
+    }
+
+    const equipment = ticket.equipmentId
+      ? await Equipment.findById(ticket.equipmentId).select('modelNumber')
+      : null;
+
+    const survey = existing || new CsatSurvey({ ticketId: ticket._id, customer: ticket.customer });
+    survey.agent = ticket.assignedAgent || null;
+    survey.categoryId = ticket.categoryId || null;
+    survey.equipmentId = ticket.equipmentId || null;
+    survey.equipmentModel = equipment?.modelNumber || '';
+    survey.requestedAt = new Date();
+    await survey.save();
+
+    const ticketDisplay = ticket.ticketNumber || ticket._id;
+
+    await createNotificationWithPush({
+      title: 'How did we do?',
+      message: `Please rate the support you received on ticket ${ticketDisplay}.`,
+      type: 'info',
+      category: 'ticket',
+      userId: String(ticket.customer),
+      metadata: {
+        ticketId: ticket._id,
+        ticketNumber: ticketDisplay,
+        surveyId: survey._id
+      }
+    }, {
+      pushData: { type: 'csat_request' }
+    });
+
+    const customer = await User.findById(ticket.customer).select('name email');
+    const emailResult = await sendCsatRequestEmail(ticket, customer);
+    console.log('📧 CSAT request email result:', emailResult);
+
+    return survey;
+  } catch (error) {
+    console.error('❌ Failed to request CSAT survey:', error);
+    return null;
+  }
+};
+
+/**
+ * Aggregate completed surveys grouped by agent, category or equipment model.
+ */
+export const buildCsatReport = async ({ groupBy = 'agent', from, to, agentId, categoryId } = {}) => {
+  const match = { status: 'completed' };
+  if (from || to) {
+    match.respondedAt = {};
+    if (from) match.respondedAt.$gte = from;
+    if (to) match.respondedAt.$lte = to;
+  }
+  if (agentId) match.agent = new mongoose.Types.ObjectId(agentId);
+  if (categoryId) match.categoryId = new mongoose.Types.ObjectId(categoryId);
+
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: CSAT_GROUP_BY[groupBy],
+        responses: { $sum: 1 },
+        averageScore: { $avg: '$score' },
+        satisfied: { $sum: { $cond: [{ $gte: ['$score', 4] }, 1, 0] } },
+        score1: { $sum: { $cond: [{ $eq: ['$score', 1] }, 1, 0] } },
+        score2: { $sum: { $cond: [{ $eq: ['$score', 2] }, 1, 0] } },
+        score3: { $sum: { $cond: [{ $eq: ['$score', 3] }, 1, 0] } },
+        score4: { $sum: { $cond: [{ $eq: ['$score', 4] }, 1, 0] } },
+        score5: { $sum: { $cond: [{ $eq: ['$score', 5] }, 1, 0] } }
+      }
+    },
+    { $sort: { averageScore: -1, responses: -1 } }
+  ];
+
+  if (groupBy === 'agent') {
+    pipeline.push(
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'agent' } },
+      { $addFields: { name: { $ifNull: [{ $arrayElemAt: ['$agent.name', 0] }, 'Unassigned'] } } }
+    );
+  } else if (groupBy === 'category') {
+    pipeline.push(
+      { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+      { $addFields: { name: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, 'Uncategorised'] } } }
+    );
+  } else {
+    pipeline.push({ $addFields: { name: { $cond: [{ $eq: ['$_id', ''] }, 'No equipment', '$_id'] } } });
+  }
+
+  const rows = await CsatSurvey.aggregate(pipeline);
+
+  const groups = rows.map(row => ({
+    id: row._id,
+    name: row.name,
+    responses: row.responses,
+    averageScore: Math.round(row.averageScore * 100) / 100,
+    // CSAT % = share of 4 and 5 ratings
+    csatPercent: Math.round((row.satisfied / row.responses) * 1000) / 10,
+    distribution: { 1: row.score1, 2: row.score2, 3: row.score3, 4: row.score4, 5: row.score5 }
+  }));
+
+  const requestedMatch = { ...match };
+  delete requestedMatch.status;
+  if (requestedMatch.respondedAt) {
+    requestedMatch.requestedAt = requestedMatch.respondedAt;
+    delete requestedMatch.respondedAt;
+  }
+  const requested = await CsatSurvey.countDocuments(requestedMatch);
+  const responses = groups.reduce((sum, group) => sum + group.responses, 0);
+  const satisfied = rows.reduce((sum, row) => sum + row.satisfied, 0);
+  const scoreTotal = rows.reduce((sum, row) => sum + row.averageScore * row.responses, 0);
+
+  return {
+    groupBy,
+    summary: {
+      requested,
+      responses,
+      responseRate: requested ? Math.round((responses / requested) * 1000) / 10 : 0,
+      averageScore: responses ? Math.round((scoreTotal / responses) * 100) / 100 : null,
+      csatPercent: responses ? Math.round((satisfied / responses) * 1000) / 10 : null
+    },
+    groups
+  };
+};
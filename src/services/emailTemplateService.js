@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import EmailTemplate from '../models/EmailTemplate.js';
+import { renderTemplate, validateTemplate, htmlToText, TemplateError } from '../utils/templateEngine.js';
+import { EMAIL_TEMPLATES, EMAIL_TEMPLATE_KEYS, COMMON_TEMPLATE_VARIABLES } from './emailTemplates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+const LAYOUT_KEY = 'layout';
+const CONTENT_SLOT = /\{\{\{\s*content\s*\}\}\}/;
+
+export class EmailTemplateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'EmailTemplateError';
+    this.statusCode = statusCode;
+  }
+}
+
+const getDefinition = (key) => {
+  const definition = EMAIL_TEMPLATES[key];
+  if (!definition) {
+    throw new EmailTemplateError(`Unknown email template: ${key}`, 404);
+  }
+  return definition;
+};
+
+// The files only change with a deploy
+const fileCache = new Map();
+
+const getDefaultTemplate = async (key) => {
+  if (!fileCache.has(key)) {
+    fileCache.set(key, await fs.readFile(path.join(TEMPLATE_DIR, `${key}.html`), 'utf8'));
+  }
+  return { subject: getDefinition(key).subject || '', html: fileCache.get(key) };
+};
+
+// The admin's edited copy when there is one, otherwise the file
+const loadTemplate = async (key) => {
+  const defaults = await getDefaultTemplate(key);
+
+  let override = null;
+  try {
+    override = await EmailTemplate.findOne({ key }).lean();
+  } catch (error) {
+    // Still send the email with the file template
+    console.error(`Failed to load email template ${key}:`, error);
+  }
+
+  return override
+    ? { subject: override.subject || defaults.subject, html: override.html }
+    : defaults;
+};
+
+const commonVariables = () => {
+  const appUrl = process.env.APP_URL || '';
+  return {
+    companyName: COMMON_TEMPLATE_VARIABLES.companyName,
+    appUrl,
+    logoUrl: `${appUrl}/uploads/email.png`
+  };
+};
+
+const render = ({ subject, html }, layoutHtml, variables) => {
+  const content = renderTemplate(html, variables);
+  const fullHtml = layoutHtml === null ? content : renderTemplate(layoutHtml, { ...variables, content });
+  return {
+    subject: renderTemplate(subject, variables, { escape: false }).replace(/\s+/g, ' ').trim(),
+    html: fullHtml,
+    text: htmlToText(fullHtml)
+  };
+};
+
+const loadLayout = async (key) => (key === LAYOUT_KEY ? null : (await loadTemplate(LAYOUT_KEY)).html);
+
+/**
+ * Render an email: { subject, html (wrapped in the layout), text (plain-text alternative) }
+ */
+export const renderEmailTemplate = async (key, variables = {}) => {
+  getDefinition(key);
+  const [template, layoutHtml] = await Promise.all([loadTemplate(key), loadLayout(key)]);
+  return render(template, layoutHtml, { ...commonVariables(), ...variables });
+};
+
+/**
+ * Template for a ticket status: "<baseKey>-<status>" when there is one, else the generic "<baseKey>"
+ */
+export const resolveStatusTemplateKey = (baseKey, status) => {
+  const suffix = String(status || '').toLowerCase().replace(/^reopen$/, 'reopened').replace(/_/g, '-');
+  const key = `${baseKey}-${suffix}`;
+  return EMAIL_TEMPLATES[key] ? key : baseKey;
+};
+
+/**
+ * Check an edited template. Throws an EmailTemplateError.
+ */
+const validateDraft = (key, { subject, html }) => {
+  if (!html.trim()) {
+    throw new EmailTemplateError('Template HTML cannot be empty');
+  }
+  if (key === LAYOUT_KEY && !CONTENT_SLOT.test(html)) {
+    throw new EmailTemplateError('The layout must contain {{{content}}}');
+  }
+  if (key !== LAYOUT_KEY && !subject.trim()) {
+    throw new EmailTemplateError('Subject cannot be empty');
+  }
+
+  try {
+    validateTemplate(subject);
+  } catch (error) {
+    if (error instanceof TemplateError) throw new EmailTemplateError(`Subject: ${error.message}`);
+    throw error;
+  }
+  try {
+    validateTemplate(html);
+  } catch (error) {
+    if (error instanceof TemplateError) throw new EmailTemplateError(`HTML: ${error.message}`);
+    throw error;
+  }
+};
+
+export const listEmailTemplates = async () => {
+  const overrides = await EmailTemplate.find()
+    .select('key updatedBy updatedAt')
+    .populate('updatedBy', 'name email')
+    .lean();
+  const byKey = new Map(overrides.map(override => [override.key, override]));
+
+  return EMAIL_TEMPLATE_KEYS.map(key => ({
+    key,
+    name: EMAIL_TEMPLATES[key].name,
+    description: EMAIL_TEMPLATES[key].description,
+    customized: byKey.has(key),
+    updatedBy: byKey.get(key)?.updatedBy || null,
+    updatedAt: byKey.get(key)?.updatedAt || null
+  }));
+};
+
+/**
+ * The template as it is used now, with the file version to compare with and the variables it gets
+ */
+export const getEmailTemplate = async (key) => {
+  const definition = getDefinition(key);
+  const [defaults, override] = await Promise.all([
+    getDefaultTemplate(key),
+    EmailTemplate.findOne({ key }).populate('updatedBy', 'name email').lean()
+  ]);
+
+  return {
+    key,
+    name: definition.name,
+    description: definition.description,
+    variables: Object.keys({ ...COMMON_TEMPLATE_VARIABLES, ...definition.sample }),
+    sample: definition.sample,
+    subject: definition.subject === null ? null : (override?.subject || defaults.subject),
+    html: override ? override.html : defaults.html,
+    defaultSubject: definition.subject,
+    defaultHtml: defaults.html,
+    customized: Boolean(override),
+    updatedBy: override?.updatedBy || null,
+    updatedAt: override?.updatedAt || null
+  };
+};
+
+/**
+ * Render with the sample variables (merged with `variables`). `subject` / `html` preview unsaved
+ * changes; when left out the current template is used.
+ */
+export const previewEmailTemplate = async (key, { subject, html, variables = {} } = {}) => {
+  const definition = getDefinition(key);
+  const [current, layoutHtml] = await Promise.all([loadTemplate(key), loadLayout(key)]);
+  const draft = {
+    subject: definition.subject === null ? '' : String(subject ?? current.subject),
+    html: String(html ?? current.html)
+  };
+  validateDraft(key, draft);
+
+  return render(draft, layoutHtml, { ...commonVariables(), ...definition.sample, ...variables });
+};
+
+/**
+ * Save an edited copy of a template; fields left out keep their current value
+ */
+export const saveEmailTemplate = async (key, { subject, html }, userId) => {
+  const definition = getDefinition(key);
+  const current = await loadTemplate(key);
+  const draft = {
+    subject: definition.subject === null ? '' : String(subject ?? current.subject).trim(),
+    html: String(html ?? current.html)
+  };
+  validateDraft(key, draft);
+
+  await EmailTemplate.findOneAndUpdate(
+    { key },
+    { $set: { ...draft, updatedBy: userId } },
+    { upsert: true, new: true, runValidators: true }
+  );
+  return getEmailTemplate(key);
+};
+
+/**
+ * Drop the edited copy so the file template is used again. Returns false when there was none.
+ */
+export const resetEmailTemplate = async (key) => {
+  getDefinition(key);
+  const result = await EmailTemplate.deleteOne({ key });
+  return result.deletedCount > 0;
+};
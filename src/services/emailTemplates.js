@@ -0,0 +1,263 @@
+/**
+ * Email templates that can be edited from the web panel. The HTML of each lives in
+ * src/templates/email/<key>.html and is wrapped in layout.html; `sample` holds the variables
+ * the template is rendered with (and example values for previews).
+ *
+ * Status emails pick "<key>-<status>" (e.g. status-changed-resolved) and fall back to "<key>".
+ */
+
+const ticket = { ticketNumber: 'TKT-000123', status: 'pending' };
+const customer = { customerName: 'Jane Cooper', customerEmail: 'jane.cooper@example.com' };
+const replyFooter = 'You can reply to this email to add a message to your ticket.';
+
+// Available in every template and in the layout
+export const COMMON_TEMPLATE_VARIABLES = {
+  companyName: 'Expand Machinery',
+  appUrl: 'https://support.example.com',
+  logoUrl: 'https://support.example.com/uploads/email.png'
+};
+
+const customerStatusSample = (status, updatedDate = 'March 4, 2026') => ({
+  ...ticket, status, customerName: customer.customerName, updatedDate, replyFooter
+});
+
+const adminStatusSample = (status) => ({
+  ...ticket,
+  ...customer,
+  status,
+  adminName: 'Admin',
+  changedByName: 'Sam Carter',
+  assignedAgentName: 'Sam Carter',
+  updatedDate: 'March 4, 2026',
+  reason: 'Waiting for the serial number of the machine.',
+  resolutionNotes: 'Replaced the hydraulic pump seal.'
+});
+
+export const EMAIL_TEMPLATES = {
+  layout: {
+    name: 'Shared layout',
+    description: 'Wraps every email; must contain {{{content}}} where the email goes',
+    subject: null,
+    sample: { content: '<p>The email content goes here.</p>' }
+  },
+  'ticket-created': {
+    name: 'Ticket created (customer)',
+    description: 'Sent to the customer when their ticket is created',
+    subject: 'Ticket Created - {{ticketNumber}}',
+    sample: { ...ticket, description: 'The conveyor belt stops after a few minutes.', createdDate: 'March 4, 2026', replyFooter }
+  },
+  'ticket-created-agents': {
+    name: 'Ticket created (agents)',
+    description: 'Sent to the agents of the ticket category',
+    subject: 'New Ticket In Your Category - {{ticketNumber}}',
+    sample: { ...ticket, customerName: customer.customerName, description: 'The conveyor belt stops after a few minutes.', createdDate: 'March 4, 2026' }
+  },
+  'new-ticket-admin': {
+    name: 'Ticket created (admin)',
+    description: 'Sent to ADMIN_EMAIL for every new ticket',
+    subject: 'New Support Ticket Created - {{ticketNumber}}',
+    sample: { ...ticket, ...customer, adminName: 'Admin', description: 'The conveyor belt stops after a few minutes.', createdDate: 'March 4, 2026' }
+  },
+  'status-changed': {
+    name: 'Status changed (customer)',
+    description: 'Sent to the customer for statuses without their own template',
+    subject: 'Ticket Status Updated - {{ticketNumber}}',
+    sample: customerStatusSample('waiting_for_parts')
+  },
+  'status-changed-pending': {
+    name: 'Status changed to pending (customer)',
+    description: 'Sent to the customer when the ticket is marked pending',
+    subject: 'Ticket Pending - {{ticketNumber}}',
+    sample: customerStatusSample('pending')
+  },
+  'status-changed-in-progress': {
+    name: 'Status changed to in progress (customer)',
+    description: 'Sent to the customer when work on the ticket starts',
+    subject: 'Ticket In Progress - {{ticketNumber}}',
+    sample: customerStatusSample('in_progress')
+  },
+  'status-changed-resolved': {
+    name: 'Status changed to resolved (customer)',
+    description: 'Sent to the customer when the ticket is resolved',
+    subject: 'Ticket Resolved - {{ticketNumber}}',
+    sample: customerStatusSample('resolved')
+  },
+  'status-changed-closed': {
+    name: 'Status changed to closed (customer)',
+    description: 'Sent to the customer when the ticket is closed',
+    subject: 'Ticket Closed - {{ticketNumber}}',
+    sample: customerStatusSample('closed')
+  },
+  'status-changed-reopened': {
+    name: 'Status changed to reopened (customer)',
+    description: 'Sent to the customer when the ticket is reopened',
+    subject: 'Ticket Reopened - {{ticketNumber}}',
+    sample: customerStatusSample('reopened')
+  },
+  'admin-status-changed': {
+    name: 'Status changed (admin)',
+    description: 'Sent to ADMIN_EMAIL for statuses without their own template',
+    subject: 'Ticket Status Updated - {{ticketNumber}}',
+    sample: adminStatusSample('waiting_for_parts')
+  },
+  'admin-status-changed-pending': {
+    name: 'Status changed to pending (admin)',
+    description: 'Sent to ADMIN_EMAIL when a ticket is marked pending',
+    subject: 'Ticket Marked as Pending - {{ticketNumber}}',
+    sample: adminStatusSample('pending')
+  },
+  'admin-status-changed-in-progress': {
+    name: 'Status changed to in progress (admin)',
+    description: 'Sent to ADMIN_EMAIL when work on a ticket starts',
+    subject: 'Ticket In Progress - {{ticketNumber}}',
+    sample: adminStatusSample('in_progress')
+  },
+  'admin-status-changed-resolved': {
+    name: 'Status changed to resolved (admin)',
+    description: 'Sent to ADMIN_EMAIL when a ticket is resolved',
+    subject: 'Ticket Resolved - {{ticketNumber}}',
+    sample: adminStatusSample('resolved')
+  },
+  'admin-status-changed-closed': {
+    name: 'Status changed to closed (admin)',
+    description: 'Sent to ADMIN_EMAIL when a ticket is closed',
+    subject: 'Ticket Closed - {{ticketNumber}}',
+    sample: adminStatusSample('closed')
+  },
+  'admin-status-changed-reopened': {
+    name: 'Status changed to reopened (admin)',
+    description: 'Sent to ADMIN_EMAIL when a ticket is reopened',
+    subject: 'Ticket Reopened - {{ticketNumber}}',
+    sample: adminStatusSample('reopened')
+  },
+  assignment: {
+    name: 'Ticket assigned',
+    description: 'Sent to the agent a ticket is assigned to',
+    subject: 'New Ticket Assigned to You - {{ticketNumber}}',
+    sample: {
+      ...ticket,
+      ...customer,
+      agentName: 'Sam Carter',
+      description: 'The conveyor belt stops after a few minutes.',
+      createdDate: 'March 4, 2026',
+      assignedDate: 'March 5, 2026'
+    }
+  },
+  'sla-escalation': {
+    name: 'SLA escalation',
+    description: 'Sent to the agent, managers and policy addresses when an SLA target is close or missed',
+    subject: '{{title}} - {{ticketNumber}}',
+    sample: {
+      ...ticket,
+      title: 'SLA breached',
+      message: 'Ticket #TKT-000123 has missed its resolution target.',
+      dueDate: 'March 5, 2026, 02:00 PM'
+    }
+  },
+  'csat-request': {
+    name: 'Satisfaction survey',
+    description: 'Asks the customer to rate the support after the ticket is resolved',
+    subject: 'How did we do? Rate your support for ticket {{ticketNumber}}',
+    sample: { ...ticket, status: 'resolved', customerName: customer.customerName }
+  },
+  'customer-welcome': {
+    name: 'Customer welcome',
+    description: 'Sent when a customer account is created from the panel',
+    subject: 'Welcome to Expand Machinery',
+    sample: { name: customer.customerName, email: customer.customerEmail, password: 'Temp#2026' }
+  },
+  'customer-registration-admin': {
+    name: 'Customer registered (admin)',
+    description: 'Sent to ADMIN_EMAIL when a customer signs up in the app',
+    subject: 'New Customer Registration - Expand Machinery',
+    sample: {
+      adminName: 'Admin',
+      name: customer.customerName,
+      email: customer.customerEmail,
+      phone: '+1 555 010 2030',
+      registrationDate: 'March 4, 2026',
+      dashboardUrl: 'https://panel.example.com/dashboard/customers'
+    }
+  },
+  'agent-welcome': {
+    name: 'Agent welcome',
+    description: 'Sent when an agent account is created',
+    subject: 'Welcome to Expand Machinery - Agent Account Created',
+    sample: { name: 'Sam Carter', email: 'sam.carter@example.com', password: 'Temp#2026' }
+  },
+  'password-reset': {
+    name: 'Password reset link',
+    description: 'Password reset link for the web panel',
+    subject: 'Password Reset - Expand Machinery',
+    sample: { resetUrl: 'https://panel.example.com/reset-password/abc123' }
+  },
+  'password-reset-confirmation': {
+    name: 'Password reset confirmation',
+    description: 'Sent after a password was reset',
+    subject: 'Password Reset Successful - Expand Machinery',
+    sample: { loginUrl: 'https://support.example.com' }
+  },
+  'app-password-reset': {
+    name: 'App password reset code',
+    description: 'One-time code to reset the password in the app',
+    subject: 'Password Reset OTP - Expand Machinery App',
+    sample: { otp: '482913' }
+  },
+  'email-verification': {
+    name: 'Email verification code',
+    description: 'One-time code to verify the email address at app sign-up',
+    subject: 'Verify Your Email - Expand Machinery App',
+    sample: { name: customer.customerName, otp: '482913' }
+  },
+  'two-factor-code': {
+    name: 'Two-factor sign-in code',
+    description: 'One-time code to finish signing in to the panel',
+    subject: 'Your sign-in code - Expand Machinery',
+    sample: { name: 'Sam Carter', otp: '482913' }
+  },
+  'account-locked': {
+    name: 'Account locked',
+    description: 'Sent when an account is locked after failed logins',
+    subject: 'Your account has been locked - Expand Machinery',
+    sample: { name: 'Sam Carter', minutes: 15, unlockUrl: 'https://panel.example.com/unlock-account?token=abc123' }
+  },
+  'report-issue-admin': {
+    name: 'Issue reported (admin)',
+    description: 'Sent to ADMIN_EMAIL when a user reports an issue with the app',
+    subject: 'New Issue Reported - {{reportId}}',
+    sample: {
+      reportId: '65f1c2a9e4b0a1b2c3d4e5f6',
+      name: customer.customerName,
+      email: customer.customerEmail,
+      phone: '+1 555 010 2030',
+      description: 'The app closes when I open the ticket history.',
+      createdDate: '04/03/2026'
+    }
+  },
+  'report-issue-user': {
+    name: 'Issue reported (user)',
+    description: 'Confirmation sent to the user who reported an issue',
+    subject: 'Issue Reported Successfully - {{reportId}}',
+    sample: {
+      reportId: '65f1c2a9e4b0a1b2c3d4e5f6',
+      name: customer.customerName,
+      email: customer.customerEmail,
+      phone: '+1 555 010 2030',
+      description: 'The app closes when I open the ticket history.',
+      createdDate: 'March 4, 2026'
+    }
+  },
+  'scheduled-report': {
+    name: 'Scheduled report',
+    description: 'Report digest sent by the report schedules, with the full report attached',
+    subject: '{{title}}{{#if subtitle}} - {{subtitle}}{{/if}}',
+    sample: {
+      title: 'Backlog summary',
+      subtitle: 'Mar 1, 2026 - Mar 7, 2026',
+      summary: [{ label: 'Open tickets', value: 42 }, { label: 'Breached SLAs', value: 3 }],
+      attachmentNames: 'backlog-summary.csv, backlog-summary.pdf'
+    }
+  }
+};
+
+export const EMAIL_TEMPLATE_KEYS = Object.keys(EMAIL_TEMPLATES);
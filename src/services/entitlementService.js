@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+import ServiceContract, { COVERAGE_LEVELS } from '../models/ServiceContract.js';
+import Category from '../models/Category.js';
+
+export const ENTITLEMENT_STATUSES = ['covered', 'not_covered', 'unknown'];
+
+/**
+ * What to do with tickets for equipment that has no active warranty or contract:
+ * - 'flag' (default): keep the ticket in its category, only tag it as not covered
+ * - 'sales_queue': move it to the SALES_QUEUE_CATEGORY_ID category so sales agents pick it up
+ */
+const getOutOfCoverageAction = () => (
+  process.env.OUT_OF_COVERAGE_ACTION === 'sales_queue' ? 'sales_queue' : 'flag'
+);
+
+const contractCovers = (contract, machine, equipmentId) => {
+  const machines = contract.coveredMachines.map(String);
+  const equipment = contract.coveredEquipment.map(String);
+
+  if (machines.length === 0 && equipment.length === 0) {
+    return true;
+  }
+  if (machine && machines.includes(String(machine._id))) {
+    return true;
+  }
+  return !!equipmentId && equipment.includes(String(equipmentId));
+};
+
+/**
+ * Work out whether the customer is entitled to support for a machine / equipment model.
+ * Active contracts win over the machine's warranty; the highest coverage level wins between contracts.
+ *
+ * Returns the ticket `entitlement` block plus the contract's response commitment (if any).
+ */
+export const checkEntitlement = async ({ customerId, machine = null, equipmentId = null, at = new Date() }) => {
+  const contracts = await ServiceContract.find({
+    customer: customerId,
+    isActive: true,
+    startDate: { $lte: at },
+    endDate: { $gte: at }
+  });
+
+  const covering = contracts
+    .filter(contract => contractCovers(contract, machine, equipmentId || machine?.equipmentId))
+    .sort((a, b) => COVERAGE_LEVELS.indexOf(b.coverageLevel) - COVERAGE_LEVELS.indexOf(a.coverageLevel));
+
+  if (covering.length > 0) {
+    const contract = covering[0];
+    return {
+      entitlement: {
+        status: 'covered',
+        source: 'contract',
+        contractId: contract._id,
+        coverageLevel: contract.coverageLevel,
+        expiresAt: contract.endDate,
+        reason: `Covered by ${contract.coverageLevel} contract ${contract.contractNumber}`,
+        checkedAt: at
+      },
+      commitment: {
+        firstResponseMinutes: contract.firstResponseMinutes,
+        resolutionMinutes: contract.resolutionMinutes
+      }
+    };
+  }
+
+  if (machine?.warrantyEndDate && machine.warrantyEndDate >= at) {
+    return {
+      entitlement: {
+        status: 'covered',
+        source: 'warranty',
+        contractId: null,
+        coverageLevel: 'warranty',
+        expiresAt: machine.warrantyEndDate,
+        reason: `Machine ${machine.serialNumber} is under warranty`,
+        checkedAt: at
+      },
+      commitment: null
+    };
+  }
+
+  // Tickets not about a specific machine or model cannot be checked
+  if (!machine && !equipmentId) {
+    return {
+      entitlement: { status: 'unknown', reason: 'No machine or equipment selected', checkedAt: at },
+      commitment: null
+    };
+  }
+
+  const expiredWarranty = machine?.warrantyEndDate
+    ? `warranty ended ${machine.warrantyEndDate.toISOString().slice(0, 10)}`
+    : 'no warranty on record';
+
+  return {
+    entitlement: {
+      status: 'not_covered',
+      reason: `No active service contract and ${expiredWarranty}`,
+      checkedAt: at
+    },
+    commitment: null
+  };
+};
+
+/**
+ * Entitlement check for a new ticket. Out-of-coverage tickets are moved to the sales queue
+ * category when OUT_OF_COVERAGE_ACTION=sales_queue.
+ *
+ * Returns { entitlement, commitment, categoryId } - categoryId is the category the ticket should use.
+ */
+export const evaluateTicketEntitlement = async ({ customerId, machine, equipmentId, categoryId }) => {
+  const { entitlement, commitment } = await checkEntitlement({ customerId, machine, equipmentId });
+
+  if (entitlement.status !== 'not_covered' || getOutOfCoverageAction() !== 'sales_queue') {
+    return { entitlement, commitment, categoryId };
+  }
+
+  const salesCategoryId = process.env.SALES_QUEUE_CATEGORY_ID;
+  const salesCategory = mongoose.Types.ObjectId.isValid(salesCategoryId)
+    ? await Category.findOne({ _id: salesCategoryId, isActive: { $ne: false } }).select('_id name')
+    : null;
+
+  if (!salesCategory) {
+    console.error('❌ OUT_OF_COVERAGE_ACTION is sales_queue but SALES_QUEUE_CATEGORY_ID is missing, invalid or retired');
+    return { entitlement, commitment, categoryId };
+  }
+
+  return {
+    entitlement: {
+      ...entitlement,
+      routedToSales: true,
+      originalCategoryId: categoryId || null
+    },
+    commitment,
+    categoryId: salesCategory._id
+  };
+};
@@ -0,0 +1,96 @@
+/**
+ * Inbound email parsers turn a provider's webhook body into a list of normalized emails:
+ *
+ * {
+ *   messageId, inReplyTo, subject, text,
+ *   from: { email, name },
+ *   to: [email],
+ *   attachments: [{ filename, contentType, content: Buffer }]
+ * }
+ *
+ * Pick one with INBOUND_EMAIL_PARSER (default brevo). The 'json' parser takes that shape directly
+ * (attachment content as base64), so a local fixture can be posted to the webhook without a provider.
+ */
+
+const BREVO_ATTACHMENT_URL = 'https://api.brevo.com/v3/inbound/attachments';
+
+const normalizeAddress = (address) => String(address || '').trim().toLowerCase();
+
+// Brevo sends attachment metadata only; the file is downloaded with the attachment's token
+const downloadBrevoAttachment = async (downloadToken) => {
+  const response = await fetch(`${BREVO_ATTACHMENT_URL}/${encodeURIComponent(downloadToken)}`, {
+    headers: { 'api-key': process.env.BREVO_API_KEY }
+  });
+  if (!response.ok) {
+    throw new Error(`Brevo attachment download failed with status ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const parseBrevo = async (body) => {
+  const items = Array.isArray(body?.items) ? body.items : [];
+
+  return Promise.all(items.map(async (item) => {
+    const attachments = [];
+    for (const attachment of item.Attachments || []) {
+      try {
+        attachments.push({
+          filename: attachment.Name,
+          contentType: attachment.ContentType,
+          content: await downloadBrevoAttachment(attachment.DownloadToken)
+        });
+      } catch (error) {
+        console.error(`❌ Could not download inbound attachment ${attachment.Name}:`, error.message);
+      }
+    }
+
+    return {
+      messageId: item.MessageId || (Array.isArray(item.Uuid) ? item.Uuid[0] : item.Uuid),
+      inReplyTo: item.InReplyTo || null,
+      subject: item.Subject || '',
+      // ExtractedMarkdownMessage is the reply without the quoted thread
+      text: item.ExtractedMarkdownMessage || item.RawTextBody || '',
+      from: { email: normalizeAddress(item.From?.Address), name: item.From?.Name || '' },
+      to: (item.To || []).map(recipient => normalizeAddress(recipient.Address)),
+      attachments
+    };
+  }));
+};
+
+const parseJson = async (body) => {
+  const emails = Array.isArray(body) ? body : [body];
+
+  return emails.map(email => ({
+    messageId: email.messageId,
+    inReplyTo: email.inReplyTo || null,
+    subject: email.subject || '',
+    text: email.text || '',
+    from: { email: normalizeAddress(email.from?.email), name: email.from?.name || '' },
+    to: (email.to || []).map(normalizeAddress),
+    attachments: (email.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType || 'application/octet-stream',
+      content: Buffer.from(attachment.content || '', 'base64')
+    }))
+  }));
+};
+
+const parsers = {
+  brevo: parseBrevo,
+  json: parseJson
+};
+
+/**
+ * Add or replace a parser (e.g. for another email provider)
+ */
+export const registerInboundEmailParser = (name, parser) => {
+  parsers[name] = parser;
+};
+
+export const getInboundEmailParser = (name = process.env.INBOUND_EMAIL_PARSER || 'brevo') => {
+  const parser = parsers[name];
+  if (!parser) {
+    throw new Error(`Unknown inbound email parser "${name}"`);
+  }
+  return { name, parse: parser };
+};
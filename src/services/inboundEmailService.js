@@ -0,0 +1,316 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ticket from '../models/Ticket.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import InboundEmail from '../models/InboundEmail.js';
+import { getIO } from '../socket/index.js';
+import { recordTicketEvent } from '../utils/ticketEventLogger.js';
+import { extractTicketNumber } from '../utils/ticketEmailAddress.js';
+import { sendTicketCreationEmail, sendTicketAdminNotify } from '../utils/emailService.js';
+import { insertNotificationsWithPush } from './notificationDeliveryService.js';
+import { sendPushNotification } from './pushNotificationService.js';
+import { buildTicketSla, recordFirstResponse } from './slaService.js';
+import { autoAssignTicket } from './assignmentService.js';
+import { getInitialStatus } from './ticketWorkflowService.js';
+import { evaluateTicketEntitlement } from './entitlementService.js';
+import { isStaffRole } from './internalNoteService.js';
+import { emitMessageWebhook } from './webhookService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same folder and limits as chat/ticket uploads (see uploadMiddleware)
+const ATTACHMENT_DIR = path.join(__dirname, '../../public/uploads/attachments');
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+
+// Lines that start the quoted previous message in common mail clients
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^From:\s.+/,
+  /^_{10,}/
+];
+
+/**
+ * Keep only the new part of a reply (drops the quoted thread and "> " lines)
+ */
+export const stripQuotedReply = (text) => {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (const line of lines) {
+    if (QUOTE_MARKERS.some(marker => marker.test(line.trim()))) {
+      break;
+    }
+    if (!line.startsWith('>')) {
+      kept.push(line);
+    }
+  }
+  return kept.join('\n').trim();
+};
+
+const saveAttachments = async (attachments = []) => {
+  await fs.mkdir(ATTACHMENT_DIR, { recursive: true });
+
+  const saved = [];
+  for (const attachment of attachments.slice(0, MAX_ATTACHMENTS)) {
+    if (!attachment.content?.length || attachment.content.length > MAX_ATTACHMENT_BYTES) {
+      console.warn(`⚠️ Skipping inbound attachment ${attachment.filename}: empty or larger than 10MB`);
+      continue;
+    }
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filename = `attachments-${uniqueSuffix}${path.extname(attachment.filename || '')}`;
+    await fs.writeFile(path.join(ATTACHMENT_DIR, filename), attachment.content);
+    saved.push({
+      filename,
+      originalName: attachment.filename || filename,
+      mimeType: attachment.contentType,
+      size: attachment.content.length,
+      url: `/uploads/attachments/${filename}`
+    });
+  }
+  return saved;
+};
+
+const participantFor = (user) => ({
+  userId: user._id,
+  userType: user.role,
+  userName: user.name,
+  userEmail: user.email
+});
+
+const getOrCreateTicketChat = async (ticket, sender) => {
+  let chat = await Chat.findOne({ ticketId: ticket._id });
+  if (!chat) {
+    const participants = [];
+    const customer = await User.findById(ticket.customer);
+    if (customer) participants.push(participantFor(customer));
+    if (ticket.assignedAgent) {
+      const agent = await User.findById(ticket.assignedAgent);
+      if (agent) participants.push(participantFor(agent));
+    }
+    chat = await Chat.create({ ticketId: ticket._id, participants });
+  }
+  if (!chat.participants.some(p => String(p.userId) === String(sender._id))) {
+    chat.participants.push(participantFor(sender));
+    await chat.save();
+  }
+  return chat;
+};
+
+/**
+ * Store the email body as a chat message on the ticket and push it to everyone watching the ticket
+ */
+const postEmailToChat = async (ticket, sender, { content, attachments }) => {
+  const chat = await getOrCreateTicketChat(ticket, sender);
+  // Attachment-only emails still need message text
+  content = content || `Sent ${attachments.length} attachment(s) by email`;
+
+  const message = await Message.create({
+    chatId: chat._id,
+    ticketId: ticket._id,
+    sender: participantFor(sender),
+    content,
+    messageType: 'text',
+    attachments,
+    readBy: [{ userId: sender._id, readAt: new Date() }],
+    isRead: false
+  });
+
+  chat.lastMessage = content;
+  chat.lastMessageAt = new Date();
+  await chat.save();
+
+  await emitMessageWebhook(message);
+
+  try {
+    getIO().to(`ticket_${ticket._id}`).emit('new_message', message);
+  } catch (socketError) {
+    console.error('Failed to emit inbound email message via socket:', socketError.message);
+  }
+
+  if (attachments.length > 0) {
+    await recordTicketEvent(null, {
+      ticketId: ticket._id,
+      type: 'attachment_added',
+      after: { messageId: message._id, attachments: attachments.map(a => a.url) },
+      message: `${attachments.length} attachment(s) added by email`,
+      actor: { userId: sender._id, name: sender.name, role: sender.role }
+    });
+  }
+
+  const recipientIds = chat.participants
+    .filter(p => String(p.userId) !== String(sender._id) && (!p.status || p.status === 'active') && p.userType !== 'manager')
+    .map(p => p.userId);
+  if (recipientIds.length > 0) {
+    try {
+      await sendPushNotification({
+        title: `"${sender.name}" replied to ${ticket.ticketNumber} by email`,
+        body: content.length > 100 ? content.substring(0, 100) + '...' : content,
+        data: {
+          type: 'chat_message',
+          chatId: chat._id.toString(),
+          ticketId: ticket._id.toString(),
+          senderId: sender._id.toString(),
+          senderName: sender.name || '',
+          senderRole: sender.role || ''
+        },
+        userIds: recipientIds
+      });
+    } catch (pushError) {
+      console.error('Failed to send push notification for inbound email:', pushError);
+    }
+  }
+
+  return message;
+};
+
+/**
+ * New ticket from an email that does not belong to an existing thread
+ */
+const createTicketFromEmail = async (customer, { subject, content, attachments }) => {
+  const description = [subject, content].filter(Boolean).join('\n\n');
+  const { entitlement, commitment, categoryId } = await evaluateTicketEntitlement({
+    customerId: customer._id,
+    machine: null,
+    equipmentId: null,
+    categoryId: process.env.INBOUND_EMAIL_CATEGORY_ID || null
+  });
+
+  const ticket = await Ticket.create({
+    description,
+    status: await getInitialStatus(),
+    customer: customer._id,
+    categoryId: categoryId || undefined,
+    attachments: attachments.map(a => a.url),
+    channel: 'email',
+    sla: await buildTicketSla({ categoryId, equipmentId: null, commitment }),
+    entitlement
+  });
+
+  const actor = { userId: customer._id, name: customer.name, role: customer.role };
+  await recordTicketEvent(null, {
+    ticketId: ticket._id,
+    type: 'created',
+    after: { status: ticket.status, categoryId: ticket.categoryId, channel: 'email', entitlement: ticket.entitlement.status },
+    message: 'Ticket created from email',
+    actor
+  });
+
+  try {
+    await autoAssignTicket(ticket);
+  } catch (assignError) {
+    console.error('Auto-assignment failed:', assignError);
+  }
+
+  const managers = await User.find({ role: 'manager', isActive: true }).select('_id');
+  await insertNotificationsWithPush(managers.map(manager => ({
+    title: 'New Ticket Created',
+    message: `New support ticket ${ticket.ticketNumber} created by ${customer.name} via email`,
+    type: 'info',
+    category: 'ticket',
+    userId: String(manager._id),
+    metadata: {
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      customerId: customer._id,
+      customerName: customer.name
+    }
+  })), { pushData: { type: 'new_ticket' } });
+
+  try {
+    await sendTicketCreationEmail(ticket, customer);
+    await sendTicketAdminNotify(ticket, customer);
+  } catch (emailError) {
+    console.error('Email sending failed:', emailError);
+  }
+
+  return ticket;
+};
+
+/**
+ * Thread one parsed inbound email (see inboundEmailParsers) onto its ticket, or open a new ticket.
+ * Returns the InboundEmail log entry; the same messageId is only processed once.
+ */
+export const processInboundEmail = async (email, { provider } = {}) => {
+  const messageId = email.messageId || `${email.from?.email}:${email.subject}:${Date.now()}`;
+
+  const existing = await InboundEmail.findOne({ messageId });
+  if (existing) {
+    return existing;
+  }
+
+  const log = new InboundEmail({
+    messageId,
+    provider,
+    fromEmail: email.from?.email || '',
+    fromName: email.from?.name || '',
+    to: email.to || [],
+    subject: email.subject || '',
+    attachmentCount: email.attachments?.length || 0,
+    status: 'ignored'
+  });
+
+  try {
+    const sender = email.from?.email
+      ? await User.findOne({ email: email.from.email, isDeleted: { $ne: true }, isActive: true })
+      : null;
+    if (!sender) {
+      log.reason = 'Sender is not a registered user';
+      return await log.save();
+    }
+    log.senderId = sender._id;
+
+    const content = stripQuotedReply(email.text);
+    if (!content && !email.attachments?.length) {
+      log.reason = 'Email has no content';
+      return await log.save();
+    }
+
+    const ticketNumber = extractTicketNumber(email);
+    const ticket = ticketNumber ? await Ticket.findOne({ ticketNumber }) : null;
+
+    if (ticket) {
+      const chat = await Chat.findOne({ ticketId: ticket._id }).select('participants');
+      const allowed = String(ticket.customer) === String(sender._id)
+        || String(ticket.assignedAgent) === String(sender._id)
+        || sender.role === 'manager'
+        || chat?.participants.some(p => String(p.userId) === String(sender._id));
+      if (!allowed) {
+        log.reason = `Sender is not part of ticket ${ticketNumber}`;
+        return await log.save();
+      }
+
+      const attachments = await saveAttachments(email.attachments);
+      const message = await postEmailToChat(ticket, sender, { content, attachments });
+
+      // A staff reply by email counts as the first response like one from the panel
+      if (isStaffRole(sender.role)) {
+        await recordFirstResponse(ticket._id);
+      }
+
+      log.set({ status: 'threaded', ticketId: ticket._id, chatMessageId: message._id, reason: '' });
+      return await log.save();
+    }
+
+    if (sender.role !== 'customer') {
+      log.reason = ticketNumber ? `Ticket ${ticketNumber} not found` : 'No ticket reference and sender is not a customer';
+      return await log.save();
+    }
+
+    const attachments = await saveAttachments(email.attachments);
+    const newTicket = await createTicketFromEmail(sender, { subject: email.subject, content, attachments });
+    const message = await postEmailToChat(newTicket, sender, { content: content || email.subject, attachments });
+
+    log.set({ status: 'ticket_created', ticketId: newTicket._id, chatMessageId: message._id, reason: '' });
+    return await log.save();
+  } catch (error) {
+    console.error('❌ Inbound email processing failed:', error);
+    log.status = 'failed';
+    log.reason = error.message;
+    return log.save();
+  }
+};
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { createNotificationWithPush } from './notificationDeliveryService.js';
+
+const STAFF_ROLES = ['agent', 'manager'];
+
+export const isStaffRole = (role) => STAFF_ROLES.includes(role);
+
+/**
+ * Extra Message query conditions for the given viewer role - customers never see internal notes.
+ */
+export const messageVisibilityFilter = (role) => (
+  isStaffRole(role) ? {} : { isInternal: { $ne: true } }
+);
+
+// Socket room that only agents/managers of a ticket join (internal notes are broadcast here)
+export const staffRoomName = (ticketId) => `ticket_${ticketId}_staff`;
+
+/**
+ * Turn the mention ids sent by the client into { userId, userName } for active staff users.
+ * Unknown ids, customers and the sender themselves are dropped.
+ */
+export const resolveMentions = async (mentionIds, senderId) => {
+  const ids = [...new Set((Array.isArray(mentionIds) ? mentionIds : [])
+    .map(String)
+    .filter(id => mongoose.Types.ObjectId.isValid(id) && id !== String(senderId)))];
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({
+    _id: { $in: ids },
+    role: { $in: STAFF_ROLES },
+    isActive: true,
+    isDeleted: { $ne: true }
+  }).select('name');
+
+  return users.map(user => ({ userId: user._id, userName: user.name }));
+};
+
+/**
+ * In-app notification and push for everyone mentioned in an internal note.
+ */
+export const notifyMentions = async (message, ticket, sender) => {
+  const ticketDisplay = ticket?.ticketNumber || message.ticketId;
+  const preview = message.content.length > 100 ? `${message.content.substring(0, 100)}...` : message.content;
+
+  await Promise.all((message.mentions || []).map(async (mention) => {
+    try {
+      await createNotificationWithPush({
+        title: `${sender.name} mentioned you on ${ticketDisplay}`,
+        message: preview,
+        type: 'info',
+        category: 'ticket',
+        userId: String(mention.userId),
+        metadata: {
+          ticketId: message.ticketId,
+          ticketNumber: ticketDisplay,
+          chatId: message.chatId,
+          messageId: message._id,
+          mentionedBy: sender._id,
+          mentionedByName: sender.name
+        }
+      }, {
+        pushData: { type: 'note_mention' }
+      });
+    } catch (error) {
+      console.error('Failed to send mention notification:', error);
+    }
+  }));
+};
@@ -0,0 +1,25 @@
+import Job from '../models/Job.js';
+import { registerJobHandler } from './jobQueue.js';
+import { deliverEmail } from '../utils/emailService.js';
+import { deliverPushNotification } from './pushNotificationService.js';
+import { attemptDelivery } from './webhookService.js';
+
+/**
+ * The job types this server runs (see jobQueue.js). Call before startJobWorker.
+ */
+export const registerJobHandlers = () => {
+  registerJobHandler('email.send', deliverEmail);
+  registerJobHandler('push.send', async (payload, job) => {
+    try {
+      return await deliverPushNotification(payload);
+    } catch (error) {
+      // Retry only the devices that failed so the others do not get the notification twice
+      if (error.retryTokens) {
+        await Job.updateOne({ _id: job._id }, { $set: { payload: { ...payload, userIds: [], tokens: error.retryTokens } } });
+      }
+      throw error;
+    }
+  });
+  // Webhook retries are scheduled by the delivery itself (its own backoff and attempt log)
+  registerJobHandler('webhook.deliver', ({ deliveryId }) => attemptDelivery(deliveryId));
+};
@@ -0,0 +1,197 @@
+import os from 'os';
+import Job from '../models/Job.js';
+
+/**
+ * Persistent background jobs (emails, push notifications, webhook deliveries) so slow or failing
+ * providers never hold up a request and failures are retried instead of lost.
+ *
+ *   enqueueJob('email.send', payload, { idempotencyKey, runAt })
+ *   registerJobHandler('email.send', async (payload, job) => { ... })   // throw to retry
+ *
+ * Any number of instances can run the worker: each job is claimed atomically with a lease.
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = 5 * 1000;
+// A running job is picked up again by another worker after this long (its worker crashed)
+const LEASE_MS = 5 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const MAX_FAILURES_KEPT = 10;
+const MAX_ERROR_LENGTH = 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const getMaxAttempts = () => Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+
+export const getJobRetryDelayMs = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+const handlers = new Map();
+
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+export const getJobTypes = () => [...handlers.keys()];
+
+let workerHandle = null;
+let running = false;
+let rerun = false;
+
+// Start a run soon - used when a job is queued so it does not wait for the next poll
+const nudgeWorker = () => {
+  if (workerHandle) {
+    setImmediate(() => runWorker());
+  }
+};
+
+/**
+ * Queue a job. With an idempotency key, a job already queued under that key is returned instead.
+ * Throws when the job could not be stored.
+ */
+export const enqueueJob = async (type, payload = {}, { idempotencyKey, runAt = new Date(), maxAttempts = getMaxAttempts() } = {}) => {
+  try {
+    const job = idempotencyKey
+      ? await Job.findOneAndUpdate(
+        { idempotencyKey },
+        { $setOnInsert: { type, payload, idempotencyKey, runAt, maxAttempts } },
+        { upsert: true, new: true }
+      )
+      : await Job.create({ type, payload, runAt, maxAttempts });
+
+    if (job.runAt <= new Date()) {
+      nudgeWorker();
+    }
+    return job;
+  } catch (error) {
+    // Two requests queued the same key at once - the other one won
+    if (error.code === 11000 && idempotencyKey) {
+      return Job.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: getJobTypes() },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  try {
+    await handler(job.payload, job);
+    await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, {
+      $set: { status: 'succeeded', completedAt: new Date(), lockedBy: null, lockedUntil: null, lastError: '' }
+    });
+    return true;
+  } catch (error) {
+    const message = String(error?.message || error).slice(0, MAX_ERROR_LENGTH);
+    const dead = job.attempts >= job.maxAttempts;
+    console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, message);
+    await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, {
+      $set: {
+        status: dead ? 'dead' : 'pending',
+        runAt: dead ? job.runAt : new Date(Date.now() + getJobRetryDelayMs(job.attempts)),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: message
+      },
+      $push: { failures: { $each: [{ attempt: job.attempts, error: message }], $slice: -MAX_FAILURES_KEPT } }
+    });
+    return false;
+  }
+};
+
+/**
+ * Run due jobs one after the other until none are left (or `limit` ran)
+ */
+export const runDueJobs = async (limit = 100) => {
+  // Out of attempts and its worker never came back
+  await Job.updateMany(
+    { status: 'running', lockedUntil: { $lte: new Date() }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'dead', lockedBy: null, lockedUntil: null, lastError: 'The worker stopped while running the job' } }
+  );
+
+  const summary = { succeeded: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const job = await claimNextJob();
+    if (!job) break;
+    if (await runJob(job)) {
+      summary.succeeded += 1;
+    } else {
+      summary.failed += 1;
+    }
+  }
+  return summary;
+};
+
+const runWorker = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      await runDueJobs();
+    } while (rerun);
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ */
+export const retryJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'pending', runAt: new Date(), attempts: 0, lastError: '' } },
+    { new: true }
+  );
+  if (job) nudgeWorker();
+  return job;
+};
+
+export const retryDeadJobs = async (filter = {}) => {
+  const result = await Job.updateMany(
+    { ...filter, status: 'dead' },
+    { $set: { status: 'pending', runAt: new Date(), attempts: 0, lastError: '' } }
+  );
+  if (result.modifiedCount > 0) nudgeWorker();
+  return result.modifiedCount;
+};
+
+export const startJobWorker = (intervalMs = Number(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS) => {
+  if (workerHandle) {
+    return workerHandle;
+  }
+
+  workerHandle = setInterval(runWorker, intervalMs);
+
+  console.log(`🧰 Job worker started (${getJobTypes().join(', ')})`);
+  return workerHandle;
+};
+
+export const stopJobWorker = () => {
+  if (workerHandle) {
+    clearInterval(workerHandle);
+    workerHandle = null;
+  }
+};
@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import KbArticle from '../models/KbArticle.js';
+import KbSuggestion from '../models/KbSuggestion.js';
+
+// Descriptions shorter than this are too vague to suggest anything useful
+const MIN_SUGGESTION_TEXT_LENGTH = 10;
+const MAX_SEARCH_TEXT_LENGTH = 500;
+const SUGGESTION_LIMIT = 5;
+
+// Ranking bonus on top of the text score when an article is tagged for the ticket's category / equipment
+const CATEGORY_MATCH_BONUS = 1;
+const EQUIPMENT_MATCH_BONUS = 2;
+
+export class KnowledgeBaseError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'KnowledgeBaseError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[^\w\s-]/g, '')
+  .trim()
+  .replace(/[\s_-]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80);
+
+/**
+ * Slug for an article title that no other article uses (a short suffix is added on collision)
+ */
+export const buildUniqueSlug = async (title, articleId = null) => {
+  const base = slugify(title) || 'article';
+  let slug = base;
+  while (await KbArticle.exists({ slug, _id: { $ne: articleId } })) {
+    slug = `${base}-${Math.random().toString(36).slice(2, 7)}`;
+  }
+  return slug;
+};
+
+/**
+ * Mongo filter for articles. Customers only ever see published articles.
+ */
+export const buildArticleFilter = ({ q, sectionId, categoryId, equipmentId, tag, status } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (sectionId && mongoose.Types.ObjectId.isValid(sectionId)) filter.sectionId = sectionId;
+  if (categoryId && mongoose.Types.ObjectId.isValid(categoryId)) filter.categoryIds = categoryId;
+  if (equipmentId && mongoose.Types.ObjectId.isValid(equipmentId)) filter.equipmentIds = equipmentId;
+  if (tag) filter.tags = tag;
+  if (q && String(q).trim()) {
+    filter.$text = { $search: String(q).trim().slice(0, MAX_SEARCH_TEXT_LENGTH) };
+  }
+  return filter;
+};
+
+/**
+ * Published articles that may answer a ticket description, best match first.
+ * Every call is logged as a KbSuggestion so deflection can be measured; returns { suggestionId, articles }.
+ */
+export const suggestArticlesForTicket = async ({ customerId, description, categoryId, equipmentId }) => {
+  const text = String(description || '').trim();
+  if (text.length < MIN_SUGGESTION_TEXT_LENGTH) {
+    return { suggestionId: null, articles: [] };
+  }
+
+  const candidates = await KbArticle.find(
+    buildArticleFilter({ q: text, status: 'published' }),
+    { title: 1, slug: 1, summary: 1, categoryIds: 1, equipmentIds: 1, sectionId: 1, score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(SUGGESTION_LIMIT * 4)
+    .lean();
+
+  const rank = (article) => article.score
+    + (categoryId && article.categoryIds.some(id => String(id) === String(categoryId)) ? CATEGORY_MATCH_BONUS : 0)
+    + (equipmentId && article.equipmentIds.some(id => String(id) === String(equipmentId)) ? EQUIPMENT_MATCH_BONUS : 0);
+
+  const articles = candidates
+    .map(article => ({ ...article, relevance: rank(article) }))
+    .sort((a, b) => b.relevance - a.relevance)
+    .slice(0, SUGGESTION_LIMIT);
+
+  if (articles.length === 0) {
+    return { suggestionId: null, articles: [] };
+  }
+
+  const suggestion = await KbSuggestion.create({
+    customer: customerId,
+    description: text.slice(0, MAX_SEARCH_TEXT_LENGTH),
+    categoryId: mongoose.Types.ObjectId.isValid(categoryId) ? categoryId : null,
+    equipmentId: mongoose.Types.ObjectId.isValid(equipmentId) ? equipmentId : null,
+    articleIds: articles.map(article => article._id)
+  });
+  await KbArticle.updateMany({ _id: { $in: suggestion.articleIds } }, { $inc: { suggestedCount: 1 } });
+
+  return {
+    suggestionId: suggestion._id,
+    articles: articles.map(article => ({
+      id: article._id,
+      title: article.title,
+      slug: article.slug,
+      summary: article.summary,
+      sectionId: article.sectionId,
+      relevance: Math.round(article.relevance * 100) / 100
+    }))
+  };
+};
+
+const findCustomerSuggestion = async (suggestionId, customerId) => {
+  if (!mongoose.Types.ObjectId.isValid(suggestionId)) {
+    throw new KnowledgeBaseError('Invalid suggestionId format - Must be a valid ObjectId');
+  }
+  const suggestion = await KbSuggestion.findOne({ _id: suggestionId, customer: customerId });
+  if (!suggestion) {
+    throw new KnowledgeBaseError('Suggestion not found', 404);
+  }
+  return suggestion;
+};
+
+/**
+ * The customer found the answer in a suggested article and did not open a ticket
+ */
+export const recordDeflection = async ({ suggestionId, customerId, articleId }) => {
+  const suggestion = await findCustomerSuggestion(suggestionId, customerId);
+
+  if (!suggestion.articleIds.some(id => String(id) === String(articleId))) {
+    throw new KnowledgeBaseError('Article was not part of this suggestion');
+  }
+  if (suggestion.outcome === 'ticket_created') {
+    throw new KnowledgeBaseError('A ticket was already created for this suggestion', 409);
+  }
+  if (suggestion.outcome === 'deflected') {
+    return suggestion;
+  }
+
+  suggestion.outcome = 'deflected';
+  suggestion.deflectedBy = articleId;
+  suggestion.resolvedAt = new Date();
+  await suggestion.save();
+  await KbArticle.updateOne({ _id: articleId }, { $inc: { deflectionCount: 1 } });
+
+  return suggestion;
+};
+
+/**
+ * The customer created the ticket anyway. Never throws - ticket creation must not fail because of it.
+ */
+export const linkSuggestionToTicket = async ({ suggestionId, customerId, ticketId }) => {
+  try {
+    if (!suggestionId) {
+      return;
+    }
+    const suggestion = await findCustomerSuggestion(suggestionId, customerId);
+    if (suggestion.outcome !== 'pending') {
+      return;
+    }
+    suggestion.outcome = 'ticket_created';
+    suggestion.ticketId = ticketId;
+    suggestion.resolvedAt = new Date();
+    await suggestion.save();
+  } catch (error) {
+    console.error('Failed to link KB suggestion to ticket:', error.message);
+  }
+};
+
+/**
+ * Deflection summary for a period plus the articles that prevented the most tickets
+ */
+export const buildDeflectionReport = async ({ from, to } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const [outcomes, topArticles] = await Promise.all([
+    KbSuggestion.aggregate([
+      { $match: match },
+      { $group: { _id: '$outcome', count: { $sum: 1 } } }
+    ]),
+    KbSuggestion.aggregate([
+      { $match: { ...match, outcome: 'deflected' } },
+      { $group: { _id: '$deflectedBy', deflections: { $sum: 1 } } },
+      { $sort: { deflections: -1 } },
+      { $limit: 10 },
+      { $lookup: { from: 'kbarticles', localField: '_id', foreignField: '_id', as: 'article' } },
+      { $unwind: '$article' },
+      {
+        $project: {
+          _id: 0,
+          articleId: '$_id',
+          title: '$article.title',
+          slug: '$article.slug',
+          deflections: 1,
+          suggestedCount: '$article.suggestedCount'
+        }
+      }
+    ])
+  ]);
+
+  const counts = Object.fromEntries(outcomes.map(row => [row._id, row.count]));
+  const deflected = counts.deflected || 0;
+  const ticketsCreated = counts.ticket_created || 0;
+  const decided = deflected + ticketsCreated;
+
+  return {
+    summary: {
+      suggestionsShown: deflected + ticketsCreated + (counts.pending || 0),
+      deflected,
+      ticketsCreated,
+      // Suggestions where the customer neither confirmed an answer nor created the ticket
+      abandoned: counts.pending || 0,
+      deflectionRate: decided ? Math.round((deflected / decided) * 1000) / 10 : null
+    },
+    topArticles
+  };
+};
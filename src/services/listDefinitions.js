@@ -0,0 +1,102 @@
+import { defineList } from './listQueryService.js';
+import { SLA_SORT_FIELDS } from './slaService.js';
+import { ENTITLEMENT_STATUSES } from './entitlementService.js';
+import { JOB_STATUSES } from '../models/Job.js';
+
+// What the list endpoints of each collection accept (see listQueryService.js).
+// Shared by the controllers and the request schemas so the docs match what is applied.
+
+export const TICKET_LIST = defineList({
+  filters: {
+    // Workflow statuses are configurable, so any key is accepted
+    status: { type: 'in' },
+    assignedAgent: { type: 'objectId' },
+    customer: { type: 'objectId' },
+    categoryId: { type: 'objectId' },
+    equipmentId: { type: 'objectId' },
+    channel: { type: 'in', values: ['app', 'portal', 'email'] },
+    entitlement: { type: 'in', path: 'entitlement.status', values: ENTITLEMENT_STATUSES },
+    isArchived: { type: 'boolean' },
+    createdAt: { type: 'dateRange' },
+    updatedAt: { type: 'dateRange' }
+  },
+  sortFields: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    ticketNumber: 'ticketNumber',
+    status: 'status',
+    ...SLA_SORT_FIELDS
+  },
+  fields: [
+    'ticketNumber', 'description', 'status', 'customer', 'assignedAgent', 'categoryId', 'equipmentId',
+    'machineId', 'serialNumber', 'channel', 'notes', 'attachments', 'resolutionNote', 'isReadTicket',
+    'isArchived', 'sla', 'routing', 'entitlement', 'createdAt', 'updatedAt'
+  ]
+});
+
+// A customer's own tickets in the app inbox
+export const SUPPORT_INBOX_LIST = defineList({ ...TICKET_LIST, defaultSort: '-updatedAt', maxLimit: 50 });
+
+export const CUSTOMER_LIST = defineList({
+  filters: {
+    isActive: { type: 'boolean' },
+    createdAt: { type: 'dateRange' }
+  },
+  sortFields: { createdAt: 'createdAt', name: 'name', email: 'email' },
+  fields: ['name', 'email', 'phone', 'profileImage', 'status', 'isActive', 'createdAt']
+});
+
+export const AGENT_LIST = defineList({
+  filters: {
+    status: { type: 'in', values: ['online', 'offline'] },
+    isActive: { type: 'boolean' },
+    categoryId: { type: 'objectId', path: 'categoryIds' },
+    createdAt: { type: 'dateRange' }
+  },
+  sortFields: { createdAt: 'createdAt', name: 'name', email: 'email', status: 'status' },
+  fields: ['name', 'email', 'phone', 'role', 'categoryIds', 'status', 'isActive', 'createdAt']
+});
+
+export const NOTIFICATION_LIST = defineList({
+  filters: {
+    isRead: { type: 'boolean' },
+    category: { type: 'in', values: ['customer', 'ticket', 'agent', 'system', 'auth'] },
+    type: { type: 'in', values: ['info', 'success', 'warning', 'error'] },
+    createdAt: { type: 'dateRange' }
+  },
+  fields: ['title', 'message', 'type', 'category', 'isRead', 'metadata', 'createdAt', 'updatedAt'],
+  maxLimit: 50
+});
+
+export const ACTIVITY_LOG_LIST = defineList({
+  filters: {
+    status: { type: 'in' },
+    userId: { type: 'objectId' },
+    apiKeyId: { type: 'objectId', path: 'apiKey.keyId' },
+    createdAt: { type: 'dateRange' }
+  },
+  fields: ['userId', 'message', 'status', 'apiKey', 'createdAt']
+});
+
+export const CHAT_LIST = defineList({
+  filters: {
+    ticketId: { type: 'objectId' },
+    createdAt: { type: 'dateRange' },
+    lastMessageAt: { type: 'dateRange' }
+  },
+  sortFields: { lastMessageAt: 'lastMessageAt', createdAt: 'createdAt' },
+  defaultSort: '-lastMessageAt',
+  fields: ['ticketId', 'participants', 'isActive', 'lastMessage', 'lastMessageAt', 'createdAt', 'updatedAt']
+});
+
+export const JOB_LIST = defineList({
+  filters: {
+    status: { type: 'in', values: JOB_STATUSES },
+    type: { type: 'in' },
+    createdAt: { type: 'dateRange' },
+    runAt: { type: 'dateRange' }
+  },
+  sortFields: { createdAt: 'createdAt', runAt: 'runAt', attempts: 'attempts' },
+  fields: ['type', 'status', 'idempotencyKey', 'runAt', 'attempts', 'maxAttempts', 'lockedBy', 'lastError', 'completedAt', 'createdAt', 'updatedAt'],
+  defaultLimit: 20
+});
@@ -0,0 +1,298 @@
+import mongoose from 'mongoose';
+import { parseDateRange } from '../utils/dateRange.js';
+
+/**
+ * Shared query handling for list endpoints:
+ *
+ *   ?page=2&limit=20                     offset pagination (the default)
+ *   ?cursor=<nextCursor>&limit=20        cursor pagination (stable while new rows come in)
+ *   ?sort=-createdAt,ticketNumber        one or more sort fields, "-" for descending
+ *   ?status=pending,in_progress          "in" filter (comma-separated)
+ *   ?assignedAgent=<id>|none             reference filter ("none" = not set)
+ *   ?createdAtFrom=2025-01-01&createdAtTo=2025-01-31
+ *   ?fields=ticketNumber,status          sparse field selection
+ *
+ * What each collection accepts is described with defineList (see listDefinitions.js).
+ */
+
+export class ListQueryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ListQueryError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * {
+ *   filters: { <param>: { type: 'in'|'objectId'|'boolean'|'dateRange', path?, values? } },
+ *   sortFields: { <name>: <document path> },
+ *   defaultSort: '-createdAt',
+ *   fields: [<selectable fields>],
+ *   defaultLimit, maxLimit
+ * }
+ */
+export const defineList = (definition) => ({
+  filters: {},
+  sortFields: { createdAt: 'createdAt' },
+  defaultSort: '-createdAt',
+  fields: [],
+  defaultLimit: 10,
+  maxLimit: 100,
+  ...definition
+});
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const toObjectId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new ListQueryError(`${name} must be a valid ID`);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+const parseFilter = (name, filter, query) => {
+  const path = filter.path || name;
+
+  if (filter.type === 'dateRange') {
+    const from = query[`${name}From`];
+    const to = query[`${name}To`];
+    if (!from && !to) return null;
+    const range = parseDateRange({ from, to });
+    if (range.error) {
+      throw new ListQueryError(`${name}: ${range.error}`);
+    }
+    return {
+      [path]: {
+        ...(range.from && { $gte: range.from }),
+        ...(range.to && { $lte: range.to })
+      }
+    };
+  }
+
+  const raw = query[name];
+  if (raw === undefined || raw === null || String(raw).trim() === '') return null;
+
+  switch (filter.type) {
+    case 'in': {
+      const values = splitList(raw);
+      const invalid = filter.values && values.find(value => !filter.values.includes(value));
+      if (invalid) {
+        throw new ListQueryError(`${name} must be one of: ${filter.values.join(', ')}`);
+      }
+      return { [path]: values.length === 1 ? values[0] : { $in: values } };
+    }
+    case 'objectId': {
+      const values = splitList(raw);
+      if (values.length === 1 && values[0] === 'none') {
+        return { [path]: null };
+      }
+      const ids = values.map(value => toObjectId(value, name));
+      return { [path]: ids.length === 1 ? ids[0] : { $in: ids } };
+    }
+    case 'boolean': {
+      if (!['true', 'false'].includes(String(raw))) {
+        throw new ListQueryError(`${name} must be true or false`);
+      }
+      return { [path]: String(raw) === 'true' };
+    }
+    default:
+      throw new Error(`Unknown list filter type: ${filter.type}`);
+  }
+};
+
+// "-createdAt,ticketNumber" -> [{ name, path, direction }], always ending with _id so the order is total
+const parseSort = (list, sortParam) => {
+  const sort = [];
+  for (const token of splitList(sortParam || list.defaultSort)) {
+    const direction = token.startsWith('-') ? -1 : 1;
+    const name = token.replace(/^[-+]/, '');
+    const path = list.sortFields[name];
+    if (!path) {
+      throw new ListQueryError(`Cannot sort by ${name}. Sortable fields: ${Object.keys(list.sortFields).join(', ')}`);
+    }
+    if (!sort.some(field => field.path === path)) {
+      sort.push({ name, path, direction });
+    }
+  }
+  if (!sort.some(field => field.path === '_id')) {
+    sort.push({ name: '_id', path: '_id', direction: sort[sort.length - 1]?.direction || -1 });
+  }
+  return sort;
+};
+
+const parseFields = (list, fieldsParam, alwaysSelect = []) => {
+  if (!fieldsParam) return null;
+  const fields = splitList(fieldsParam);
+  const unknown = fields.find(field => !list.fields.includes(field));
+  if (unknown) {
+    throw new ListQueryError(`Unknown field ${unknown}. Selectable fields: ${list.fields.join(', ')}`);
+  }
+  const selected = [...new Set([...fields, ...alwaysSelect])];
+  // "sla" already covers "sla.resolutionDueAt" (MongoDB rejects both in one projection)
+  return selected.filter(path => !selected.some(other => path.startsWith(`${other}.`))).join(' ');
+};
+
+const sortKey = (sort) => sort.map(field => `${field.direction < 0 ? '-' : ''}${field.name}`).join(',');
+
+const readPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Dates and ObjectIds are tagged so they come back as the same types
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  if (value && value._id instanceof mongoose.Types.ObjectId) return { o: value._id.toString() };
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.d) return new Date(value.d);
+    if (value.o) return new mongoose.Types.ObjectId(value.o);
+  }
+  return value;
+};
+
+const encodeCursor = (sort, doc) => Buffer.from(JSON.stringify({
+  s: sortKey(sort),
+  v: sort.map(field => encodeValue(readPath(doc, field.path)))
+})).toString('base64url');
+
+const decodeCursor = (sort, cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new ListQueryError('Invalid cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== sort.length) {
+    throw new ListQueryError('Invalid cursor');
+  }
+  if (decoded.s !== sortKey(sort)) {
+    throw new ListQueryError('The cursor was created with a different sort - start again without a cursor');
+  }
+  return decoded.v.map(decodeValue);
+};
+
+// Rows after `value` in `direction`. MongoDB sorts missing/null first, so they need their own case.
+const afterValue = (path, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [path]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [path]: { $gt: value } }
+    : { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+};
+
+// Keyset condition: (a > x) or (a = x and b > y) or ...
+const buildCursorFilter = (sort, values) => {
+  const branches = sort.map((field, index) => {
+    const after = afterValue(field.path, field.direction, values[index]);
+    if (!after) return null;
+    const equal = sort.slice(0, index).map((previous, i) => ({ [previous.path]: values[i] }));
+    return equal.length ? { $and: [...equal, after] } : after;
+  }).filter(Boolean);
+  return { $or: branches };
+};
+
+const combine = (...filters) => {
+  const parts = filters.filter(filter => filter && Object.keys(filter).length > 0);
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+};
+
+/**
+ * Parse the query string of a list endpoint against its definition.
+ * Throws ListQueryError (400) for anything the list does not support.
+ */
+export const parseListQuery = (list, query = {}, { alwaysSelect = [] } = {}) => {
+  const filter = combine(...Object.entries(list.filters).map(([name, definition]) => parseFilter(name, definition, query)));
+  const sort = parseSort(list, query.sort);
+  const select = parseFields(list, query.fields, [...alwaysSelect, ...sort.map(field => field.path).filter(path => path !== '_id')]);
+
+  const limit = query.limit === undefined || query.limit === '' ? list.defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > list.maxLimit) {
+    throw new ListQueryError(`limit must be a whole number between 1 and ${list.maxLimit}`);
+  }
+
+  if (query.cursor) {
+    if (query.page !== undefined && query.page !== '') {
+      throw new ListQueryError('Use either page or cursor, not both');
+    }
+    return { filter, sort, select, limit, cursor: decodeCursor(sort, query.cursor) };
+  }
+
+  const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ListQueryError('page must be a whole number of at least 1');
+  }
+  return { filter, sort, select, limit, page };
+};
+
+/**
+ * sortBy/sortOrder from before `sort` existed -> a sort string
+ */
+export const legacySortParam = ({ sort, sortBy, sortOrder }, defaultOrder = 'desc') => {
+  if (sort || !sortBy) return sort;
+  return `${(sortOrder || defaultOrder) === 'desc' ? '-' : ''}${sortBy}`;
+};
+
+/**
+ * Run a list query. `baseFilter` is what the caller may see (visibility, search) and is
+ * combined with the filters from the query string. `select` is the default projection.
+ *
+ * Returns { items, pagination } where pagination is
+ *   offset: { currentPage, totalPages, totalItems, itemsPerPage, hasMore, nextCursor }
+ *   cursor: { itemsPerPage, hasMore, nextCursor }
+ * nextCursor continues after the last item in both modes.
+ */
+export const runListQuery = async (Model, list, query, { baseFilter = {}, populate, select, alwaysSelect } = {}) => {
+  const parsed = parseListQuery(list, query, { alwaysSelect });
+  const filter = combine(baseFilter, parsed.filter);
+  const pageFilter = parsed.cursor ? combine(filter, buildCursorFilter(parsed.sort, parsed.cursor)) : filter;
+
+  let find = Model.find(pageFilter)
+    .sort(Object.fromEntries(parsed.sort.map(field => [field.path, field.direction])))
+    .skip(parsed.cursor ? 0 : (parsed.page - 1) * parsed.limit)
+    .limit(parsed.limit + 1);
+  // ?fields= wins over the endpoint's own projection; sort fields are kept for the cursor
+  if (parsed.select) {
+    find = find.select(parsed.select);
+  } else if (select) {
+    find = find.select([select, ...parsed.sort.map(field => field.path)].join(' '));
+  }
+  if (populate) find = find.populate(populate);
+
+  const [rows, totalItems] = await Promise.all([
+    find,
+    parsed.cursor ? null : Model.countDocuments(filter)
+  ]);
+
+  const hasMore = rows.length > parsed.limit;
+  const items = hasMore ? rows.slice(0, parsed.limit) : rows;
+  const nextCursor = hasMore ? encodeCursor(parsed.sort, items[items.length - 1]) : null;
+
+  const pagination = parsed.cursor
+    ? { itemsPerPage: parsed.limit, hasMore, nextCursor }
+    : {
+      currentPage: parsed.page,
+      totalPages: Math.ceil(totalItems / parsed.limit),
+      totalItems,
+      itemsPerPage: parsed.limit,
+      hasMore,
+      nextCursor
+    };
+
+  return { items, pagination };
+};
+
+/**
+ * All matching documents (for exports): same filters and sort as the list, no paging
+ */
+export const findAllForList = (Model, list, query, { baseFilter = {}, populate } = {}) => {
+  const parsed = parseListQuery(list, { ...query, page: undefined, cursor: undefined, limit: undefined });
+  let find = Model.find(combine(baseFilter, parsed.filter))
+    .sort(Object.fromEntries(parsed.sort.map(field => [field.path, field.direction])));
+  if (populate) find = find.populate(populate);
+  return find;
+};
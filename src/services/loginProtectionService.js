@@ -0,0 +1,192 @@
+import jwt from 'jsonwebtoken';
+import { getRateLimitStore } from './rateLimitStore.js';
+import { sendAccountLockedEmail } from '../utils/emailService.js';
+
+const MINUTE_MS = 60 * 1000;
+const UNLOCK_TOKEN_TTL = '24h';
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+/**
+ * Limits, read from the environment on every call so they can be tuned without code changes
+ */
+export const getLoginProtectionConfig = () => ({
+  // Wrong passwords per account before it is locked
+  loginMaxFailures: envNumber('LOGIN_MAX_FAILURES', 5),
+  loginFailureWindowMs: envNumber('LOGIN_FAILURE_WINDOW_MINUTES', 15) * MINUTE_MS,
+  lockoutMs: envNumber('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE_MS,
+  // Login / OTP attempts per IP address, whatever the account
+  ipMaxAttempts: envNumber('LOGIN_IP_MAX_ATTEMPTS', 50),
+  ipWindowMs: envNumber('LOGIN_IP_WINDOW_MINUTES', 15) * MINUTE_MS,
+  // Wrong OTPs wait 2s, 4s, 8s ... before the next try, up to the maximum
+  otpDelayBaseMs: envNumber('OTP_DELAY_BASE_SECONDS', 2) * 1000,
+  otpDelayMaxMs: envNumber('OTP_DELAY_MAX_SECONDS', 15 * 60) * 1000,
+  otpFailureWindowMs: envNumber('OTP_FAILURE_WINDOW_MINUTES', 60) * MINUTE_MS,
+  // OTP / reset emails per account and per IP address
+  sendMaxPerAccount: envNumber('OTP_SEND_MAX_PER_ACCOUNT', 3),
+  sendMaxPerIp: envNumber('OTP_SEND_MAX_PER_IP', 10),
+  sendWindowMs: envNumber('OTP_SEND_WINDOW_MINUTES', 15) * MINUTE_MS
+});
+
+export class ThrottleError extends Error {
+  constructor(message, retryAfterMs, statusCode = 429) {
+    super(message);
+    this.name = 'ThrottleError';
+    this.statusCode = statusCode;
+    this.retryAfterSeconds = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  }
+}
+
+export const normalizeIdentifier = (value) => String(value || '').toLowerCase().trim();
+
+const waitMessage = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 60 ? `${seconds} second(s)` : `${Math.ceil(seconds / 60)} minute(s)`;
+};
+
+const loginFailureKey = (identifier) => `login_fail:${identifier}`;
+const otpFailureKey = (scope, identifier) => `otp_fail:${scope}:${identifier}`;
+
+const unlockSecret = () => `${process.env.JWT_SECRET || 'fallback_secret'}:unlock`;
+
+/**
+ * Count one attempt from this IP for the scope (login, otp, ...). Throws once the IP is over the limit.
+ */
+export const checkIpLimit = async (scope, ip) => {
+  if (!ip) return;
+  const config = getLoginProtectionConfig();
+  const record = await getRateLimitStore().hit(`ip:${scope}:${ip}`, config.ipWindowMs);
+  if (record.count > config.ipMaxAttempts) {
+    const retryAfterMs = record.expiresAt.getTime() - Date.now();
+    throw new ThrottleError(`Too many attempts from this network. Please try again in ${waitMessage(retryAfterMs)}.`, retryAfterMs);
+  }
+};
+
+/**
+ * Throws while the account is locked after too many wrong passwords
+ */
+export const checkAccountLock = async (identifier) => {
+  const record = await getRateLimitStore().get(loginFailureKey(normalizeIdentifier(identifier)));
+  const lockedForMs = record?.blockedUntil ? record.blockedUntil.getTime() - Date.now() : 0;
+  if (lockedForMs > 0) {
+    throw new ThrottleError(
+      `Account is temporarily locked after too many failed logins. Try again in ${waitMessage(lockedForMs)} or use the unlock link sent to your email.`,
+      lockedForMs,
+      423
+    );
+  }
+};
+
+export const createUnlockToken = (identifier) => jwt.sign(
+  { identifier: normalizeIdentifier(identifier), purpose: 'unlock' },
+  unlockSecret(),
+  { expiresIn: UNLOCK_TOKEN_TTL }
+);
+
+/**
+ * Count a wrong password. Locks the account when the limit is reached and emails the owner
+ * (when `user` exists) an unlock link. Returns { locked, remainingAttempts } plus a message when locked.
+ */
+export const recordLoginFailure = async (identifier, user = null) => {
+  const config = getLoginProtectionConfig();
+  const id = normalizeIdentifier(identifier);
+  const store = getRateLimitStore();
+  const record = await store.hit(loginFailureKey(id), config.loginFailureWindowMs);
+
+  if (record.count < config.loginMaxFailures) {
+    return { locked: false, remainingAttempts: config.loginMaxFailures - record.count };
+  }
+
+  const lockedUntil = new Date(Date.now() + config.lockoutMs);
+  await store.block(loginFailureKey(id), lockedUntil, config.loginFailureWindowMs);
+
+  // Only on the attempt that locks the account, not on every attempt while locked
+  if (user && record.count === config.loginMaxFailures) {
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account/${createUnlockToken(id)}`;
+    const result = await sendAccountLockedEmail({
+      name: user.name,
+      email: user.email,
+      unlockUrl,
+      minutes: Math.ceil(config.lockoutMs / MINUTE_MS)
+    });
+    if (!result.success) {
+      console.error('Failed to send account locked email:', result.error);
+    }
+  }
+
+  return {
+    locked: true,
+    retryAfterMs: config.lockoutMs,
+    remainingAttempts: 0,
+    message: `Too many failed logins. Your account is locked for ${waitMessage(config.lockoutMs)} - check your email for an unlock link.`
+  };
+};
+
+export const recordLoginSuccess = async (identifier) => {
+  await getRateLimitStore().reset(loginFailureKey(normalizeIdentifier(identifier)));
+};
+
+/**
+ * Clear a lockout from the emailed link. Returns the unlocked identifier (email).
+ */
+export const unlockAccount = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), unlockSecret());
+  } catch {
+    throw new ThrottleError('Invalid or expired unlock link', 0, 400);
+  }
+  if (decoded.purpose !== 'unlock' || !decoded.identifier) {
+    throw new ThrottleError('Invalid or expired unlock link', 0, 400);
+  }
+  await recordLoginSuccess(decoded.identifier);
+  return decoded.identifier;
+};
+
+/**
+ * Throws while the account has to wait after a wrong OTP
+ */
+export const checkOtpDelay = async (scope, identifier) => {
+  const record = await getRateLimitStore().get(otpFailureKey(scope, normalizeIdentifier(identifier)));
+  const waitMs = record?.blockedUntil ? record.blockedUntil.getTime() - Date.now() : 0;
+  if (waitMs > 0) {
+    throw new ThrottleError(`Too many incorrect codes. Please try again in ${waitMessage(waitMs)}.`, waitMs);
+  }
+};
+
+/**
+ * Count a wrong OTP; the next attempt is delayed twice as long as the previous one
+ */
+export const recordOtpFailure = async (scope, identifier) => {
+  const config = getLoginProtectionConfig();
+  const key = otpFailureKey(scope, normalizeIdentifier(identifier));
+  const store = getRateLimitStore();
+  const record = await store.hit(key, config.otpFailureWindowMs);
+  const delayMs = Math.min(config.otpDelayBaseMs * 2 ** (record.count - 1), config.otpDelayMaxMs);
+  await store.block(key, new Date(Date.now() + delayMs), config.otpFailureWindowMs);
+  return delayMs;
+};
+
+export const clearOtpFailures = async (scope, identifier) => {
+  await getRateLimitStore().reset(otpFailureKey(scope, normalizeIdentifier(identifier)));
+};
+
+/**
+ * Count one OTP / reset email for the account and the IP. Throws when either is over its limit.
+ */
+export const consumeSendQuota = async (scope, identifier, ip) => {
+  const config = getLoginProtectionConfig();
+  const store = getRateLimitStore();
+  const checks = [[`send:${scope}:${normalizeIdentifier(identifier)}`, config.sendMaxPerAccount]];
+  if (ip) {
+    checks.push([`ip:send:${ip}`, config.sendMaxPerIp]);
+  }
+
+  for (const [key, max] of checks) {
+    const record = await store.hit(key, config.sendWindowMs);
+    if (record.count > max) {
+      const retryAfterMs = record.expiresAt.getTime() - Date.now();
+      throw new ThrottleError(`Too many codes requested. Please try again in ${waitMessage(retryAfterMs)}.`, retryAfterMs);
+    }
+  }
+};
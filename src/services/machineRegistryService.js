@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import CustomerMachine from '../models/CustomerMachine.js';
+import Equipment from '../models/Equipment.js';
+
+export class MachineRegistryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MachineRegistryError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const normalizeSerialNumber = (serialNumber) => String(serialNumber || '').trim().toUpperCase();
+
+/**
+ * Validate the machine fields of a new ticket against the customer's registry.
+ *
+ * - machineId: must be one of the customer's active machines
+ * - serialNumber only: must match one of the customer's active machines
+ * - neither: the ticket is not about a specific machine (equipmentId is kept as given)
+ *
+ * Returns { machine, equipmentId, serialNumber } to store on the ticket. Throws MachineRegistryError.
+ */
+export const resolveTicketMachine = async ({ customerId, machineId, serialNumber, equipmentId }) => {
+  const serial = normalizeSerialNumber(serialNumber);
+  let machine = null;
+
+  if (machineId) {
+    if (!mongoose.Types.ObjectId.isValid(machineId)) {
+      throw new MachineRegistryError('Invalid machineId format - Must be a valid ObjectId');
+    }
+    machine = await CustomerMachine.findOne({ _id: machineId, customer: customerId, isActive: true });
+    if (!machine) {
+      throw new MachineRegistryError('Machine not found in the customer\'s registered machines', 404);
+    }
+    if (serial && serial !== machine.serialNumber) {
+      throw new MachineRegistryError('Serial number does not match the selected machine');
+    }
+  } else if (serial) {
+    machine = await CustomerMachine.findOne({ serialNumber: serial, customer: customerId, isActive: true });
+    if (!machine) {
+      throw new MachineRegistryError(`Serial number ${serial} is not registered to this customer. Register the machine first.`);
+    }
+  }
+
+  if (!machine) {
+    return { machine: null, equipmentId: equipmentId || null, serialNumber: '' };
+  }
+
+  if (equipmentId && String(equipmentId) !== String(machine.equipmentId)) {
+    throw new MachineRegistryError('Equipment does not match the selected machine');
+  }
+
+  return { machine, equipmentId: machine.equipmentId, serialNumber: machine.serialNumber };
+};
+
+/**
+ * Validate registry fields shared by the app and admin endpoints. Returns an error message or null.
+ */
+export const validateMachinePayload = async (payload) => {
+  if (payload.equipmentId !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(payload.equipmentId)) {
+      return 'Invalid equipmentId format - Must be a valid ObjectId';
+    }
+    const equipment = await Equipment.findOne({ _id: payload.equipmentId, isActive: true });
+    if (!equipment) {
+      return 'Invalid equipmentId - Equipment not found';
+    }
+  }
+
+  for (const field of ['installDate', 'warrantyEndDate']) {
+    if (payload[field] && Number.isNaN(new Date(payload[field]).getTime())) {
+      return `Invalid ${field}`;
+    }
+  }
+
+  if (payload.installDate && new Date(payload.installDate) > new Date()) {
+    return 'Install date cannot be in the future';
+  }
+
+  return null;
+};
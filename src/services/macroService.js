@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import Macro from '../models/Macro.js';
+import TicketEvent from '../models/TicketEvent.js';
+import User from '../models/User.js';
+import Category from '../models/Category.js';
+import Equipment from '../models/Equipment.js';
+import { recordTicketEvent } from '../utils/ticketEventLogger.js';
+import { changeTicketStatus, notifyTicketStatusChange, WorkflowError } from './ticketWorkflowService.js';
+import { assignTicketToAgent } from './assignmentService.js';
+
+// Placeholders available in macro text, as {{placeholder}}
+export const MACRO_PLACEHOLDERS = [
+  'customer.name',
+  'customer.email',
+  'ticket.number',
+  'ticket.status',
+  'category.name',
+  'equipment.name',
+  'equipment.model',
+  'equipment.serialNumber',
+  'agent.name'
+];
+
+// The same macro on the same ticket within this window is treated as a duplicate
+// (clients may send it through both REST and the socket)
+const DUPLICATE_WINDOW_MS = 5000;
+
+export class MacroError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MacroError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Values for every placeholder, for a ticket and the agent using the macro.
+ */
+export const buildMacroContext = async (ticket, agent) => {
+  const [customer, category, equipment] = await Promise.all([
+    ticket.customer ? User.findById(ticket.customer._id || ticket.customer).select('name email') : null,
+    ticket.categoryId ? Category.findById(ticket.categoryId._id || ticket.categoryId).select('name') : null,
+    ticket.equipmentId ? Equipment.findById(ticket.equipmentId._id || ticket.equipmentId).select('name modelNumber serialNumber') : null
+  ]);
+
+  return {
+    'customer.name': customer?.name || '',
+    'customer.email': customer?.email || '',
+    'ticket.number': ticket.ticketNumber || String(ticket._id),
+    'ticket.status': ticket.status || '',
+    'category.name': category?.name || '',
+    'equipment.name': equipment?.name || '',
+    'equipment.model': equipment?.modelNumber || '',
+    // The customer's own machine serial wins over the catalogue entry
+    'equipment.serialNumber': ticket.serialNumber || equipment?.serialNumber || '',
+    'agent.name': agent?.name || ''
+  };
+};
+
+/**
+ * Replace {{placeholder}} tokens. Unknown placeholders are left untouched so typos stay visible.
+ */
+export const renderMacroTemplate = (template, context) => {
+  return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(context, key) ? context[key] : match
+  ));
+};
+
+/**
+ * Mongo filter for the macros a user may use (optionally limited to a ticket category).
+ */
+export const buildUsableMacroFilter = (user, categoryId = null) => {
+  const filter = {
+    isActive: true,
+    $or: [{ scope: 'shared' }, { scope: 'personal', owner: user._id }]
+  };
+
+  if (categoryId) {
+    filter.$and = [{ $or: [{ categoryIds: { $size: 0 } }, { categoryIds: categoryId }] }];
+  }
+
+  return filter;
+};
+
+/**
+ * Load a macro the user is allowed to use on this ticket. Throws MacroError otherwise.
+ */
+export const findUsableMacro = async (macroId, user, ticket) => {
+  if (!mongoose.Types.ObjectId.isValid(macroId)) {
+    throw new MacroError('Invalid macroId format - Must be a valid ObjectId');
+  }
+
+  const macro = await Macro.findOne({
+    _id: macroId,
+    ...buildUsableMacroFilter(user, ticket.categoryId?._id || ticket.categoryId)
+  });
+
+  if (!macro) {
+    throw new MacroError('Macro not found or not available for this ticket', 404);
+  }
+
+  return macro;
+};
+
+/**
+ * Run a macro's actions (note, status, reassignment) on a ticket and return the rendered reply.
+ * Each action is independent - a failing action is reported in `errors` and does not stop the others.
+ *
+ * Returns { content, applied: { note, status, reassignedTo }, errors, duplicate }.
+ */
+export const applyMacro = async (macro, ticket, user, { req = null } = {}) => {
+  const context = await buildMacroContext(ticket, user);
+  const content = renderMacroTemplate(macro.content, context);
+  const result = { content, applied: { note: false, status: null, reassignedTo: null }, errors: [], duplicate: false };
+
+  const recent = await TicketEvent.exists({
+    ticketId: ticket._id,
+    type: 'macro_applied',
+    'after.macroId': macro._id,
+    createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) }
+  });
+  if (recent) {
+    result.duplicate = true;
+    return result;
+  }
+
+  const actor = { userId: user._id, name: user.name, role: user.role };
+  const { actions = {} } = macro;
+
+  if (actions.addNote) {
+    const note = renderMacroTemplate(actions.addNote, context);
+    ticket.notes.push(`[${new Date().toISOString()}]\n${note}`);
+    await ticket.save();
+    await recordTicketEvent(null, {
+      ticketId: ticket._id,
+      type: 'note_added',
+      before: { noteCount: ticket.notes.length - 1 },
+      after: { noteCount: ticket.notes.length, note },
+      message: `Note added by macro "${macro.title}"`,
+      actor
+    });
+    result.applied.note = true;
+  }
+
+  if (actions.setStatus && actions.setStatus !== ticket.status) {
+    const reason = renderMacroTemplate(actions.statusReason, context);
+    try {
+      await changeTicketStatus(ticket, actions.setStatus, {
+        actor: { id: user._id, role: user.role, name: user.name },
+        reason,
+        req
+      });
+      await notifyTicketStatusChange(ticket, { changedByUserId: user._id, reason });
+      result.applied.status = ticket.status;
+    } catch (error) {
+      if (!(error instanceof WorkflowError)) throw error;
+      result.errors.push(error.message);
+    }
+  }
+
+  if (actions.reassignTo) {
+    const agent = await User.findOne({ _id: actions.reassignTo, role: 'agent', isActive: true, isDeleted: { $ne: true } });
+    if (!agent) {
+      result.errors.push('Macro target agent not found or inactive');
+    } else {
+      const { changed } = await assignTicketToAgent(ticket, agent, {
+        actor,
+        reason: `Reassigned by ${user.name} using macro "${macro.title}"`
+      });
+      if (changed) {
+        result.applied.reassignedTo = { agentId: agent._id, name: agent.name };
+      }
+    }
+  }
+
+  await Macro.updateOne({ _id: macro._id }, { $inc: { usageCount: 1 } });
+
+  await recordTicketEvent(null, {
+    ticketId: ticket._id,
+    type: 'macro_applied',
+    after: { macroId: macro._id, title: macro.title, ...result.applied },
+    message: `Macro "${macro.title}" applied`,
+    actor
+  });
+
+  return result;
+};
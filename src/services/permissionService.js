@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import Role, { PERMISSIONS } from '../models/Role.js';
+import User from '../models/User.js';
+
+// Roles change rarely, so their permissions are cached briefly instead of loaded on every request
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+export const clearPermissionCache = () => {
+  roleCache.clear();
+};
+
+const loadRolePermissions = async (cacheKey, query) => {
+  const cached = roleCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ ...query, isActive: true }).select('permissions').lean();
+  const permissions = role ? role.permissions : null;
+  roleCache.set(cacheKey, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Permissions of a user: their assigned role, or the system role named after users.role
+ * (also used when the assigned role has been retired). Customers have none.
+ */
+export const getUserPermissions = async (user) => {
+  if (!user || user.role === 'customer') {
+    return [];
+  }
+
+  if (user.roleId) {
+    const permissions = await loadRolePermissions(`id:${user.roleId}`, { _id: user.roleId });
+    if (permissions) return permissions;
+  }
+
+  const permissions = await loadRolePermissions(`key:${user.role}`, { key: user.role, isSystem: true });
+  if (permissions) return permissions;
+
+  // Roles not seeded yet - never lock the built-in manager out
+  return user.role === 'manager' ? PERMISSIONS : [];
+};
+
+export const userHasPermission = async (user, permission) => (
+  (await getUserPermissions(user)).includes(permission)
+);
+
+/**
+ * Same check for a request that went through requirePermission (uses req.permissions) or only authentication
+ */
+export const requestHasPermission = async (req, permission) => {
+  if (req.permissions) {
+    return req.permissions.includes(permission);
+  }
+  const user = await User.findById(req.user?.id).select('role roleId').lean();
+  return userHasPermission(user, permission);
+};
+
+/**
+ * Filter for one ticket, matching only when the staff user can see it: any ticket with tickets.view_all,
+ * otherwise tickets assigned to them or unassigned in one of their categories
+ */
+export const buildVisibleTicketFilter = async (user, ticketId) => {
+  if (await userHasPermission(user, 'tickets.view_all')) {
+    return { _id: ticketId };
+  }
+
+  const agentCategoryIds = (user.categoryIds || []).filter(cat => mongoose.Types.ObjectId.isValid(cat));
+  return {
+    _id: ticketId,
+    $or: [
+      { assignedAgent: user._id },
+      {
+        $and: [
+          { $or: [{ assignedAgent: { $exists: false } }, { assignedAgent: null }] },
+          { categoryId: { $in: agentCategoryIds } }
+        ]
+      }
+    ]
+  };
+};
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import AgentPresence from '../models/AgentPresence.js';
+
+/**
+ * Open or close the online session of a staff member when their status changes.
+ * Customers are not tracked. Never throws - status updates must not fail because of it.
+ */
+export const recordPresence = async (user, status, now = new Date()) => {
+  if (!user || user.role === 'customer') {
+    return;
+  }
+  try {
+    if (status === 'online') {
+      // Going online twice (several tabs/devices) keeps the one open session
+      await AgentPresence.updateOne(
+        { userId: user._id, endedAt: null },
+        { $setOnInsert: { userId: user._id, startedAt: now } },
+        { upsert: true }
+      );
+    } else if (status === 'offline') {
+      await AgentPresence.updateMany({ userId: user._id, endedAt: null }, { endedAt: now });
+    }
+  } catch (error) {
+    console.error('Record presence error:', error);
+  }
+};
+
+/**
+ * Minutes each user was online between `from` and `to` -> Map(userId string -> minutes).
+ * A session that is still open counts until now.
+ */
+export const getOnlineMinutes = async (userIds, from, to) => {
+  const now = new Date();
+  const rows = await AgentPresence.aggregate([
+    {
+      $match: {
+        userId: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) },
+        startedAt: { $lt: to },
+        $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+      }
+    },
+    {
+      $project: {
+        userId: 1,
+        milliseconds: {
+          $subtract: [
+            { $min: [{ $ifNull: ['$endedAt', now] }, to] },
+            { $max: ['$startedAt', from] }
+          ]
+        }
+      }
+    },
+    { $group: { _id: '$userId', milliseconds: { $sum: { $max: ['$milliseconds', 0] } } } }
+  ]);
+  return new Map(rows.map(row => [String(row._id), row.milliseconds / 60000]));
+};
@@ -1,5 +1,6 @@
 import { getFirebaseMessaging } from '../config/firebase.js';
 import DeviceToken from '../models/DeviceToken.js';
+import { enqueueJob } from './jobQueue.js';
 
 const sanitizePayload = (payload = {}) => {
   const sanitized = {};
@@ -82,13 +83,12 @@ export const registerDeviceToken = async ({
       console.log(`🔀 Token transferred from ${deleteResult.deletedCount} other user(s)`);
     }
 
-    // Check if user already has a token registered
-    const existing = await DeviceToken.findOne({ userId });
+    // One record per device - a user signed in on several devices gets pushes on all of them
+    const existing = await DeviceToken.findOne({ userId, fcmToken: normalizedToken });
 
     if (existing) {
       // Same token already registered for this user, just update lastActiveAt
       existing.platform = platform;
-      existing.fcmToken = normalizedToken;
       existing.lastActiveAt = new Date();
       await existing.save();
       console.log('✅ Token updated for user:', existing._id);
@@ -264,6 +264,10 @@ export const getTokensForUserIds = async (userIds = []) => {
 //   };
 // };
 
+/**
+ * Queue a push notification (see services/jobQueue.js) - it is sent by the push.send job.
+ * Throws when it could not be queued.
+ */
 export const sendPushNotification = async ({
   title,
   body,
@@ -272,6 +276,20 @@ export const sendPushNotification = async ({
   tokens = [],
   android = {},
   apns = {},
+}) => {
+  const job = await enqueueJob('push.send', { title, body, data, userIds, tokens, android, apns });
+  return { success: true, queued: true, jobId: job._id };
+};
+
+// Send to FCM (the push.send job). Throws when FCM fails so the job is retried.
+export const deliverPushNotification = async ({
+  title,
+  body,
+  data = {},
+  userIds = [],
+  tokens = [],
+  android = {},
+  apns = {},
 }) => {
   const messaging = getFirebaseMessaging();
  
@@ -366,6 +384,15 @@ export const sendPushNotification = async ({
     if (tokensToDelete.length > 0) {
       await DeviceToken.deleteMany({ fcmToken: { $in: tokensToDelete } });
     }
+
+    // Anything but a dead token is worth another try (FCM unavailable, quota, internal errors)
+    const retryable = failedResults.filter(r => !shouldDeleteToken(r.error));
+    if (retryable.length > 0) {
+      const codes = [...new Set(retryable.map(r => r.error?.code || 'unknown'))];
+      const error = new Error(`FCM failed for ${retryable.length} of ${targetTokens.length} device(s): ${codes.join(', ')}`);
+      error.retryTokens = retryable.map(r => r.token);
+      throw error;
+    }
   }
  
   return {
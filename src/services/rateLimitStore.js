@@ -0,0 +1,111 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+
+/**
+ * Counter stores used by login protection and the API key limits. Both implement:
+ *   hit(key, windowMs)            -> { count, expiresAt, blockedUntil } after adding one to the current window
+ *   get(key)                      -> the same record, or null when there is no live window
+ *   block(key, until, windowMs)   -> refuse the key until `until` (keeps the count)
+ *   reset(key)
+ * Records expire with their window. Dates are Date objects.
+ */
+export const createMemoryStore = () => {
+  const records = new Map();
+
+  const live = (key, now = new Date()) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= now) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    name: 'memory',
+    async hit(key, windowMs) {
+      const now = new Date();
+      let record = live(key, now);
+      if (!record) {
+        record = { count: 0, expiresAt: new Date(now.getTime() + windowMs), blockedUntil: null };
+        records.set(key, record);
+      }
+      record.count += 1;
+      return { ...record };
+    },
+    async get(key) {
+      const record = live(key);
+      return record ? { ...record } : null;
+    },
+    async block(key, until, windowMs) {
+      const now = new Date();
+      const record = live(key, now) || { count: 0, expiresAt: new Date(now.getTime() + windowMs), blockedUntil: null };
+      record.blockedUntil = until;
+      if (record.expiresAt < until) record.expiresAt = until;
+      records.set(key, record);
+    },
+    async reset(key) {
+      records.delete(key);
+    },
+    clear() {
+      records.clear();
+    }
+  };
+};
+
+const toRecord = (doc) => (doc ? { count: doc.count, expiresAt: doc.expiresAt, blockedUntil: doc.blockedUntil } : null);
+
+// Shared between server instances; expired windows are restarted in the same atomic update
+export const createMongoStore = () => ({
+  name: 'mongo',
+  async hit(key, windowMs) {
+    const now = new Date();
+    const isLive = { $gt: ['$expiresAt', now] };
+    const update = [{
+      $set: {
+        count: { $cond: [isLive, { $add: ['$count', 1] }, 1] },
+        blockedUntil: { $cond: [isLive, '$blockedUntil', null] },
+        expiresAt: { $cond: [isLive, '$expiresAt', new Date(now.getTime() + windowMs)] }
+      }
+    }];
+    try {
+      return toRecord(await RateLimitCounter.findOneAndUpdate({ key }, update, { upsert: true, new: true }));
+    } catch (error) {
+      // Two first hits raced on the upsert - the other one created the counter
+      if (error.code !== 11000) throw error;
+      return toRecord(await RateLimitCounter.findOneAndUpdate({ key }, update, { new: true }));
+    }
+  },
+  async get(key) {
+    return toRecord(await RateLimitCounter.findOne({ key, expiresAt: { $gt: new Date() } }).lean());
+  },
+  async block(key, until, windowMs) {
+    const now = new Date();
+    const isLive = { $gt: ['$expiresAt', now] };
+    const windowEnd = { $cond: [isLive, '$expiresAt', new Date(now.getTime() + windowMs)] };
+    await RateLimitCounter.updateOne({ key }, [{
+      $set: {
+        count: { $cond: [isLive, '$count', 0] },
+        blockedUntil: until,
+        expiresAt: { $max: [windowEnd, until] }
+      }
+    }], { upsert: true });
+  },
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  }
+});
+
+// RATE_LIMIT_STORE=memory|mongo; tests run in memory, everything else uses MongoDB by default
+let activeStore = null;
+
+export const getRateLimitStore = () => {
+  if (!activeStore) {
+    const type = process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+    activeStore = type === 'memory' ? createMemoryStore() : createMongoStore();
+  }
+  return activeStore;
+};
+
+export const setRateLimitStore = (store) => {
+  activeStore = store;
+};
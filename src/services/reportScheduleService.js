@@ -0,0 +1,178 @@
+import ReportSchedule from '../models/ReportSchedule.js';
+import { SCHEDULED_REPORTS, formatZoned } from './scheduledReports.js';
+import { getZonedDate, zonedTimeToUtc, parseTimeOfDay } from '../utils/businessCalendar.js';
+import { toCsv, toPdf } from '../utils/reportFiles.js';
+import { sendScheduledReportEmail } from '../utils/emailService.js';
+
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+// Far enough ahead to find the next run of any frequency (monthly runs are on day 1-28)
+const MAX_DAYS_AHEAD = 62;
+
+const calendarDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+};
+
+const runsOn = (schedule, day) => {
+  if (schedule.frequency === 'weekly') return day.weekday === schedule.dayOfWeek;
+  if (schedule.frequency === 'monthly') return day.day === schedule.dayOfMonth;
+  return true;
+};
+
+/**
+ * First time the schedule is due after `after`, at its local time of day in its timezone.
+ */
+export const computeNextRunAt = (schedule, after = new Date()) => {
+  const minuteOfDay = parseTimeOfDay(schedule.timeOfDay);
+  const today = getZonedDate(after, schedule.timezone);
+
+  for (let offset = 0; offset <= MAX_DAYS_AHEAD; offset++) {
+    const day = calendarDay(today.year, today.month, today.day + offset);
+    if (!runsOn(schedule, day)) continue;
+    const runAt = zonedTimeToUtc({ ...day, minuteOfDay }, schedule.timezone);
+    if (runAt > after) return runAt;
+  }
+  return null;
+};
+
+/**
+ * The period a run at `runAt` reports on: back to the same local time one day, week or month earlier.
+ */
+export const reportPeriod = (schedule, runAt) => {
+  const local = getZonedDate(runAt, schedule.timezone);
+  const back = { daily: [0, 1], weekly: [0, 7], monthly: [1, 0] }[schedule.frequency];
+  const start = calendarDay(local.year, local.month - back[0], local.day - back[1]);
+  return {
+    from: zonedTimeToUtc({ ...start, minuteOfDay: local.minuteOfDay }, schedule.timezone),
+    to: runAt
+  };
+};
+
+/**
+ * Build the schedule's report for `period` and queue the email with the attachments it asks for.
+ * Returns { success, error }.
+ */
+export const deliverReport = async (schedule, period, emailOptions = {}) => {
+  const definition = SCHEDULED_REPORTS[schedule.report];
+  const report = {
+    title: definition.title,
+    subtitle: `${formatZoned(period.from, schedule.timezone)} - ${formatZoned(period.to, schedule.timezone)} (${schedule.timezone})`,
+    ...await definition.build({ ...period, timezone: schedule.timezone })
+  };
+
+  const fileName = `${schedule.report}-${formatZoned(period.to, schedule.timezone).slice(0, 10)}`;
+  const attachments = [];
+  if (schedule.formats.includes('csv')) {
+    attachments.push({ name: `${fileName}.csv`, content: toCsv(report) });
+  }
+  if (schedule.formats.includes('pdf')) {
+    attachments.push({ name: `${fileName}.pdf`, content: toPdf(report) });
+  }
+
+  return sendScheduledReportEmail(schedule.recipients, report, attachments, emailOptions);
+};
+
+const recordRun = (scheduleId, period, result) => ReportSchedule.updateOne({ _id: scheduleId }, {
+  $set: {
+    lastRunAt: new Date(),
+    lastStatus: result.success ? 'sent' : 'failed',
+    lastError: result.success ? '' : String(result.error || 'Unknown error'),
+    lastPeriod: period
+  }
+});
+
+/**
+ * Send one due run. The schedule is claimed by moving nextRunAt on from the value that was
+ * read, so when several instances see the same due run only one of them sends it.
+ * A failed send is recorded and not retried - the next run goes out as usual.
+ */
+export const runScheduledReport = async (scheduleId, now = new Date()) => {
+  const schedule = await ReportSchedule.findOne({ _id: scheduleId, isActive: true, nextRunAt: { $lte: now } });
+  if (!schedule) {
+    return null;
+  }
+
+  const nextRunAt = computeNextRunAt(schedule, now);
+  const claimed = await ReportSchedule.findOneAndUpdate(
+    { _id: schedule._id, isActive: true, nextRunAt: schedule.nextRunAt },
+    { $set: { nextRunAt } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  // Runs missed while no instance was up are folded into this one, up to the latest due time
+  const period = { from: reportPeriod(schedule, schedule.nextRunAt).from, to: reportPeriod(schedule, nextRunAt).from };
+  let result;
+  try {
+    result = await deliverReport(schedule, period, {
+      idempotencyKey: `report-schedule:${schedule._id}:${period.to.toISOString()}`
+    });
+  } catch (error) {
+    console.error(`Scheduled report ${schedule.name} error:`, error);
+    result = { success: false, error: error.message };
+  }
+  await recordRun(schedule._id, period, result);
+  return result;
+};
+
+/**
+ * Send the report of a schedule right away for the period up to now, without moving its next run
+ */
+export const sendReportNow = async (schedule, now = new Date()) => {
+  const period = reportPeriod(schedule, now);
+  const result = await deliverReport(schedule, period);
+  await recordRun(schedule._id, period, result);
+  return result;
+};
+
+export const runDueReports = async (limit = 20) => {
+  const due = await ReportSchedule.find({ isActive: true, nextRunAt: { $lte: new Date() } })
+    .sort({ nextRunAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  let sent = 0;
+  for (const { _id } of due) {
+    const result = await runScheduledReport(_id);
+    if (result?.success) {
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+let schedulerHandle = null;
+
+export const startReportScheduler = (intervalMs = Number(process.env.REPORT_SCHEDULER_INTERVAL_MS) || DEFAULT_CHECK_INTERVAL_MS) => {
+  if (schedulerHandle) {
+    return schedulerHandle;
+  }
+
+  let running = false;
+  schedulerHandle = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const sent = await runDueReports();
+      if (sent > 0) {
+        console.log(`📧 Report scheduler sent ${sent} report(s)`);
+      }
+    } catch (error) {
+      console.error('Report scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  console.log('📧 Report scheduler started');
+  return schedulerHandle;
+};
+
+export const stopReportScheduler = () => {
+  if (schedulerHandle) {
+    clearInterval(schedulerHandle);
+    schedulerHandle = null;
+  }
+};
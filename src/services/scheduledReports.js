@@ -0,0 +1,204 @@
+import Ticket from '../models/Ticket.js';
+import User from '../models/User.js';
+import { getStatusKeysByKind } from './ticketWorkflowService.js';
+import { resolveReportOptions, buildVolumeReport } from './analyticsService.js';
+import { resolveScorecardRange, buildScorecards } from './scorecardService.js';
+import { percentChange } from '../utils/percentChange.js';
+
+/**
+ * Reports that can be emailed on a schedule (models/ReportSchedule.js REPORT_TYPES).
+ * build({ from, to, timezone }) -> { summary: [{ label, value }], columns: [{ key, label }], rows }
+ * for the period [from, to); dates in rows are shown in the schedule's timezone.
+ */
+
+const STOPPED_KINDS = ['resolved', 'closed'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const formatterCache = new Map();
+
+// "2025-01-31 08:00" in the timezone
+export const formatZoned = (date, timeZone) => {
+  if (!date) return '';
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone).format(new Date(date)).replace(',', '');
+};
+
+const inPeriod = (from, to) => ({ $gte: from, $lt: to });
+
+const ticketRow = (ticket, timezone) => ({
+  ticketNumber: ticket.ticketNumber,
+  status: ticket.status,
+  agent: ticket.assignedAgent?.name || 'Unassigned',
+  customer: ticket.customer?.name || ticket.customer?.email || '',
+  createdAt: formatZoned(ticket.createdAt, timezone)
+});
+
+const TICKET_COLUMNS = [
+  { key: 'ticketNumber', label: 'Ticket' },
+  { key: 'status', label: 'Status' },
+  { key: 'agent', label: 'Agent' },
+  { key: 'customer', label: 'Customer' },
+  { key: 'createdAt', label: 'Created' }
+];
+
+const findTickets = (filter, sort = { createdAt: 1 }) => Ticket.find(filter)
+  .populate('assignedAgent', 'name')
+  .populate('customer', 'name email')
+  .sort(sort);
+
+// Open tickets now, and what came in and went out during the period
+const buildBacklogSummary = async ({ from, to, timezone }) => {
+  const stopped = await getStatusKeysByKind(STOPPED_KINDS);
+  const [open, volume] = await Promise.all([
+    findTickets({ status: { $nin: stopped } }),
+    buildVolumeReport(resolveReportOptions({ interval: 'day', from, to: new Date(to.getTime() - 1) }))
+  ]);
+
+  const byStatus = open.reduce((counts, ticket) => ({ ...counts, [ticket.status]: (counts[ticket.status] || 0) + 1 }), {});
+  const now = Date.now();
+
+  return {
+    summary: [
+      { label: 'Open tickets', value: open.length },
+      { label: 'Unassigned', value: open.filter(ticket => !ticket.assignedAgent).length },
+      { label: 'Created in period', value: volume.summary.created },
+      { label: 'Resolved in period', value: volume.summary.resolved },
+      { label: 'Open by status', value: Object.entries(byStatus).map(([status, count]) => `${status}: ${count}`).join(', ') || '-' }
+    ],
+    columns: [...TICKET_COLUMNS, { key: 'ageDays', label: 'Age (days)' }],
+    rows: open.map(ticket => ({
+      ...ticketRow(ticket, timezone),
+      ageDays: Math.floor((now - new Date(ticket.createdAt).getTime()) / MS_PER_DAY)
+    }))
+  };
+};
+
+// Tickets whose first response or resolution target passed during the period
+const buildSlaBreaches = async ({ from, to, timezone }) => {
+  const [tickets, stopped] = await Promise.all([
+    findTickets({
+      $or: [
+        { 'sla.firstResponseBreached': true, 'sla.firstResponseDueAt': inPeriod(from, to) },
+        { 'sla.resolutionBreached': true, 'sla.resolutionDueAt': inPeriod(from, to) }
+      ]
+    }, { 'sla.resolutionDueAt': 1 }),
+    getStatusKeysByKind(STOPPED_KINDS)
+  ]);
+
+  const breachedIn = (ticket, target) => ticket.sla?.[`${target}Breached`]
+    && ticket.sla[`${target}DueAt`] >= from && ticket.sla[`${target}DueAt`] < to;
+
+  const rows = tickets.map((ticket) => {
+    const firstResponse = breachedIn(ticket, 'firstResponse');
+    const resolution = breachedIn(ticket, 'resolution');
+    return {
+      ...ticketRow(ticket, timezone),
+      breach: [firstResponse && 'First response', resolution && 'Resolution'].filter(Boolean).join(', '),
+      firstResponseDueAt: formatZoned(ticket.sla.firstResponseDueAt, timezone),
+      resolutionDueAt: formatZoned(ticket.sla.resolutionDueAt, timezone),
+      firstResponse,
+      resolution,
+      open: !stopped.includes(ticket.status)
+    };
+  });
+
+  return {
+    summary: [
+      { label: 'Tickets breached', value: rows.length },
+      { label: 'First response breaches', value: rows.filter(row => row.firstResponse).length },
+      { label: 'Resolution breaches', value: rows.filter(row => row.resolution).length },
+      { label: 'Still open', value: rows.filter(row => row.open).length }
+    ],
+    columns: [
+      ...TICKET_COLUMNS,
+      { key: 'breach', label: 'Breached' },
+      { key: 'firstResponseDueAt', label: 'First response due' },
+      { key: 'resolutionDueAt', label: 'Resolution due' }
+    ],
+    rows
+  };
+};
+
+// Customers who signed up during the period, compared with the period before
+const buildNewCustomers = async ({ from, to, timezone }) => {
+  const previousFrom = new Date(from.getTime() - (to.getTime() - from.getTime()));
+  const filter = { role: 'customer', isDeleted: { $ne: true } };
+  const [customers, previous] = await Promise.all([
+    User.find({ ...filter, createdAt: inPeriod(from, to) }).select('name email phone isActive createdAt').sort({ createdAt: 1 }),
+    User.countDocuments({ ...filter, createdAt: inPeriod(previousFrom, from) })
+  ]);
+  const change = percentChange(customers.length, previous);
+
+  return {
+    summary: [
+      { label: 'New customers', value: customers.length },
+      { label: 'Previous period', value: previous },
+      { label: 'Change', value: `${change > 0 ? '+' : ''}${change}%` }
+    ],
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'email', label: 'Email' },
+      { key: 'phone', label: 'Phone' },
+      { key: 'isActive', label: 'Active' },
+      { key: 'createdAt', label: 'Signed up' }
+    ],
+    rows: customers.map(customer => ({
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone || '',
+      isActive: customer.isActive === false ? 'No' : 'Yes',
+      createdAt: formatZoned(customer.createdAt, timezone)
+    }))
+  };
+};
+
+const AGENT_METRIC_COLUMNS = [
+  { key: 'ticketsHandled', label: 'Tickets handled' },
+  { key: 'ticketsResolved', label: 'Resolved' },
+  { key: 'averageFirstResponseMinutes', label: 'Avg first response (min)' },
+  { key: 'averageHandleMinutes', label: 'Avg handle time (min)' },
+  { key: 'reassignedAway', label: 'Reassigned away' },
+  { key: 'reopenRate', label: 'Reopen rate (%)' },
+  { key: 'messagesSent', label: 'Messages' },
+  { key: 'onlineHours', label: 'Online hours' },
+  { key: 'csatAverageScore', label: 'CSAT score' }
+];
+
+// One row per agent from their scorecard (services/scorecardService.js)
+const buildAgentActivity = async ({ from, to }) => {
+  const agents = await User.find({ role: 'agent', isDeleted: false }).select('name email status').sort({ name: 1 });
+  const scorecards = await buildScorecards(agents, resolveScorecardRange({ from, to: new Date(to.getTime() - 1) }));
+  const total = (metric) => scorecards.reduce((sum, scorecard) => sum + scorecard.metrics[metric].value, 0);
+
+  return {
+    summary: [
+      { label: 'Agents', value: scorecards.length },
+      { label: 'Tickets handled', value: total('ticketsHandled') },
+      { label: 'Tickets resolved', value: total('ticketsResolved') },
+      { label: 'Messages sent', value: total('messagesSent') }
+    ],
+    columns: [
+      { key: 'name', label: 'Agent' },
+      { key: 'email', label: 'Email' },
+      ...AGENT_METRIC_COLUMNS,
+      { key: 'ticketsHandledChange', label: 'Handled vs previous (%)' }
+    ],
+    rows: scorecards.map(({ agent, metrics }) => ({
+      name: agent.name,
+      email: agent.email,
+      ...Object.fromEntries(AGENT_METRIC_COLUMNS.map(({ key }) => [key, metrics[key].value])),
+      ticketsHandledChange: metrics.ticketsHandled.change
+    }))
+  };
+};
+
+export const SCHEDULED_REPORTS = {
+  backlog_summary: { title: 'Ticket backlog summary', build: buildBacklogSummary },
+  sla_breaches: { title: 'SLA breaches', build: buildSlaBreaches },
+  new_customers: { title: 'New customers', build: buildNewCustomers },
+  agent_activity: { title: 'Agent activity', build: buildAgentActivity }
+};
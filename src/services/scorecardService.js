@@ -0,0 +1,277 @@
+import mongoose from 'mongoose';
+import Ticket from '../models/Ticket.js';
+import Message from '../models/Message.js';
+import TicketEvent from '../models/TicketEvent.js';
+import CsatSurvey from '../models/CsatSurvey.js';
+import { getStatusKeysByKind } from './ticketWorkflowService.js';
+import { getOnlineMinutes } from './presenceService.js';
+import { percentChange } from '../utils/percentChange.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+const STOPPED_KINDS = ['resolved', 'closed'];
+
+// A reply the customer sees - not a system line or an internal note
+const CUSTOMER_FACING = { isInternal: { $ne: true }, messageType: { $ne: 'infoSystem' } };
+
+export class ScorecardError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ScorecardError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The scorecard period (default: the last 30 days) and the period of the same
+ * length right before it, which every metric is compared with.
+ */
+export const resolveScorecardRange = ({ from, to } = {}) => {
+  const rangeTo = to || new Date();
+  const rangeFrom = from || new Date(rangeTo.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (rangeFrom > rangeTo) {
+    throw new ScorecardError('from date must be before to date');
+  }
+  const previousTo = new Date(rangeFrom.getTime() - 1);
+  const previousFrom = new Date(previousTo.getTime() - (rangeTo.getTime() - rangeFrom.getTime()));
+  return { from: rangeFrom, to: rangeTo, previousFrom, previousTo };
+};
+
+const between = (from, to) => ({ $gte: from, $lte: to });
+
+const round = (value, digits = 1) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Map(agentId string -> value) from rows grouped by agent
+const byAgent = (rows, pick) => new Map(rows.map(row => [String(row._id), pick(row)]));
+
+// Messages and internal notes each agent wrote, and the tickets they were on
+const countMessages = (ids, from, to) => Message.aggregate([
+  { $match: { 'sender.userId': { $in: ids }, createdAt: between(from, to), messageType: { $ne: 'infoSystem' } } },
+  {
+    $group: {
+      _id: '$sender.userId',
+      messagesSent: { $sum: { $cond: ['$isInternal', 0, 1] } },
+      internalNotes: { $sum: { $cond: ['$isInternal', 1, 0] } },
+      tickets: { $addToSet: '$ticketId' }
+    }
+  }
+]);
+
+// Tickets each agent moved through the workflow
+const statusChangeTickets = (ids, from, to) => TicketEvent.aggregate([
+  { $match: { type: 'status_changed', 'actor.userId': { $in: ids }, createdAt: between(from, to) } },
+  { $group: { _id: '$actor.userId', tickets: { $addToSet: '$ticketId' } } }
+]);
+
+/**
+ * Resolutions by each agent with the handle time (from when the ticket was last assigned
+ * to them, or from ticket creation) and whether the ticket was reopened afterwards.
+ */
+const resolutions = async (ids, from, to) => {
+  const stopped = await getStatusKeysByKind(STOPPED_KINDS);
+  return TicketEvent.aggregate([
+    {
+      $match: {
+        type: 'status_changed',
+        'actor.userId': { $in: ids },
+        createdAt: between(from, to),
+        'after.status': { $in: stopped },
+        'before.status': { $nin: stopped }
+      }
+    },
+    { $lookup: { from: Ticket.collection.name, localField: 'ticketId', foreignField: '_id', as: 'ticket' } },
+    { $unwind: '$ticket' },
+    {
+      $lookup: {
+        from: TicketEvent.collection.name,
+        let: { ticketId: '$ticketId', agentId: '$actor.userId', resolvedAt: '$createdAt' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$ticketId', '$$ticketId'] },
+                  { $eq: ['$after.agentId', '$$agentId'] },
+                  { $lte: ['$createdAt', '$$resolvedAt'] }
+                ]
+              },
+              type: { $in: ['assigned', 'reassigned'] }
+            }
+          },
+          { $sort: { createdAt: -1 } },
+          { $limit: 1 },
+          { $project: { createdAt: 1 } }
+        ],
+        as: 'assignment'
+      }
+    },
+    {
+      $lookup: {
+        from: TicketEvent.collection.name,
+        let: { ticketId: '$ticketId', resolvedAt: '$createdAt' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $and: [{ $eq: ['$ticketId', '$$ticketId'] }, { $gt: ['$createdAt', '$$resolvedAt'] }] },
+              type: 'status_changed',
+              'before.status': { $in: stopped },
+              'after.status': { $nin: stopped }
+            }
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'reopen'
+      }
+    },
+    {
+      $project: {
+        agentId: '$actor.userId',
+        ticketId: 1,
+        handleMinutes: {
+          $divide: [
+            { $subtract: ['$createdAt', { $ifNull: [{ $arrayElemAt: ['$assignment.createdAt', 0] }, '$ticket.createdAt'] }] },
+            60000
+          ]
+        },
+        reopened: { $gt: [{ $size: '$reopen' }, 0] }
+      }
+    }
+  ]);
+};
+
+/**
+ * Minutes from ticket creation to the first customer-facing reply, for tickets where that
+ * reply was written by one of the agents within the range.
+ */
+const firstResponses = (ids, from, to) => Message.aggregate([
+  { $match: { 'sender.userId': { $in: ids }, createdAt: between(from, to), ...CUSTOMER_FACING } },
+  { $sort: { createdAt: 1 } },
+  { $group: { _id: '$ticketId', agentId: { $first: '$sender.userId' }, respondedAt: { $first: '$createdAt' } } },
+  {
+    $lookup: {
+      from: Message.collection.name,
+      let: { ticketId: '$_id', respondedAt: '$respondedAt' },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $and: [{ $eq: ['$ticketId', '$$ticketId'] }, { $lt: ['$createdAt', '$$respondedAt'] }] },
+            'sender.userType': { $ne: 'customer' },
+            ...CUSTOMER_FACING
+          }
+        },
+        { $limit: 1 },
+        { $project: { _id: 1 } }
+      ],
+      as: 'earlier'
+    }
+  },
+  { $match: { earlier: { $size: 0 } } },
+  { $lookup: { from: Ticket.collection.name, localField: '_id', foreignField: '_id', as: 'ticket' } },
+  { $unwind: '$ticket' },
+  {
+    $group: {
+      _id: '$agentId',
+      averageMinutes: { $avg: { $divide: [{ $subtract: ['$respondedAt', '$ticket.createdAt'] }, 60000] } },
+      count: { $sum: 1 }
+    }
+  }
+]);
+
+// Tickets taken away from each agent (reassigned to someone else or returned to the queue)
+const reassignedAway = (ids, from, to) => TicketEvent.aggregate([
+  { $match: { type: { $in: ['reassigned', 'unassigned'] }, 'before.agentId': { $in: ids }, createdAt: between(from, to) } },
+  { $group: { _id: '$before.agentId', count: { $sum: 1 } } }
+]);
+
+// Completed satisfaction surveys - the agent is the one on the ticket when it was requested
+const csat = (ids, from, to) => CsatSurvey.aggregate([
+  { $match: { status: 'completed', agent: { $in: ids }, respondedAt: between(from, to) } },
+  {
+    $group: {
+      _id: '$agent',
+      responses: { $sum: 1 },
+      averageScore: { $avg: '$score' },
+      satisfied: { $sum: { $cond: [{ $gte: ['$score', 4] }, 1, 0] } }
+    }
+  }
+]);
+
+/**
+ * Map(agentId string -> metrics) for one period.
+ */
+const collectMetrics = async (agentIds, from, to) => {
+  const ids = agentIds.map(id => new mongoose.Types.ObjectId(id));
+  const [messageRows, statusRows, resolutionRows, responseRows, reassignedRows, csatRows, onlineMinutes] = await Promise.all([
+    countMessages(ids, from, to),
+    statusChangeTickets(ids, from, to),
+    resolutions(ids, from, to),
+    firstResponses(ids, from, to),
+    reassignedAway(ids, from, to),
+    csat(ids, from, to),
+    getOnlineMinutes(agentIds, from, to)
+  ]);
+
+  const messages = byAgent(messageRows, row => row);
+  const statusTickets = byAgent(statusRows, row => row.tickets);
+  const responses = byAgent(responseRows, row => row);
+  const reassigned = byAgent(reassignedRows, row => row.count);
+  const surveys = byAgent(csatRows, row => row);
+
+  return new Map(agentIds.map((id) => {
+    const key = String(id);
+    const message = messages.get(key);
+    const handled = new Set([...(message?.tickets || []), ...(statusTickets.get(key) || [])].map(String));
+    const resolved = resolutionRows.filter(row => String(row.agentId) === key);
+    const resolvedTickets = new Set(resolved.map(row => String(row.ticketId)));
+    const reopenedTickets = new Set(resolved.filter(row => row.reopened).map(row => String(row.ticketId)));
+    const response = responses.get(key);
+    const survey = surveys.get(key);
+
+    return [key, {
+      ticketsHandled: handled.size,
+      ticketsResolved: resolvedTickets.size,
+      averageFirstResponseMinutes: round(response ? response.averageMinutes : null),
+      averageHandleMinutes: round(average(resolved.map(row => row.handleMinutes))),
+      reassignedAway: reassigned.get(key) || 0,
+      reopenRate: resolvedTickets.size ? round((reopenedTickets.size / resolvedTickets.size) * 100) : null,
+      messagesSent: message?.messagesSent || 0,
+      internalNotes: message?.internalNotes || 0,
+      onlineHours: round((onlineMinutes.get(key) || 0) / 60),
+      csatResponses: survey?.responses || 0,
+      csatAverageScore: survey ? round(survey.averageScore, 2) : null,
+      csatPercent: survey ? round((survey.satisfied / survey.responses) * 100) : null
+    }];
+  }));
+};
+
+/**
+ * Scorecards for `agents` (User documents) over `range` (see resolveScorecardRange).
+ * Every metric is { value, previous, change } where change is the % change from the
+ * previous period. For times and reopens a negative change is the improvement.
+ */
+export const buildScorecards = async (agents, range) => {
+  const agentIds = agents.map(agent => String(agent._id));
+  if (agentIds.length === 0) {
+    return [];
+  }
+
+  const [current, previous] = await Promise.all([
+    collectMetrics(agentIds, range.from, range.to),
+    collectMetrics(agentIds, range.previousFrom, range.previousTo)
+  ]);
+
+  return agents.map((agent) => {
+    const now = current.get(String(agent._id));
+    const before = previous.get(String(agent._id));
+    return {
+      agent: { id: agent._id, name: agent.name, email: agent.email, status: agent.status },
+      metrics: Object.fromEntries(Object.entries(now).map(([name, value]) => [name, {
+        value,
+        previous: before[name],
+        change: percentChange(value, before[name])
+      }]))
+    };
+  });
+};
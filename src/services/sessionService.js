@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import DeviceToken from '../models/DeviceToken.js';
+import { signToken } from '../utils/jwt.js';
+import { registerDeviceToken } from './pushNotificationService.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// lastSeenAt is only written when it is older than this, not on every request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+export class SessionError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  return {
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    refreshExpiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+const signAccessToken = (user, session) => signToken(
+  { id: user._id, email: user.email, role: user.role, sid: String(session._id) },
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const clientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: String(req.headers['user-agent'] || '').slice(0, 300)
+});
+
+const tokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session),
+  refreshToken,
+  accessTokenExpiresIn: ACCESS_TOKEN_TTL,
+  refreshTokenExpiresAt: session.refreshExpiresAt,
+  sessionId: session._id
+});
+
+/**
+ * Link a push token to the session so it is unregistered when the session ends
+ */
+export const attachDeviceToken = async (session, { userId, fcmToken, platform }) => {
+  const { record } = await registerDeviceToken({ userId, fcmToken, platform });
+  session.deviceTokenId = record._id;
+  if (platform) session.platform = platform;
+  await session.save();
+  return record;
+};
+
+/**
+ * Open a session for an app login. Returns the access token, refresh token and session id.
+ */
+export const createSession = async (user, req, { fcmToken, platform, deviceName } = {}) => {
+  const { refreshToken, refreshTokenHash, refreshExpiresAt } = newRefreshToken();
+
+  const session = await Session.create({
+    userId: user._id,
+    app: user.role === 'customer' ? 'customer_app' : 'agent_app',
+    refreshTokenHash,
+    refreshExpiresAt,
+    deviceName: deviceName || '',
+    platform: ['ios', 'android', 'web'].includes(platform) ? platform : null,
+    ...clientInfo(req)
+  });
+
+  if (fcmToken) {
+    try {
+      await attachDeviceToken(session, { userId: user._id, fcmToken, platform: platform || 'android' });
+    } catch (fcmError) {
+      // Don't fail login if FCM registration fails
+      console.error('Failed to register FCM token for session:', fcmError);
+    }
+  }
+
+  return tokenResponse(user, session, refreshToken);
+};
+
+/**
+ * Swap a refresh token for a new access token and a new refresh token.
+ * `loadUser(userId)` returns the user if they may still sign in.
+ */
+export const refreshSession = async (refreshToken, req, loadUser) => {
+  if (!refreshToken) {
+    throw new SessionError('refreshToken is required', 400);
+  }
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash, revokedAt: null });
+  if (!session) {
+    // An already rotated token was used again - whoever holds it must not keep the session
+    const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+    if (reused) {
+      await revokeSession(reused, 'refresh_token_reused');
+    }
+    throw new SessionError('Invalid refresh token - Please login again');
+  }
+
+  if (session.refreshExpiresAt <= new Date()) {
+    await revokeSession(session, 'expired');
+    throw new SessionError('Session expired - Please login again');
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user) {
+    await revokeSession(session, 'account_unavailable');
+    throw new SessionError('Account is not available. Please contact support.');
+  }
+
+  const rotated = newRefreshToken();
+  session.previousRefreshTokenHash = tokenHash;
+  session.refreshTokenHash = rotated.refreshTokenHash;
+  session.refreshExpiresAt = rotated.refreshExpiresAt;
+  session.lastSeenAt = new Date();
+  session.set(clientInfo(req));
+  await session.save();
+
+  return tokenResponse(user, session, rotated.refreshToken);
+};
+
+/**
+ * Check the session behind an app access token. Returns an error message or null.
+ * Tokens issued before sessions existed carry no sid and are checked against users.token.
+ */
+export const checkAppSession = async (user, decoded, token) => {
+  if (!decoded.sid) {
+    return !user.token || user.token !== token ? 'Invalid token - Please login again' : null;
+  }
+
+  const session = await Session.findOne({ _id: decoded.sid, userId: user._id }).select('revokedAt lastSeenAt');
+  if (!session || session.revokedAt) {
+    return 'Session has ended - Please login again';
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+      .catch(error => console.error('Failed to update session last seen:', error));
+  }
+  return null;
+};
+
+/**
+ * End one session and unregister its device from push notifications
+ */
+export const revokeSession = async (session, reason = 'logout') => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+
+  if (session.deviceTokenId) {
+    await DeviceToken.deleteOne({ _id: session.deviceTokenId });
+  }
+  return session;
+};
+
+/**
+ * End every session of a user ("log out everywhere"), optionally keeping one
+ */
+export const revokeAllSessions = async (userId, { reason = 'logout_all', exceptSessionId = null } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const revoked = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+  // Also drops push registrations made without a session (older app versions)
+  const kept = exceptSessionId ? await Session.findById(exceptSessionId).select('deviceTokenId') : null;
+  await DeviceToken.deleteMany(kept?.deviceTokenId ? { userId, _id: { $ne: kept.deviceTokenId } } : { userId });
+
+  return revoked.modifiedCount;
+};
+
+export const listActiveSessions = (userId) => Session.find({
+  userId,
+  revokedAt: null,
+  refreshExpiresAt: { $gt: new Date() }
+})
+  .populate('deviceTokenId', 'platform lastActiveAt')
+  .sort({ lastSeenAt: -1 });
@@ -0,0 +1,365 @@
+import SlaPolicy from '../models/SlaPolicy.js';
+import Ticket from '../models/Ticket.js';
+import User from '../models/User.js';
+import { addBusinessMinutes, businessMinutesBetween } from '../utils/businessCalendar.js';
+import { createNotificationWithPush } from './notificationDeliveryService.js';
+import { sendSlaEscalationEmail } from '../utils/emailService.js';
+
+export const SLA_STATES = ['none', 'on_track', 'at_risk', 'breached', 'paused', 'met'];
+
+// Friendly sort keys accepted by the ticket list endpoints
+export const SLA_SORT_FIELDS = {
+  slaDue: 'sla.resolutionDueAt',
+  firstResponseDue: 'sla.firstResponseDueAt'
+};
+
+const STOPPED_KINDS = ['resolved', 'closed'];
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+
+const ESCALATION_EVENTS = {
+  first_response_warning: {
+    title: 'SLA Warning - First Response',
+    type: 'warning',
+    dueField: 'firstResponseDueAt',
+    describe: (ticketNumber) => `Ticket #${ticketNumber} is close to missing its first response target.`
+  },
+  first_response_breach: {
+    title: 'SLA Breached - First Response',
+    type: 'error',
+    dueField: 'firstResponseDueAt',
+    describe: (ticketNumber) => `Ticket #${ticketNumber} has missed its first response target.`
+  },
+  resolution_warning: {
+    title: 'SLA Warning - Resolution',
+    type: 'warning',
+    dueField: 'resolutionDueAt',
+    describe: (ticketNumber) => `Ticket #${ticketNumber} is close to missing its resolution target.`
+  },
+  resolution_breach: {
+    title: 'SLA Breached - Resolution',
+    type: 'error',
+    dueField: 'resolutionDueAt',
+    describe: (ticketNumber) => `Ticket #${ticketNumber} has missed its resolution target.`
+  }
+};
+
+/**
+ * Equipment-specific policies win over the category-wide policy.
+ */
+export const findPolicyForTicket = async ({ categoryId, equipmentId }) => {
+  if (!categoryId) {
+    return null;
+  }
+
+  if (equipmentId) {
+    const equipmentPolicy = await SlaPolicy.findOne({ categoryId, equipmentId, isActive: true })
+      .sort({ updatedAt: -1 });
+    if (equipmentPolicy) {
+      return equipmentPolicy;
+    }
+  }
+
+  return SlaPolicy.findOne({ categoryId, equipmentId: null, isActive: true })
+    .sort({ updatedAt: -1 });
+};
+
+/**
+ * Build the `sla` block for a new ticket. Returns an empty block when no policy applies.
+ * `commitment` (from a service contract) can only tighten the policy targets, never relax them.
+ */
+export const buildTicketSla = async ({ categoryId, equipmentId, startAt = new Date(), commitment = null }) => {
+  const policy = await findPolicyForTicket({ categoryId, equipmentId });
+  if (!policy) {
+    return { state: 'none' };
+  }
+
+  const { businessHours, warningThresholdPercent } = policy;
+  const firstResponseMinutes = Math.min(policy.firstResponseMinutes, commitment?.firstResponseMinutes || Infinity);
+  const resolutionMinutes = Math.min(policy.resolutionMinutes, commitment?.resolutionMinutes || Infinity);
+  const warningRatio = (warningThresholdPercent || 80) / 100;
+
+  return {
+    policyId: policy._id,
+    firstResponseDueAt: addBusinessMinutes(startAt, firstResponseMinutes, businessHours),
+    resolutionDueAt: addBusinessMinutes(startAt, resolutionMinutes, businessHours),
+    firstResponseWarningAt: addBusinessMinutes(startAt, firstResponseMinutes * warningRatio, businessHours),
+    resolutionWarningAt: addBusinessMinutes(startAt, resolutionMinutes * warningRatio, businessHours),
+    state: 'on_track'
+  };
+};
+
+/**
+ * Recompute breach flags and state on a ticket's sla block.
+ * Returns the escalation events that became due and have not been sent yet.
+ */
+export const refreshSlaState = (sla, now = new Date()) => {
+  if (!sla || !sla.policyId) {
+    return [];
+  }
+
+  const events = [];
+  const sent = new Set(sla.escalations || []);
+  const firstResponsePending = !sla.firstRespondedAt;
+  const resolutionPending = !sla.resolvedAt;
+  const firstResponseAt = sla.firstRespondedAt || now;
+  const resolutionAt = sla.resolvedAt || now;
+
+  if (sla.firstResponseDueAt && firstResponseAt > sla.firstResponseDueAt) {
+    sla.firstResponseBreached = true;
+  }
+  if (sla.resolutionDueAt && resolutionAt > sla.resolutionDueAt) {
+    sla.resolutionBreached = true;
+  }
+
+  if (sla.pausedAt && resolutionPending) {
+    sla.state = 'paused';
+    return [];
+  }
+
+  if (firstResponsePending && resolutionPending) {
+    if (sla.firstResponseBreached) {
+      events.push('first_response_breach');
+    } else if (sla.firstResponseWarningAt && now >= sla.firstResponseWarningAt) {
+      events.push('first_response_warning');
+    }
+  }
+
+  if (resolutionPending) {
+    if (sla.resolutionBreached) {
+      events.push('resolution_breach');
+    } else if (sla.resolutionWarningAt && now >= sla.resolutionWarningAt) {
+      events.push('resolution_warning');
+    }
+  }
+
+  if (sla.firstResponseBreached || sla.resolutionBreached) {
+    sla.state = 'breached';
+  } else if (!resolutionPending) {
+    sla.state = 'met';
+  } else if (events.length > 0) {
+    sla.state = 'at_risk';
+  } else {
+    sla.state = 'on_track';
+  }
+
+  return events.filter((event) => !sent.has(event));
+};
+
+// Move every target that is still running forward by the given number of business minutes
+const shiftRunningTargets = (sla, minutes, businessHours) => {
+  if (!minutes) {
+    return;
+  }
+
+  if (!sla.firstRespondedAt) {
+    sla.firstResponseDueAt = addBusinessMinutes(sla.firstResponseDueAt, minutes, businessHours);
+    sla.firstResponseWarningAt = addBusinessMinutes(sla.firstResponseWarningAt, minutes, businessHours);
+  }
+  sla.resolutionDueAt = addBusinessMinutes(sla.resolutionDueAt, minutes, businessHours);
+  sla.resolutionWarningAt = addBusinessMinutes(sla.resolutionWarningAt, minutes, businessHours);
+  sla.pausedMinutes = (sla.pausedMinutes || 0) + minutes;
+};
+
+/**
+ * Update a ticket's SLA clock for a status change. Mutates the ticket; the caller saves it.
+ * - entering a paused status (workflow kind 'paused' or one of the policy's pauseStatuses) stops the clock
+ * - leaving it pushes the running targets back by the paused business time
+ * - entering a resolved/closed status stops the clock for good, reopening resumes it
+ * `kind` is the workflow kind of the next status.
+ */
+export const applySlaStatusChange = async (ticket, previousStatus, nextStatus, { kind = 'open', now = new Date() } = {}) => {
+  const sla = ticket.sla;
+  if (!sla || !sla.policyId || previousStatus === nextStatus) {
+    return;
+  }
+
+  const policy = await SlaPolicy.findById(sla.policyId).lean();
+  const businessHours = policy?.businessHours;
+  const pauseStatuses = policy?.pauseStatuses || [];
+  const pauses = kind === 'paused' || pauseStatuses.includes(nextStatus);
+
+  if (sla.pausedAt && !pauses) {
+    shiftRunningTargets(sla, businessMinutesBetween(sla.pausedAt, now, businessHours), businessHours);
+    sla.pausedAt = null;
+  }
+
+  if (STOPPED_KINDS.includes(kind)) {
+    if (!sla.resolvedAt) {
+      sla.resolvedAt = now;
+    }
+  } else if (sla.resolvedAt) {
+    // Reopened - the time the ticket spent resolved does not count against it
+    shiftRunningTargets(sla, businessMinutesBetween(sla.resolvedAt, now, businessHours), businessHours);
+    sla.resolvedAt = null;
+    sla.resolutionBreached = false;
+    sla.escalations = (sla.escalations || []).filter((event) => !event.startsWith('resolution_'));
+  }
+
+  if (pauses && !sla.resolvedAt && !sla.pausedAt) {
+    sla.pausedAt = now;
+  }
+
+  refreshSlaState(sla, now);
+};
+
+/**
+ * Stamp the first agent/manager reply on a ticket.
+ */
+export const recordFirstResponse = async (ticketId, now = new Date()) => {
+  const ticket = await Ticket.findOne({
+    _id: ticketId,
+    'sla.policyId': { $ne: null },
+    'sla.firstRespondedAt': null
+  });
+  if (!ticket) {
+    return null;
+  }
+
+  ticket.sla.firstRespondedAt = now;
+  refreshSlaState(ticket.sla, now);
+  await ticket.save();
+  return ticket;
+};
+
+/**
+ * Query fragment for the `slaState` filter on ticket lists (comma separated values allowed).
+ */
+export const buildSlaStateFilter = (slaState) => {
+  if (!slaState || typeof slaState !== 'string') {
+    return {};
+  }
+
+  const states = slaState.split(',').map((state) => state.trim()).filter((state) => SLA_STATES.includes(state));
+  if (states.length === 0) {
+    return {};
+  }
+
+  return { 'sla.state': states.length === 1 ? states[0] : { $in: states } };
+};
+
+const escalateTicket = async (ticket, events) => {
+  const ticketNumber = ticket.ticketNumber || ticket._id;
+  const policy = await SlaPolicy.findById(ticket.sla.policyId).select('escalationEmails').lean();
+  const managers = await User.find({ role: 'manager', isActive: true, isDeleted: { $ne: true } }).select('_id email');
+  const agent = ticket.assignedAgent
+    ? await User.findById(ticket.assignedAgent).select('_id email')
+    : null;
+
+  const recipients = [...managers, ...(agent ? [agent] : [])];
+
+  for (const event of events) {
+    const definition = ESCALATION_EVENTS[event];
+    const message = definition.describe(ticketNumber);
+    const dueAt = ticket.sla[definition.dueField];
+
+    await Promise.allSettled(recipients.map((recipient) => createNotificationWithPush({
+      title: definition.title,
+      message,
+      type: definition.type,
+      category: 'ticket',
+      userId: String(recipient._id),
+      metadata: {
+        ticketId: ticket._id,
+        ticketNumber,
+        slaEvent: event,
+        dueAt
+      }
+    }, {
+      pushData: { type: 'sla_escalation' }
+    })));
+
+    const emailResult = await sendSlaEscalationEmail(
+      ticket,
+      { title: definition.title, message, dueAt },
+      [...recipients.map((recipient) => recipient.email), ...(policy?.escalationEmails || [])]
+    );
+    if (!emailResult?.success) {
+      console.error('Failed to send SLA escalation email:', emailResult?.error);
+    }
+  }
+};
+
+/**
+ * Re-evaluate every running SLA that has reached a warning or due time and escalate new events.
+ */
+export const runSlaCheck = async (now = new Date()) => {
+  const tickets = await Ticket.find({
+    'sla.policyId': { $ne: null },
+    'sla.resolvedAt': null,
+    'sla.pausedAt': null,
+    $or: [
+      {
+        'sla.firstRespondedAt': null,
+        'sla.firstResponseWarningAt': { $lte: now },
+        'sla.escalations': { $ne: 'first_response_breach' }
+      },
+      {
+        'sla.resolutionWarningAt': { $lte: now },
+        'sla.escalations': { $ne: 'resolution_breach' }
+      }
+    ]
+  });
+
+  let escalated = 0;
+  for (const ticket of tickets) {
+    const events = refreshSlaState(ticket.sla, now);
+
+    // Claim the events atomically so several instances never escalate the same event twice
+    const { modifiedCount } = await Ticket.updateOne(
+      { _id: ticket._id, 'sla.escalations': { $nin: events } },
+      {
+        $set: {
+          'sla.state': ticket.sla.state,
+          'sla.firstResponseBreached': ticket.sla.firstResponseBreached,
+          'sla.resolutionBreached': ticket.sla.resolutionBreached
+        },
+        ...(events.length > 0 ? { $addToSet: { 'sla.escalations': { $each: events } } } : {})
+      }
+    );
+
+    if (events.length > 0 && modifiedCount > 0) {
+      try {
+        await escalateTicket(ticket, events);
+        escalated++;
+      } catch (error) {
+        console.error(`Failed to escalate SLA for ticket ${ticket.ticketNumber}:`, error);
+      }
+    }
+  }
+
+  return { checked: tickets.length, escalated };
+};
+
+let monitorHandle = null;
+
+export const startSlaMonitor = (intervalMs = Number(process.env.SLA_CHECK_INTERVAL_MS) || DEFAULT_CHECK_INTERVAL_MS) => {
+  if (monitorHandle) {
+    return monitorHandle;
+  }
+
+  let running = false;
+  monitorHandle = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { escalated } = await runSlaCheck();
+      if (escalated > 0) {
+        console.log(`⏰ SLA monitor escalated ${escalated} ticket(s)`);
+      }
+    } catch (error) {
+      console.error('SLA monitor error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  console.log('⏰ SLA monitor started');
+  return monitorHandle;
+};
+
+export const stopSlaMonitor = () => {
+  if (monitorHandle) {
+    clearInterval(monitorHandle);
+    monitorHandle = null;
+  }
+};
@@ -0,0 +1,204 @@
+import TicketStatus from '../models/TicketStatus.js';
+import User from '../models/User.js';
+import { applySlaStatusChange } from './slaService.js';
+import { requestCsatSurvey } from './csatService.js';
+import { sendPushNotification } from './pushNotificationService.js';
+import { recordTicketEvent } from '../utils/ticketEventLogger.js';
+import { sendTicketUpdateStatusEmail, sendTicketStatusChangeAdminEmail } from '../utils/emailService.js';
+
+// Short cache so every request does not hit Mongo; edits through the API invalidate it immediately
+const CACHE_TTL_MS = 30 * 1000;
+let workflowCache = null;
+let workflowLoadedAt = 0;
+
+export class WorkflowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * All status definitions keyed by status key.
+ */
+export const loadWorkflow = async ({ fresh = false } = {}) => {
+  if (!fresh && workflowCache && Date.now() - workflowLoadedAt < CACHE_TTL_MS) {
+    return workflowCache;
+  }
+
+  const statuses = await TicketStatus.find().sort({ sortOrder: 1 }).lean();
+  workflowCache = new Map(statuses.map(status => [status.key, status]));
+  workflowLoadedAt = Date.now();
+  return workflowCache;
+};
+
+export const invalidateWorkflowCache = () => {
+  workflowCache = null;
+};
+
+export const getStatusKeysByKind = async (kinds) => {
+  const workflow = await loadWorkflow();
+  return [...workflow.values()].filter(status => kinds.includes(status.kind)).map(status => status.key);
+};
+
+export const getInitialStatus = async () => {
+  const workflow = await loadWorkflow();
+  const initial = [...workflow.values()].find(status => status.isInitial && status.isActive);
+  return initial?.key || 'pending';
+};
+
+/**
+ * Transitions out of a status that the given role may perform.
+ */
+export const getAvailableTransitions = async (fromStatus, role) => {
+  const workflow = await loadWorkflow();
+  const from = workflow.get(fromStatus);
+  if (!from) {
+    return [];
+  }
+
+  return from.transitions
+    .filter(transition => workflow.get(transition.to)?.isActive)
+    .filter(transition => !role || transition.roles.includes(role))
+    .map(transition => ({
+      to: transition.to,
+      label: workflow.get(transition.to).label,
+      kind: workflow.get(transition.to).kind,
+      requiresReason: transition.requiresReason
+    }));
+};
+
+/**
+ * Validate a transition against the workflow. Throws WorkflowError when it is not allowed.
+ * Pass role 'system' for automatic transitions - they skip the role check.
+ */
+export const assertTransition = async (fromStatus, toStatus, { role, reason } = {}) => {
+  const workflow = await loadWorkflow();
+  const from = workflow.get(fromStatus);
+  const to = workflow.get(toStatus);
+
+  if (!to || !to.isActive) {
+    throw new WorkflowError(`Unknown ticket status "${toStatus}"`);
+  }
+  if (fromStatus === toStatus) {
+    throw new WorkflowError(`Ticket is already ${to.label.toLowerCase()}`);
+  }
+  if (!from) {
+    throw new WorkflowError(`Current status "${fromStatus}" is not part of the ticket workflow`);
+  }
+
+  const transition = from.transitions.find(t => t.to === toStatus);
+  if (!transition) {
+    const allowed = from.transitions.map(t => t.to).join(', ') || 'none';
+    throw new WorkflowError(`Cannot change status from ${from.label} to ${to.label}. Allowed: ${allowed}`);
+  }
+
+  if (role !== 'system' && !transition.roles.includes(role)) {
+    throw new WorkflowError(`Your role cannot change status from ${from.label} to ${to.label}`, 403);
+  }
+
+  if (transition.requiresReason && !String(reason || '').trim()) {
+    throw new WorkflowError(`A reason is required to change status to ${to.label}`);
+  }
+
+  return { from, to, transition };
+};
+
+/**
+ * The one place ticket statuses change. Validates the transition, updates SLA tracking,
+ * saves the ticket and records the timeline entry. Notifications are left to the caller
+ * (see notifyTicketStatusChange) so bulk/system paths can skip them.
+ *
+ * actor: { id, role, name } of whoever makes the change ({ role: 'system' } for automatic changes).
+ * req:   pass the express request when there is one so the timeline can resolve the actor.
+ */
+export const changeTicketStatus = async (ticket, toStatus, { actor = { role: 'system' }, reason = '', req = null } = {}) => {
+  const previousStatus = ticket.status;
+  const { to } = await assertTransition(previousStatus, toStatus, { role: actor.role, reason });
+
+  const trimmedReason = String(reason || '').trim();
+  ticket.status = toStatus;
+  if (trimmedReason && ['resolved', 'closed'].includes(to.kind)) {
+    ticket.resolutionNote = trimmedReason;
+  }
+
+  await applySlaStatusChange(ticket, previousStatus, toStatus, { kind: to.kind });
+  await ticket.save();
+
+  await recordTicketEvent(req, {
+    ticketId: ticket._id,
+    type: 'status_changed',
+    before: { status: previousStatus },
+    after: { status: toStatus, ...(trimmedReason ? { reason: trimmedReason } : {}) },
+    message: `Status changed from ${previousStatus} to ${toStatus}${trimmedReason ? `: ${trimmedReason}` : ''}`,
+    actor: req
+      ? undefined
+      : { userId: actor.id || null, name: actor.name || 'System', role: actor.role || 'system' }
+  });
+
+  return { previousStatus, status: toStatus, definition: to };
+};
+
+/**
+ * Email the customer and admin and push the customer and assigned agent about a status change.
+ * Resolved/closed tickets also trigger the CSAT survey request.
+ */
+export const notifyTicketStatusChange = async (ticket, { changedByUserId = null, reason = null } = {}) => {
+  try {
+    const workflow = await loadWorkflow();
+    const definition = workflow.get(ticket.status);
+    const ticketDisplay = ticket.ticketNumber || ticket._id;
+
+    const notificationRecipients = [];
+
+    // Notify customer
+    if (ticket.customer) {
+      notificationRecipients.push(ticket.customer);
+    }
+
+    // Notify assigned agent
+    if (ticket.assignedAgent) {
+      notificationRecipients.push(ticket.assignedAgent);
+    }
+
+    const customerdata = await User.findById(ticket.customer);
+
+    // Get user who made the change
+    const changedByUser = changedByUserId ? await User.findById(changedByUserId).select('name') : null;
+
+    // Send email to customer
+    const emailResults = await sendTicketUpdateStatusEmail(ticket, customerdata);
+    console.log('Email sending results:', emailResults);
+
+    // Send email to admin about status change
+    try {
+      await sendTicketStatusChangeAdminEmail(ticket, customerdata, changedByUser, reason);
+    } catch (adminEmailError) {
+      console.error('Failed to send admin status change email:', adminEmailError);
+    }
+
+    if (notificationRecipients.length > 0) {
+      await sendPushNotification({
+        title: `Ticket Status Updated - #${ticketDisplay}`,
+        body: definition?.customerMessage || `Ticket status changed to ${definition?.label || ticket.status}.`,
+        data: {
+          type: 'ticket_status_updated',
+          ticketId: ticket._id.toString(),
+          ticketNumber: ticketDisplay,
+          newStatus: ticket.status,
+        },
+        userIds: notificationRecipients,
+      });
+      console.log('📱 Push notification sent for ticket status update');
+    }
+  } catch (pushError) {
+    console.error('Failed to send push notification for status update:', pushError);
+  }
+
+  // Finished tickets get a satisfaction survey
+  const workflow = await loadWorkflow();
+  if (['resolved', 'closed'].includes(workflow.get(ticket.status)?.kind)) {
+    await requestCsatSurvey(ticket);
+  }
+};
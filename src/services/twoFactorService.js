@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Role from '../models/Role.js';
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step before or after are accepted to allow for phone clock drift
+const TOTP_DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+const EMAIL_OTP_TTL_MS = 10 * 60 * 1000;
+const CHALLENGE_TOKEN_TTL = '10m';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TWO_FACTOR_METHODS = ['totp', 'email', 'backup'];
+
+export class TwoFactorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.statusCode = statusCode;
+  }
+}
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  let bits = '';
+  for (const char of String(value).toUpperCase().replace(/[\s=]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new TwoFactorError('Invalid authenticator secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const challengeSecret = () => `${process.env.JWT_SECRET || 'fallback_secret'}:two_factor`;
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 6238 code for one 30 second step (HMAC-SHA1, 6 digits)
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check an authenticator code. Returns the matching time step, or null.
+ * Steps up to `lastUsedStep` are refused so a code cannot be used twice.
+ */
+export const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step += 1) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    if (safeEqual(totpCode(secret, step), normalized)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrollment. The panel renders it as a QR code for the authenticator app.
+ */
+export const buildOtpauthUrl = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Expand Machinery';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_PERIOD_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * One-time recovery codes. Only the hashes are stored; the codes are shown to the user once.
+ */
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+/**
+ * Email fallback code, same format as the email verification OTP
+ */
+export const generateEmailOtp = () => {
+  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+  return { otp, otpHash: hashCode(otp), expiresAt: new Date(Date.now() + EMAIL_OTP_TTL_MS) };
+};
+
+/**
+ * Short-lived token proving the password step passed. `purpose` is 'login' (enter a code)
+ * or 'setup' (the role requires 2FA and the user still has to enroll).
+ * Signed with its own secret so it can never be used as a session token.
+ */
+export const signChallengeToken = (user, purpose) => jwt.sign(
+  { id: String(user._id), purpose },
+  challengeSecret(),
+  { expiresIn: CHALLENGE_TOKEN_TTL }
+);
+
+// User id of a login challenge, or null (for rate limiting before the token is fully checked)
+export const challengeUserId = (token) => {
+  try {
+    return verifyChallengeToken(token, 'login').id;
+  } catch {
+    return null;
+  }
+};
+
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), challengeSecret());
+    if (decoded.purpose !== purpose) {
+      throw new Error('Wrong purpose');
+    }
+    return decoded;
+  } catch {
+    throw new TwoFactorError('Two-factor session has expired - Please login again', 401);
+  }
+};
+
+/**
+ * Whether the user's role enforces two-factor authentication
+ */
+export const isTwoFactorRequired = async (user) => {
+  if (!user || user.role === 'customer') {
+    return false;
+  }
+  const query = user.roleId ? { _id: user.roleId } : { key: user.role, isSystem: true };
+  const role = await Role.findOne({ ...query, isActive: true }).select('requireTwoFactor').lean();
+  return !!role?.requireTwoFactor;
+};
+
+/**
+ * Check a second-factor code against the user and consume it (backup and email codes work once,
+ * authenticator codes are not accepted again). The user must be loaded with the two-factor fields.
+ * Returns the method that matched; the caller saves the user.
+ */
+export const verifySecondFactor = (user, { method, code }) => {
+  if (!code) {
+    throw new TwoFactorError('code is required');
+  }
+  if (method && !TWO_FACTOR_METHODS.includes(method)) {
+    throw new TwoFactorError(`method must be one of: ${TWO_FACTOR_METHODS.join(', ')}`);
+  }
+
+  if (!method || method === 'totp') {
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep ?? null);
+    if (step !== null) {
+      user.twoFactorLastUsedStep = step;
+      return 'totp';
+    }
+  }
+
+  if (!method || method === 'email') {
+    const valid = user.twoFactorEmailOTP
+      && user.twoFactorEmailOTPExpiry > new Date()
+      && safeEqual(user.twoFactorEmailOTP, hashCode(code));
+    if (valid) {
+      user.twoFactorEmailOTP = undefined;
+      user.twoFactorEmailOTPExpiry = undefined;
+      return 'email';
+    }
+  }
+
+  if (!method || method === 'backup') {
+    const codeHash = hashCode(code);
+    const index = (user.twoFactorBackupCodes || []).findIndex(hash => safeEqual(hash, codeHash));
+    if (index !== -1) {
+      user.twoFactorBackupCodes.splice(index, 1);
+      return 'backup';
+    }
+  }
+
+  throw new TwoFactorError('Invalid or expired verification code', 401);
+};
+
+// Fields that verifySecondFactor needs (all select: false on User)
+export const TWO_FACTOR_SELECT = '+twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes +twoFactorEmailOTP +twoFactorEmailOTPExpiry';
@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import Ticket from '../models/Ticket.js';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { enqueueJob } from './jobQueue.js';
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is not attempted again by another job for this long
+const CLAIM_LEASE_MS = 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+const getMaxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// Timeline event types that are published to webhooks (reassigned is a kind of assignment)
+const TICKET_EVENT_WEBHOOKS = {
+  created: 'ticket.created',
+  status_changed: 'ticket.status_changed',
+  assigned: 'ticket.assigned',
+  reassigned: 'ticket.assigned',
+  unassigned: 'ticket.unassigned',
+  category_changed: 'ticket.category_changed',
+  note_added: 'ticket.note_added',
+  attachment_added: 'ticket.attachment_added',
+  archived: 'ticket.archived',
+  unarchived: 'ticket.unarchived',
+  csat_submitted: 'ticket.csat_submitted'
+};
+
+// Addresses a webhook may never be sent to: loopback, private, link-local (cloud metadata), CGNAT,
+// multicast and reserved ranges. WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for local development.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check that a webhook URL may be called: https in production, and a host that resolves to public
+ * addresses only. Runs when an endpoint is saved and again before every delivery (DNS can change).
+ * Returns an error message or null.
+ */
+export const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'url must start with http:// or https://';
+  }
+  if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') {
+    return 'url must start with https://';
+  }
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+    return null;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    return `url host ${hostname} could not be resolved`;
+  }
+  const blocked = addresses.find(({ address, family }) => blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked) {
+    return `url must not point to a private, loopback or link-local address (${blocked.address})`;
+  }
+  return null;
+};
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature sent in X-Webhook-Signature. Receivers recompute it from the X-Webhook-Timestamp header
+ * and the raw request body: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ */
+export const signWebhookPayload = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// 30s, 1m, 2m, 4m ... capped at 6 hours
+export const getRetryDelayMs = (attemptCount) => Math.min(BACKOFF_BASE_MS * 2 ** (attemptCount - 1), BACKOFF_MAX_MS);
+
+// Each attempt is a webhook.deliver job; the key stops an attempt from being queued twice.
+// A delivery whose attempt cannot be queued is marked failed instead of staying pending forever.
+const scheduleAttempt = async (delivery) => {
+  try {
+    await enqueueJob('webhook.deliver', { deliveryId: delivery._id }, {
+      idempotencyKey: `webhook-delivery:${delivery._id}:${delivery.attemptCount}`,
+      runAt: delivery.nextAttemptAt
+    });
+  } catch (error) {
+    console.error(`Failed to queue webhook delivery ${delivery._id}:`, error);
+    await WebhookDelivery.updateOne({ _id: delivery._id, status: 'pending' }, {
+      $set: { status: 'failed' },
+      $push: { attempts: { attemptedAt: new Date(), error: `The attempt could not be queued: ${error.message}` } }
+    });
+    delivery.status = 'failed';
+  }
+};
+
+/**
+ * Send one attempt of a pending delivery and queue the next one if it failed. The delivery is
+ * claimed first so a queued attempt and a manual one (test, replay) never send it twice.
+ */
+export const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+    { new: true }
+  );
+  if (!delivery) {
+    return null;
+  }
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+  if (!endpoint || !endpoint.isActive) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ error: 'Endpoint is disabled or was removed' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempt = { attemptedAt: new Date() };
+  const startedAt = Date.now();
+
+  try {
+    const urlError = await checkWebhookUrl(endpoint.url);
+    if (urlError) {
+      throw new Error(urlError);
+    }
+
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ExpandMachinery-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signWebhookPayload(endpoint.secret, timestamp, body)
+      },
+      body,
+      // A redirect could lead to an address the check above would refuse
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    attempt.responseStatus = response.status;
+    attempt.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  delivery.attempts.push(attempt);
+  delivery.attemptCount += 1;
+
+  const succeeded = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+  if (succeeded) {
+    delivery.status = 'succeeded';
+  } else if (delivery.attemptCount >= getMaxAttempts()) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attemptCount));
+  }
+  await delivery.save();
+  if (delivery.status === 'pending') {
+    await scheduleAttempt(delivery);
+  }
+
+  endpoint.lastDeliveryAt = attempt.attemptedAt;
+  endpoint.lastDeliveryStatus = succeeded ? 'succeeded' : (attempt.responseStatus ? `HTTP ${attempt.responseStatus}` : attempt.error);
+  await endpoint.save();
+
+  return delivery;
+};
+
+/**
+ * Queue an event for every active endpoint subscribed to it. Never throws - webhooks must not break the request.
+ */
+export const emitWebhookEvent = async (event, data) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ isActive: true, events: event }).select('_id');
+    if (endpoints.length === 0) {
+      return [];
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      endpointId: endpoint._id,
+      eventId,
+      event,
+      payload
+    })));
+    await Promise.all(deliveries.map(delivery => scheduleAttempt(delivery)));
+    return deliveries;
+  } catch (error) {
+    console.error(`Failed to queue webhook event ${event}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Send a stored delivery again (same event id and payload) as a new delivery
+ */
+export const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    endpointId: delivery.endpointId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id
+  });
+  return attemptDelivery(replay._id);
+};
+
+const ticketSnapshot = (ticket) => ({
+  id: ticket._id,
+  ticketNumber: ticket.ticketNumber,
+  status: ticket.status,
+  channel: ticket.channel,
+  customerId: ticket.customer,
+  assignedAgentId: ticket.assignedAgent,
+  categoryId: ticket.categoryId,
+  equipmentId: ticket.equipmentId,
+  machineId: ticket.machineId,
+  serialNumber: ticket.serialNumber,
+  entitlement: ticket.entitlement?.status || null,
+  createdAt: ticket.createdAt,
+  updatedAt: ticket.updatedAt
+});
+
+/**
+ * Publish a ticket timeline entry (see recordTicketEvent) as its webhook event
+ */
+export const emitTicketEventWebhook = async (ticketEvent) => {
+  const event = TICKET_EVENT_WEBHOOKS[ticketEvent.type];
+  if (!event || !await WebhookEndpoint.exists({ isActive: true, events: event })) {
+    return;
+  }
+
+  const ticket = await Ticket.findById(ticketEvent.ticketId).lean();
+  if (!ticket) {
+    return;
+  }
+
+  await emitWebhookEvent(event, {
+    ticket: ticketSnapshot(ticket),
+    change: {
+      type: ticketEvent.type,
+      before: ticketEvent.before,
+      after: ticketEvent.after,
+      message: ticketEvent.message,
+      actor: ticketEvent.actor
+    }
+  });
+};
+
+/**
+ * Publish a customer-visible chat message (internal notes go out as ticket.note_added)
+ */
+export const emitMessageWebhook = async (message) => {
+  if (message.isInternal || message.messageType === 'infoSystem') {
+    return;
+  }
+  await emitWebhookEvent('message.created', {
+    id: message._id,
+    chatId: message.chatId,
+    ticketId: message.ticketId,
+    sender: {
+      userId: message.sender?.userId?._id || message.sender?.userId,
+      userType: message.sender?.userType,
+      userName: message.sender?.userName
+    },
+    content: message.content,
+    messageType: message.messageType,
+    attachments: (message.attachments || []).map(a => ({ originalName: a.originalName, mimeType: a.mimeType, size: a.size, url: a.url })),
+    createdAt: message.createdAt
+  });
+};
+
+export const customerWebhookData = (customer) => ({
+  id: customer._id,
+  name: customer.name,
+  email: customer.email,
+  phone: customer.phone,
+  isActive: customer.isActive,
+  createdAt: customer.createdAt
+});
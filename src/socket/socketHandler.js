@@ -1,10 +1,17 @@
+import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import Notification from '../models/Notification.js';
 import Chat from '../models/Chat.js';
 import Message from '../models/Message.js';
 import Ticket from '../models/Ticket.js';
 import { logActivity } from '../utils/activityLogger.js';
+import { changeTicketStatus, notifyTicketStatusChange, WorkflowError } from '../services/ticketWorkflowService.js';
+import { findUsableMacro, applyMacro, MacroError } from '../services/macroService.js';
+import { isStaffRole, messageVisibilityFilter, staffRoomName } from '../services/internalNoteService.js';
+import { recordPresence } from '../services/presenceService.js';
+import { buildVisibleTicketFilter } from '../services/permissionService.js';
 
 // Function to broadcast active users in a room
 export const broadcastActiveUsers = (io, ticketId) => {
@@ -22,6 +29,20 @@ export const broadcastActiveUsers = (io, ticketId) => {
   }
 };
 
+// The ticket when the socket user may see it: staff by the agent ticket visibility, customers only their own
+const findVisibleTicket = async (socket, ticketId) => {
+  if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+    return null;
+  }
+
+  if (isStaffRole(socket.userRole)) {
+    const user = await User.findById(socket.userId);
+    return user ? Ticket.findOne(await buildVisibleTicketFilter(user, ticketId)) : null;
+  }
+
+  return Ticket.findOne({ _id: ticketId, customer: socket.userId });
+};
+
 // Socket.IO authentication middleware
 export const socketAuthMiddleware = async (socket, next) => {
   try {
@@ -38,6 +59,11 @@ export const socketAuthMiddleware = async (socket, next) => {
       return next(new Error('Authentication error: User not found'));
     }
 
+    // App tokens belong to a device session - a logged out device cannot reconnect
+    if (decoded.sid && !await Session.exists({ _id: decoded.sid, userId: user._id, revokedAt: null })) {
+      return next(new Error('Authentication error: Session has ended'));
+    }
+
     socket.userId = user._id;
     socket.userEmail = user.email;
     socket.userRole = decoded.role || 'customer';
@@ -67,13 +93,14 @@ export const handleSocketConnection = (io) => {
     // Update user status to online on connection (for both customers and agents)
     (async () => {
       try {
-        await User.findOneAndUpdate(
+        const updatedUser = await User.findOneAndUpdate(
           { 
             $or: [{ email: socket.userEmail }, { _id: socket.userId }]
           },
           { status: 'online' },
           { new: true }
         );
+        await recordPresence(updatedUser, 'online');
 
         // Broadcast status update
         if (socket.userRole === 'agent' || socket.userRole === 'admin' || socket.userRole === 'manager') {
@@ -119,6 +146,10 @@ export const handleSocketConnection = (io) => {
       }
       
       socket.join(roomName);
+      // Agents and managers also get the internal notes of the ticket
+      if (isStaffRole(socket.userRole)) {
+        socket.join(staffRoomName(ticketId));
+      }
       console.log(`User ${socket.userName} (${socket.userEmail}) joined ticket room: ${roomName}`);
 
       // Get room info for debugging (after join)
@@ -149,6 +180,7 @@ export const handleSocketConnection = (io) => {
     // Leave ticket room
     socket.on('leave_ticket', (ticketId) => {
       socket.leave(`ticket_${ticketId}`);
+      socket.leave(staffRoomName(ticketId));
       // Broadcast active users to remaining users in the room
       broadcastActiveUsers(io, ticketId);
 
@@ -172,7 +204,41 @@ export const handleSocketConnection = (io) => {
           return;
         }
 
-        const { chatId, ticketId, content, messageType = 'text' } = data;
+        const { chatId, ticketId, messageType = 'text', macroId } = data;
+        let { content } = data;
+        const isInternal = data.isInternal === true;
+
+        if (isInternal && !isStaffRole(socket.userRole)) {
+          socket.emit('error', { message: 'Only agents and managers can add internal notes' });
+          return;
+        }
+
+        // Macro replies: render the text and run the macro's actions
+        if (macroId) {
+          if (!['agent', 'manager'].includes(socket.userRole)) {
+            socket.emit('error', { message: 'Access denied' });
+            return;
+          }
+          const [sender, macroTicket] = await Promise.all([
+            User.findById(socket.userId),
+            Ticket.findById(ticketId)
+          ]);
+          if (!sender || !macroTicket) {
+            socket.emit('error', { message: 'Ticket not found' });
+            return;
+          }
+          const macro = await findUsableMacro(macroId, sender, macroTicket);
+          const macroResult = await applyMacro(macro, macroTicket, sender);
+          if (!String(content || '').trim()) {
+            content = macroResult.content;
+          }
+          socket.emit('macro_applied', {
+            ticketId,
+            macroId,
+            applied: macroResult.applied,
+            errors: macroResult.errors
+          });
+        }
         
         // Create message object
         const messageData = {
@@ -188,20 +254,22 @@ export const handleSocketConnection = (io) => {
           },
           content,
           messageType,
+          isInternal,
           createdAt: new Date().toISOString(),
           isRead: false
         };
 
         const ticket = await Ticket.findById(ticketId).select('ticketNumber');
-        socket.to(`ticket_${ticketId}`).emit('message_broadcast', {
+        // Internal notes never reach the customer's sockets
+        socket.to(isInternal ? staffRoomName(ticketId) : `ticket_${ticketId}`).emit('message_broadcast', {
           ...messageData,
           from: socket.userName
         });
 
         // Activity log: if agent's first message in this chat
         try {
-          if (socket.userRole === 'agent') {
-            const count = await Message.countDocuments({ chatId, 'sender.userId': socket.userId });
+          if (socket.userRole === 'agent' && !isInternal) {
+            const count = await Message.countDocuments({ chatId, 'sender.userId': socket.userId, isInternal: { $ne: true } });
             if (count === 0) {
               const ticketDoc = await Ticket.findById(ticketId).select('ticketNumber').lean();
               const ticketDisplay = ticketDoc?.ticketNumber || ticketId;
@@ -218,6 +286,10 @@ export const handleSocketConnection = (io) => {
 
 
       } catch (error) {
+        if (error instanceof MacroError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
         console.error('Error handling message:', error);
         socket.emit('error', { message: 'Failed to send message' });
       }
@@ -232,6 +304,48 @@ export const handleSocketConnection = (io) => {
       });
     });
 
+    // Handle ticket status change (same workflow rules as the REST endpoints)
+    socket.on('change_ticket_status', async (data) => {
+      try {
+        const { ticketId, status, reason } = data || {};
+
+        const ticket = await findVisibleTicket(socket, ticketId);
+        if (!ticket) {
+          socket.emit('error', { message: 'Ticket not found' });
+          return;
+        }
+
+        const { previousStatus } = await changeTicketStatus(ticket, status, {
+          actor: { id: socket.userId, role: socket.userRole, name: socket.userName },
+          reason
+        });
+
+        await logActivity(null, {
+          userId: socket.userId,
+          message: `Ticket ${ticket.ticketNumber || ticket._id} status changed to ${ticket.status}`,
+          status: 'updated'
+        });
+
+        io.to(`ticket_${ticketId}`).emit('ticket_status_updated', {
+          ticketId,
+          ticketNumber: ticket.ticketNumber,
+          previousStatus,
+          status: ticket.status,
+          changedBy: socket.userName,
+          timestamp: new Date()
+        });
+
+        await notifyTicketStatusChange(ticket, { changedByUserId: socket.userId, reason });
+      } catch (error) {
+        if (error instanceof WorkflowError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+        console.error('Error changing ticket status:', error);
+        socket.emit('error', { message: 'Failed to change ticket status' });
+      }
+    });
+
     // Handle test message
     socket.on('test_message', (data) => {
       socket.emit('test_response', { message: 'Test message received successfully', from: socket.userName });
@@ -253,13 +367,14 @@ export const handleSocketConnection = (io) => {
         const userRole = data.role || socket.userRole;
         
         // Update user status in database
-        await User.findOneAndUpdate(
+        const updatedUser = await User.findOneAndUpdate(
           { 
             $or: [{ email: data.userEmail }, { _id: data.userId }]
           },
           { status: 'online' },
           { new: true }
         );
+        await recordPresence(updatedUser, 'online');
 
         // Broadcast status update based on role
         if (userRole === 'agent' || userRole === 'admin' || userRole === 'manager') {
@@ -290,13 +405,14 @@ export const handleSocketConnection = (io) => {
         const userRole = data.role || socket.userRole;
         
         // Update user status in database
-        await User.findOneAndUpdate(
+        const updatedUser = await User.findOneAndUpdate(
           { 
             $or: [{ email: data.userEmail }, { _id: data.userId }]
           },
           { status: 'offline' },
           { new: true }
         );
+        await recordPresence(updatedUser, 'offline');
 
         // Broadcast status update based on role
         if (userRole === 'agent' || userRole === 'admin' || userRole === 'manager') {
@@ -331,6 +447,9 @@ export const handleSocketConnection = (io) => {
         }
       });
 
+      // Kept for the offline check below, which runs after the socket data is cleared
+      const { userId, userEmail, userRole, userName } = socket;
+
       // Clear socket data to free memory
       delete socket.userId;
       delete socket.userEmail;
@@ -347,41 +466,42 @@ export const handleSocketConnection = (io) => {
       const offlineTimeout = setTimeout(async () => {
         try {
           const user = await User.findOne({ 
-            $or: [{ email: socket.userEmail }, { _id: socket.userId }]
+            $or: [{ email: userEmail }, { _id: userId }]
           });
 
           if (user) {
             // Check if user has any other active connections
             let hasActiveConnection = false;
             io.sockets.sockets.forEach((s) => {
-              if (s.userId && String(s.userId) === String(socket.userId) && s.id !== socket.id && s.connected) {
+              if (s.userId && String(s.userId) === String(userId) && s.id !== socket.id && s.connected) {
                 hasActiveConnection = true;
               }
             });
 
             if (!hasActiveConnection) {
-              await User.findOneAndUpdate(
+              const updatedUser = await User.findOneAndUpdate(
                 { 
-                  $or: [{ email: socket.userEmail }, { _id: socket.userId }]
+                  $or: [{ email: userEmail }, { _id: userId }]
                 },
                 { status: 'offline' },
                 { new: true }
               );
+              await recordPresence(updatedUser, 'offline');
 
               // Broadcast status update based on role
-              if (socket.userRole === 'agent' || socket.userRole === 'admin' || socket.userRole === 'manager') {
+              if (userRole === 'agent' || userRole === 'admin' || userRole === 'manager') {
                 io.emit('agent_status_update', {
-                  userId: socket.userId,
-                  userEmail: socket.userEmail,
-                  userName: socket.userName,
+                  userId,
+                  userEmail,
+                  userName,
                   status: 'offline',
                   timestamp: new Date()
                 });
-              } else if (socket.userRole === 'customer') {
+              } else if (userRole === 'customer') {
                 io.emit('customer_status_update', {
-                  userId: socket.userId,
-                  userEmail: socket.userEmail,
-                  userName: socket.userName,
+                  userId,
+                  userEmail,
+                  userName,
                   status: 'offline',
                   timestamp: new Date()
                 });
@@ -427,24 +547,25 @@ export const handleSocketConnection = (io) => {
         }
  
         // First, get total count to check if we need to fetch latest messages
-        const totalMessages = await Message.countDocuments({ chatId: chat._id });
+        const visibleQuery = { chatId: chat._id, ...messageVisibilityFilter(socket.userRole) };
+        const totalMessages = await Message.countDocuments(visibleQuery);
  
         let messages;
         if (totalMessages > limit) {
-          messages = await Message.find({ chatId: chat._id })
+          messages = await Message.find(visibleQuery)
             .sort({ createdAt: -1 }) // Latest first
             .limit(limit)
             .lean()
-            .select('_id chatId ticketId sender content messageType createdAt isRead readBy attachments');
+            .select('_id chatId ticketId sender content messageType isInternal mentions createdAt isRead readBy attachments');
           messages.reverse();
           console.log(`📊 [SOCKET] Total messages: ${totalMessages}, sending latest ${messages.length} messages for ticket: ${ticketId}`);
         } else {
           // If less than limit, fetch all messages (oldest first)
-          messages = await Message.find({ chatId: chat._id })
+          messages = await Message.find(visibleQuery)
             .sort({ createdAt: 1 }) // Oldest first
             .limit(limit)
             .lean()
-            .select('_id chatId ticketId sender content messageType createdAt isRead readBy attachments');
+            .select('_id chatId ticketId sender content messageType isInternal mentions createdAt isRead readBy attachments');
           console.log(`📊 [SOCKET] Total messages: ${totalMessages}, sending all messages for ticket: ${ticketId}`);
         }
  
@@ -3,10 +3,12 @@ import ActivityLog from '../models/ActivityLog.js';
 export async function logActivity(req, { message, status, userId: explicitUserId }) {
     const userId = explicitUserId || req?.user?.id;
     if (!userId) return; // silently skip if no user in context
+    const apiKey = req?.apiKey;
     await ActivityLog.create({
         userId,
         message,
-        status
+        status,
+        apiKey: apiKey ? { keyId: apiKey.id, name: apiKey.name, prefix: apiKey.prefix } : undefined
     });
 }
 
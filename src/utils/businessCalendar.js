@@ -0,0 +1,206 @@
+const MS_PER_MINUTE = 60 * 1000;
+// Hard stop for calendar walks so a misconfigured calendar can never loop forever
+const MAX_ITERATIONS = 5000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+export const isValidTimezone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const parseTimeOfDay = (value) => {
+  const [hours, minutes] = String(value || '').split(':').map(Number);
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+// Wall-clock parts of a date in the given timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS[parts.weekday],
+    minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60
+  };
+};
+
+// Wall-clock date of `date` in the timezone: { year, month (1-12), day, weekday (0 = Sunday), minuteOfDay }
+export const getZonedDate = (date, timeZone) => {
+  const { year, month, day, weekday, minuteOfDay } = getZonedParts(date, timeZone);
+  return { year, month, day, weekday, minuteOfDay };
+};
+
+/**
+ * The instant a wall-clock time happens in the timezone. A time skipped by a DST change
+ * lands just after the gap; a repeated one resolves to its first occurrence.
+ */
+export const zonedTimeToUtc = ({ year, month, day, minuteOfDay }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day) + minuteOfDay * MS_PER_MINUTE;
+  const offsetAt = (instant) => {
+    const zoned = getZonedDate(new Date(instant), timeZone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day) + Math.round(zoned.minuteOfDay * 60) * 1000 - instant;
+  };
+  // The offsets in force around that time - a DST change switches between two of them
+  const candidates = [-1, 0, 1].map(halfDays => wallClock - offsetAt(wallClock + halfDays * 12 * 60 * MS_PER_MINUTE));
+  const valid = candidates.filter(instant => instant + offsetAt(instant) === wallClock);
+  return new Date(valid.length ? Math.min(...valid) : Math.max(...candidates));
+};
+
+const shiftMinutes = (date, minutes) => new Date(date.getTime() + minutes * MS_PER_MINUTE);
+
+// The instant of a wall-clock time on the zoned day of `parts`, `dayOffset` calendar days later.
+// Going through the calendar date keeps opening times right on days a DST change makes 23 or 25 hours long.
+const atTimeOfDay = (calendar, parts, minuteOfDay, dayOffset = 0) => {
+  const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + dayOffset));
+  return zonedTimeToUtc({
+    year: day.getUTCFullYear(),
+    month: day.getUTCMonth() + 1,
+    day: day.getUTCDate(),
+    minuteOfDay
+  }, calendar.timeZone);
+};
+
+const minutesUntil = (from, to) => (to.getTime() - from.getTime()) / MS_PER_MINUTE;
+
+// Normalise a policy's businessHours into something the walkers can use, or null for 24x7
+const resolveCalendar = (businessHours) => {
+  if (!businessHours || businessHours.enabled === false) {
+    return null;
+  }
+
+  const open = parseTimeOfDay(businessHours.startTime);
+  const close = parseTimeOfDay(businessHours.endTime);
+  const workingDays = Array.isArray(businessHours.workingDays) ? businessHours.workingDays : [];
+
+  if (open === null || close === null || close <= open || workingDays.length === 0) {
+    return null;
+  }
+
+  return {
+    timeZone: businessHours.timezone || 'UTC',
+    open,
+    close,
+    workingDays,
+    holidays: new Set(businessHours.holidays || [])
+  };
+};
+
+const isWorkingDay = (calendar, parts) => calendar.workingDays.includes(parts.weekday)
+  && !calendar.holidays.has(parts.dateKey);
+
+/**
+ * Add business minutes to a date, skipping nights, non-working days and holidays.
+ * Without business hours the minutes are simply added to the wall clock.
+ */
+export const addBusinessMinutes = (start, minutes, businessHours) => {
+  const startDate = new Date(start);
+  const calendar = resolveCalendar(businessHours);
+
+  if (!calendar) {
+    return shiftMinutes(startDate, minutes);
+  }
+
+  let cursor = startDate;
+  let remaining = Math.max(0, minutes);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const parts = getZonedParts(cursor, calendar.timeZone);
+
+    if (!isWorkingDay(calendar, parts) || parts.minuteOfDay >= calendar.close) {
+      cursor = atTimeOfDay(calendar, parts, calendar.open, 1);
+      continue;
+    }
+
+    if (parts.minuteOfDay < calendar.open) {
+      cursor = atTimeOfDay(calendar, parts, calendar.open);
+      continue;
+    }
+
+    const available = minutesUntil(cursor, atTimeOfDay(calendar, parts, calendar.close));
+    if (remaining <= available) {
+      return shiftMinutes(cursor, remaining);
+    }
+
+    remaining -= available;
+    cursor = atTimeOfDay(calendar, parts, calendar.open, 1);
+  }
+
+  return cursor;
+};
+
+/**
+ * Count the business minutes between two dates (0 when `to` is before `from`).
+ */
+export const businessMinutesBetween = (from, to, businessHours) => {
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+
+  if (toDate <= fromDate) {
+    return 0;
+  }
+
+  const calendar = resolveCalendar(businessHours);
+  if (!calendar) {
+    return (toDate.getTime() - fromDate.getTime()) / MS_PER_MINUTE;
+  }
+
+  let cursor = fromDate;
+  let total = 0;
+
+  for (let i = 0; i < MAX_ITERATIONS && cursor < toDate; i++) {
+    const parts = getZonedParts(cursor, calendar.timeZone);
+
+    if (!isWorkingDay(calendar, parts) || parts.minuteOfDay >= calendar.close) {
+      cursor = atTimeOfDay(calendar, parts, calendar.open, 1);
+      continue;
+    }
+
+    if (parts.minuteOfDay < calendar.open) {
+      cursor = atTimeOfDay(calendar, parts, calendar.open);
+      continue;
+    }
+
+    const windowEnd = atTimeOfDay(calendar, parts, calendar.close);
+    if (windowEnd >= toDate) {
+      total += minutesUntil(cursor, toDate);
+      break;
+    }
+
+    total += minutesUntil(cursor, windowEnd);
+    cursor = atTimeOfDay(calendar, parts, calendar.open, 1);
+  }
+
+  return total;
+};
@@ -0,0 +1,28 @@
+// Returns { from, to } or { error } for the ?from=&to= query (YYYY-MM-DD or ISO dates)
+export const parseDateRange = ({ from, to }) => {
+  const range = {};
+
+  if (from) {
+    range.from = new Date(from);
+    if (Number.isNaN(range.from.getTime())) {
+      return { error: 'Invalid from date' };
+    }
+  }
+
+  if (to) {
+    range.to = new Date(to);
+    if (Number.isNaN(range.to.getTime())) {
+      return { error: 'Invalid to date' };
+    }
+    // A plain date means "up to the end of that day"
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      range.to.setUTCHours(23, 59, 59, 999);
+    }
+  }
+
+  if (range.from && range.to && range.from > range.to) {
+    return { error: 'from date must be before to date' };
+  }
+
+  return range;
+};
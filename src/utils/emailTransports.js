@@ -0,0 +1,169 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+import SibApiV3Sdk from 'sib-api-v3-sdk';
+
+/**
+ * Email transports. EMAIL_TRANSPORT picks one:
+ *   brevo  (default) Brevo API - BREVO_API_KEY
+ *   smtp   any SMTP server - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+ *          SMTP_REQUIRE_TLS (default true: never log in or send without TLS)
+ *   file   writes .eml files to EMAIL_FILE_DIR (tmp/emails) instead of sending - for development
+ *   memory keeps sent emails in memory (getSentEmails) - for tests
+ *
+ * A transport is { send(message) } returning { messageId }, where message is
+ * { from: { name, email }, to: [emails], subject, html, text, replyTo, attachments: [{ name, content (base64) }] }.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAX_MEMORY_EMAILS = 500;
+
+const createBrevoTransport = () => ({
+  send: async ({ from, to, subject, html, text, replyTo, attachments }) => {
+    const apiKey = process.env.BREVO_API_KEY;
+    if (!apiKey) {
+      throw new Error('BREVO_API_KEY is not defined in environment variables');
+    }
+
+    const defaultClient = SibApiV3Sdk.ApiClient.instance;
+    defaultClient.authentications['api-key'].apiKey = apiKey;
+    const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+    sendSmtpEmail.sender = from;
+    sendSmtpEmail.to = to.map(email => ({ email }));
+    sendSmtpEmail.subject = subject;
+    sendSmtpEmail.htmlContent = html;
+
+    if (text) {
+      sendSmtpEmail.textContent = text;
+    }
+
+    if (replyTo) {
+      sendSmtpEmail.replyTo = { email: replyTo };
+    }
+
+    if (attachments.length > 0) {
+      sendSmtpEmail.attachment = attachments;
+    }
+
+    const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
+    return { messageId: result.messageId };
+  }
+});
+
+const createMessageId = (fromEmail) => `<${randomUUID()}@${String(fromEmail).split('@')[1] || os.hostname()}>`;
+
+// Brevo's message shape to nodemailer's
+const toMailOptions = ({ from, to, subject, html, text, replyTo, attachments }) => ({
+  messageId: createMessageId(from.email),
+  from: { name: from.name, address: from.email },
+  to,
+  subject,
+  html,
+  text,
+  replyTo,
+  attachments: attachments.map(({ name, content }) => ({ filename: name, content, encoding: 'base64' }))
+});
+
+const createSmtpTransport = () => {
+  let transporter = null;
+
+  return {
+    send: async (message) => {
+      if (!transporter) {
+        const host = process.env.SMTP_HOST;
+        if (!host) {
+          throw new Error('SMTP_HOST is not defined in environment variables');
+        }
+        const secure = process.env.SMTP_SECURE === 'true';
+
+        transporter = nodemailer.createTransport({
+          host,
+          port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+          secure,
+          // Without TLS the login and the email would go over the network in clear text
+          requireTLS: !secure && process.env.SMTP_REQUIRE_TLS !== 'false',
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+          tls: { rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false' }
+        });
+      }
+
+      const info = await transporter.sendMail(toMailOptions(message));
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// Builds the raw message without sending it
+const mimeBuilder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const createFileTransport = () => ({
+  send: async (message) => {
+    const directory = process.env.EMAIL_FILE_DIR || path.join(__dirname, '../../tmp/emails');
+    await fs.mkdir(directory, { recursive: true });
+
+    const info = await mimeBuilder.sendMail(toMailOptions(message));
+    const slug = String(message.subject || 'email').toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 60);
+    const file = path.join(directory, `${Date.now()}-${slug}.eml`);
+    await fs.writeFile(file, info.message);
+
+    console.log(`📨 Email "${message.subject}" to ${message.to.join(', ')} written to ${file}`);
+    return { messageId: info.messageId, file };
+  }
+});
+
+const sentEmails = [];
+
+const createMemoryTransport = () => ({
+  send: async (message) => {
+    const messageId = createMessageId(message.from.email);
+    sentEmails.push({ ...message, messageId, sentAt: new Date() });
+    if (sentEmails.length > MAX_MEMORY_EMAILS) {
+      sentEmails.shift();
+    }
+    return { messageId };
+  }
+});
+
+export const getSentEmails = () => [...sentEmails];
+
+export const clearSentEmails = () => {
+  sentEmails.length = 0;
+};
+
+const transportFactories = new Map([
+  ['brevo', createBrevoTransport],
+  ['smtp', createSmtpTransport],
+  ['file', createFileTransport],
+  ['memory', createMemoryTransport]
+]);
+
+const transports = new Map();
+
+/**
+ * Add (or replace) a transport, selectable through EMAIL_TRANSPORT
+ */
+export const registerEmailTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+  transports.delete(name);
+};
+
+export const getEmailTransportName = () => (process.env.EMAIL_TRANSPORT || 'brevo').trim().toLowerCase();
+
+export const getEmailTransport = () => {
+  const name = getEmailTransportName();
+  if (!transports.has(name)) {
+    const factory = transportFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (available: ${[...transportFactories.keys()].join(', ')})`);
+    }
+    transports.set(name, factory());
+  }
+  return transports.get(name);
+};
@@ -7,6 +7,11 @@ export const signToken = (payload, options = {}) => {
 // Alias for backward compatibility
 export const generateToken = signToken;
 
+// Panel session tokens are marked so `authenticate` can refuse app tokens, which skip the panel's two-factor step
+export const PANEL_TOKEN_TYPE = 'panel';
+
+export const signPanelToken = (payload) => signToken({ ...payload, typ: PANEL_TOKEN_TYPE });
+
 
 
 
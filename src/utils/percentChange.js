@@ -0,0 +1,7 @@
+// Whole-percent change from `previous` to `current` for "vs last period" figures.
+// From 0 to anything is shown as +100%; null when either value is missing (e.g. no average yet).
+export const percentChange = (current, previous) => {
+  if (current === null || current === undefined || previous === null || previous === undefined) return null;
+  if (previous === 0) return current > 0 ? 100 : 0;
+  return Math.round(((current - previous) / previous) * 100);
+};
@@ -0,0 +1,100 @@
+// Attachments for emailed reports. A report is { title, subtitle, summary: [{ label, value }], columns: [{ key, label }], rows }.
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+export const toCsv = ({ columns, rows }) => {
+  const line = (values) => values.map(value => `"${cellText(value).replace(/"/g, '""')}"`).join(',');
+  return [line(columns.map(column => column.label)), ...rows.map(row => line(columns.map(column => row[column.key])))].join('\n');
+};
+
+// Plain text table, one string per line, for the PDF
+const MAX_COLUMN_WIDTH = 32;
+
+const textLines = ({ title, subtitle, summary = [], columns, rows }) => {
+  const widths = columns.map(column => Math.min(
+    MAX_COLUMN_WIDTH,
+    Math.max(column.label.length, ...rows.map(row => cellText(row[column.key]).length))
+  ));
+  const tableLine = (values) => values
+    .map((value, index) => {
+      const text = cellText(value);
+      return (text.length > widths[index] ? `${text.slice(0, widths[index] - 1)}~` : text).padEnd(widths[index]);
+    })
+    .join('  ')
+    .trimEnd();
+
+  return [
+    title,
+    ...(subtitle ? [subtitle] : []),
+    '',
+    ...summary.map(item => `${item.label}: ${cellText(item.value)}`),
+    '',
+    tableLine(columns.map(column => column.label)),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...(rows.length ? rows.map(row => tableLine(columns.map(column => row[column.key]))) : ['(no rows)'])
+  ];
+};
+
+// Landscape Letter, Courier 8pt
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const LEADING = 10;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LEADING);
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+const pdfString = (text) => text
+  .slice(0, CHARS_PER_LINE)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+/**
+ * A minimal text-only PDF of the report (no PDF library needed): the summary and the table,
+ * paged, in a fixed-width font.
+ */
+export const toPdf = (report) => {
+  const lines = textLines(report);
+  const pages = [];
+  for (let start = 0; start < lines.length; start += LINES_PER_PAGE) {
+    pages.push(lines.slice(start, start + LINES_PER_PAGE));
+  }
+
+  // 1 catalog, 2 page tree, 3 font, then a page object and its content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 4 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>';
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    const stream = [
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LEADING} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map(line => `(${pdfString(line)}) Tj T*`),
+      'ET'
+    ].join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
@@ -12,19 +12,23 @@ export const seedCategories = async () => {
     const categories = [
       {
         name: 'Applications Support',
-        description: 'Help with software applications and technical issues'
+        description: 'Help with software applications and technical issues',
+        sortOrder: 1
       },
       {
         name: 'Service Support',
-        description: 'Equipment maintenance and service requests'
+        description: 'Equipment maintenance and service requests',
+        sortOrder: 2
       },
       {
         name: 'Parts Support',
-        description: 'Replacement parts and hardware components'
+        description: 'Replacement parts and hardware components',
+        sortOrder: 3
       },
       {
         name: 'Sales Support',
-        description: 'Product information and sales inquiries'
+        description: 'Product information and sales inquiries',
+        sortOrder: 4
       }
     ];
 
@@ -0,0 +1,67 @@
+import Role, { PERMISSIONS } from '../models/Role.js';
+
+const AGENT_PERMISSIONS = [
+  'tickets.update_status',
+  'tickets.add_notes',
+  'chat.reply',
+  'customers.view',
+  'customers.manage',
+  'customers.export',
+  'agents.view'
+];
+
+// Manager and agent mirror what those user types could do before roles became configurable
+const defaultRoles = [
+  {
+    key: 'manager',
+    name: 'Manager',
+    description: 'Full access to the support panel',
+    baseRole: 'manager',
+    permissions: PERMISSIONS,
+    // Off by default - managers enroll first, then it can be enforced through the role API
+    requireTwoFactor: false
+  },
+  {
+    key: 'agent',
+    name: 'Agent',
+    description: 'Works assigned tickets and tickets in their categories',
+    baseRole: 'agent',
+    permissions: AGENT_PERMISSIONS
+  },
+  {
+    key: 'supervisor',
+    name: 'Supervisor',
+    description: 'Agent who can see and assign every ticket and view reports',
+    baseRole: 'agent',
+    permissions: [...AGENT_PERMISSIONS, 'tickets.view_all', 'tickets.assign', 'customers.view_all', 'reports.view']
+  },
+  {
+    key: 'auditor',
+    name: 'Read-only Auditor',
+    description: 'Can view tickets, customers, reports and the activity log but change nothing',
+    baseRole: 'agent',
+    permissions: ['tickets.view_all', 'customers.view', 'customers.view_all', 'agents.view', 'reports.view', 'activity_logs.view']
+  }
+];
+
+/**
+ * Create any missing built-in role. Existing roles are left alone so edits made in the panel are kept.
+ */
+export const seedRoles = async () => {
+  try {
+    const existing = await Role.find({ key: { $in: defaultRoles.map(role => role.key) } }).select('key');
+    const existingKeys = new Set(existing.map(role => role.key));
+    const missing = defaultRoles.filter(role => !existingKeys.has(role.key));
+
+    if (missing.length === 0) {
+      console.log('🔐 Roles already exist, skipping seed');
+      return;
+    }
+
+    await Role.insertMany(missing.map(role => ({ ...role, isSystem: true })));
+    console.log('✅ Roles seeded successfully');
+    missing.forEach(role => console.log(`   - ${role.name}`));
+  } catch (error) {
+    console.error('❌ Error seeding roles:', error);
+  }
+};
@@ -0,0 +1,99 @@
+import TicketStatus from '../models/TicketStatus.js';
+
+const STAFF = ['agent', 'manager'];
+
+// Mirrors the behaviour the ticket endpoints had before the workflow became configurable
+const defaultStatuses = [
+  {
+    key: 'pending',
+    label: 'Pending',
+    kind: 'open',
+    isInitial: true,
+    sortOrder: 1,
+    customerMessage: 'Your ticket is now pending review.',
+    transitions: [
+      { to: 'in_progress', roles: STAFF },
+      { to: 'awaiting_customer', roles: STAFF },
+      { to: 'resolved', roles: STAFF, requiresReason: true },
+      { to: 'closed', roles: STAFF, requiresReason: true }
+    ]
+  },
+  {
+    key: 'in_progress',
+    label: 'In Progress',
+    kind: 'open',
+    sortOrder: 2,
+    customerMessage: 'Your ticket is now being worked on.',
+    transitions: [
+      { to: 'pending', roles: STAFF },
+      { to: 'awaiting_customer', roles: STAFF },
+      { to: 'resolved', roles: STAFF, requiresReason: true },
+      { to: 'closed', roles: STAFF, requiresReason: true }
+    ]
+  },
+  {
+    key: 'awaiting_customer',
+    label: 'Awaiting Customer',
+    kind: 'paused',
+    sortOrder: 3,
+    customerMessage: 'Your ticket is waiting for your response.',
+    transitions: [
+      { to: 'in_progress', roles: STAFF },
+      { to: 'resolved', roles: STAFF, requiresReason: true },
+      { to: 'closed', roles: STAFF, requiresReason: true }
+    ]
+  },
+  {
+    key: 'resolved',
+    label: 'Resolved',
+    kind: 'resolved',
+    sortOrder: 4,
+    customerMessage: 'Your ticket has been resolved.',
+    transitions: [
+      { to: 'in_progress', roles: STAFF },
+      { to: 'closed', roles: STAFF, requiresReason: true },
+      { to: 'reopen', roles: STAFF }
+    ]
+  },
+  {
+    key: 'closed',
+    label: 'Closed',
+    kind: 'closed',
+    sortOrder: 5,
+    customerMessage: 'Your ticket has been closed.',
+    transitions: [
+      { to: 'reopen', roles: STAFF, requiresReason: true }
+    ]
+  },
+  {
+    key: 'reopen',
+    label: 'Reopened',
+    kind: 'open',
+    sortOrder: 6,
+    customerMessage: 'Your ticket has been reopened.',
+    transitions: [
+      { to: 'pending', roles: STAFF },
+      { to: 'in_progress', roles: STAFF },
+      { to: 'awaiting_customer', roles: STAFF },
+      { to: 'resolved', roles: STAFF, requiresReason: true },
+      { to: 'closed', roles: STAFF, requiresReason: true }
+    ]
+  }
+];
+
+export const seedTicketStatuses = async () => {
+  try {
+    const count = await TicketStatus.countDocuments();
+
+    if (count > 0) {
+      console.log('🔀 Ticket statuses already exist, skipping seed');
+      return;
+    }
+
+    await TicketStatus.insertMany(defaultStatuses);
+    console.log('✅ Ticket status workflow seeded successfully');
+    defaultStatuses.forEach(status => console.log(`   - ${status.label}`));
+  } catch (error) {
+    console.error('❌ Error seeding ticket statuses:', error);
+  }
+};
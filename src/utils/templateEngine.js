@@ -0,0 +1,156 @@
+/**
+ * Small mustache-style template engine used for the email templates.
+ *
+ *   {{ticket.number}}                 value, HTML-escaped (dotted paths are looked up in nested objects)
+ *   {{{content}}}                     value, inserted as is
+ *   {{#if reason}}...{{else}}...{{/if}}   also {{#unless}}; empty arrays count as false
+ *   {{#each items}}{{label}} {{this}} {{@index}}{{/each}}
+ *
+ * Missing values render as an empty string.
+ */
+
+export class TemplateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TemplateError';
+    this.statusCode = statusCode;
+  }
+}
+
+const TAG_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*#(if|unless|each)\s+([\w.@]+)\s*\}\}|\{\{\s*else\s*\}\}|\{\{\s*\/(if|unless|each)\s*\}\}|\{\{\s*([\w.@]+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Parse the template into a tree of text, value and block nodes
+const parse = (source) => {
+  const root = { children: [] };
+  const stack = [];
+  let current = root.children;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, rawPath, blockType, blockPath, closingType, path] = match;
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (rawPath) {
+      current.push({ type: 'value', path: rawPath, raw: true });
+    } else if (path) {
+      current.push({ type: 'value', path, raw: false });
+    } else if (blockType) {
+      const block = { type: blockType, path: blockPath, children: [], alternate: [] };
+      current.push(block);
+      stack.push({ block, parent: current });
+      current = block.children;
+    } else if (closingType) {
+      const open = stack.pop();
+      if (!open || open.block.type !== closingType) {
+        throw new TemplateError(`Unexpected {{/${closingType}}}`);
+      }
+      current = open.parent;
+    } else {
+      const open = stack[stack.length - 1];
+      if (!open || current === open.block.alternate) {
+        throw new TemplateError('Unexpected {{else}}');
+      }
+      current = open.block.alternate;
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new TemplateError(`Missing {{/${stack[stack.length - 1].block.type}}}`);
+  }
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+};
+
+const lookup = (scope, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  scope
+);
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const renderNodes = (nodes, scope, escape) => nodes.map((node) => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+
+  const value = lookup(scope, node.path);
+
+  if (node.type === 'value') {
+    if (value === null || value === undefined) return '';
+    return node.raw || !escape ? String(value) : escapeHtml(value);
+  }
+
+  if (node.type === 'each') {
+    if (!Array.isArray(value) || value.length === 0) {
+      return renderNodes(node.alternate, scope, escape);
+    }
+    return value.map((item, index) => {
+      // Item fields first, then everything from the enclosing scope
+      const itemScope = Object.assign(
+        Object.create(scope),
+        item !== null && typeof item === 'object' ? item : {},
+        { this: item, '@index': index }
+      );
+      return renderNodes(node.children, itemScope, escape);
+    }).join('');
+  }
+
+  const show = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+  return renderNodes(show ? node.children : node.alternate, scope, escape);
+}).join('');
+
+/**
+ * Check a template for unbalanced blocks. Throws a TemplateError.
+ */
+export const validateTemplate = (source) => {
+  parse(String(source ?? ''));
+};
+
+/**
+ * Render a template. Pass { escape: false } for plain text such as subject lines.
+ */
+export const renderTemplate = (source, variables = {}, { escape = true } = {}) => (
+  renderNodes(parse(String(source ?? '')), variables, escape)
+);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', bull: '•', middot: '·' };
+
+const decodeEntities = (text) => text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Plain-text alternative of an HTML email: keeps paragraphs, list items, table rows and link targets.
+ */
+export const htmlToText = (html) => String(html ?? '')
+  .replace(/<(head|style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<a\b[^>]*href\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (tag, href, label) => {
+    const text = label.replace(/<[^>]+>/g, '').trim();
+    return !href || href === '#' || href === text ? text : `${text} (${href})`;
+  })
+  .replace(/\s+/g, ' ')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li\b[^>]*>/gi, '\n- ')
+  .replace(/<\/(p|div|h[1-6]|tr|ul|ol|table)>/gi, '\n')
+  .replace(/<(p|div|h[1-6]|ul|ol|table|hr)\b[^>]*>/gi, '\n')
+  .replace(/<\/t[dh]>/gi, ' ')
+  .replace(/<[^>]+>/g, '')
+  .split('\n')
+  .map(line => decodeEntities(line).replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
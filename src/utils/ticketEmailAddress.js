@@ -0,0 +1,31 @@
+// Ticket numbers look like EXP12345678 (see the Ticket model default)
+const TICKET_NUMBER_PATTERN = /\b(EXP\d{8})\b/i;
+
+/**
+ * Reply-to address that threads a customer's email reply onto the ticket, using plus addressing:
+ * INBOUND_EMAIL_ADDRESS=support@inbound.example.com -> support+EXP12345678@inbound.example.com
+ * Returns null when the inbound channel is not configured.
+ */
+export const buildTicketReplyAddress = (ticket) => {
+  const inboundAddress = process.env.INBOUND_EMAIL_ADDRESS;
+  if (!inboundAddress || !ticket?.ticketNumber) {
+    return null;
+  }
+  const [local, domain] = inboundAddress.split('@');
+  return `${local}+${ticket.ticketNumber}@${domain}`;
+};
+
+/**
+ * Ticket number from the reply address (preferred) or the subject, e.g. "Re: Ticket Created - EXP12345678"
+ */
+export const extractTicketNumber = ({ to = [], subject = '' }) => {
+  for (const address of to) {
+    const tag = String(address).split('@')[0].split('+')[1];
+    const match = tag && tag.match(TICKET_NUMBER_PATTERN);
+    if (match) {
+      return match[1].toUpperCase();
+    }
+  }
+  const match = String(subject).match(TICKET_NUMBER_PATTERN);
+  return match ? match[1].toUpperCase() : null;
+};
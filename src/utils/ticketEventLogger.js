@@ -0,0 +1,42 @@
+import TicketEvent from '../models/TicketEvent.js';
+import User from '../models/User.js';
+import { emitTicketEventWebhook } from '../services/webhookService.js';
+
+const resolveActor = async (req, explicitActor) => {
+    if (explicitActor !== undefined) return explicitActor;
+    const userId = req?.user?.id;
+    if (!userId) return undefined; // recorded as a system event
+
+    // App tokens do not carry the user's name
+    if (req.user.name) {
+        return { userId, name: req.user.name, role: req.user.role };
+    }
+    const user = await User.findById(userId).select('name role').lean();
+    return {
+        userId,
+        name: user?.name || req.user.email,
+        role: user?.role || req.user.role
+    };
+};
+
+/**
+ * Append an entry to a ticket's timeline and publish it to subscribed webhooks. Never throws - the timeline must not break the request.
+ * `actor` can be passed explicitly ({ userId, name, role }), otherwise it is taken from req.user.
+ */
+export async function recordTicketEvent(req, { ticketId, type, before = null, after = null, message = '', actor }) {
+    try {
+        const event = await TicketEvent.create({
+            ticketId,
+            type,
+            before,
+            after,
+            message,
+            actor: await resolveActor(req, actor)
+        });
+        await emitTicketEventWebhook(event);
+    } catch (error) {
+        console.error('Failed to record ticket event:', error);
+    }
+}
+
+export default recordTicketEvent;